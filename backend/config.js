@@ -9,10 +9,23 @@ configuracion de conexion a la base de datos Mongo DB
 
 definicion de roles del sistema
 
+metodo de valoracion del inventario
+
+revision de precios programados
+
+moneda base de precios, costos y valoracion
+
+impuestos incluidos o no en los precios
+
+clasificacion ABC de productos
+
 las variables de entorno tienen prioridad  sobre los valores por defecto
 
 */
 
+//lee una variable de entorno numerica (permite 0), si no existe usa el valor por defecto
+const envNumber = (name, value) => (process.env[name] !== undefined ? Number(process.env[name]) : value);
+
 module.exports = {
     // configuracion de JWT
     SECRET : process.env.JWT_SECRET || "tusecretoparalostokens",
@@ -28,6 +41,64 @@ module.exports = {
     },
 
     //ROLES DEL SISTEMA
-    ROLES : {ADMIN: 'admin', COORDINADOR: 'coordinador', AUXILIAR:'auxiliar'}
+    ROLES : {ADMIN: 'admin', COORDINADOR: 'coordinador', AUXILIAR:'auxiliar'},
+
+    //VALORACION DEL INVENTARIO
+    INVENTORY : {
+        //metodo para costear las salidas: fifo (primeras entradas, primeras salidas) o average (costo promedio ponderado)
+        VALUATION_METHOD : process.env.VALUATION_METHOD || 'fifo'
+    },
+
+    //PRECIOS PROGRAMADOS
+    PRICES : {
+        //cada cuantos milisegundos se revisan los precios programados con fecha vencida (por defecto 1 minuto)
+        SCHEDULER_INTERVAL : envNumber('PRICE_SCHEDULER_INTERVAL', 60000)
+    },
+
+    //MONEDAS
+    CURRENCY : {
+        //moneda local (codigo ISO 4217): el inventario se valora en esta moneda
+        //las tasas de cambio (ExchangeRate) dicen cuantas unidades de la moneda base vale una unidad de otra moneda
+        BASE : (process.env.BASE_CURRENCY || 'COP').toUpperCase()
+    },
+
+    //IMPUESTOS
+    TAXES : {
+        //true: Product.price y los precios de las ordenes incluyen el impuesto (precio bruto)
+        //false: los precios son netos y el impuesto se suma
+        PRICES_INCLUDE_TAX : process.env.PRICES_INCLUDE_TAX !== 'false'
+    },
+
+    //CLASIFICACION ABC
+    ABC : {
+        //dias hacia atras de salidas que se suman como valor de consumo
+        PERIOD_DAYS : envNumber('ABC_PERIOD_DAYS', 365),
+        //porcentaje del valor de consumo que cubren las clases A y B, C es el resto
+        CUTOFFS : {
+            A : envNumber('ABC_CUTOFF_A', 80),
+            B : envNumber('ABC_CUTOFF_B', 15)
+        },
+        //cada cuantos milisegundos se recalcula la clasificacion (por defecto 1 dia, 0 la desactiva)
+        SCHEDULER_INTERVAL : envNumber('ABC_SCHEDULER_INTERVAL', 24 * 60 * 60 * 1000)
+    },
+
+    //ETIQUETAS DE PRODUCTO
+    LABELS : {
+        //url base a la que apunta el QR de cada etiqueta (se agrega el id del producto)
+        PRODUCT_URL : process.env.LABEL_PRODUCT_URL || 'http://localhost:3000/products',
+        //hoja de etiquetas del PDF, medidas en puntos (72 por pulgada)
+        //por defecto hoja carta de 3 x 10 etiquetas de 2.625 x 1 pulgadas
+        SHEET : {
+            SIZE : process.env.LABEL_SHEET_SIZE || 'LETTER',
+            COLUMNS : envNumber('LABEL_COLUMNS', 3),
+            ROWS : envNumber('LABEL_ROWS', 10),
+            LABEL_WIDTH : envNumber('LABEL_WIDTH', 189),
+            LABEL_HEIGHT : envNumber('LABEL_HEIGHT', 72),
+            MARGIN_TOP : envNumber('LABEL_MARGIN_TOP', 36),
+            MARGIN_LEFT : envNumber('LABEL_MARGIN_LEFT', 13.5),
+            GAP_X : envNumber('LABEL_GAP_X', 9),
+            GAP_Y : envNumber('LABEL_GAP_Y', 0)
+        }
+    }
     
 }
\ No newline at end of file
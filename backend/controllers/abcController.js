@@ -0,0 +1,109 @@
+/**
+ * controlador de clasificacion ABC
+ * consulta la clasificacion guardada en los productos y la recalcula con otro periodo o cortes
+ * el calculo esta en services/abcService, el servidor tambien la recalcula cada ABC.SCHEDULER_INTERVAL ms
+ */
+
+const Product = require('../models/Product');
+const { validateAbcOptions, classifyProducts } = require('../services/abcService');
+
+//montos y porcentajes con dos decimales
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * READ: clasificacion ABC actual
+ * GET /api/products/abc
+ * query opcional: abcClass (A, B o C) solo los productos de esa clase
+ * retorna el resumen por clase (productos, valor de consumo y porcentaje)
+ * y los productos clasificados de mayor a menor valor de consumo
+ */
+exports.getAbcClassification = async (req, res) => {
+    try {
+        const { abcClass } = req.query;
+        if (abcClass && !Product.ABC_CLASSES.includes(abcClass)) {
+            return res.status(400).json({
+                success: false,
+                message: `clase no valida, use: ${Product.ABC_CLASSES.join(', ')}`
+            });
+        }
+
+        const products = await Product.find({ abcClass: { $ne: null }, active: { $ne: false } })
+            .select('name sku stock abcClass abcValue abcClassifiedAt category subcategory')
+            .populate('category', 'name')
+            .populate('subcategory', 'name')
+            .sort({ abcValue: -1, name: 1 });
+
+        const totalValue = products.reduce((sum, product) => sum + (product.abcValue || 0), 0);
+        const summary = Object.fromEntries(Product.ABC_CLASSES.map(item => [item, { products: 0, value: 0, share: 0 }]));
+        products.forEach(product => {
+            summary[product.abcClass].products++;
+            summary[product.abcClass].value += product.abcValue || 0;
+        });
+        Object.values(summary).forEach(group => {
+            group.value = round(group.value);
+            group.share = totalValue > 0 ? round(group.value / totalValue * 100) : 0;
+        });
+        const classifiedAt = products.reduce((last, product) => (
+            !last || product.abcClassifiedAt > last ? product.abcClassifiedAt : last
+        ), null);
+        const data = abcClass ? products.filter(product => product.abcClass === abcClass) : products;
+
+        res.status(200).json({
+            success: true,
+            classifiedAt,
+            totalValue: round(totalValue),
+            summary,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        console.error('Error en getAbcClassification ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener la clasificacion ABC',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * recalcular la clasificacion ABC
+ * POST /api/products/abc
+ * Roles: admin y coordinador
+ * body opcional:
+ *      - days: dias de salidas que se suman como consumo (por defecto config ABC.PERIOD_DAYS)
+ *      - cutoffs: { A, B, C } porcentajes del valor acumulado de cada clase (por defecto config ABC.CUTOFFS)
+ *        C es opcional (el resto), si se envia los tres deben sumar 100
+ * la nueva clase queda guardada en cada producto (filtro abcClass de GET /api/products)
+ * retorna:
+ * 200: ranking con valor, porcentaje, acumulado y clase de cada producto
+ * 400: periodo o cortes invalidos
+ */
+exports.classifyAbc = async (req, res) => {
+    try {
+        const { error, ...options } = validateAbcOptions(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { products, ...result } = await classifyProducts(options);
+
+        res.status(200).json({
+            success: true,
+            message: 'Clasificacion ABC actualizada',
+            ...result,
+            count: products.length,
+            data: products
+        });
+    } catch (error) {
+        console.error('Error en classifyAbc ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al calcular la clasificacion ABC',
+            error: error.message
+        });
+    }
+};
@@ -5,6 +5,7 @@
 
 const Category = require ('../models/Category');
 const Subcategory = require('../models/Subcategory');
+const { validateTaxProfile } = require('../services/taxService');
 /**
  * create: crear nueva categoria
  * POST /api/categories
@@ -13,6 +14,7 @@ const Subcategory = require('../models/Subcategory');
  * body requerido:
  * name: nombre de la categoria
  * descriprion: descripcion de la categoria
+ * body opcional: taxProfile (perfil de impuesto de sus productos)
  * retorna:
  * 201: categoria creada en mongoDB    
  * 400: validacion fallida o nombre duplicando
@@ -48,10 +50,20 @@ exports.createCategory = async (req, res) => {
             });
         }
 
+        //perfil de impuesto opcional
+        const tax = req.body.taxProfile !== undefined ? await validateTaxProfile(req.body.taxProfile) : { taxProfile: null };
+        if (tax.error) {
+            return res.status(400).json({
+                success: false,
+                message: tax.error
+            });
+        }
+
         //crear nueva categoria
         const newCategory = new Category({
             name: trimmedName,
-            description: trimmedDesc
+            description: trimmedDesc,
+            taxProfile: tax.taxProfile
         });
 
         await newCategory.save();
@@ -146,6 +158,7 @@ exports.getCategoryById =async (req, res) => {
  * body 
  * name: nuevo nombre de la categoria
  * description: nueva descripcion
+ * taxProfile: perfil de impuesto (null lo quita)
  * validaciones
  * si quiere solo actualizar el nombre, solo la descipcion o ambos
  * Retorna:
@@ -182,6 +195,16 @@ exports.updateCategory = async (req, res) => {
         if (description){
             updateData.description = description.trim();
         }
+        if (req.body.taxProfile !== undefined) {
+            const tax = await validateTaxProfile(req.body.taxProfile);
+            if (tax.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: tax.error
+                });
+            }
+            updateData.taxProfile = tax.taxProfile;
+        }
 
         //actualizar la categoria en la base de datos
 
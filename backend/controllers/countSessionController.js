@@ -0,0 +1,497 @@
+/**
+ * controlador de conteos fisicos (inventario ciclico)
+ * flujo: open (se registran conteos) -> closed (revision de diferencias) -> approved (ajustes)
+ * una sesion abierta o cerrada se puede cancelar sin ajustes
+ * el ajuste de cada linea es contado - esperado y se suma al stock actual,
+ * asi los movimientos registrados durante el conteo no se pierden
+ * los productos con lotes o series no entran al conteo (se controlan por lote / serie),
+ * al abrir la sesion se informan en excluded para que se cuenten aparte
+ */
+
+const CountSession = require('../models/CountSession');
+const Counter = require('../models/Counter');
+const Product = require('../models/Product');
+const Warehouse = require('../models/Warehouse');
+const Category = require('../models/Category');
+const Subcategory = require('../models/Subcategory');
+const { registerMovements } = require('../services/stockService');
+
+//poblar las relaciones de la sesion para las respuestas
+const populateSession = (query) => query
+    .populate('warehouse', 'name code')
+    .populate('category', 'name')
+    .populate('subcategory', 'name')
+    .populate('lines.product', 'name sku price')
+    .populate('lines.warehouse', 'name code')
+    .populate('lines.countedBy', 'username email')
+    .populate('createdBy', 'username email')
+    .populate('closedBy', 'username email')
+    .populate('approvedBy', 'username email')
+    .populate('cancelledBy', 'username email');
+
+//respuesta estandar cuando la sesion no existe o no esta en el estado esperado
+const statusError = async (res, id, message) => {
+    const exists = await CountSession.exists({ _id: id });
+    return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? message : 'Sesion de conteo no encontrada'
+    });
+};
+
+//el conteo es ciego para los auxiliares: no ven la cantidad esperada
+const hideExpected = (session, role) => {
+    const data = session.toJSON();
+    if (role === 'auxiliar') data.lines.forEach(line => { delete line.expectedQuantity; });
+    return data;
+};
+
+//diferencia de una linea contada
+const lineVariance = (line) => (line.countedQuantity === null ? null : line.countedQuantity - line.expectedQuantity);
+
+/**
+ * create: abrir sesion de conteo
+ * POST /api/count-sessions
+ * Roles: admin y coordinador
+ * body (al menos uno): warehouse, category, subcategory
+ * body opcional: notes
+ * congela el stock actual de cada producto activo del alcance en cada bodega
+ * con bodega se incluyen todos los productos del alcance (sin stock la esperada es 0)
+ * sin bodega se incluyen las bodegas donde cada producto tiene registro de stock
+ * retorna en excluded los productos del alcance con lotes o series que quedaron por fuera
+ * (reason: lotTracked o serialized), tambien cuando no queda ningun producto para contar
+ */
+exports.createCountSession = async (req, res) => {
+    try {
+        const { warehouse, category, subcategory, notes } = req.body;
+
+        if (!warehouse && !category && !subcategory) {
+            return res.status(400).json({
+                success: false,
+                message: 'indique el alcance del conteo: warehouse, category o subcategory'
+            });
+        }
+        if (warehouse) {
+            const warehouseDoc = await Warehouse.findById(warehouse);
+            if (!warehouseDoc || !warehouseDoc.active) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'la bodega no existe o esta inactiva'
+                });
+            }
+        }
+        if (category && !(await Category.exists({ _id: category }))) {
+            return res.status(404).json({
+                success: false,
+                message: 'la categoria solicitada no existe'
+            });
+        }
+        if (subcategory && !(await Subcategory.exists(category ? { _id: subcategory, category } : { _id: subcategory }))) {
+            return res.status(400).json({
+                success: false,
+                message: 'la subcategoria no existe o no pertenece a la categoria especificada'
+            });
+        }
+
+        //los productos padre de variantes no tienen stock propio, se cuentan sus variantes
+        const scope = { active: { $ne: false }, 'variantAttributes.0': { $exists: false } };
+        if (category) scope.category = category;
+        if (subcategory) scope.subcategory = subcategory;
+        if (!category && !subcategory) scope['stockByWarehouse.warehouse'] = warehouse;
+
+        const [products, skipped] = await Promise.all([
+            Product.find({ ...scope, lotTracked: { $ne: true }, serialized: { $ne: true } }).select('stockByWarehouse'),
+            Product.find({ ...scope, $or: [{ lotTracked: true }, { serialized: true }] }).select('name sku stock lotTracked serialized').sort({ name: 1 })
+        ]);
+        const excluded = skipped.map(product => ({
+            _id: product._id,
+            name: product.name,
+            sku: product.sku,
+            stock: product.stock,
+            reason: product.lotTracked ? 'lotTracked' : 'serialized'
+        }));
+        const lines = [];
+        products.forEach(product => {
+            if (warehouse) {
+                const row = product.stockByWarehouse.find(item => item.warehouse.equals(warehouse));
+                lines.push({ product: product._id, warehouse, expectedQuantity: row ? row.quantity : 0 });
+            } else {
+                product.stockByWarehouse.forEach(row => {
+                    lines.push({ product: product._id, warehouse: row.warehouse, expectedQuantity: row.quantity });
+                });
+            }
+        });
+
+        if (lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: excluded.length
+                    ? 'No hay productos para contar en el alcance indicado, los productos con lotes o series se cuentan aparte'
+                    : 'No hay productos para contar en el alcance indicado',
+                excluded
+            });
+        }
+
+        const session = await CountSession.create({
+            number: await Counter.next('countSession', 'CF'),
+            warehouse,
+            category,
+            subcategory,
+            lines,
+            notes,
+            createdBy: req.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            message: excluded.length
+                ? `Sesion de conteo abierta, ${excluded.length} productos con lotes o series quedaron por fuera`
+                : 'Sesion de conteo abierta',
+            excluded,
+            data: await populateSession(CountSession.findById(session._id))
+        });
+    } catch (error) {
+        console.error('Error en createCountSession ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al abrir sesion de conteo',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: listar sesiones de conteo
+ * GET /api/count-sessions
+ * query params opcionales: status, warehouse
+ * no incluye las lineas (ver GET /api/count-sessions/:id)
+ */
+exports.getCountSessions = async (req, res) => {
+    try {
+        const filter = {};
+        ['status', 'warehouse'].forEach(field => {
+            if (req.query[field]) filter[field] = req.query[field];
+        });
+
+        const sessions = await CountSession.find(filter)
+            .select('-lines')
+            .populate('warehouse', 'name code')
+            .populate('category', 'name')
+            .populate('subcategory', 'name')
+            .populate('createdBy', 'username email')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: sessions.length,
+            data: sessions
+        });
+    } catch (error) {
+        console.error('Error en getCountSessions ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener sesiones de conteo',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: obtener una sesion con sus lineas
+ * GET /api/count-sessions/:id
+ * los auxiliares no ven la cantidad esperada (conteo ciego)
+ */
+exports.getCountSessionById = async (req, res) => {
+    try {
+        const session = await populateSession(CountSession.findById(req.params.id));
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sesion de conteo no encontrada'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            data: hideExpected(session, req.userRole)
+        });
+    } catch (error) {
+        console.error('Error en getCountSessionById ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener sesion de conteo',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * registrar cantidades contadas
+ * POST /api/count-sessions/:id/counts
+ * Roles: admin, coordinador y auxiliar
+ * body: counts: [{ product, warehouse, countedQuantity }]
+ * warehouse es opcional si la sesion es de una sola bodega
+ * un nuevo conteo de la misma linea reemplaza el anterior
+ */
+exports.submitCounts = async (req, res) => {
+    try {
+        const { counts } = req.body;
+        if (!Array.isArray(counts) || counts.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'counts debe ser un arreglo con al menos un conteo'
+            });
+        }
+
+        const session = await CountSession.findById(req.params.id);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sesion de conteo no encontrada'
+            });
+        }
+        if (session.status !== 'open') {
+            return res.status(400).json({
+                success: false,
+                message: 'Solo se pueden registrar conteos en sesiones abiertas'
+            });
+        }
+
+        //validar todos los conteos antes de guardar alguno
+        const updates = [];
+        for (const count of counts) {
+            const warehouse = count.warehouse || session.warehouse;
+            const quantity = Number(count.countedQuantity);
+            const line = session.lines.find(item =>
+                item.product.equals(count.product) && warehouse && item.warehouse.equals(warehouse));
+            if (!line) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El producto ${count.product} no hace parte de la sesion en esa bodega`
+                });
+            }
+            if (!Number.isFinite(quantity) || quantity < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad contada debe ser un numero mayor o igual a cero'
+                });
+            }
+            updates.push({ product: line.product, warehouse: line.warehouse, quantity });
+        }
+
+        //cada linea se actualiza solo si la sesion sigue abierta
+        const countedAt = new Date();
+        for (const [index, update] of updates.entries()) {
+            const result = await CountSession.updateOne(
+                { _id: session._id, status: 'open' },
+                {
+                    $set: {
+                        [`lines.$[line${index}].countedQuantity`]: update.quantity,
+                        [`lines.$[line${index}].countedBy`]: req.userId,
+                        [`lines.$[line${index}].countedAt`]: countedAt
+                    }
+                },
+                { arrayFilters: [{ [`line${index}.product`]: update.product, [`line${index}.warehouse`]: update.warehouse }] }
+            );
+            if (result.matchedCount === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La sesion se cerro mientras se registraban los conteos',
+                    saved: index
+                });
+            }
+        }
+
+        const updated = await populateSession(CountSession.findById(session._id));
+        res.status(200).json({
+            success: true,
+            message: 'Conteos registrados',
+            data: hideExpected(updated, req.userRole)
+        });
+    } catch (error) {
+        console.error('Error en submitCounts ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al registrar conteos',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * cerrar el conteo
+ * POST /api/count-sessions/:id/close
+ * Roles: admin y coordinador
+ * open -> closed, ya no se reciben conteos
+ */
+exports.closeCountSession = async (req, res) => {
+    try {
+        const session = await CountSession.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            { status: 'closed', closedBy: req.userId, closedAt: new Date() },
+            { new: true }
+        );
+        if (!session) return statusError(res, req.params.id, 'Solo se pueden cerrar sesiones abiertas');
+
+        res.status(200).json({
+            success: true,
+            message: 'Conteo cerrado, revise el informe de diferencias antes de aprobar',
+            data: await populateSession(CountSession.findById(session._id))
+        });
+    } catch (error) {
+        console.error('Error en closeCountSession ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al cerrar sesion de conteo',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * informe de diferencias
+ * GET /api/count-sessions/:id/variance
+ * Roles: admin y coordinador
+ * por linea: esperado, contado, diferencia (contado - esperado), valor de la diferencia a precio
+ * y resultado: match, over (sobrante), short (faltante) o uncounted (sin contar)
+ */
+exports.getVarianceReport = async (req, res) => {
+    try {
+        const session = await populateSession(CountSession.findById(req.params.id));
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sesion de conteo no encontrada'
+            });
+        }
+
+        const summary = { lines: session.lines.length, counted: 0, uncounted: 0, matches: 0, over: 0, short: 0, varianceUnits: 0, varianceValue: 0 };
+        const lines = session.lines.map(line => {
+            const variance = lineVariance(line);
+            const price = line.product ? line.product.price || 0 : 0;
+            let result = 'uncounted';
+            if (variance !== null) result = variance === 0 ? 'match' : variance > 0 ? 'over' : 'short';
+
+            if (variance === null) {
+                summary.uncounted++;
+            } else {
+                summary.counted++;
+                summary.varianceUnits += variance;
+                summary.varianceValue += variance * price;
+                if (result === 'match') summary.matches++;
+                else summary[result]++;
+            }
+            return {
+                product: line.product,
+                warehouse: line.warehouse,
+                expectedQuantity: line.expectedQuantity,
+                countedQuantity: line.countedQuantity,
+                variance,
+                varianceValue: variance === null ? null : variance * price,
+                result,
+                countedBy: line.countedBy,
+                countedAt: line.countedAt
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                number: session.number,
+                status: session.status,
+                summary,
+                lines
+            }
+        });
+    } catch (error) {
+        console.error('Error en getVarianceReport ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al generar informe de diferencias',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * aprobar el conteo y ajustar el stock
+ * POST /api/count-sessions/:id/approve
+ * Roles: admin y coordinador
+ * closed -> approved
+ * registra un ajuste por cada linea contada con diferencia (las no contadas no se ajustan)
+ * si algun ajuste falla no queda ninguno registrado y la sesion vuelve a closed
+ */
+exports.approveCountSession = async (req, res) => {
+    try {
+        const session = await CountSession.findOneAndUpdate(
+            { _id: req.params.id, status: 'closed' },
+            { status: 'approved', approvedBy: req.userId, approvedAt: new Date() },
+            { new: true }
+        );
+        if (!session) return statusError(res, req.params.id, 'Solo se pueden aprobar sesiones cerradas');
+
+        const adjustments = session.lines
+            .filter(line => lineVariance(line))
+            .map(line => ({
+                product: line.product,
+                warehouse: line.warehouse,
+                type: 'adjustment',
+                quantity: lineVariance(line),
+                reason: 'Conteo fisico',
+                reference: session.number,
+                user: req.userId
+            }));
+
+        try {
+            await registerMovements(adjustments);
+        } catch (movementError) {
+            await CountSession.updateOne(
+                { _id: session._id },
+                { status: 'closed', $unset: { approvedBy: 1, approvedAt: 1 } }
+            );
+            throw movementError;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Conteo aprobado, ${adjustments.length} ajustes registrados`,
+            adjustments: adjustments.length,
+            data: await populateSession(CountSession.findById(session._id))
+        });
+    } catch (error) {
+        console.error('Error en approveCountSession ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al aprobar sesion de conteo',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * cancelar sesion de conteo
+ * POST /api/count-sessions/:id/cancel
+ * Roles: admin y coordinador
+ * open / closed -> cancelled, sin ajustes
+ */
+exports.cancelCountSession = async (req, res) => {
+    try {
+        const session = await CountSession.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['open', 'closed'] } },
+            { status: 'cancelled', cancelledBy: req.userId, cancelledAt: new Date() },
+            { new: true }
+        );
+        if (!session) return statusError(res, req.params.id, 'La sesion ya fue aprobada o cancelada');
+
+        res.status(200).json({
+            success: true,
+            message: 'Sesion de conteo cancelada',
+            data: await populateSession(CountSession.findById(session._id))
+        });
+    } catch (error) {
+        console.error('Error en cancelCountSession ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al cancelar sesion de conteo',
+            error: error.message
+        });
+    }
+};
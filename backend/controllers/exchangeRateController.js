@@ -0,0 +1,246 @@
+/**
+ * controlador de tasas de cambio
+ * registra las tasas de cada moneda contra la moneda base con la fecha desde la que rigen
+ * con estas tasas /api/products y /api/statistics convierten precios y valores (?currency=)
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+const { getBaseCurrency, normalizeCurrency, loadRates } = require('../services/currencyService');
+const { parseReportDate, isInvalidDate } = require('../services/reportService');
+
+/**
+ * valida moneda, tasa y fecha de una tasa de cambio
+ * @returns {{error: string|null, data: Object}}
+ */
+const validateRate = ({ currency, rate, date }) => {
+    const data = {};
+    if (currency !== undefined) {
+        data.currency = normalizeCurrency(currency);
+        if (!data.currency) return { error: 'La moneda debe ser un codigo de 3 letras (ej: USD)' };
+        if (data.currency === getBaseCurrency()) return { error: `${data.currency} es la moneda base, su tasa siempre es 1` };
+    }
+    if (rate !== undefined) {
+        data.rate = Number(rate);
+        if (!Number.isFinite(data.rate) || data.rate <= 0) return { error: 'La tasa debe ser un numero mayor a cero' };
+    }
+    if (date !== undefined) {
+        data.date = new Date(date);
+        if (Number.isNaN(data.date.getTime())) return { error: 'Fecha no valida' };
+    }
+    return { error: null, data };
+};
+
+/**
+ * create: registrar una tasa de cambio
+ * POST /api/exchange-rates
+ * Roles: admin y coordinador
+ * body requerido: currency (ej: USD), rate (unidades de la moneda base por 1 currency)
+ * body opcional: date (desde cuando rige, por defecto ahora), notes
+ * retorna:
+ * 201: tasa registrada
+ * 400: validacion fallida o ya existe una tasa de la moneda en esa fecha
+ */
+exports.createExchangeRate = async (req, res) => {
+    try {
+        if (!req.body.currency || req.body.rate === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'La moneda y la tasa son obligatorias',
+                requiredFields: ['currency', 'rate']
+            });
+        }
+        const { error, data } = validateRate({ ...req.body, date: req.body.date || new Date() });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const exchangeRate = await ExchangeRate.create({ ...data, notes: req.body.notes, createdBy: req.userId });
+
+        res.status(201).json({
+            success: true,
+            message: 'Tasa de cambio registrada exitosamente',
+            data: exchangeRate
+        });
+    } catch (error) {
+        console.error('Error en createExchangeRate ', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe una tasa de esa moneda en esa fecha, actualicela'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error al registrar tasa de cambio',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: historial de tasas de cambio
+ * GET /api/exchange-rates
+ * query params:
+ *      - currency: solo las tasas de esa moneda
+ *      - from / to: rango de fechas (fecha sin hora incluye todo el dia)
+ * retorna las tasas de la mas reciente a la mas antigua
+ */
+exports.getExchangeRates = async (req, res) => {
+    try {
+        const from = parseReportDate(req.query.from);
+        const to = parseReportDate(req.query.to, true);
+        if (isInvalidDate(from) || isInvalidDate(to)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Fechas no validas, use el formato AAAA-MM-DD'
+            });
+        }
+
+        const filter = {};
+        if (req.query.currency) filter.currency = String(req.query.currency).trim().toUpperCase();
+        if (from || to) {
+            filter.date = {};
+            if (from) filter.date.$gte = from;
+            if (to) filter.date.$lte = to;
+        }
+        const rates = await ExchangeRate.find(filter)
+            .populate('createdBy', 'username email')
+            .sort({ date: -1, currency: 1 });
+
+        res.status(200).json({
+            success: true,
+            base: getBaseCurrency(),
+            count: rates.length,
+            data: rates
+        });
+    } catch (error) {
+        console.error('Error en getExchangeRates ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener tasas de cambio',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: tasas vigentes en una fecha
+ * GET /api/exchange-rates/current
+ * query opcional: date (por defecto ahora, fecha sin hora toma el final del dia)
+ * retorna la tasa vigente de cada moneda y desde cuando rige
+ */
+exports.getCurrentRates = async (req, res) => {
+    try {
+        const date = parseReportDate(req.query.date, true) || new Date();
+        if (isInvalidDate(date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Fecha no valida, use el formato AAAA-MM-DD'
+            });
+        }
+
+        const { base, rates } = await loadRates(date);
+        const data = [...rates.entries()]
+            .map(([currency, item]) => ({ currency, rate: item.rate, since: item.date }))
+            .sort((a, b) => a.currency.localeCompare(b.currency));
+
+        res.status(200).json({
+            success: true,
+            base,
+            date,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        console.error('Error en getCurrentRates ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener tasas vigentes',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * UPDATE: corregir una tasa de cambio
+ * PUT /api/exchange-rates/:id
+ * Roles: admin y coordinador
+ * body: rate, date, notes (la moneda no se cambia)
+ * los movimientos ya registrados conservan el costo con el que se valoraron
+ */
+exports.updateExchangeRate = async (req, res) => {
+    try {
+        const { error, data } = validateRate({ rate: req.body.rate, date: req.body.date });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        if (req.body.notes !== undefined) data.notes = req.body.notes;
+
+        const exchangeRate = await ExchangeRate.findByIdAndUpdate(req.params.id, data, {
+            new: true,
+            runValidators: true
+        });
+        if (!exchangeRate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tasa de cambio no encontrada'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Tasa de cambio actualizada correctamente',
+            data: exchangeRate
+        });
+    } catch (error) {
+        console.error('Error en updateExchangeRate ', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe una tasa de esa moneda en esa fecha'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar tasa de cambio',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * DELETE: eliminar una tasa registrada por error
+ * DELETE /api/exchange-rates/:id
+ * Roles: admin
+ * la fecha queda cubierta por la tasa anterior de la moneda
+ */
+exports.deleteExchangeRate = async (req, res) => {
+    try {
+        const exchangeRate = await ExchangeRate.findByIdAndDelete(req.params.id);
+        if (!exchangeRate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tasa de cambio no encontrada'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Tasa de cambio eliminada',
+            data: exchangeRate
+        });
+    } catch (error) {
+        console.error('Error en deleteExchangeRate ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al eliminar tasa de cambio',
+            error: error.message
+        });
+    }
+};
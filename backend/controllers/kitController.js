@@ -0,0 +1,151 @@
+/**
+ * controlador de armado de kits
+ * armar: descuenta los componentes y suma kits armados al stock del kit
+ * desarmar: descuenta kits armados y devuelve sus componentes
+ * cada operacion registra sus movimientos con un mismo consecutivo (EK-000001) como referencia
+ * si algun movimiento falla no queda ninguno registrado
+ * el costo de los kits armados es la suma del costo de sus componentes
+ */
+
+const Product = require('../models/Product');
+const Counter = require('../models/Counter');
+const { registerMovement, registerMovements, rollbackMovements } = require('../services/stockService');
+
+/**
+ * valida el kit, la bodega y la cantidad de una operacion de armado
+ * @returns {Promise<{error: string|null, status: number, kit: Object, quantity: number}>}
+ */
+const validateAssembly = async (id, { warehouse, quantity }) => {
+    const kit = await Product.findById(id).select('name productType components');
+    if (!kit) return { error: 'Producto no encontrado', status: 404 };
+    if (kit.productType !== 'kit') return { error: 'El producto no es un kit', status: 400 };
+
+    const count = Number(quantity);
+    if (!warehouse || !Number.isInteger(count) || count <= 0) {
+        return { error: 'la bodega y una cantidad entera mayor a cero son obligatorias', status: 400 };
+    }
+    return { error: null, kit, quantity: count };
+};
+
+/**
+ * armar kits
+ * POST /api/products/:id/assemble
+ * Roles: admin, coordinador y auxiliar
+ * body: warehouse, quantity (kits a armar)
+ * registra una salida por componente (cantidad por kit x kits) y una entrada del kit
+ * la entrada del kit se valora con el costo de las salidas de los componentes
+ * retorna 400 si algun componente no tiene disponible suficiente en la bodega
+ */
+exports.assembleKit = async (req, res) => {
+    try {
+        const validation = await validateAssembly(req.params.id, req.body);
+        if (validation.error) {
+            return res.status(validation.status).json({
+                success: false,
+                message: validation.error
+            });
+        }
+        const { kit, quantity } = validation;
+        const reference = await Counter.next('kitAssembly', 'EK');
+
+        const exits = kit.components.map(component => ({
+            product: component.product,
+            warehouse: req.body.warehouse,
+            type: 'exit',
+            quantity: component.quantity * quantity,
+            reason: `Armado de kit ${kit.name}`,
+            reference,
+            user: req.userId
+        }));
+        const results = await registerMovements(exits);
+
+        //el kit entra con el costo de los componentes consumidos
+        const componentsCost = results.reduce((sum, result) => sum + (result.movement.totalCost || 0), 0);
+        try {
+            results.push(await registerMovement({
+                product: kit._id,
+                warehouse: req.body.warehouse,
+                type: 'entry',
+                quantity,
+                unitCost: componentsCost / quantity,
+                reason: 'Armado de kit',
+                reference,
+                user: req.userId
+            }));
+        } catch (entryError) {
+            await rollbackMovements(results, exits);
+            throw entryError;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${quantity} kits armados`,
+            reference,
+            data: results.map(result => result.movement)
+        });
+    } catch (error) {
+        console.error('Error en assembleKit ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al armar kits',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * desarmar kits
+ * POST /api/products/:id/disassemble
+ * Roles: admin, coordinador y auxiliar
+ * body: warehouse, quantity (kits a desarmar)
+ * registra una salida del kit y una entrada por componente
+ * retorna 400 si no hay suficientes kits armados disponibles en la bodega
+ */
+exports.disassembleKit = async (req, res) => {
+    try {
+        const validation = await validateAssembly(req.params.id, req.body);
+        if (validation.error) {
+            return res.status(validation.status).json({
+                success: false,
+                message: validation.error
+            });
+        }
+        const { kit, quantity } = validation;
+        const reference = await Counter.next('kitAssembly', 'EK');
+
+        const results = await registerMovements([
+            {
+                product: kit._id,
+                warehouse: req.body.warehouse,
+                type: 'exit',
+                quantity,
+                reason: 'Desarmado de kit',
+                reference,
+                user: req.userId
+            },
+            ...kit.components.map(component => ({
+                product: component.product,
+                warehouse: req.body.warehouse,
+                type: 'entry',
+                quantity: component.quantity * quantity,
+                reason: `Desarmado de kit ${kit.name}`,
+                reference,
+                user: req.userId
+            }))
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: `${quantity} kits desarmados`,
+            reference,
+            data: results.map(result => result.movement)
+        });
+    } catch (error) {
+        console.error('Error en disassembleKit ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al desarmar kits',
+            error: error.message
+        });
+    }
+};
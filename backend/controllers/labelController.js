@@ -0,0 +1,128 @@
+/**
+ * controlador de etiquetas de producto
+ * entrega etiquetas imprimibles en SVG o PDF (ver services/labelService)
+ * formato: query format=svg (por defecto) o format=pdf
+ */
+
+const Product = require('../models/Product');
+const config = require('../config');
+const { renderLabelSvg, renderLabelsSvg, renderLabelsPdf } = require('../services/labelService');
+
+const LABEL_FORMATS = ['svg', 'pdf'];
+
+//campos del producto que se imprimen en la etiqueta
+const LABEL_FIELDS = 'name price sku barcodes';
+
+//valida el formato pedido, retorna null si no es valido
+const getFormat = (query) => {
+    const format = String(query.format || 'svg').toLowerCase();
+    return LABEL_FORMATS.includes(format) ? format : null;
+};
+
+//envia el documento generado con su tipo de contenido
+const sendLabels = (res, format, content, filename) => {
+    res.set('Content-Disposition', `inline; filename="${filename}.${format}"`);
+    res.type(format === 'pdf' ? 'application/pdf' : 'image/svg+xml');
+    res.status(200).send(content);
+};
+
+/**
+ * etiqueta de un producto
+ * GET /api/products/:id/label?format=svg|pdf
+ * retorna la etiqueta con nombre, precio, codigo de barras (o SKU) y QR al producto
+ * en PDF la etiqueta se ubica en la primera posicion de la hoja configurada
+ */
+exports.getProductLabel = async (req, res) => {
+    try {
+        const format = getFormat(req.query);
+        if (!format) {
+            return res.status(400).json({
+                success: false,
+                message: `formato no valido, use: ${LABEL_FORMATS.join(', ')}`
+            });
+        }
+
+        const product = await Product.findById(req.params.id).select(LABEL_FIELDS);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        const content = format === 'pdf'
+            ? await renderLabelsPdf([product])
+            : await renderLabelSvg(product);
+        sendLabels(res, format, content, `etiqueta-${product.sku || product._id}`);
+    } catch (error) {
+        console.error('Error en getProductLabel ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al generar etiqueta',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * etiquetas de varios productos
+ * GET /api/products/labels
+ * query params:
+ * category, subcategory: filtros (sin filtros se imprimen todos los productos activos)
+ * format: svg (cuadricula) o pdf (hojas de etiquetas)
+ * copies: etiquetas por producto (por defecto 1)
+ * skip: solo PDF, posiciones ya usadas al inicio de la primera hoja
+ */
+exports.getProductLabels = async (req, res) => {
+    try {
+        const format = getFormat(req.query);
+        if (!format) {
+            return res.status(400).json({
+                success: false,
+                message: `formato no valido, use: ${LABEL_FORMATS.join(', ')}`
+            });
+        }
+
+        const { COLUMNS, ROWS } = config.LABELS.SHEET;
+        const copies = req.query.copies !== undefined ? Number(req.query.copies) : 1;
+        const skip = req.query.skip !== undefined ? Number(req.query.skip) : 0;
+        if (!Number.isInteger(copies) || copies < 1 || copies > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'copies debe ser un entero entre 1 y 100'
+            });
+        }
+        if (!Number.isInteger(skip) || skip < 0 || skip >= COLUMNS * ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `skip debe ser un entero entre 0 y ${COLUMNS * ROWS - 1}`
+            });
+        }
+
+        const filter = { active: { $ne: false } };
+        ['category', 'subcategory'].forEach(field => {
+            if (req.query[field]) filter[field] = req.query[field];
+        });
+
+        const products = await Product.find(filter).select(LABEL_FIELDS).sort({ name: 1 });
+        if (products.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No hay productos activos con esos filtros'
+            });
+        }
+
+        const labels = products.flatMap(product => Array(copies).fill(product));
+        const content = format === 'pdf'
+            ? await renderLabelsPdf(labels, { skip })
+            : await renderLabelsSvg(labels);
+        sendLabels(res, format, content, 'etiquetas');
+    } catch (error) {
+        console.error('Error en getProductLabels ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al generar etiquetas',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,93 @@
+/**
+ * controlador de lotes
+ * los lotes los crea y actualiza el servicio de inventario con cada movimiento
+ * aqui solo se consultan: existencias por lote y reporte de vencimientos
+ */
+
+const Lot = require('../models/Lot');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+//poblar las relaciones del lote para las respuestas
+const populateLot = (query) => query
+    .populate('product', 'name price')
+    .populate('warehouse', 'name code');
+
+/**
+ * READ: listar lotes
+ * GET /api/lots
+ * query params opcionales:
+ * product, warehouse: filtros por id
+ * includeEmpty=true: incluir lotes sin unidades (por defecto solo con existencias)
+ * ordenados por fecha de vencimiento (orden de consumo FEFO)
+ */
+exports.getLots = async (req, res) => {
+    try {
+        const filter = {};
+        ['product', 'warehouse'].forEach(field => {
+            if (req.query[field]) filter[field] = req.query[field];
+        });
+        if (req.query.includeEmpty !== 'true') filter.quantity = { $gt: 0 };
+
+        const lots = await populateLot(Lot.find(filter)).sort({ expiryDate: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: lots.length,
+            data: lots
+        });
+    } catch (error) {
+        console.error('Error en getLots ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener lotes',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: lotes proximos a vencer
+ * GET /api/lots/expiring?days=N
+ * query params:
+ * days: ventana en dias desde hoy (por defecto 30)
+ * warehouse: filtrar por bodega (opcional)
+ * incluye los lotes ya vencidos que aun tienen unidades (expired: true)
+ * cada lote trae daysToExpiry (negativo si ya vencio)
+ */
+exports.getExpiringLots = async (req, res) => {
+    try {
+        const days = req.query.days !== undefined ? Number(req.query.days) : 30;
+        if (!Number.isInteger(days) || days < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'days debe ser un numero entero mayor o igual a cero'
+            });
+        }
+
+        const now = new Date();
+        const limit = new Date(now.getTime() + days * DAY_MS);
+        const filter = { quantity: { $gt: 0 }, expiryDate: { $lte: limit } };
+        if (req.query.warehouse) filter.warehouse = req.query.warehouse;
+
+        const lots = await populateLot(Lot.find(filter)).sort({ expiryDate: 1 });
+
+        res.status(200).json({
+            success: true,
+            days,
+            count: lots.length,
+            data: lots.map(lot => ({
+                ...lot.toJSON(),
+                daysToExpiry: Math.ceil((lot.expiryDate - now) / DAY_MS),
+                expired: lot.expiryDate <= now
+            }))
+        });
+    } catch (error) {
+        console.error('Error en getExpiringLots ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener lotes por vencer',
+            error: error.message
+        });
+    }
+};
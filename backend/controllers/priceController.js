@@ -0,0 +1,150 @@
+/**
+ * controlador de precios de producto
+ * linea de tiempo de precios (aplicados y programados) y programacion de precios futuros
+ * los precios programados los aplica el servidor en su fecha (ver services/priceService)
+ */
+
+const Product = require('../models/Product');
+const PriceChange = require('../models/PriceChange');
+
+/**
+ * linea de tiempo de precios
+ * GET /api/products/:id/prices
+ * query opcional: status (scheduled, applied o cancelled)
+ * retorna el precio actual, el proximo precio programado y los cambios del mas reciente al mas antiguo
+ */
+exports.getPrices = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id).select('name sku price parent priceOverride');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+        if (req.query.status && !PriceChange.STATUS.includes(req.query.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `estado no valido, use: ${PriceChange.STATUS.join(', ')}`
+            });
+        }
+
+        const filter = { product: product._id };
+        if (req.query.status) filter.status = req.query.status;
+        const [changes, next] = await Promise.all([
+            PriceChange.find(filter)
+                .populate('user', 'username email')
+                .populate('cancelledBy', 'username email')
+                .sort({ effectiveAt: -1, createdAt: -1 }),
+            PriceChange.findOne({ product: product._id, status: 'scheduled' }).sort({ effectiveAt: 1 })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: changes.length,
+            current: product.price,
+            next: next ? { price: next.price, effectiveAt: next.effectiveAt } : null,
+            data: changes
+        });
+    } catch (error) {
+        console.error('Error en getPrices ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el historial de precios',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * programar un precio
+ * POST /api/products/:id/prices
+ * Roles: admin y coordinador
+ * body: price, effectiveAt (fecha futura), notes (opcional)
+ * en su fecha el precio se aplica al producto (en un padre tambien a sus variantes sin precio propio)
+ */
+exports.schedulePrice = async (req, res) => {
+    try {
+        const price = Number(req.body.price);
+        const effectiveAt = new Date(req.body.effectiveAt);
+        if (req.body.price === undefined || !Number.isFinite(price) || price < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'el precio debe ser un numero mayor o igual a cero'
+            });
+        }
+        if (!req.body.effectiveAt || Number.isNaN(effectiveAt.getTime()) || effectiveAt <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'effectiveAt debe ser una fecha futura'
+            });
+        }
+
+        const product = await Product.findById(req.params.id).select('_id');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        const change = await PriceChange.create({
+            product: product._id,
+            price,
+            effectiveAt,
+            status: 'scheduled',
+            source: 'scheduled',
+            notes: req.body.notes,
+            user: req.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Precio programado exitosamente',
+            data: change
+        });
+    } catch (error) {
+        console.error('Error en schedulePrice ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al programar el precio',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * cancelar un precio programado
+ * DELETE /api/products/:id/prices/:changeId
+ * Roles: admin y coordinador
+ * solo se pueden cancelar precios que aun no se aplicaron
+ */
+exports.cancelScheduledPrice = async (req, res) => {
+    try {
+        const change = await PriceChange.findOneAndUpdate(
+            { _id: req.params.changeId, product: req.params.id, status: 'scheduled' },
+            { status: 'cancelled', cancelledBy: req.userId, cancelledAt: new Date() },
+            { new: true }
+        );
+        if (!change) {
+            const exists = await PriceChange.exists({ _id: req.params.changeId, product: req.params.id });
+            return res.status(exists ? 400 : 404).json({
+                success: false,
+                message: exists ? 'Solo se pueden cancelar precios programados pendientes' : 'Precio programado no encontrado'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Precio programado cancelado',
+            data: change
+        });
+    } catch (error) {
+        console.error('Error en cancelScheduledPrice ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al cancelar el precio programado',
+            error: error.message
+        });
+    }
+};
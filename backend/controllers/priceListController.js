@@ -0,0 +1,335 @@
+/**
+ * controlador de listas de precios
+ * maneja las operaciones (CRUD) de las listas de precios y sus precios por producto
+ * el precio efectivo de cada producto se consulta con ?priceList= en /api/products
+ */
+
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const { validatePriceListEntries } = require('../services/priceListService');
+
+//campos editables de la lista
+const PRICE_LIST_FIELDS = ['name', 'code', 'description'];
+
+//poblar productos y categorias de la lista para las respuestas
+const populatePriceList = (query) => query
+    .populate('items.product', 'name sku price')
+    .populate('rules.category', 'name')
+    .populate('rules.subcategory', 'name');
+
+/**
+ * create: crear lista de precios
+ * POST /api/price-lists
+ * Roles: admin y coordinador
+ * body requerido: name, code (ej: mayorista)
+ * body opcional: description
+ * items: precios fijos [{ product, price }]
+ * rules: porcentajes sobre el precio base [{ category, subcategory, percent }] (percent -10 = 10% de descuento)
+ * retorna:
+ * 201: lista creada
+ * 400: validacion fallida o nombre/codigo duplicado
+ */
+exports.createPriceList = async (req, res) => {
+    try {
+        const { name, code } = req.body;
+        if (!name || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'El nombre y el codigo son obligatorios',
+                requiredFields: ['name', 'code']
+            });
+        }
+
+        const existing = await PriceList.findOne({
+            $or: [{ name: String(name).trim() }, { code: String(code).trim().toLowerCase() }]
+        });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe una lista de precios con ese nombre o codigo'
+            });
+        }
+
+        const entries = await validatePriceListEntries(req.body);
+        if (entries.error) {
+            return res.status(400).json({
+                success: false,
+                message: entries.error
+            });
+        }
+
+        const data = { ...entries.data, createdBy: req.userId };
+        PRICE_LIST_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+        const priceList = await PriceList.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Lista de precios creada exitosamente',
+            data: await populatePriceList(PriceList.findById(priceList._id))
+        });
+    } catch (error) {
+        console.error('Error en createPriceList ', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe una lista de precios con ese nombre o codigo'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear lista de precios',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: listar listas de precios
+ * GET /api/price-lists
+ * query params:
+ *      - includeInactive=true: mostrar tambien listas desactivadas
+ * no incluye los items ni las reglas, solo cuantos tiene cada lista
+ */
+exports.getPriceLists = async (req, res) => {
+    try {
+        const includeInactive = req.query.includeInactive === 'true';
+        const activeFilter = includeInactive ? {} : { active: { $ne: false } };
+        const priceLists = await PriceList.find(activeFilter).sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: priceLists.length,
+            data: priceLists.map(priceList => {
+                const { items, rules, ...data } = priceList.toJSON();
+                return { ...data, itemsCount: items.length, rulesCount: rules.length };
+            })
+        });
+    } catch (error) {
+        console.error('Error en getPriceLists ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener listas de precios',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: obtener una lista de precios con sus items y reglas
+ * GET /api/price-lists/:id
+ */
+exports.getPriceListById = async (req, res) => {
+    try {
+        const priceList = await populatePriceList(PriceList.findById(req.params.id));
+        if (!priceList) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lista de precios no encontrada'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: priceList
+        });
+    } catch (error) {
+        console.error('Error en getPriceListById ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener lista de precios',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * UPDATE: actualizar lista de precios
+ * PUT /api/price-lists/:id
+ * Roles: admin y coordinador
+ * body: name, code, description, active
+ * items y rules reemplazan la lista completa (para un solo producto usar /items/:productId)
+ */
+exports.updatePriceList = async (req, res) => {
+    try {
+        const entries = await validatePriceListEntries(req.body);
+        if (entries.error) {
+            return res.status(400).json({
+                success: false,
+                message: entries.error
+            });
+        }
+
+        const updateData = { ...entries.data };
+        [...PRICE_LIST_FIELDS, 'active'].forEach(field => {
+            if (req.body[field] !== undefined) updateData[field] = req.body[field];
+        });
+
+        const priceList = await populatePriceList(PriceList.findByIdAndUpdate(req.params.id, updateData, {
+            new: true,
+            runValidators: true
+        }));
+        if (!priceList) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lista de precios no encontrada'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Lista de precios actualizada correctamente',
+            data: priceList
+        });
+    } catch (error) {
+        console.error('Error en updatePriceList ', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe una lista de precios con ese nombre o codigo'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar lista de precios',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * DELETE: Eliminar o desactivar una lista de precios
+ * DELETE /api/price-lists/:id
+ * Roles: admin
+ * Query params:
+ *  - isHardDelete=true : Eliminar permanentemente de la BD
+ *  - Default: Soft delete (marcar como inactiva)
+ */
+exports.deletePriceList = async (req, res) => {
+    try {
+        const isHardDelete = req.query.isHardDelete === 'true';
+        const priceList = await PriceList.findById(req.params.id);
+        if (!priceList) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lista de precios no encontrada'
+            });
+        }
+
+        if (isHardDelete) {
+            await PriceList.findByIdAndDelete(req.params.id);
+            return res.status(200).json({
+                success: true,
+                message: 'Lista de precios eliminada permanentemente de la base de datos',
+                data: priceList
+            });
+        }
+        priceList.active = false;
+        await priceList.save();
+        res.status(200).json({
+            success: true,
+            message: 'Lista de precios desactivada exitosamente (soft delete)',
+            data: priceList
+        });
+    } catch (error) {
+        console.error('Error en deletePriceList ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al eliminar lista de precios',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * fijar el precio de un producto en la lista
+ * PUT /api/price-lists/:id/items/:productId
+ * Roles: admin y coordinador
+ * body: price
+ * si el producto ya esta en la lista se actualiza su precio
+ */
+exports.setPriceListItem = async (req, res) => {
+    try {
+        const price = Number(req.body.price);
+        if (req.body.price === undefined || !Number.isFinite(price) || price < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'el precio debe ser un numero mayor o igual a cero'
+            });
+        }
+        if (!await Product.exists({ _id: req.params.productId })) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        //actualizar el item si ya existe, si no agregarlo
+        let priceList = await PriceList.findOneAndUpdate(
+            { _id: req.params.id, 'items.product': req.params.productId },
+            { $set: { 'items.$.price': price } },
+            { new: true }
+        );
+        if (!priceList) {
+            priceList = await PriceList.findOneAndUpdate(
+                { _id: req.params.id, 'items.product': { $ne: req.params.productId } },
+                { $push: { items: { product: req.params.productId, price } } },
+                { new: true }
+            );
+        }
+        if (!priceList) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lista de precios no encontrada'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Precio del producto guardado en la lista',
+            data: await populatePriceList(PriceList.findById(priceList._id))
+        });
+    } catch (error) {
+        console.error('Error en setPriceListItem ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al guardar el precio en la lista',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * quitar un producto de la lista (vuelve a las reglas o al precio base)
+ * DELETE /api/price-lists/:id/items/:productId
+ * Roles: admin y coordinador
+ */
+exports.removePriceListItem = async (req, res) => {
+    try {
+        const priceList = await PriceList.findByIdAndUpdate(
+            req.params.id,
+            { $pull: { items: { product: req.params.productId } } },
+            { new: true }
+        );
+        if (!priceList) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lista de precios no encontrada'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Producto quitado de la lista',
+            data: await populatePriceList(PriceList.findById(priceList._id))
+        });
+    } catch (error) {
+        console.error('Error en removePriceListItem ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al quitar el producto de la lista',
+            error: error.message
+        });
+    }
+};
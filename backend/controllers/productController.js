@@ -3,11 +3,412 @@
  * los productos solo los modifican el admin (username o email), auxiliar solo puede consultar por id mas no modificarlos
  */
 
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
 const Categories = require ('../models/Category');
 const SubCategory = require ('../models/Subcategory');
 const Category = require('../models/Category');
 const Subcategory = require('../models/Subcategory');
+const Supplier = require('../models/Supplier');
+const Counter = require('../models/Counter');
+const { registerMovement } = require('../services/stockService');
+const { normalizeBarcodes } = require('../services/barcodeService');
+const { normalizeUnits, stockInUnit } = require('../services/unitService');
+const { validateComponents, getKitsAvailability } = require('../services/kitService');
+const { recordPriceChange, propagatePrice } = require('../services/priceService');
+const { findPriceList, priceListFields } = require('../services/priceListService');
+const { validateCurrency, getRequestedCurrency } = require('../services/currencyService');
+const { createTaxResolver, taxFields, validateTaxProfile } = require('../services/taxService');
+
+//niveles de reabastecimiento configurables por producto
+const STOCK_LEVEL_FIELDS = ['minStock', 'reorderPoint', 'maxStock'];
+
+//dias sin salidas por defecto del reporte de stock sin movimiento
+const DEAD_STOCK_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+//valores monetarios con dos decimales
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * valida los niveles de reabastecimiento enviados
+ * combina los enviados con los actuales del producto para validar el orden
+ * minStock <= reorderPoint <= maxStock (solo entre los que esten definidos)
+ * @param {Object} body cuerpo de la peticion
+ * @param {Object} current producto actual (en update) o {} en create
+ * @returns {{error: string|null, levels: Object}} niveles enviados listos para guardar
+ */
+const validateStockLevels = (body, current = {}) => {
+    const levels = {};
+    for (const field of STOCK_LEVEL_FIELDS) {
+        if (body[field] === undefined) continue;
+        //null permite quitar el nivel
+        if (body[field] === null) {
+            levels[field] = null;
+            continue;
+        }
+        const value = Number(body[field]);
+        if (!(value >= 0)) return { error: `${field} debe ser un numero mayor o igual a cero` };
+        levels[field] = value;
+    }
+
+    const merged = STOCK_LEVEL_FIELDS
+        .map(field => (field in levels ? levels[field] : current[field]))
+        .filter(value => value !== undefined && value !== null);
+    for (let i = 1; i < merged.length; i++) {
+        if (merged[i] < merged[i - 1]) {
+            return { error: 'los niveles deben cumplir minStock <= reorderPoint <= maxStock' };
+        }
+    }
+    return { error: null, levels };
+};
+
+/**
+ * valida sku y codigos de barras enviados y que no los use otro producto
+ * @param {Object} body cuerpo de la peticion ({ sku, barcodes })
+ * @param {string} productId producto que se actualiza (se excluye de la busqueda)
+ * @returns {Promise<{error: string|null, data: Object}>} campos normalizados listos para guardar
+ */
+const validateIdentifiers = async ({ sku, barcodes }, productId) => {
+    const data = {};
+    if (sku !== undefined) {
+        data.sku = String(sku || '').trim().toUpperCase();
+        if (!/^[A-Z0-9._-]{1,40}$/.test(data.sku)) {
+            return { error: 'el sku solo admite letras, numeros, punto, guion y guion bajo (maximo 40)' };
+        }
+    }
+    if (barcodes !== undefined) {
+        const result = normalizeBarcodes(barcodes);
+        if (result.error) return { error: result.error };
+        data.barcodes = result.barcodes;
+    }
+
+    const conditions = [];
+    if (data.sku) conditions.push({ sku: data.sku });
+    if (data.barcodes && data.barcodes.length > 0) {
+        conditions.push({ 'barcodes.code': { $in: data.barcodes.map(barcode => barcode.code) } });
+    }
+    if (conditions.length > 0) {
+        const filter = { $or: conditions };
+        if (productId) filter._id = { $ne: productId };
+        const duplicate = await Product.findOne(filter).select('name sku');
+        if (duplicate) {
+            return { error: `el sku o codigo de barras ya pertenece al producto ${duplicate.name}` };
+        }
+    }
+    return { error: null, data };
+};
+
+/**
+ * valida la unidad base y las unidades alternativas enviadas
+ * la unidad base solo se puede cambiar si el producto no tiene stock
+ * @param {Object} body cuerpo de la peticion ({ baseUnit, units })
+ * @param {Object} current producto actual (en update) o null en create
+ * @returns {{error: string|null, data: Object}} campos normalizados listos para guardar
+ */
+const validateUnits = ({ baseUnit, units }, current) => {
+    const data = {};
+    if (baseUnit !== undefined) {
+        data.baseUnit = String(baseUnit || '').trim().toLowerCase();
+        if (!data.baseUnit) return { error: 'la unidad base no puede estar vacia' };
+        if (current && current.stock !== 0 && data.baseUnit !== current.baseUnit) {
+            return { error: 'Solo se puede cambiar la unidad base de un producto sin stock' };
+        }
+    }
+    const base = data.baseUnit || (current && current.baseUnit) || 'unidad';
+    const result = normalizeUnits(units !== undefined ? units : (current ? current.units : []), base);
+    if (result.error) return { error: result.error };
+    if (units !== undefined || baseUnit !== undefined) data.units = result.units;
+    return { error: null, data };
+};
+
+//agrega el stock expresado en la unidad pedida (?unit=), null si el producto no la tiene
+const withUnitStock = (product, unit) => ({ ...product.toJSON(), stockInUnit: stockInUnit(product, unit) });
+
+/**
+ * valida los atributos que distinguen las variantes de un producto padre (ej: ['talla', 'color'])
+ * @returns {{error: string|null, attributes: Array<string>}}
+ */
+const normalizeVariantAttributes = (list) => {
+    if (!Array.isArray(list)) return { error: 'variantAttributes debe ser un arreglo, ej: ["talla", "color"]' };
+    const attributes = list.map(item => String(item || '').trim().toLowerCase());
+    if (attributes.some(item => !item || /[.$]/.test(item))) {
+        return { error: 'los atributos de variante no pueden estar vacios ni contener punto o $' };
+    }
+    if (new Set(attributes).size !== attributes.length) return { error: 'los atributos de variante no pueden repetirse' };
+    return { error: null, attributes };
+};
+
+/**
+ * valida los valores de una variante contra los atributos del padre
+ * todos los atributos del padre son obligatorios y la combinacion no puede repetirse entre variantes
+ * @param {Object} parent producto padre
+ * @param {Object} values valores enviados ej: { talla: 'M', color: 'Negro' }
+ * @param {string} variantId variante que se actualiza (se excluye de la busqueda)
+ * @returns {Promise<{error: string|null, attributes: Object}>} valores en el orden de los atributos del padre
+ */
+const validateVariantValues = async (parent, values, variantId) => {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        return { error: 'attributes debe ser un objeto, ej: { "talla": "M" }' };
+    }
+    const received = {};
+    Object.entries(values).forEach(([key, value]) => {
+        received[String(key).trim().toLowerCase()] = String(value === null || value === undefined ? '' : value).trim();
+    });
+    const complete = parent.variantAttributes.every(attribute => received[attribute]);
+    const extra = Object.keys(received).filter(key => !parent.variantAttributes.includes(key));
+    if (!complete || extra.length > 0) {
+        return { error: `la variante requiere valores solo para: ${parent.variantAttributes.join(', ')}` };
+    }
+
+    const attributes = {};
+    const filter = { parent: parent._id };
+    parent.variantAttributes.forEach(attribute => {
+        attributes[attribute] = received[attribute];
+        filter[`attributes.${attribute}`] = received[attribute];
+    });
+    if (variantId) filter._id = { $ne: variantId };
+    const duplicate = await Product.findOne(filter).select('name');
+    if (duplicate) return { error: `ya existe la variante ${duplicate.name} con esos atributos` };
+    return { error: null, attributes };
+};
+
+/**
+ * valida el tipo de producto y la lista de componentes de un kit
+ * un kit no maneja lotes, series ni variantes, y no puede ser componente de otro kit
+ * la lista de componentes solo cambia si no hay kits armados (los armados se hicieron con la lista anterior)
+ * @param {Object} body cuerpo de la peticion ({ productType, components, lotTracked, serialized, variantAttributes })
+ * @param {Object} current producto actual (en update) o null en create
+ * @returns {Promise<{error: string|null, data: Object}>} campos listos para guardar
+ */
+const validateKit = async (body, current) => {
+    const productType = body.productType !== undefined ? body.productType : (current ? current.productType : 'standard');
+    if (!Product.TYPES.includes(productType)) {
+        return { error: `tipo de producto no valido, use: ${Product.TYPES.join(', ')}` };
+    }
+    const wasKit = Boolean(current && current.productType === 'kit');
+    if ((productType === 'kit') !== wasKit || body.components !== undefined) {
+        if (current && (current.stock !== 0 || current.reserved > 0)) {
+            return { error: 'Solo se puede cambiar el tipo o los componentes de un kit sin kits armados' };
+        }
+    }
+
+    if (productType !== 'kit') {
+        if (body.components !== undefined) return { error: 'solo los productos de tipo kit tienen componentes' };
+        return { error: null, data: wasKit ? { productType, components: [] } : { productType } };
+    }
+
+    const lotTracked = body.lotTracked !== undefined ? body.lotTracked === true : Boolean(current && current.lotTracked);
+    const serialized = body.serialized !== undefined ? body.serialized === true : Boolean(current && current.serialized);
+    const variantAttributes = body.variantAttributes !== undefined ? body.variantAttributes : (current ? current.variantAttributes : []);
+    if (lotTracked || serialized || (Array.isArray(variantAttributes) && variantAttributes.length > 0) || (current && current.parent)) {
+        return { error: 'un kit no puede manejar lotes, numeros de serie ni variantes' };
+    }
+    if (current && !wasKit && await Product.exists({ 'components.product': current._id })) {
+        return { error: 'el producto es componente de otro kit, no puede convertirse en kit' };
+    }
+
+    const data = { productType };
+    if (!wasKit || body.components !== undefined) {
+        const result = await validateComponents(body.components, current && current._id);
+        if (result.error) return { error: result.error };
+        data.components = result.components;
+    }
+    return { error: null, data };
+};
+
+/**
+ * registra el stock inicial de un producto recien creado como entrada en el kardex
+ * si el movimiento falla se elimina el producto (sin movimiento no hay stock consistente)
+ */
+const registerInitialStock = async (product, { stock, warehouse, lots, serials }, user) => {
+    if (!(Number(stock) > 0)) return;
+    try {
+        await registerMovement({
+            product: product._id,
+            warehouse,
+            type: 'entry',
+            quantity: Number(stock),
+            unitCost: product.cost,
+            currency: product.costCurrency,
+            reason: 'Inventario inicial',
+            user,
+            lots,
+            serials
+        });
+    } catch (movementError) {
+        await Product.findByIdAndDelete(product._id);
+        throw movementError;
+    }
+};
+
+//documento o respuesta ya serializada como objeto plano
+const toPlain = (data) => (data.toJSON ? data.toJSON() : data);
+
+/**
+ * lista de precios pedida con ?priceList= (id o codigo)
+ * @returns {Promise<{error: string|null, priceList: Object|null}>}
+ */
+const getRequestedPriceList = async (query) => {
+    if (!query.priceList) return { error: null, priceList: null };
+    const priceList = await findPriceList(query.priceList);
+    if (!priceList) return { error: `La lista de precios ${query.priceList} no existe o esta inactiva` };
+    return { error: null, priceList };
+};
+
+//agrega el precio efectivo de la lista al producto (effectivePrice y priceList)
+const withPriceList = (data, priceList, product) => (priceList
+    ? { ...toPlain(data), ...priceListFields(priceList, product) }
+    : data);
+
+/**
+ * valida las monedas enviadas del precio (currency) y del costo (costCurrency)
+ * @returns {Promise<{error: string|null, data: Object}>} solo las monedas enviadas, normalizadas
+ */
+const validateCurrencies = async (body) => {
+    const data = {};
+    for (const field of ['currency', 'costCurrency']) {
+        if (body[field] === undefined) continue;
+        const { error, currency } = await validateCurrency(body[field]);
+        if (error) return { error: `${field}: ${error}` };
+        data[field] = currency;
+    }
+    return { error: null, data };
+};
+
+/**
+ * precios pedidos en la consulta: lista de precios (?priceList=) y moneda (?currency=)
+ * la moneda se convierte con las tasas vigentes hoy, los impuestos siempre se resuelven
+ * @returns {Promise<{error: string|null, status: number, priceList: Object|null, exchange: Object|null, taxes: Object}>}
+ */
+const getRequestedPricing = async (query) => {
+    const { error: priceListError, priceList } = await getRequestedPriceList(query);
+    if (priceListError) return { error: priceListError, status: 404 };
+    const { error: currencyError, exchange } = await getRequestedCurrency(query.currency);
+    if (currencyError) return { error: currencyError, status: 400 };
+    return { error: null, priceList, exchange, taxes: await createTaxResolver() };
+};
+
+/**
+ * convierte precio, costo y precio efectivo a la moneda pedida
+ * exchange guarda las monedas originales y la fecha de las tasas
+ * lanza 400 si falta la tasa de la moneda del producto
+ */
+const withCurrency = (data, exchange) => {
+    if (!exchange) return data;
+    const plain = toPlain(data);
+    const { convert, currency } = exchange;
+    const converted = {
+        ...plain,
+        price: convert(plain.price, plain.currency, currency),
+        cost: convert(plain.cost, plain.costCurrency, currency),
+        currency,
+        costCurrency: currency,
+        exchange: { currency: plain.currency, costCurrency: plain.costCurrency, date: exchange.date }
+    };
+    if (plain.effectivePrice !== undefined) converted.effectivePrice = convert(plain.effectivePrice, plain.currency, currency);
+    return converted;
+};
+
+//agrega el impuesto del precio mostrado (precio de lista si aplica): tax, netPrice, taxAmount y grossPrice
+const withTax = (data, taxes, product) => {
+    const plain = toPlain(data);
+    const price = plain.effectivePrice !== undefined ? plain.effectivePrice : plain.price;
+    return { ...plain, ...taxFields(taxes.resolve(product), price) };
+};
+
+//precio de lista, conversion de moneda e impuesto de un producto para las respuestas
+const withPricing = (data, { priceList, exchange, taxes }, product) => withTax(
+    withCurrency(withPriceList(data, priceList, product), exchange), taxes, product);
+
+//resumen de stock de las variantes de un producto padre
+const summarizeVariants = (variants) => ({
+    count: variants.length,
+    stock: variants.reduce((sum, variant) => sum + (variant.stock || 0), 0),
+    reserved: variants.reduce((sum, variant) => sum + (variant.reserved || 0), 0),
+    available: variants.reduce((sum, variant) => sum + (variant.stock || 0) - (variant.reserved || 0), 0)
+});
+
+/**
+ * soft delete de un producto: lo marca inactivo y en un producto padre tambien desactiva sus variantes
+ * @returns {Promise<number>} variantes desactivadas
+ */
+const softDeleteProduct = async (product) => {
+    product.active = false;
+    await product.save();
+
+    //desactivar en cascada las variantes del producto padre
+    const variants = product.hasVariants
+        ? await Product.updateMany({ parent: product._id }, { active: false })
+        : { modifiedCount: 0 };
+    return variants.modifiedCount;
+};
+
+/**
+ * productos activos con stock y sin salidas (exit) en los ultimos days dias
+ * los traslados entre bodegas no cuentan: mover stock quieto no es venderlo (igual que la clasificacion ABC)
+ * si nunca tuvieron salidas se cuenta desde la creacion del producto
+ * value: valor al costo del stock segun sus movimientos (igual que la valoracion), en la moneda base
+ * @param {number} days dias sin salidas
+ * @param {Array} ids opcional, solo revisa estos productos
+ * @returns {Promise<Array>} productos del mas antiguo sin salidas al mas reciente
+ */
+const findDeadStock = async (days, ids) => {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - days * DAY_MS);
+    const filter = { active: { $ne: false }, stock: { $gt: 0 }, createdAt: { $lt: cutoff } };
+    if (ids) filter._id = { $in: ids };
+    const products = await Product.find(filter)
+        .select('name sku stock baseUnit abcClass category subcategory createdAt')
+        .populate('category', 'name')
+        .populate('subcategory', 'name');
+    if (products.length === 0) return [];
+
+    const outbound = { $in: ['$type', StockMovement.OUTBOUND_TYPES] };
+    const sign = { $cond: [outbound, -1, { $cond: [{ $lt: ['$quantity', 0] }, -1, 1] }] };
+    const movements = await StockMovement.aggregate([
+        { $match: { product: { $in: products.map(product => product._id) } } },
+        { $group: {
+            _id: '$product',
+            lastMovementAt: { $max: '$createdAt' },
+            //$max ignora los null de los movimientos que no son salidas
+            lastOutboundAt: { $max: { $cond: [{ $eq: ['$type', 'exit'] }, '$createdAt', null] } },
+            value: { $sum: { $multiply: [{ $ifNull: ['$totalCost', 0] }, sign] } }
+        } }
+    ]);
+    const byProduct = new Map(movements.map(item => [String(item._id), item]));
+    const daysSince = (date) => Math.floor((now - date) / DAY_MS);
+
+    return products
+        .map(product => {
+            const item = byProduct.get(String(product._id)) || {};
+            const lastOutboundAt = item.lastOutboundAt || null;
+            return {
+                _id: product._id,
+                name: product.name,
+                sku: product.sku,
+                baseUnit: product.baseUnit,
+                abcClass: product.abcClass,
+                category: product.category,
+                subcategory: product.subcategory,
+                lastOutboundAt,
+                lastMovementAt: item.lastMovementAt || null,
+                daysWithoutOutbound: daysSince(lastOutboundAt || product.createdAt),
+                daysSinceLastMovement: daysSince(item.lastMovementAt || product.createdAt),
+                units: product.stock,
+                value: round(item.value || 0)
+            };
+        })
+        .filter(item => item.daysWithoutOutbound >= days)
+        .sort((a, b) => b.daysWithoutOutbound - a.daysWithoutOutbound);
+};
+
+//valida los dias del reporte de stock sin movimiento
+const parseDeadStockDays = (value) => {
+    const days = value !== undefined ? Number(value) : DEAD_STOCK_DAYS;
+    return Number.isInteger(days) && days > 0 ? days : null;
+};
 
 /**
  * create: crear nuevo producto
@@ -17,6 +418,24 @@ const Subcategory = require('../models/Subcategory');
  * body requerido:
  * name: nombre del producto
  * descriprion: descripcion del producto
+ * warehouse: bodega donde ingresa el stock inicial (requerido si stock > 0)
+ * body opcional: minStock, reorderPoint, maxStock (niveles de reabastecimiento)
+ * cost: costo unitario de referencia, valora el stock inicial (luego cada entrada trae su costo)
+ * currency / costCurrency: moneda del precio y del costo (por defecto la moneda base, ej: USD en importados)
+ * taxProfile: perfil de impuesto propio (por defecto el de su subcategoria o categoria)
+ * lotTracked: true si el producto maneja lotes, en ese caso el stock inicial requiere
+ * lots: [{ lotNumber, manufactureDate, expiryDate, quantity }]
+ * serialized: true si el producto se controla por numero de serie, en ese caso el stock inicial requiere
+ * serials: [numero de serie] una serie por unidad
+ * sku: codigo interno unico (si no se envia se genera SKU-000001)
+ * barcodes: codigos de barras [codigo] o [{ code, type }] (ean13, upca, code128)
+ * baseUnit: unidad base (por defecto unidad), el stock inicial va en esta unidad
+ * units: unidades alternativas [{ name, factor }] ej: [{ name: 'caja', factor: 12 }]
+ * variantAttributes: atributos de las variantes ej: ['talla', 'color'], el producto queda como padre
+ *       sin stock propio (no se envia stock), las variantes se crean en POST /api/products/:id/variants
+ * productType: standard (por defecto) o kit
+ * components: solo kits, lista de materiales [{ product, quantity }] (cantidad de cada producto por kit)
+ *       un kit se crea sin stock, los kits se arman con POST /api/products/:id/assemble
  * retorna:
  * 201: producto creado en mongoDB    
  * 400: validacion fallida o nombre duplicando
@@ -25,15 +444,89 @@ const Subcategory = require('../models/Subcategory');
 
 exports.createProduct = async (req, res) => {
     try{
-        const { name, description, price, stock, category, subcategory } = req.body;
+        const { name, description, price, cost, stock, category, subcategory, warehouse, lotTracked, lots, serialized, serials, variantAttributes } = req.body;
+        //un producto padre de variantes no lleva stock propio
+        const isParent = Array.isArray(variantAttributes) && variantAttributes.length > 0;
+        //el stock de un kit son los kits armados, se registra con POST /api/products/:id/assemble
+        const isKit = req.body.productType === 'kit';
         //validacion de los campos de entrada
-    if(!name || !description || !price || !stock || !category || !subcategory){
+    if(!name || !description || !price || (!stock && !isParent && !isKit) || !category || !subcategory){
         return res.status(400).json({
             success: false,
             message: 'todos los campos son obligatorios',
             requiredFields: ['name', 'description','price','stock','category','subcategory']
         });
         }
+    //el stock inicial debe ingresar a una bodega
+    if (Number(stock) > 0 && !warehouse) {
+        return res.status(400).json({
+            success: false,
+            message: 'la bodega es obligatoria para registrar el stock inicial',
+            requiredFields: ['warehouse']
+        });
+    }
+    if (lotTracked === true && serialized === true) {
+        return res.status(400).json({
+            success: false,
+            message: 'un producto no puede manejar lotes y numeros de serie a la vez'
+        });
+    }
+    //atributos de variante (producto padre)
+    const variants = variantAttributes !== undefined ? normalizeVariantAttributes(variantAttributes) : { error: null, attributes: [] };
+    if (variants.error || (isParent && Number(stock) > 0)) {
+        return res.status(400).json({
+            success: false,
+            message: variants.error || 'un producto con variantes no lleva stock propio, registre el stock en cada variante'
+        });
+    }
+    //niveles de reabastecimiento opcionales
+    const stockLevels = validateStockLevels(req.body);
+    if (stockLevels.error) {
+        return res.status(400).json({
+            success: false,
+            message: stockLevels.error
+        });
+    }
+    //sku y codigos de barras opcionales
+    const identifiers = await validateIdentifiers(req.body);
+    if (identifiers.error) {
+        return res.status(400).json({
+            success: false,
+            message: identifiers.error
+        });
+    }
+    //tipo de producto y componentes del kit
+    const kit = await validateKit(req.body, null);
+    if (kit.error || (isKit && Number(stock) > 0)) {
+        return res.status(400).json({
+            success: false,
+            message: kit.error || 'un kit se crea sin stock, arme los kits con POST /api/products/:id/assemble'
+        });
+    }
+    //unidades de medida opcionales
+    const units = validateUnits(req.body, null);
+    if (units.error) {
+        return res.status(400).json({
+            success: false,
+            message: units.error
+        });
+    }
+    //monedas del precio y del costo (deben tener tasa de cambio)
+    const currencies = await validateCurrencies(req.body);
+    if (currencies.error) {
+        return res.status(400).json({
+            success: false,
+            message: currencies.error
+        });
+    }
+    //perfil de impuesto propio opcional
+    const tax = req.body.taxProfile !== undefined ? await validateTaxProfile(req.body.taxProfile) : { taxProfile: null };
+    if (tax.error) {
+        return res.status(400).json({
+            success: false,
+            message: tax.error
+        });
+    }
 
     //validar que la categoria existe
     const categoryExist = await Category.findById(category);
@@ -57,13 +550,25 @@ exports.createProduct = async (req, res) => {
     }
     // ===== CREAR PRODUCTO ======  
 
+        //el producto nace con stock 0, el stock inicial se registra como movimiento de entrada
         const product = new Product({
             name,
             description,
             price,
-            stock,
+            cost,
+            stock: 0,
             category,
-            subcategory
+            subcategory,
+            lotTracked: lotTracked === true,
+            serialized: serialized === true,
+            sku: identifiers.data.sku || await Counter.next('product', 'SKU'),
+            barcodes: identifiers.data.barcodes,
+            variantAttributes: variants.attributes,
+            ...kit.data,
+            ...units.data,
+            ...currencies.data,
+            taxProfile: tax.taxProfile,
+            ...stockLevels.levels
         });
 
         //si hay usuario autenticado, registrar quien creo el producto
@@ -73,10 +578,15 @@ exports.createProduct = async (req, res) => {
         //guardar en base de datos
         const savedProduct = await product.save();
 
+        //registrar el stock inicial en el kardex
+        await registerInitialStock(savedProduct, { stock, warehouse, lots, serials }, req.userId);
+        await recordPriceChange(savedProduct, null, savedProduct.price, { user: req.userId, notes: 'Precio inicial' });
+
         //obtener producto poblado con datos de relaciones (populate)
         const productWithDetails = await Product.findById(savedProduct._id)
             .populate('category', 'name')
             .populate('subcategory', 'name')
+            .populate('stockByWarehouse.warehouse', 'name code')
             .populate('createdBy', 'username email');
 
             return res.status(201).json({
@@ -94,6 +604,13 @@ exports.createProduct = async (req, res) => {
                 message: 'ya existe un producto con ese nombre'
             });
         }
+        //errores de stock (cantidad invalida) traen su propio codigo
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'error al crear producto',
@@ -102,6 +619,192 @@ exports.createProduct = async (req, res) => {
     }       
 };
 
+/**
+ * create: crear una variante de un producto padre
+ * POST /api/products/:id/variants
+ * Roles: admin, coordinador y auxiliar
+ * body requerido:
+ * attributes: valor de cada atributo del padre ej: { talla: 'M', color: 'Negro' }
+ * body opcional:
+ * name: por defecto el nombre del padre con los valores (Camiseta básica M / Negro)
+ * price: precio propio de la variante, si no se envia toma el del padre y lo sigue
+ * currency: moneda del precio propio (solo con price), por defecto la del padre
+ * cost: costo de referencia, por defecto el del padre (costCurrency, por defecto la del padre)
+ * sku, barcodes, minStock, reorderPoint, maxStock
+ * stock, warehouse, lots, serials: stock inicial igual que al crear un producto
+ * hereda del padre descripcion, categoria, subcategoria, perfil de impuesto, unidades y manejo de lotes o series
+ * retorna:
+ * 201: variante creada
+ * 400: el producto no es padre, atributos invalidos o combinacion repetida
+ * 404: producto padre no encontrado
+ */
+exports.createVariant = async (req, res) => {
+    try {
+        const { stock, warehouse, lots, serials } = req.body;
+        const parent = await Product.findById(req.params.id);
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+        if (!parent.hasVariants) {
+            return res.status(400).json({
+                success: false,
+                message: 'el producto no tiene atributos de variante, defina variantAttributes primero'
+            });
+        }
+
+        const values = await validateVariantValues(parent, req.body.attributes);
+        if (values.error) {
+            return res.status(400).json({
+                success: false,
+                message: values.error
+            });
+        }
+        if (Number(stock) > 0 && !warehouse) {
+            return res.status(400).json({
+                success: false,
+                message: 'la bodega es obligatoria para registrar el stock inicial',
+                requiredFields: ['warehouse']
+            });
+        }
+        const price = req.body.price !== undefined ? Number(req.body.price) : parent.price;
+        if (!(price >= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'el precio debe ser un numero mayor o igual a cero'
+            });
+        }
+        const stockLevels = validateStockLevels(req.body);
+        if (stockLevels.error) {
+            return res.status(400).json({
+                success: false,
+                message: stockLevels.error
+            });
+        }
+        const identifiers = await validateIdentifiers(req.body);
+        if (identifiers.error) {
+            return res.status(400).json({
+                success: false,
+                message: identifiers.error
+            });
+        }
+        //sin precio propio la variante sigue el precio del padre y su moneda
+        const currencies = await validateCurrencies(req.body);
+        if (currencies.error || (currencies.data.currency && req.body.price === undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: currencies.error || 'la moneda de una variante solo se cambia junto con un precio propio'
+            });
+        }
+
+        const name = req.body.name
+            ? String(req.body.name).trim()
+            : `${parent.name} ${Object.values(values.attributes).join(' / ')}`;
+        if (await Product.exists({ name })) {
+            return res.status(400).json({
+                success: false,
+                message: 'ya existe un producto con ese nombre'
+            });
+        }
+
+        const variant = await new Product({
+            name,
+            description: parent.description,
+            price,
+            priceOverride: req.body.price !== undefined,
+            currency: currencies.data.currency || parent.currency,
+            cost: req.body.cost !== undefined ? req.body.cost : parent.cost,
+            costCurrency: currencies.data.costCurrency || parent.costCurrency,
+            stock: 0,
+            category: parent.category,
+            subcategory: parent.subcategory,
+            taxProfile: parent.taxProfile,
+            baseUnit: parent.baseUnit,
+            units: parent.units,
+            lotTracked: parent.lotTracked,
+            serialized: parent.serialized,
+            parent: parent._id,
+            attributes: values.attributes,
+            sku: identifiers.data.sku || await Counter.next('product', 'SKU'),
+            barcodes: identifiers.data.barcodes,
+            createdBy: req.userId,
+            ...stockLevels.levels
+        }).save();
+
+        await registerInitialStock(variant, { stock, warehouse, lots, serials }, req.userId);
+        await recordPriceChange(variant, null, variant.price, { user: req.userId, notes: 'Precio inicial' });
+
+        res.status(201).json({
+            success: true,
+            message: 'Variante creada exitosamente',
+            data: await Product.findById(variant._id)
+                .populate('parent', 'name sku variantAttributes')
+                .populate('stockByWarehouse.warehouse', 'name code')
+        });
+    } catch (error) {
+        console.error('Error en createVariant ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al crear variante',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: variantes de un producto padre
+ * GET /api/products/:id/variants
+ * query params: includeInactive=true para incluir variantes desactivadas
+ * retorna el padre, sus variantes y el stock sumado de todas (summary)
+ * priceList: agrega el precio efectivo de cada uno en esa lista
+ * currency: precios y costos convertidos a esa moneda con la tasa vigente hoy
+ */
+exports.getVariants = async (req, res) => {
+    try {
+        const pricing = await getRequestedPricing(req.query);
+        if (pricing.error) {
+            return res.status(pricing.status).json({
+                success: false,
+                message: pricing.error
+            });
+        }
+        const parent = await Product.findById(req.params.id)
+            .populate('category', 'name')
+            .populate('subcategory', 'name');
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        const filter = { parent: parent._id };
+        if (req.query.includeInactive !== 'true') filter.active = { $ne: false };
+        const variants = await Product.find(filter)
+            .populate('stockByWarehouse.warehouse', 'name code')
+            .sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: variants.length,
+            summary: summarizeVariants(variants),
+            data: {
+                parent: withPricing(parent, pricing, parent),
+                variants: variants.map(variant => withPricing(variant, pricing, variant))
+            }
+        });
+    } catch (error) {
+        console.error('Error en getVariants ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al obtener variantes',
+            error: error.message
+        });
+    }
+};
+
     /**
      * READ: Obtener productos (con filtro de activos/inactivos)
      * 
@@ -110,18 +813,54 @@ exports.createProduct = async (req, res) => {
      *      - includeInactive=true: mostrar tambien productos desactivados
      *      - Default: Solo productos activos (aactive: true)
      * 
+     *      - unit=caja: agrega stockInUnit con el stock expresado en esa unidad
+     *        (null en los productos que no tienen la unidad)
+     *      - los kits incluyen kitAvailability: armados, los que se pueden armar y el total disponible
+     *      - groupVariants=true: las variantes se retornan dentro de su padre (variants)
+     *        con el stock sumado en variantSummary, en lugar de listarse por separado
+     *      - priceList=mayorista (codigo o id): agrega effectivePrice, el precio del producto en esa lista
+     *        (precio fijo del producto, regla de su subcategoria o categoria, o Product.price)
+     *      - currency=USD: price, cost y effectivePrice convertidos a esa moneda con la tasa vigente hoy
+     *        (exchange guarda las monedas originales y la fecha de las tasas)
+     *      - cada producto trae su impuesto (tax: perfil, tarifa y de donde sale) y el precio mostrado
+     *        separado en netPrice, taxAmount y grossPrice
+     *      - abcClass=A (o A,B): solo productos de esas clases ABC (ver GET /api/products/abc)
+     * 
      * retorna: array de productos poblados con categoria y subcategoria
+     * con el stock total (stock) y su desglose por bodega (stockByWarehouse)
      */
 exports.getProducts =async (req, res) =>{
     try {
+        //lista de precios y moneda opcionales para el precio efectivo
+        const pricing = await getRequestedPricing(req.query);
+        if (pricing.error) {
+            return res.status(pricing.status).json({
+                success: false,
+                message: pricing.error
+            });
+        }
+
         // Determinar si incluir productos inactivos
         const includeInactive = req.query.includeInactive === 'true';
         const activeFilter = includeInactive ? {} : { active: { $ne: false} };
 
+        //filtro por clase ABC, una o varias separadas por coma
+        if (req.query.abcClass) {
+            const classes = String(req.query.abcClass).split(',').map(item => item.trim().toUpperCase());
+            if (classes.some(item => !Product.ABC_CLASSES.includes(item))) {
+                return res.status(400).json({
+                    success: false,
+                    message: `clase ABC no valida, use: ${Product.ABC_CLASSES.join(', ')}`
+                });
+            }
+            activeFilter.abcClass = { $in: classes };
+        }
+
         //obtener productos con datos relacionados
         const products = await Product.find(activeFilter)
             .populate('category', 'name')
             .populate('subcategory', 'name')
+            .populate('stockByWarehouse.warehouse', 'name code')
             .sort({ createdAt: -1});
 
             // si el usuario es auxiliar, no mostrar informacion de quien lo creo
@@ -133,16 +872,37 @@ exports.getProducts =async (req, res) =>{
                 });
             }
 
+            //disponible de los kits calculado con el stock de sus componentes
+            const kitAvailability = await getKitsAvailability(products.filter(product => product.productType === 'kit'));
+            const serialize = (product) => {
+                const data = withPricing(req.query.unit ? withUnitStock(product, req.query.unit) : product, pricing, product);
+                if (!kitAvailability.has(String(product._id))) return data;
+                return { ...toPlain(data), kitAvailability: kitAvailability.get(String(product._id)) };
+            };
+            let data = products.map(serialize);
+
+            //variantes agrupadas bajo su padre (si el padre no esta en la lista la variante queda suelta)
+            if (req.query.groupVariants === 'true') {
+                const ids = new Set(products.map(product => String(product._id)));
+                data = products
+                    .filter(product => !product.parent || !ids.has(String(product.parent)))
+                    .map(product => {
+                        if (!product.hasVariants) return serialize(product);
+                        const variants = products.filter(variant => variant.parent && variant.parent.equals(product._id));
+                        return { ...toPlain(serialize(product)), variants: variants.map(serialize), variantSummary: summarizeVariants(variants) };
+                    });
+            }
+
             res.status(200).json({
                 success: true,
                 count: products.lenght,
-                data: products
+                data
             });
     } catch (error){
         console.error('Error en getProducts ', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Error al obtener productos',
+            message: error.status ? error.message : 'Error al obtener productos',
             error: error.message
         });
     }
@@ -153,12 +913,31 @@ exports.getProducts =async (req, res) =>{
 * GET /api/products/:id
 * 
 * retorna: producto poblado con categoria y subcategoria
+* con el stock total (stock) y su desglose por bodega (stockByWarehouse)
+* cantidades: stock (fisico), reserved (ordenes de venta confirmadas)
+* y available (stock - reserved), tambien por bodega
+* query unit=caja: agrega stockInUnit con esas cantidades en la unidad pedida
+* los kits incluyen sus componentes y kitAvailability (armados + los que se pueden armar, por bodega)
+* query priceList=mayorista: agrega effectivePrice con el precio en esa lista (si no lo cubre, Product.price)
+* query currency=USD: precios y costo convertidos a esa moneda con la tasa vigente hoy
+* incluye el impuesto resuelto (tax) y el precio separado en netPrice, taxAmount y grossPrice
 */
 exports.getProductById = async (req, res) => {
     try{
+        const pricing = await getRequestedPricing(req.query);
+        if (pricing.error) {
+            return res.status(pricing.status).json({
+                success: false,
+                message: pricing.error
+            });
+        }
         const product = await Product.findById(req.params.id)
             .populate('category', 'name description')
-            .populate('subcategory', 'name description');
+            .populate('subcategory', 'name description')
+            .populate('stockByWarehouse.warehouse', 'name code')
+            .populate('suppliers.supplier', 'name taxId leadTimeDays active')
+            .populate('components.product', 'name sku price')
+            .populate('taxProfile', 'name code rate');
 
             if(!product) {
                 return res.status(404).json({
@@ -172,15 +951,332 @@ exports.getProductById = async (req, res) => {
                 product.createdBy = undefined;
             }
 
+            if (req.query.unit && !stockInUnit(product, req.query.unit)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El producto no tiene definida la unidad ${req.query.unit}`
+                });
+            }
+
+            let data = withPricing(req.query.unit ? withUnitStock(product, req.query.unit) : product, pricing, product);
+            if (product.productType === 'kit') {
+                const kitAvailability = (await getKitsAvailability([product])).get(String(product._id));
+                data = { ...toPlain(data), kitAvailability };
+            }
+
             res.status(200).json({
                 success: true,
-                data: product
+                data
             });
     } catch (error) {
         console.error ('Error en getPorcutById ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al obtener producto',
+            error: error.message
+        });
+    }
+};
+
+    /**
+     * READ: buscar un producto por codigo escaneado
+     *
+     * GET /api/products/lookup?code=
+     *
+     *  - Busca el codigo como sku o como codigo de barras
+     *  - Retorna el producto con su stock total, disponible y desglose por bodega
+     *  - matchedBy indica si coincidio el sku o el codigo de barras
+     *  - priceList: agrega el precio efectivo en esa lista (effectivePrice)
+     *  - currency: precios y costo convertidos a esa moneda
+     */
+
+exports.lookupProduct = async (req, res) => {
+    try {
+        const code = String(req.query.code || '').trim();
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'el parametro code es obligatorio'
+            });
+        }
+        const pricing = await getRequestedPricing(req.query);
+        if (pricing.error) {
+            return res.status(pricing.status).json({
+                success: false,
+                message: pricing.error
+            });
+        }
+
+        const product = await Product.findOne({ $or: [{ sku: code.toUpperCase() }, { 'barcodes.code': code }] })
+            .populate('category', 'name')
+            .populate('subcategory', 'name')
+            .populate('stockByWarehouse.warehouse', 'name code');
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'No hay un producto con ese codigo',
+                code
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            matchedBy: product.sku === code.toUpperCase() ? 'sku' : 'barcode',
+            data: withPricing(product, pricing, product)
+        });
+    } catch (error) {
+        console.error('Error en lookupProduct ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al buscar producto por codigo',
+            error: error.message
+        });
+    }
+};
+
+    /**
+     * READ: productos bajo su punto de reorden
+     *
+     * GET /api/products/low-stock
+     *
+     *  - Umbral: reorderPoint, o minStock si el producto no tiene punto de reorden
+     *  - Solo productos activos con stock menor al umbral
+     *  - Kits: se comparan los armados mas los que se pueden armar con sus componentes (kitAvailability)
+     *  - suggestedQuantity: unidades para llegar a maxStock (o al umbral si no hay maximo)
+     *  - unit=caja: agrega stockInUnit con stock, umbral y cantidad sugerida en esa unidad
+     *    (null en los productos que no tienen la unidad)
+     *  - Agrupados por categoria y subcategoria
+     */
+
+exports.getLowStockProducts = async (req, res) => {
+    try {
+        const threshold = { $ifNull: ['$reorderPoint', '$minStock'] };
+
+        //los kits con disponible (armados + armables) suficiente no estan bajos aunque no haya armados
+        const kits = await Product.find({
+            productType: 'kit',
+            active: { $ne: false },
+            $or: [{ reorderPoint: { $ne: null } }, { minStock: { $ne: null } }]
+        }).select('stockByWarehouse components reorderPoint minStock');
+        const kitAvailability = await getKitsAvailability(kits);
+        const stockedKits = kits
+            .filter(kit => kitAvailability.get(String(kit._id)).available >= kit.lowStockThreshold)
+            .map(kit => kit._id);
+
+        const groups = await Product.aggregate([
+            { $match: { active: { $ne: false }, _id: { $nin: stockedKits } } },
+            { $addFields: { threshold } },
+            { $match: { threshold: { $ne: null }, $expr: { $lt: ['$stock', '$threshold'] } } },
+            { $lookup: { from: 'categories', localField: 'category', foreignField: '_id', as: 'category' } },
+            { $lookup: { from: 'subcategories', localField: 'subcategory', foreignField: '_id', as: 'subcategory' } },
+            { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+            { $unwind: { path: '$subcategory', preserveNullAndEmptyArrays: true } },
+            { $sort: { name: 1 } },
+            {
+                $group: {
+                    _id: { category: '$category._id', subcategory: '$subcategory._id' },
+                    category: { $first: { _id: '$category._id', name: '$category.name' } },
+                    subcategory: { $first: { _id: '$subcategory._id', name: '$subcategory.name' } },
+                    products: {
+                        $push: {
+                            _id: '$_id',
+                            name: '$name',
+                            stock: '$stock',
+                            reserved: '$reserved',
+                            minStock: '$minStock',
+                            reorderPoint: '$reorderPoint',
+                            maxStock: '$maxStock',
+                            threshold: '$threshold',
+                            suggestedQuantity: {
+                                $subtract: [{ $ifNull: ['$maxStock', '$threshold'] }, '$stock']
+                            },
+                            baseUnit: '$baseUnit',
+                            units: '$units'
+                        }
+                    }
+                }
+            },
+            {
+                $group: {
+                    _id: '$_id.category',
+                    category: { $first: '$category' },
+                    subcategories: {
+                        $push: { subcategory: '$subcategory', products: '$products' }
+                    },
+                    count: { $sum: { $size: '$products' } }
+                }
+            },
+            { $sort: { 'category.name': 1 } },
+            { $project: { _id: 0 } }
+        ]);
+
+        //en los kits la cantidad sugerida descuenta los que se pueden armar
+        groups.forEach(group => group.subcategories.forEach(sub => sub.products.forEach(product => {
+            const availability = kitAvailability.get(String(product._id));
+            if (!availability) return;
+            product.kitAvailability = availability;
+            product.suggestedQuantity = Math.max(product.suggestedQuantity - availability.buildable, 0);
+        })));
+
+        //cantidades en la unidad pedida, la sugerida se redondea hacia arriba (no se piden cajas incompletas)
+        if (req.query.unit) {
+            groups.forEach(group => group.subcategories.forEach(sub => sub.products.forEach(product => {
+                const converted = stockInUnit(product, req.query.unit);
+                product.stockInUnit = converted && {
+                    ...converted,
+                    threshold: product.threshold / converted.factor,
+                    suggestedQuantity: Math.ceil(product.suggestedQuantity / converted.factor)
+                };
+            })));
+        }
+
+        res.status(200).json({
+            success: true,
+            count: groups.reduce((sum, group) => sum + group.count, 0),
+            data: groups
+        });
+    } catch (error) {
+        console.error('Error en getLowStockProducts ', error);
         res.status(500).json({
             success: false,
-            message: 'Error al obtener producto',
+            message: 'Error al obtener productos con stock bajo',
+            error: error.message
+        });
+    }
+};
+
+    /**
+     * READ: stock sin movimiento
+     *
+     * GET /api/products/dead-stock
+     *
+     *  - Productos activos con stock y sin salidas (exit) en los ultimos days dias, los traslados no cuentan
+     *    (por defecto 90, sin salidas cuenta desde la creacion del producto)
+     *  - Por producto: ultima salida, ultimo movimiento, dias de cada uno, unidades inmovilizadas
+     *    y su valor al costo (moneda base, igual que /api/statistics/valuation)
+     *  - Agrupados por categoria y subcategoria con sus totales
+     *  - Para desactivarlos: POST /api/products/dead-stock/deactivate
+     */
+
+exports.getDeadStockProducts = async (req, res) => {
+    try {
+        const days = parseDeadStockDays(req.query.days);
+        if (!days) {
+            return res.status(400).json({
+                success: false,
+                message: 'days debe ser un numero entero de dias mayor a cero'
+            });
+        }
+
+        const items = await findDeadStock(days);
+
+        //agrupa por categoria y subcategoria
+        const byCategory = new Map();
+        items.forEach(item => {
+            const key = String(item.category && item.category._id);
+            if (!byCategory.has(key)) {
+                byCategory.set(key, { category: item.category, count: 0, units: 0, value: 0, subcategories: new Map() });
+            }
+            const group = byCategory.get(key);
+            const subKey = String(item.subcategory && item.subcategory._id);
+            if (!group.subcategories.has(subKey)) {
+                group.subcategories.set(subKey, { subcategory: item.subcategory, count: 0, units: 0, value: 0, products: [] });
+            }
+            const subgroup = group.subcategories.get(subKey);
+            subgroup.products.push(item);
+            [group, subgroup].forEach(target => {
+                target.count++;
+                target.units += item.units;
+                target.value += item.value;
+            });
+        });
+        const groups = [...byCategory.values()]
+            .map(group => ({
+                ...group,
+                value: round(group.value),
+                subcategories: [...group.subcategories.values()]
+                    .map(subgroup => ({ ...subgroup, value: round(subgroup.value) }))
+                    .sort((a, b) => b.value - a.value)
+            }))
+            .sort((a, b) => b.value - a.value);
+
+        res.status(200).json({
+            success: true,
+            days,
+            count: items.length,
+            units: items.reduce((sum, item) => sum + item.units, 0),
+            value: round(items.reduce((sum, item) => sum + item.value, 0)),
+            data: groups
+        });
+    } catch (error) {
+        console.error('Error en getDeadStockProducts ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener stock sin movimiento',
+            error: error.message
+        });
+    }
+};
+
+    /**
+     * DELETE: desactivar en bloque stock sin movimiento
+     *
+     * POST /api/products/dead-stock/deactivate
+     * Roles: admin
+     * Body: { productIds: [ids seleccionados del reporte], days }
+     *
+     *  - Vuelve a revisar cada producto con los mismos days, solo desactiva los que siguen sin salidas
+     *  - Usa el mismo soft delete de DELETE /api/products/:id (active: false)
+     *  - skipped: los que no se desactivaron (ya tuvieron salidas, sin stock, inactivos o no existen)
+     */
+
+exports.deactivateDeadStock = async (req, res) => {
+    try {
+        const { productIds } = req.body;
+        if (!Array.isArray(productIds) || productIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'productIds debe ser una lista con los productos a desactivar',
+                requiredFields: ['productIds']
+            });
+        }
+        if (productIds.some(id => !mongoose.isValidObjectId(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'productIds tiene ids de producto invalidos'
+            });
+        }
+        const days = parseDeadStockDays(req.body.days);
+        if (!days) {
+            return res.status(400).json({
+                success: false,
+                message: 'days debe ser un numero entero de dias mayor a cero'
+            });
+        }
+
+        const ids = [...new Set(productIds.map(String))];
+        const dead = new Set((await findDeadStock(days, ids)).map(item => String(item._id)));
+        const products = await Product.find({ _id: { $in: [...dead] } });
+
+        const deactivated = [];
+        for (const product of products) {
+            const variantsDeactivated = await softDeleteProduct(product);
+            deactivated.push({ _id: product._id, name: product.name, variantsDeactivated });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `${deactivated.length} productos desactivados (soft delete)`,
+            count: deactivated.length,
+            data: deactivated,
+            skipped: ids.filter(id => !dead.has(id))
+        });
+    } catch (error) {
+        console.error('Error en deactivateDeadStock ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al desactivar stock sin movimiento',
             error: error.message
         });
     }
@@ -194,22 +1290,257 @@ exports.getProductById = async (req, res) => {
      * 
      *  - Solo actualiza campos enviados
      *  - Valida relaciones si se envian category o subcategory
+     *  - El stock no se actualiza aqui, se usa POST /api/products/:id/movements
+     *  - cost cambia el costo de referencia, no revalora el stock que ya tiene capas de costo
+     *  - currency y costCurrency cambian la moneda del precio y del costo (no convierten los valores)
+     *    en un padre la moneda pasa a sus variantes sin precio propio, en una variante solo va con price
+     *  - taxProfile fija el perfil de impuesto propio (null vuelve al de la subcategoria o categoria)
+     *    en un padre pasa a sus variantes
+     *  - cada cambio de precio queda en el historial (GET /api/products/:id/prices)
+     *  - minStock, reorderPoint y maxStock se validan contra los valores actuales (null los quita)
+     *  - lotTracked y serialized solo se pueden cambiar si el producto no tiene stock
+     *  - sku y barcodes se validan (digito de control) y no pueden pertenecer a otro producto
+     *    barcodes reemplaza la lista completa de codigos
+     *  - units reemplaza la lista completa de unidades alternativas
+     *    baseUnit solo se puede cambiar si el producto no tiene stock
+     *  - variantAttributes convierte el producto en padre (sin stock y sin variantes creadas)
+     *    el precio y la categoria del padre se copian a sus variantes (salvo las de precio propio)
+     *  - en una variante: attributes cambia sus valores, price fija un precio propio
+     *    y priceOverride=false vuelve al precio del padre
+     *  - productType y components (kits) solo cambian si no hay kits armados
      *  - Retoma producto actualizado
      */
 
 exports.updateProduct = async (req, res ) => {
     try{
-        const {name, description, price, stock, category, subcategory } = req.body;
+        const {name, description, price, stock, category, subcategory, lotTracked, serialized } = req.body;
         const updateData = {};
 
+        //el stock solo cambia con movimientos para conservar el historial
+        if (stock !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'El stock no se puede editar directamente, registre un movimiento',
+                endpoint: `POST /api/products/${req.params.id}/movements`
+            });
+        }
+
         //agregar solo los campos que fueron enviados
         if (name) updateData.name = name;
         if (description) updateData.description = description;
         if (price) updateData.price = price;
-        if (stock) updateData.stock = stock;
+        if (req.body.cost !== undefined) updateData.cost = req.body.cost;
         if (category) updateData.category = category;
         if (subcategory) updateData.subcategory = subcategory;
 
+        //monedas del precio y del costo
+        const currencies = await validateCurrencies(req.body);
+        if (currencies.error) {
+            return res.status(400).json({
+                success: false,
+                message: currencies.error
+            });
+        }
+        Object.assign(updateData, currencies.data);
+
+        //perfil de impuesto propio
+        if (req.body.taxProfile !== undefined) {
+            const tax = await validateTaxProfile(req.body.taxProfile);
+            if (tax.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: tax.error
+                });
+            }
+            updateData.taxProfile = tax.taxProfile;
+        }
+
+        //activar o quitar lotes o series con stock dejaria unidades sin lote/serie (o lotes/series sin stock)
+        if (lotTracked !== undefined || serialized !== undefined) {
+            const current = await Product.findById(req.params.id).select('stock lotTracked serialized productType');
+            if (!current) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'producto no encontrado'
+                });
+            }
+            const tracking = {
+                lotTracked: lotTracked !== undefined ? lotTracked === true : current.lotTracked,
+                serialized: serialized !== undefined ? serialized === true : current.serialized
+            };
+            if (tracking.lotTracked && tracking.serialized) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Un producto no puede manejar lotes y numeros de serie a la vez'
+                });
+            }
+            if (current.productType === 'kit' && (tracking.lotTracked || tracking.serialized)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Un kit no puede manejar lotes ni numeros de serie'
+                });
+            }
+            const changed = tracking.lotTracked !== current.lotTracked || tracking.serialized !== current.serialized;
+            if (changed && current.stock !== 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Solo se puede cambiar el manejo de lotes o series de un producto sin stock'
+                });
+            }
+            Object.assign(updateData, tracking);
+        }
+
+        //variantes: la categoria y los atributos los define el padre, cada variante sus valores y precio
+        const variantFields = ['variantAttributes', 'attributes', 'priceOverride'];
+        if (variantFields.some(field => req.body[field] !== undefined) || price || updateData.currency
+            || updateData.taxProfile !== undefined || category || subcategory) {
+            const current = await Product.findById(req.params.id).select('stock parent variantAttributes productType');
+            if (!current) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'producto no encontrado'
+                });
+            }
+            if (current.parent) {
+                if (category || subcategory || updateData.taxProfile !== undefined || req.body.variantAttributes !== undefined) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'La categoria, el impuesto y los atributos de una variante se definen en el producto padre'
+                    });
+                }
+                const parent = await Product.findById(current.parent).select('price currency variantAttributes');
+                if (req.body.attributes !== undefined) {
+                    const values = await validateVariantValues(parent, req.body.attributes, current._id);
+                    if (values.error) {
+                        return res.status(400).json({
+                            success: false,
+                            message: values.error
+                        });
+                    }
+                    updateData.attributes = values.attributes;
+                }
+                //un precio enviado queda como precio propio, priceOverride=false vuelve al precio del padre
+                if (updateData.currency && !price) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'La moneda de una variante solo se cambia junto con un precio propio'
+                    });
+                }
+                if (price) {
+                    updateData.priceOverride = true;
+                } else if (req.body.priceOverride === false) {
+                    updateData.price = parent.price;
+                    updateData.currency = parent.currency;
+                    updateData.priceOverride = false;
+                }
+            } else {
+                if (req.body.attributes !== undefined || req.body.priceOverride !== undefined) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'attributes y priceOverride solo aplican a variantes'
+                    });
+                }
+                if (req.body.variantAttributes !== undefined) {
+                    const variants = normalizeVariantAttributes(req.body.variantAttributes);
+                    if (variants.error) {
+                        return res.status(400).json({
+                            success: false,
+                            message: variants.error
+                        });
+                    }
+                    if (await Product.exists({ parent: current._id })) {
+                        return res.status(400).json({
+                            success: false,
+                            message: 'No se pueden cambiar los atributos de un producto que ya tiene variantes'
+                        });
+                    }
+                    if (variants.attributes.length > 0 && current.productType === 'kit') {
+                        return res.status(400).json({
+                            success: false,
+                            message: 'Un kit no puede tener variantes'
+                        });
+                    }
+                    if (variants.attributes.length > 0 && current.stock !== 0) {
+                        return res.status(400).json({
+                            success: false,
+                            message: 'Solo un producto sin stock puede convertirse en padre de variantes'
+                        });
+                    }
+                    updateData.variantAttributes = variants.attributes;
+                }
+            }
+        }
+
+        //tipo de producto y componentes del kit
+        if (req.body.productType !== undefined || req.body.components !== undefined) {
+            const current = await Product.findById(req.params.id)
+                .select('stock reserved productType lotTracked serialized variantAttributes parent');
+            if (!current) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'producto no encontrado'
+                });
+            }
+            const kit = await validateKit(req.body, current);
+            if (kit.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: kit.error
+                });
+            }
+            Object.assign(updateData, kit.data);
+        }
+
+        //sku y codigos de barras
+        if (req.body.sku !== undefined || req.body.barcodes !== undefined) {
+            const identifiers = await validateIdentifiers(req.body, req.params.id);
+            if (identifiers.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: identifiers.error
+                });
+            }
+            Object.assign(updateData, identifiers.data);
+        }
+
+        //unidades de medida, la unidad base solo cambia sin stock
+        if (req.body.baseUnit !== undefined || req.body.units !== undefined) {
+            const current = await Product.findById(req.params.id).select('stock baseUnit units');
+            if (!current) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'producto no encontrado'
+                });
+            }
+            const units = validateUnits(req.body, current);
+            if (units.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: units.error
+                });
+            }
+            Object.assign(updateData, units.data);
+        }
+
+        //niveles de reabastecimiento, validados junto con los que ya tiene el producto
+        if (STOCK_LEVEL_FIELDS.some(field => req.body[field] !== undefined)) {
+            const current = await Product.findById(req.params.id).lean();
+            if (!current) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'producto no encontrado'
+                });
+            }
+            const stockLevels = validateStockLevels(req.body, current);
+            if (stockLevels.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: stockLevels.error
+                });
+            }
+            Object.assign(updateData, stockLevels.levels);
+        }
+
         //validar relaciones si se actualizan
         if(category || subcategory ){
             if(category) {
@@ -235,6 +1566,11 @@ exports.updateProduct = async (req, res ) => {
             }
         }
 
+        //precio anterior para el historial de precios
+        const previous = updateData.price !== undefined
+            ? await Product.findById(req.params.id).select('price')
+            : null;
+
         //actualizar producto en BD
         const updateProduct = await Product.findByIdAndUpdate(req.params.id, updateData, {
             new: true,
@@ -250,6 +1586,21 @@ exports.updateProduct = async (req, res ) => {
             });
         }
 
+        if (previous) await recordPriceChange(updateProduct, previous.price, updateProduct.price, { user: req.userId });
+
+        //las variantes siguen la categoria del padre y su precio (salvo las de precio propio)
+        if (updateProduct.hasVariants) {
+            if (updateData.price !== undefined) await propagatePrice(updateProduct, updateData.price, req.userId);
+            const inherited = {};
+            if (updateData.category) inherited.category = updateData.category;
+            if (updateData.subcategory) inherited.subcategory = updateData.subcategory;
+            if (updateData.taxProfile !== undefined) inherited.taxProfile = updateData.taxProfile;
+            if (Object.keys(inherited).length > 0) await Product.updateMany({ parent: updateProduct._id }, inherited);
+            if (updateData.currency) {
+                await Product.updateMany({ parent: updateProduct._id, priceOverride: { $ne: true } }, { currency: updateData.currency });
+            }
+        }
+
            res.status(200).json({
             success: true,
             message: 'Producto actualizado correctamente',
@@ -274,8 +1625,10 @@ exports.updateProduct = async (req, res ) => {
      *  - hardDelete=true : Eliminar permanentemente de la BD
      *  - Default: Soft delete (marcar como inactivo)
      * 
-     * SOFT DELETE: Solo marca active: false
-     * HARD DELETE: Elimina permanentemente el documento
+     * SOFT DELETE: Solo marca active: false (en un producto padre tambien desactiva sus variantes)
+     * HARD DELETE: Elimina permanentemente el documento (un padre con variantes no se puede eliminar)
+     * tampoco se elimina un producto con stock o con movimientos registrados (kardex, costos, lotes y series)
+     * ni un producto que es componente de algun kit
      */
 
 exports.deleteProduct = async (req, res ) => {
@@ -292,6 +1645,25 @@ exports.deleteProduct = async (req, res ) => {
 
         if (isHardDelete) {
             //======== HARD DELETE: Eliminar permanentemente de la BD =======
+            if (product.hasVariants && await Product.exists({ parent: product._id })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El producto tiene variantes, eliminelas primero o desactive el producto'
+                });
+            }
+            //el kardex, las capas de costo, los lotes y las series quedarian apuntando a un producto inexistente
+            if (product.stock > 0 || await StockMovement.exists({ product: product._id })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El producto tiene stock o movimientos registrados, desactivelo (DELETE sin isHardDelete)'
+                });
+            }
+            if (await Product.exists({ 'components.product': product._id })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El producto es componente de uno o mas kits, quitelo de los kits o desactive el producto'
+                });
+            }
             await Product.findByIdAndDelete(req.params.id);
             res.status(200).json({
                 success: true,
@@ -300,11 +1672,12 @@ exports.deleteProduct = async (req, res ) => {
             });
         } else {
             // ============= SOFT DELETE: Solo marcar como inactivo ======
-            product.active = false;
-            await product.save();
+            const variantsDeactivated = await softDeleteProduct(product);
+
             res.status(200).json({
                 success: true,
                 message: 'Producto desactivado exitosamente (soft delete)',
+                variantsDeactivated,
                 data: product
             });
         }
@@ -317,3 +1690,105 @@ exports.deleteProduct = async (req, res ) => {
         });
     }
 };
+
+    /**
+     * PROVEEDORES: asociar o actualizar un proveedor del producto
+     *
+     * PUT /api/products/:id/suppliers/:supplierId
+     * Roles: admin y coordinador
+     * Body: { supplierSku, lastPurchaseCost }
+     *
+     *  - Si el proveedor ya esta asociado actualiza sus datos
+     *  - Si no, agrega la relacion
+     */
+
+exports.setProductSupplier = async (req, res) => {
+    try {
+        const { supplierSku, lastPurchaseCost } = req.body;
+
+        const supplier = await Supplier.findById(req.params.supplierId);
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Proveedor no encontrado'
+            });
+        }
+
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        if (lastPurchaseCost !== undefined && !(Number(lastPurchaseCost) >= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'El costo no puede ser negativo'
+            });
+        }
+
+        let link = product.suppliers.find(item => item.supplier.equals(supplier._id));
+        if (!link) {
+            product.suppliers.push({ supplier: supplier._id });
+            link = product.suppliers[product.suppliers.length - 1];
+        }
+        if (supplierSku !== undefined) link.supplierSku = supplierSku;
+        if (lastPurchaseCost !== undefined) link.lastPurchaseCost = Number(lastPurchaseCost);
+        await product.save();
+
+        const productWithDetails = await Product.findById(product._id)
+            .populate('suppliers.supplier', 'name taxId leadTimeDays active');
+
+        res.status(200).json({
+            success: true,
+            message: 'Proveedor asociado al producto',
+            data: productWithDetails
+        });
+    } catch (error) {
+        console.error('Error en setProductSupplier ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al asociar proveedor',
+            error: error.message
+        });
+    }
+};
+
+    /**
+     * PROVEEDORES: quitar un proveedor del producto
+     *
+     * DELETE /api/products/:id/suppliers/:supplierId
+     * Roles: admin y coordinador
+     */
+
+exports.removeProductSupplier = async (req, res) => {
+    try {
+        const product = await Product.findByIdAndUpdate(
+            req.params.id,
+            { $pull: { suppliers: { supplier: req.params.supplierId } } },
+            { new: true }
+        );
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Proveedor desasociado del producto',
+            data: product
+        });
+    } catch (error) {
+        console.error('Error en removeProductSupplier ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al desasociar proveedor',
+            error: error.message
+        });
+    }
+};
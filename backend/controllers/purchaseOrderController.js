@@ -0,0 +1,502 @@
+/**
+ * controlador de ordenes de compra
+ * flujo: draft -> sent -> partially_received -> received (o cancelled)
+ * admin y coordinador crean, aprueban (envian) y cancelan ordenes
+ * auxiliar (y los demas roles) reciben la mercancia
+ * cada recepcion registra entradas de stock con el costo pagado
+ * y actualiza el ultimo costo de compra del proveedor en el producto
+ * los costos estan en la moneda de la orden (currency), el stock se valora en la moneda base
+ */
+
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Counter = require('../models/Counter');
+const Product = require('../models/Product');
+const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
+const { registerMovements } = require('../services/stockService');
+const { convertLines } = require('../services/unitService');
+const { normalizeCurrency, validateCurrency } = require('../services/currencyService');
+
+//poblar las relaciones de la orden para las respuestas
+const populateOrder = (query) => query
+    .populate('supplier', 'name taxId leadTimeDays')
+    .populate('warehouse', 'name code')
+    .populate('lines.product', 'name stock')
+    .populate('createdBy', 'username email')
+    .populate('approvedBy', 'username email')
+    .populate('receipts.user', 'username email');
+
+//respuesta estandar cuando la orden no existe o no esta en el estado esperado
+const statusError = async (res, id, message) => {
+    const exists = await PurchaseOrder.exists({ _id: id });
+    return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? message : 'Orden de compra no encontrada'
+    });
+};
+
+/**
+ * valida proveedor, bodega y lineas de una orden
+ * @returns {Promise<string|null>} mensaje de error o null si es valida
+ */
+const validateOrder = async ({ supplier, warehouse, currency, lines }) => {
+    if (!supplier || !warehouse || !Array.isArray(lines) || lines.length === 0) {
+        return 'el proveedor, la bodega y al menos una linea son obligatorios';
+    }
+    const supplierDoc = await Supplier.findById(supplier);
+    if (!supplierDoc || !supplierDoc.active) return 'el proveedor no existe o esta inactivo';
+    const warehouseDoc = await Warehouse.findById(warehouse);
+    if (!warehouseDoc || !warehouseDoc.active) return 'la bodega no existe o esta inactiva';
+    if (currency !== undefined) {
+        const { error } = await validateCurrency(currency);
+        if (error) return error;
+    }
+
+    for (const line of lines) {
+        if (!line.product || !(Number(line.quantity) > 0) || !(Number(line.unitCost) >= 0)) {
+            return 'cada linea requiere producto, cantidad mayor a cero y costo unitario';
+        }
+    }
+    const productIds = lines.map(line => String(line.product));
+    if (new Set(productIds).size !== productIds.length) {
+        return 'un producto no puede repetirse en varias lineas';
+    }
+    const products = await Product.countDocuments({ _id: { $in: productIds } });
+    if (products !== productIds.length) return 'uno o mas productos no existen';
+    return null;
+};
+
+//normaliza las lineas recibidas en el body
+const mapLines = (lines) => lines.map(line => ({
+    product: line.product,
+    quantity: Number(line.quantity),
+    unitCost: Number(line.unitCost),
+    enteredAs: line.enteredAs
+}));
+
+/**
+ * actualiza el ultimo costo de compra del proveedor en cada producto recibido
+ * si el producto aun no tenia asociado al proveedor se agrega la relacion
+ */
+const updateSupplierCosts = async (supplierId, receivedLines, currency) => {
+    const now = new Date();
+    for (const line of receivedLines) {
+        const updated = await Product.updateOne(
+            { _id: line.product, 'suppliers.supplier': supplierId },
+            { $set: {
+                'suppliers.$.lastPurchaseCost': line.unitCost,
+                'suppliers.$.lastPurchaseCurrency': currency,
+                'suppliers.$.lastPurchaseDate': now
+            } }
+        );
+        if (updated.matchedCount === 0) {
+            await Product.updateOne(
+                { _id: line.product },
+                { $push: { suppliers: {
+                    supplier: supplierId,
+                    lastPurchaseCost: line.unitCost,
+                    lastPurchaseCurrency: currency,
+                    lastPurchaseDate: now
+                } } }
+            );
+        }
+    }
+};
+
+/**
+ * create: crear orden de compra en borrador
+ * POST /api/purchase-orders
+ * Roles: admin y coordinador
+ * body requerido:
+ * supplier: proveedor
+ * warehouse: bodega de recepcion
+ * lines: [{ product, quantity, unitCost, unit }]
+ *        unit: unidad de compra (opcional, ej: caja), cantidad y costo se guardan en la unidad base
+ * body opcional: expectedDate, notes
+ * currency: moneda de los costos (por defecto la moneda base), debe tener tasa de cambio registrada
+ * retorna:
+ * 201: orden creada en estado draft
+ * 400: validacion fallida
+ * 500: error de base de datos
+ */
+exports.createPurchaseOrder = async (req, res) => {
+    try {
+        const { supplier, warehouse, currency, expectedDate, notes } = req.body;
+
+        //lineas en unidad base
+        const { error: unitError, lines } = await convertLines(req.body.lines, ['unitCost']);
+        const validationError = unitError || await validateOrder({ supplier, warehouse, currency, lines });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const order = await PurchaseOrder.create({
+            number: await Counter.next('purchaseOrder', 'OC'),
+            supplier,
+            warehouse,
+            currency: normalizeCurrency(currency) || undefined,
+            lines: mapLines(lines),
+            expectedDate,
+            notes,
+            createdBy: req.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Orden de compra creada exitosamente',
+            data: await populateOrder(PurchaseOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Error en createPurchaseOrder ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear orden de compra',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: listar ordenes de compra
+ * GET /api/purchase-orders
+ * query params opcionales: status, supplier, warehouse
+ */
+exports.getPurchaseOrders = async (req, res) => {
+    try {
+        const filter = {};
+        ['status', 'supplier', 'warehouse'].forEach(field => {
+            if (req.query[field]) filter[field] = req.query[field];
+        });
+
+        const orders = await populateOrder(PurchaseOrder.find(filter)).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: orders.length,
+            data: orders
+        });
+    } catch (error) {
+        console.error('Error en getPurchaseOrders ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener ordenes de compra',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: obtener una orden de compra por id
+ * GET /api/purchase-orders/:id
+ */
+exports.getPurchaseOrderById = async (req, res) => {
+    try {
+        const order = await populateOrder(PurchaseOrder.findById(req.params.id));
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Orden de compra no encontrada'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        console.error('Error en getPurchaseOrderById ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener orden de compra',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * UPDATE: editar una orden en borrador
+ * PUT /api/purchase-orders/:id
+ * Roles: admin y coordinador
+ * body: supplier, warehouse, currency, lines, expectedDate, notes (solo los enviados)
+ */
+exports.updatePurchaseOrder = async (req, res) => {
+    try {
+        const order = await PurchaseOrder.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Orden de compra no encontrada'
+            });
+        }
+        if (order.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Solo se pueden editar ordenes en borrador'
+            });
+        }
+
+        const { error: unitError, lines } = await convertLines(req.body.lines || order.lines, ['unitCost']);
+        const data = {
+            supplier: req.body.supplier || order.supplier,
+            warehouse: req.body.warehouse || order.warehouse,
+            currency: req.body.currency !== undefined ? req.body.currency : order.currency,
+            lines
+        };
+        const validationError = unitError || await validateOrder(data);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        order.supplier = data.supplier;
+        order.warehouse = data.warehouse;
+        order.currency = normalizeCurrency(data.currency);
+        order.lines = mapLines(data.lines);
+        if (req.body.expectedDate !== undefined) order.expectedDate = req.body.expectedDate;
+        if (req.body.notes !== undefined) order.notes = req.body.notes;
+        await order.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Orden de compra actualizada correctamente',
+            data: await populateOrder(PurchaseOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Error en updatePurchaseOrder ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar orden de compra',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * aprobar y enviar orden al proveedor
+ * POST /api/purchase-orders/:id/send
+ * Roles: admin y coordinador
+ * draft -> sent
+ */
+exports.sendPurchaseOrder = async (req, res) => {
+    try {
+        const order = await PurchaseOrder.findOneAndUpdate(
+            { _id: req.params.id, status: 'draft' },
+            { status: 'sent', approvedBy: req.userId, approvedAt: new Date(), $inc: { __v: 1 } },
+            { new: true }
+        );
+        if (!order) return statusError(res, req.params.id, 'Solo se pueden enviar ordenes en borrador');
+
+        res.status(200).json({
+            success: true,
+            message: 'Orden de compra aprobada y enviada',
+            data: await populateOrder(PurchaseOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Error en sendPurchaseOrder ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al enviar orden de compra',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * deshace una recepcion que no alcanzo a subir el stock
+ * resta las cantidades con $inc, quita la recepcion y recalcula el estado con lo que quede recibido
+ */
+const undoReceipt = async (orderId, receipt) => {
+    const inc = {};
+    const arrayFilters = [];
+    receipt.lines.forEach((item, index) => {
+        inc[`lines.$[line${index}].receivedQuantity`] = -item.quantity;
+        arrayFilters.push({ [`line${index}.product`]: item.product });
+    });
+    const order = await PurchaseOrder.findOneAndUpdate(
+        { _id: orderId },
+        { $inc: inc, $pull: { receipts: { date: receipt.date } } },
+        { arrayFilters, new: true }
+    );
+    if (!order) return;
+    let status = 'sent';
+    if (order.lines.every(line => line.receivedQuantity >= line.quantity)) status = 'received';
+    else if (order.lines.some(line => line.receivedQuantity > 0)) status = 'partially_received';
+    await PurchaseOrder.updateOne({ _id: orderId }, { status });
+};
+
+/**
+ * recibir mercancia de una orden (total o parcial)
+ * POST /api/purchase-orders/:id/receive
+ * Roles: admin, coordinador y auxiliar
+ * body opcional:
+ * lines: [{ product, quantity, unitCost, unit, lots }] cantidades recibidas
+ *        unitCost es el costo realmente pagado (por defecto el pactado)
+ *        unit: unidad de la cantidad y el costo (por defecto la unidad base)
+ *        lots y serials siempre en unidad base
+ *        lots: [{ lotNumber, manufactureDate, expiryDate, quantity }] obligatorio en productos con lotes
+ *        serials: una serie por unidad, obligatorio en productos serializados
+ *        si no se envian lineas se recibe todo lo pendiente
+ * sent / partially_received -> partially_received o received
+ * registra una entrada de stock por linea en la bodega de la orden
+ * retorna 400 si se intenta recibir mas de lo pendiente
+ */
+exports.receivePurchaseOrder = async (req, res) => {
+    try {
+        const order = await PurchaseOrder.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Orden de compra no encontrada'
+            });
+        }
+        if (!['sent', 'partially_received'].includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Solo se puede recibir mercancia de ordenes enviadas'
+            });
+        }
+
+        //cantidades recibidas en unidad base
+        const converted = await convertLines(req.body.lines, ['unitCost']);
+        if (converted.error) {
+            return res.status(400).json({
+                success: false,
+                message: converted.error
+            });
+        }
+
+        //por defecto se recibe todo lo pendiente al costo pactado
+        const requested = Array.isArray(converted.lines) && converted.lines.length > 0
+            ? converted.lines
+            : order.lines
+                .filter(line => line.quantity > line.receivedQuantity)
+                .map(line => ({ product: line.product, quantity: line.quantity - line.receivedQuantity }));
+
+        const received = [];
+        for (const item of requested) {
+            const line = order.lines.find(orderLine => orderLine.product.equals(item.product));
+            const quantity = Number(item.quantity);
+            if (!line) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El producto ${item.product} no pertenece a la orden`
+                });
+            }
+            if (!(quantity > 0) || line.receivedQuantity + quantity > line.quantity) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cantidad invalida para el producto ${item.product}, pendiente: ${line.quantity - line.receivedQuantity}`
+                });
+            }
+            const unitCost = item.unitCost !== undefined ? Number(item.unitCost) : line.unitCost;
+            if (!(unitCost >= 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El costo unitario no puede ser negativo'
+                });
+            }
+            line.receivedQuantity += quantity;
+            received.push({ product: line.product, quantity, unitCost, lots: item.lots, serials: item.serials });
+        }
+
+        if (received.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No hay cantidades pendientes por recibir'
+            });
+        }
+
+        order.status = order.lines.every(line => line.receivedQuantity >= line.quantity)
+            ? 'received'
+            : 'partially_received';
+        const receipt = { date: new Date(), user: req.userId, lines: received };
+        order.receipts.push(receipt);
+
+        //guardar primero: si otra recepcion modifico la orden, mongoose lanza VersionError
+        await order.save();
+
+        try {
+            await registerMovements(received.map(line => ({
+                product: line.product,
+                warehouse: order.warehouse,
+                type: 'entry',
+                quantity: line.quantity,
+                unitCost: line.unitCost,
+                currency: order.currency,
+                reason: 'Recepcion de orden de compra',
+                reference: order.number,
+                user: req.userId,
+                lots: line.lots,
+                serials: line.serials
+            })));
+        } catch (movementError) {
+            //deshacer la recepcion en la orden si no se pudo subir el stock
+            //con $inc y no con save: otra recepcion pudo cambiar la orden mientras tanto (VersionError)
+            try {
+                await undoReceipt(order._id, receipt);
+            } catch (undoError) {
+                console.error('Error al deshacer la recepcion de la orden ', order.number, undoError);
+            }
+            throw movementError;
+        }
+
+        await updateSupplierCosts(order.supplier, received, order.currency);
+
+        res.status(200).json({
+            success: true,
+            message: order.status === 'received'
+                ? 'Orden de compra recibida completamente'
+                : 'Recepcion parcial registrada',
+            data: await populateOrder(PurchaseOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Error en receivePurchaseOrder ', error);
+        if (error.name === 'VersionError') {
+            return res.status(409).json({
+                success: false,
+                message: 'La orden fue modificada por otro usuario, intente de nuevo'
+            });
+        }
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al recibir orden de compra',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * cancelar orden de compra
+ * POST /api/purchase-orders/:id/cancel
+ * Roles: admin y coordinador
+ * draft / sent / partially_received -> cancelled
+ * lo ya recibido se conserva, lo pendiente ya no se puede recibir
+ */
+exports.cancelPurchaseOrder = async (req, res) => {
+    try {
+        const order = await PurchaseOrder.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['draft', 'sent', 'partially_received'] } },
+            //se incrementa __v para que una recepcion en curso detecte la cancelacion
+            { status: 'cancelled', cancelledBy: req.userId, cancelledAt: new Date(), $inc: { __v: 1 } },
+            { new: true }
+        );
+        if (!order) return statusError(res, req.params.id, 'La orden ya fue recibida o cancelada');
+
+        res.status(200).json({
+            success: true,
+            message: 'Orden de compra cancelada',
+            data: order
+        });
+    } catch (error) {
+        console.error('Error en cancelPurchaseOrder ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al cancelar orden de compra',
+            error: error.message
+        });
+    }
+};
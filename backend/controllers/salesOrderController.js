@@ -0,0 +1,405 @@
+/**
+ * controlador de ordenes de venta / despacho
+ * flujo: draft -> confirmed (reserva stock) -> dispatched (consume stock)
+ * una orden confirmada o en borrador se puede cancelar (libera las reservas)
+ * la confirmacion se rechaza si el disponible (fisico - reservado) no alcanza
+ * cada linea guarda la tarifa de impuesto del producto, la orden retorna totals (neto, impuesto y bruto)
+ */
+
+const SalesOrder = require('../models/SalesOrder');
+const Counter = require('../models/Counter');
+const Product = require('../models/Product');
+const Warehouse = require('../models/Warehouse');
+const { registerMovements, reserveLines, releaseStock } = require('../services/stockService');
+const { convertLines } = require('../services/unitService');
+const { planKitLine, expandKitLine } = require('../services/kitService');
+const { createTaxResolver } = require('../services/taxService');
+
+//poblar las relaciones de la orden para las respuestas
+const populateOrder = (query) => query
+    .populate('warehouse', 'name code')
+    .populate('lines.product', 'name price stock reserved')
+    .populate('createdBy', 'username email')
+    .populate('confirmedBy', 'username email')
+    .populate('dispatchedBy', 'username email')
+    .populate('cancelledBy', 'username email');
+
+//respuesta estandar cuando la orden no existe o no esta en el estado esperado
+const statusError = async (res, id, message) => {
+    const exists = await SalesOrder.exists({ _id: id });
+    return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? message : 'Orden de venta no encontrada'
+    });
+};
+
+/**
+ * valida cliente, bodega y lineas de una orden
+ * completa el precio unitario con el precio del producto cuando no se envia
+ * y la tarifa de impuesto con la resuelta para el producto (producto, subcategoria o categoria)
+ * las lineas con unit se convierten a la unidad base del producto
+ * @returns {Promise<{error: string|null, lines: Array}>}
+ */
+const validateOrder = async ({ customer, warehouse, lines: requestLines }) => {
+    //lineas en unidad base (el precio enviado en otra unidad tambien se convierte)
+    const { error: unitError, lines } = await convertLines(requestLines, ['unitPrice']);
+    if (unitError) return { error: unitError };
+    if (!customer || !customer.name || !warehouse || !Array.isArray(lines) || lines.length === 0) {
+        return { error: 'el cliente (name), la bodega y al menos una linea son obligatorios' };
+    }
+    const warehouseDoc = await Warehouse.findById(warehouse);
+    if (!warehouseDoc || !warehouseDoc.active) return { error: 'la bodega no existe o esta inactiva' };
+
+    for (const line of lines) {
+        if (!line.product || !(Number(line.quantity) > 0)) {
+            return { error: 'cada linea requiere producto y cantidad mayor a cero' };
+        }
+    }
+    const productIds = lines.map(line => String(line.product));
+    if (new Set(productIds).size !== productIds.length) {
+        return { error: 'un producto no puede repetirse en varias lineas' };
+    }
+    const products = await Product.find({ _id: { $in: productIds }, active: { $ne: false } });
+    if (products.length !== productIds.length) return { error: 'uno o mas productos no existen o estan inactivos' };
+
+    const taxes = await createTaxResolver();
+    return {
+        error: null,
+        lines: lines.map(line => {
+            const product = products.find(item => item._id.equals(line.product));
+            const tax = taxes.resolve(product);
+            return {
+                product: line.product,
+                quantity: Number(line.quantity),
+                unitPrice: line.unitPrice !== undefined ? Number(line.unitPrice) : product.price,
+                taxProfile: tax.profile ? tax.profile._id : undefined,
+                taxRate: tax.rate,
+                serials: line.serials,
+                enteredAs: line.enteredAs
+            };
+        })
+    };
+};
+
+/**
+ * create: crear orden de venta en borrador
+ * POST /api/sales-orders
+ * Roles: admin, coordinador y auxiliar
+ * body requerido:
+ * customer: { name, document, address }
+ * warehouse: bodega de despacho
+ * lines: [{ product, quantity, unitPrice, serials }] (unitPrice opcional, por defecto Product.price)
+ *        unitPrice incluye el impuesto o no segun config TAXES.PRICES_INCLUDE_TAX (queda en pricesIncludeTax)
+ *        unit: unidad de venta (opcional), cantidad y precio se guardan en la unidad base
+ *        serials: una serie por unidad, obligatorio en productos serializados (se valida al confirmar)
+ * body opcional: notes
+ * retorna:
+ * 201: orden creada en estado draft
+ * 400: validacion fallida
+ * 500: error de base de datos
+ */
+exports.createSalesOrder = async (req, res) => {
+    try {
+        const { customer, warehouse, lines, notes } = req.body;
+
+        const validation = await validateOrder({ customer, warehouse, lines });
+        if (validation.error) {
+            return res.status(400).json({
+                success: false,
+                message: validation.error
+            });
+        }
+
+        const order = await SalesOrder.create({
+            number: await Counter.next('salesOrder', 'OV'),
+            customer,
+            warehouse,
+            lines: validation.lines,
+            notes,
+            createdBy: req.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Orden de venta creada exitosamente',
+            data: await populateOrder(SalesOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Error en createSalesOrder ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear orden de venta',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: listar ordenes de venta
+ * GET /api/sales-orders
+ * query params opcionales: status, warehouse
+ */
+exports.getSalesOrders = async (req, res) => {
+    try {
+        const filter = {};
+        ['status', 'warehouse'].forEach(field => {
+            if (req.query[field]) filter[field] = req.query[field];
+        });
+
+        const orders = await populateOrder(SalesOrder.find(filter)).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: orders.length,
+            data: orders
+        });
+    } catch (error) {
+        console.error('Error en getSalesOrders ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener ordenes de venta',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: obtener una orden de venta por id
+ * GET /api/sales-orders/:id
+ */
+exports.getSalesOrderById = async (req, res) => {
+    try {
+        const order = await populateOrder(SalesOrder.findById(req.params.id));
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Orden de venta no encontrada'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        console.error('Error en getSalesOrderById ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener orden de venta',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * UPDATE: editar una orden en borrador
+ * PUT /api/sales-orders/:id
+ * Roles: admin, coordinador y auxiliar
+ * body: customer, warehouse, lines, notes (solo los enviados)
+ */
+exports.updateSalesOrder = async (req, res) => {
+    try {
+        const order = await SalesOrder.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Orden de venta no encontrada'
+            });
+        }
+        if (order.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Solo se pueden editar ordenes en borrador'
+            });
+        }
+
+        const validation = await validateOrder({
+            customer: req.body.customer || order.customer,
+            warehouse: req.body.warehouse || order.warehouse,
+            lines: req.body.lines || order.lines
+        });
+        if (validation.error) {
+            return res.status(400).json({
+                success: false,
+                message: validation.error
+            });
+        }
+
+        if (req.body.customer) order.customer = req.body.customer;
+        if (req.body.warehouse) order.warehouse = req.body.warehouse;
+        order.lines = validation.lines;
+        if (req.body.notes !== undefined) order.notes = req.body.notes;
+        await order.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Orden de venta actualizada correctamente',
+            data: await populateOrder(SalesOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Error en updateSalesOrder ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar orden de venta',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * confirmar orden y reservar stock
+ * POST /api/sales-orders/:id/confirm
+ * Roles: admin, coordinador y auxiliar
+ * draft -> confirming -> confirmed
+ * la orden queda en confirming mientras reserva, asi una cancelacion no libera reservas que aun no existen
+ * reserva cada linea en la bodega de la orden (y sus series en productos serializados)
+ * los kits reservan primero kits armados y el resto en componentes (queda guardado en la linea)
+ * retorna 400 con el detalle si alguna linea no tiene disponible suficiente
+ * (en ese caso no queda ninguna linea reservada)
+ */
+exports.confirmSalesOrder = async (req, res) => {
+    try {
+        const order = await SalesOrder.findOneAndUpdate(
+            { _id: req.params.id, status: 'draft' },
+            { status: 'confirming', confirmedBy: req.userId, confirmedAt: new Date() },
+            { new: true }
+        );
+        if (!order) return statusError(res, req.params.id, 'Solo se pueden confirmar ordenes en borrador');
+
+        //kits: se fija cuantos salen armados y cuantos de componentes antes de reservar
+        const kits = await Product.find({ _id: { $in: order.lines.map(line => line.product) }, productType: 'kit' })
+            .select('stockByWarehouse components');
+        const plans = {};
+        order.lines.forEach((line, index) => {
+            const kit = kits.find(item => item._id.equals(line.product));
+            if (!kit) return;
+            const plan = planKitLine(kit, order.warehouse, line.quantity);
+            plans[`lines.${index}.kit`] = plan;
+            line.kit = plan;
+        });
+
+        try {
+            if (kits.length > 0) await SalesOrder.updateOne({ _id: order._id }, { $set: plans });
+            await reserveLines(order.lines.flatMap(line => expandKitLine(line, order.warehouse)),
+                { reference: order.number, user: req.userId });
+            await SalesOrder.updateOne({ _id: order._id, status: 'confirming' }, { status: 'confirmed' });
+        } catch (reserveError) {
+            const unset = { confirmedBy: 1, confirmedAt: 1 };
+            Object.keys(plans).forEach(field => { unset[field] = 1; });
+            await SalesOrder.updateOne(
+                { _id: order._id },
+                { status: 'draft', $unset: unset }
+            );
+            throw reserveError;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Orden confirmada, stock reservado',
+            data: await populateOrder(SalesOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Error en confirmSalesOrder ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al confirmar orden de venta',
+            details: error.details,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * despachar orden y consumir stock
+ * POST /api/sales-orders/:id/dispatch
+ * Roles: admin, coordinador y auxiliar
+ * confirmed -> dispatched
+ * registra una salida por linea que consume las unidades reservadas
+ * en los kits la salida es de los kits armados reservados y de cada componente reservado
+ */
+exports.dispatchSalesOrder = async (req, res) => {
+    try {
+        const order = await SalesOrder.findOneAndUpdate(
+            { _id: req.params.id, status: 'confirmed' },
+            { status: 'dispatched', dispatchedBy: req.userId, dispatchedAt: new Date() },
+            { new: true }
+        );
+        if (!order) return statusError(res, req.params.id, 'Solo se pueden despachar ordenes confirmadas');
+
+        try {
+            await registerMovements(order.lines.flatMap(line => expandKitLine(line, order.warehouse)).map(item => ({
+                product: item.product,
+                warehouse: order.warehouse,
+                type: 'exit',
+                quantity: item.quantity,
+                reason: item.kit ? 'Despacho de kit en orden de venta' : 'Despacho de orden de venta',
+                reference: order.number,
+                user: req.userId,
+                fromReserved: true,
+                serials: item.serials
+            })));
+        } catch (movementError) {
+            await SalesOrder.updateOne(
+                { _id: order._id },
+                { status: 'confirmed', $unset: { dispatchedBy: 1, dispatchedAt: 1 } }
+            );
+            throw movementError;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Orden despachada exitosamente',
+            data: await populateOrder(SalesOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Error en dispatchSalesOrder ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al despachar orden de venta',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * cancelar orden de venta
+ * POST /api/sales-orders/:id/cancel
+ * Roles: admin y coordinador
+ * draft / confirmed -> cancelled
+ * si la orden estaba confirmada se liberan sus reservas
+ * una orden que se esta confirmando (confirming) no se puede cancelar hasta que termine
+ */
+exports.cancelSalesOrder = async (req, res) => {
+    try {
+        const order = await SalesOrder.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['draft', 'confirmed'] } },
+            { status: 'cancelled', cancelledBy: req.userId, cancelledAt: new Date() }
+        );
+        if (!order) {
+            const confirming = await SalesOrder.exists({ _id: req.params.id, status: 'confirming' });
+            return statusError(res, req.params.id, confirming
+                ? 'La orden se esta confirmando, intente cancelarla de nuevo en unos segundos'
+                : 'La orden ya fue despachada o cancelada');
+        }
+
+        //findOneAndUpdate retorna el documento previo: si estaba confirmada tenia reservas
+        if (order.status === 'confirmed') {
+            for (const item of order.lines.flatMap(line => expandKitLine(line, order.warehouse))) {
+                await releaseStock(item.product, order.warehouse, item.quantity, item.serials,
+                    { reference: order.number, user: req.userId });
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Orden de venta cancelada',
+            data: await populateOrder(SalesOrder.findById(order._id))
+        });
+    } catch (error) {
+        console.error('Error en cancelSalesOrder ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al cancelar orden de venta',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,103 @@
+/**
+ * controlador de numeros de serie
+ * las series las crea y actualiza el servicio de inventario con cada movimiento o reserva
+ * aqui solo se consultan: series de un producto y el historial de una unidad
+ */
+
+const Product = require('../models/Product');
+const SerialNumber = require('../models/SerialNumber');
+
+/**
+ * READ: listar las series de un producto
+ * GET /api/products/:id/serials
+ * query params opcionales:
+ * status: in_stock, reserved, dispatched, returned
+ * warehouse: id de la bodega
+ * retorna las series y un resumen de cantidades por estado
+ */
+exports.getSerials = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id).select('name stock serialized');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+        if (!product.serialized) {
+            return res.status(400).json({
+                success: false,
+                message: 'El producto no maneja numeros de serie'
+            });
+        }
+
+        const filter = { product: product._id };
+        ['status', 'warehouse'].forEach(field => {
+            if (req.query[field]) filter[field] = req.query[field];
+        });
+
+        const serials = await SerialNumber.find(filter)
+            .select('-history')
+            .populate('warehouse', 'name code')
+            .sort({ serialNumber: 1 });
+
+        //cantidad de series por estado, el stock es la suma de los estados en bodega
+        const byStatus = await SerialNumber.aggregate([
+            { $match: { product: product._id } },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+        const summary = Object.fromEntries(SerialNumber.STATUS.map(status => [status, 0]));
+        byStatus.forEach(item => { summary[item._id] = item.count; });
+
+        res.status(200).json({
+            success: true,
+            count: serials.length,
+            summary: {
+                stock: product.stock,
+                onHand: SerialNumber.ON_HAND_STATUS.reduce((sum, status) => sum + summary[status], 0),
+                ...summary
+            },
+            data: serials
+        });
+    } catch (error) {
+        console.error('Error en getSerials ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener numeros de serie',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: obtener una serie con su historial
+ * GET /api/products/:id/serials/:serialNumber
+ */
+exports.getSerialByNumber = async (req, res) => {
+    try {
+        const serial = await SerialNumber.findOne({ product: req.params.id, serialNumber: req.params.serialNumber })
+            .populate('product', 'name')
+            .populate('warehouse', 'name code')
+            .populate('history.warehouse', 'name code')
+            .populate('history.user', 'username email');
+
+        if (!serial) {
+            return res.status(404).json({
+                success: false,
+                message: 'Numero de serie no encontrado'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: serial
+        });
+    } catch (error) {
+        console.error('Error en getSerialByNumber ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener numero de serie',
+            error: error.message
+        });
+    }
+};
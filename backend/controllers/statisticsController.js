@@ -7,29 +7,217 @@ total de usuarios
 total de productos
 total de categorias
 total de subcategorias
+series por dia, semana o mes en un rango de fechas (from, to, groupBy):
+productos creados, entradas y salidas de stock, valor del inventario y usuarios activos
+
+GET /api/statistics/valuation
+valor del inventario por categoria y subcategoria a cualquier fecha
+en la moneda base o en otra moneda (?currency=) con la tasa vigente en esa fecha
+ademas del valor al costo, el valor de venta del stock con el impuesto de cada producto
+
+GET /api/statistics/categories
+por categoria y subcategoria: productos activos/inactivos, unidades en stock, valor al precio de venta y agotados
 */
 
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const Subcategory = require('../models/Subcategory');
+const StockMovement = require('../models/StockMovement');
+const SalesOrder = require('../models/SalesOrder');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const mongoose = require('mongoose');
+const { getValuationMethod } = require('../services/costService');
+const { parseReportDate, isInvalidDate, GROUP_BY_FORMATS, listPeriods } = require('../services/reportService');
+const {
+    getBaseCurrency,
+    getRequestedCurrency,
+    validateCurrency,
+    loadRates,
+    loadRateHistory
+} = require('../services/currencyService');
+const { createTaxResolver, splitTax } = require('../services/taxService');
+const { getKitsAvailability } = require('../services/kitService');
+
+//redondeo de valores monetarios a 2 decimales
+const money = (value) => Math.round(value * 100) / 100;
+
+//limite de periodos por consulta (un año por dias)
+const MAX_PERIODS = 366;
+
+//rango por defecto de las series cuando no se envia from
+const DEFAULT_RANGE_DAYS = 30;
 
 /*
+estadisticas generales y series de tiempo para el dashboard
+GET /api/statistics
+query opcional:
+from / to: rango de las series (por defecto los ultimos 30 dias), una fecha sin hora incluye todo el dia
+groupBy: day (por defecto), week (semana ISO, empieza el lunes) o month, los periodos se cortan en UTC
+currency: moneda de los valores (por defecto la moneda base), cada periodo se convierte con la tasa vigente a su cierre
+cada punto de la serie trae:
+productsCreated: productos creados en el periodo
+entries / exits: movimientos, unidades y costo de las entradas y salidas (los ajustes cuentan segun su signo, los traslados no)
+inventoryUnits / inventoryValue: existencias y su valor al costo al cierre del periodo (todas las bodegas)
+activeUsers: usuarios que registraron movimientos u ordenes de compra o venta en el periodo
 respuestas
-200: estadisticas obtenidas
+200: { totalUsers, totalProducts, totalCategories, totalSubcategories, range, currency, summary, series }
+400: fechas, groupBy o moneda invalidos, rango invertido o demasiados periodos
 500: error de servidor
 */
 
 const getStatistics = async (req, res) => {
     try {
+        const groupBy = req.query.groupBy || 'day';
+        if (!GROUP_BY_FORMATS[groupBy]) {
+            return res.status(400).json({
+                success: false,
+                message: 'groupBy invalido, use day, week o month'
+            });
+        }
+        const to = parseReportDate(req.query.to, true) || new Date();
+        const from = parseReportDate(req.query.from) || new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+        if (isInvalidDate(from) || isInvalidDate(to)) {
+            return res.status(400).json({
+                success: false,
+                message: 'fechas invalidas, use el formato AAAA-MM-DD'
+            });
+        }
+        if (from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'la fecha inicial debe ser anterior a la final'
+            });
+        }
+        const periods = listPeriods(from, to, groupBy);
+        if (periods.length > MAX_PERIODS) {
+            return res.status(400).json({
+                success: false,
+                message: `el rango tiene ${periods.length} periodos, el maximo es ${MAX_PERIODS}, use un rango menor o agrupe por semana o mes`
+            });
+        }
+        let currency = getBaseCurrency();
+        if (req.query.currency) {
+            const validation = await validateCurrency(req.query.currency);
+            if (validation.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: validation.error
+                });
+            }
+            currency = validation.currency;
+        }
+        const fromBase = await loadRateHistory(currency);
+
+        const range = { createdAt: { $gte: from, $lte: to } };
+        const bucket = { $dateToString: { format: GROUP_BY_FORMATS[groupBy], date: '$createdAt' } };
+
+        //entradas: entry y ajustes positivos, salidas: exit y ajustes negativos
+        const isAdjustment = { $eq: ['$type', 'adjustment'] };
+        const isEntry = { $or: [{ $eq: ['$type', 'entry'] }, { $and: [isAdjustment, { $gt: ['$quantity', 0] }] }] };
+        const isExit = { $or: [{ $eq: ['$type', 'exit'] }, { $and: [isAdjustment, { $lt: ['$quantity', 0] }] }] };
+        const cost = { $ifNull: ['$totalCost', 0] };
+        //igual que en la valoracion: las salidas restan y los ajustes siguen el signo de la cantidad
+        const outbound = { $in: ['$type', StockMovement.OUTBOUND_TYPES] };
+        const sign = { $cond: [outbound, -1, { $cond: [{ $lt: ['$quantity', 0] }, -1, 1] }] };
+        const balance = {
+            units: { $sum: { $cond: [outbound, { $multiply: ['$quantity', -1] }, '$quantity'] } },
+            value: { $sum: { $multiply: [cost, sign] } }
+        };
+
+        //usuarios con actividad: movimientos y ordenes creadas
+        const activity = (model, field) => ({
+            $unionWith: {
+                coll: model.collection.name,
+                pipeline: [
+                    { $match: { ...range, [field]: { $ne: null } } },
+                    { $project: { _id: 0, user: `$${field}`, createdAt: 1 } }
+                ]
+            }
+        });
+
         //ejecuta todos los requerimientos en paralelo
-        const[totalUsers, totalProducts, totalCategories, totalSubcategories] = await Promise.all([
+        const [totalUsers, totalProducts, totalCategories, totalSubcategories, created, movements, opening, users] = await Promise.all([
             User.countDocuments(), //contar usuarios
             Product.countDocuments(), //contar productos
             Category.countDocuments(), //contar categorias
-            Subcategory.countDocuments() //contar subcategorias
+            Subcategory.countDocuments(), //contar subcategorias
+            Product.aggregate([
+                { $match: range },
+                { $group: { _id: bucket, count: { $sum: 1 } } }
+            ]),
+            StockMovement.aggregate([
+                { $match: range },
+                { $group: {
+                    _id: bucket,
+                    entryCount: { $sum: { $cond: [isEntry, 1, 0] } },
+                    entryUnits: { $sum: { $cond: [isEntry, { $abs: '$quantity' }, 0] } },
+                    entryValue: { $sum: { $cond: [isEntry, cost, 0] } },
+                    exitCount: { $sum: { $cond: [isExit, 1, 0] } },
+                    exitUnits: { $sum: { $cond: [isExit, { $abs: '$quantity' }, 0] } },
+                    exitValue: { $sum: { $cond: [isExit, cost, 0] } },
+                    ...balance
+                } }
+            ]),
+            //saldo antes del rango, punto de partida del inventario acumulado
+            StockMovement.aggregate([
+                { $match: { createdAt: { $lt: from } } },
+                { $group: { _id: null, ...balance } }
+            ]),
+            StockMovement.aggregate([
+                { $match: { ...range, user: { $ne: null } } },
+                { $project: { _id: 0, user: 1, createdAt: 1 } },
+                activity(SalesOrder, 'createdBy'),
+                activity(PurchaseOrder, 'createdBy'),
+                { $group: { _id: bucket, users: { $addToSet: '$user' } } }
+            ])
         ]);
 
+        const createdBy = new Map(created.map(item => [item._id, item.count]));
+        const movementsBy = new Map(movements.map(item => [item._id, item]));
+        const usersBy = new Map(users.map(item => [item._id, item.users]));
+        const allUsers = new Set(users.flatMap(item => item.users.map(String)));
+        const summary = {
+            productsCreated: 0,
+            entries: { count: 0, units: 0, value: 0 },
+            exits: { count: 0, units: 0, value: 0 },
+            activeUsers: allUsers.size
+        };
+
+        //recorre los periodos en orden acumulando el inventario, los periodos sin datos quedan en cero
+        let inventoryUnits = opening[0] ? opening[0].units : 0;
+        let inventoryValue = opening[0] ? opening[0].value : 0;
+        const series = periods.map(({ period, start, end }) => {
+            const row = movementsBy.get(period);
+            const entries = { count: 0, units: 0, value: 0 };
+            const exits = { count: 0, units: 0, value: 0 };
+            if (row) {
+                Object.assign(entries, { count: row.entryCount, units: row.entryUnits, value: fromBase(money(row.entryValue), end) });
+                Object.assign(exits, { count: row.exitCount, units: row.exitUnits, value: fromBase(money(row.exitValue), end) });
+                inventoryUnits += row.units;
+                inventoryValue += row.value;
+            }
+            const productsCreated = createdBy.get(period) || 0;
+            summary.productsCreated += productsCreated;
+            ['count', 'units', 'value'].forEach(key => {
+                summary.entries[key] += entries[key];
+                summary.exits[key] += exits[key];
+            });
+            return {
+                period,
+                start,
+                end,
+                productsCreated,
+                entries,
+                exits,
+                inventoryUnits,
+                inventoryValue: fromBase(money(inventoryValue), end),
+                activeUsers: (usersBy.get(period) || []).length
+            };
+        });
+        summary.entries.value = money(summary.entries.value);
+        summary.exits.value = money(summary.exits.value);
+
         //retorna las estadisticas
         res.status(200).json({
             success: true,
@@ -37,19 +225,314 @@ const getStatistics = async (req, res) => {
                 totalUsers,
                 totalProducts,
                 totalCategories,
-                totalSubcategories
+                totalSubcategories,
+                range: { from, to, groupBy },
+                currency,
+                summary,
+                series
             }
         });
     } catch (error) {
         console.error('Error en getStatistics:', error.message);
-        res.status(500).json({
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al obtener estadisticas',
+            error: error.message
+        });
+    }
+};
+
+/*
+valoracion del inventario
+GET /api/statistics/valuation
+roles: admin y coordinador
+query opcional:
+date: fecha de corte (por defecto ahora), una fecha sin hora incluye todo el dia
+warehouse: solo una bodega
+currency: moneda del reporte (por defecto la moneda base), se convierte con la tasa vigente en la fecha de corte
+el valor se calcula con el costo guardado en cada movimiento hasta la fecha:
+entradas suman su costo, salidas restan el costo de la mercancia (fifo o promedio segun la configuracion)
+los movimientos anteriores a la valoracion no tienen costo y no suman valor
+salesValue: las unidades al precio actual (Product.price) separado en neto, impuesto y bruto
+con la tarifa resuelta de cada producto (producto, subcategoria o categoria)
+respuestas
+200: { date, method, currency, exchangeRate, units, value, salesValue, categories: [{ category, units, value, salesValue, subcategories: [...] }] }
+400: fecha, bodega o moneda invalida (o sin tasa de cambio a la fecha)
+500: error de servidor
+*/
+
+const getValuation = async (req, res) => {
+    try {
+        const { warehouse } = req.query;
+        const date = parseReportDate(req.query.date, true) || new Date();
+        if (isInvalidDate(date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'fecha invalida, use el formato AAAA-MM-DD'
+            });
+        }
+        if (warehouse && !mongoose.isValidObjectId(warehouse)) {
+            return res.status(400).json({
+                success: false,
+                message: 'bodega invalida'
+            });
+        }
+        //los costos estan en la moneda base, se convierten con la tasa vigente en la fecha de corte
+        const { error: currencyError, exchange } = await getRequestedCurrency(req.query.currency, date);
+        if (currencyError) {
+            return res.status(400).json({
+                success: false,
+                message: currencyError
+            });
+        }
+        const toCurrency = (value) => (exchange ? exchange.convert(value, exchange.base, exchange.currency) : value);
+        //los precios estan en la moneda de cada producto
+        const rates = exchange || await loadRates(date);
+        const currency = exchange ? exchange.currency : getBaseCurrency();
+        const taxes = await createTaxResolver();
+
+        const match = { createdAt: { $lte: date } };
+        //aggregate no convierte los ids, la bodega debe ir como ObjectId
+        if (warehouse) match.warehouse = new mongoose.Types.ObjectId(String(warehouse));
+
+        //las salidas restan, los ajustes traen la cantidad con signo y su costo sigue ese signo
+        const outbound = { $in: ['$type', StockMovement.OUTBOUND_TYPES] };
+        const sign = { $cond: [outbound, -1, { $cond: [{ $lt: ['$quantity', 0] }, -1, 1] }] };
+
+        const rows = await StockMovement.aggregate([
+            { $match: match },
+            { $group: {
+                _id: '$product',
+                units: { $sum: { $cond: [outbound, { $multiply: ['$quantity', -1] }, '$quantity'] } },
+                value: { $sum: { $multiply: [{ $ifNull: ['$totalCost', 0] }, sign] } }
+            } },
+            { $match: { $or: [{ units: { $ne: 0 } }, { value: { $ne: 0 } }] } },
+            { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+            { $unwind: '$product' },
+            //tambien por perfil de impuesto y moneda del precio para calcular el valor de venta
+            { $group: {
+                _id: {
+                    category: '$product.category',
+                    subcategory: '$product.subcategory',
+                    taxProfile: '$product.taxProfile',
+                    currency: '$product.currency'
+                },
+                products: { $sum: 1 },
+                units: { $sum: '$units' },
+                value: { $sum: '$value' },
+                sales: { $sum: { $multiply: ['$units', { $ifNull: ['$product.price', 0] }] } }
+            } }
+        ]);
+
+        const [categories, subcategories] = await Promise.all([
+            Category.find({ _id: { $in: rows.map(row => row._id.category) } }).select('name'),
+            Subcategory.find({ _id: { $in: rows.map(row => row._id.subcategory) } }).select('name')
+        ]);
+
+        //suma un grupo de filas en un acumulado (categoria, subcategoria o total)
+        const addTo = (target, row) => {
+            target.products += row.products;
+            target.units += row.units;
+            target.value += row.value;
+            ['net', 'tax', 'gross'].forEach(key => { target.salesValue[key] += row.salesValue[key]; });
+        };
+        const emptyTotals = () => ({ products: 0, units: 0, value: 0, salesValue: { net: 0, tax: 0, gross: 0 } });
+        const roundTotals = (group) => ({
+            ...group,
+            value: money(group.value),
+            salesValue: { net: money(group.salesValue.net), tax: money(group.salesValue.tax), gross: money(group.salesValue.gross) }
+        });
+
+        //agrupa las subcategorias dentro de su categoria
+        const byCategory = new Map();
+        rows.forEach(row => {
+            row.value = toCurrency(row.value);
+            const rate = taxes.resolve(row._id).rate;
+            row.salesValue = splitTax(rates.convert(row.sales, row._id.currency, currency), rate);
+
+            const key = String(row._id.category);
+            if (!byCategory.has(key)) {
+                byCategory.set(key, {
+                    category: categories.find(item => item._id.equals(row._id.category)) || { _id: row._id.category },
+                    ...emptyTotals(),
+                    subcategories: new Map()
+                });
+            }
+            const group = byCategory.get(key);
+            addTo(group, row);
+            const subKey = String(row._id.subcategory);
+            if (!group.subcategories.has(subKey)) {
+                group.subcategories.set(subKey, {
+                    subcategory: subcategories.find(item => item._id.equals(row._id.subcategory)) || { _id: row._id.subcategory },
+                    ...emptyTotals()
+                });
+            }
+            addTo(group.subcategories.get(subKey), row);
+        });
+        const data = [...byCategory.values()]
+            .map(group => roundTotals({
+                ...group,
+                subcategories: [...group.subcategories.values()].map(roundTotals).sort((a, b) => b.value - a.value)
+            }))
+            .sort((a, b) => b.value - a.value);
+        const total = roundTotals(data.reduce((sum, group) => { addTo(sum, group); return sum; }, emptyTotals()));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                date,
+                method: getValuationMethod(),
+                warehouse: warehouse || null,
+                currency,
+                //unidades de la moneda base por una unidad de currency
+                exchangeRate: exchange ? exchange.rate(exchange.currency) : 1,
+                units: total.units,
+                value: total.value,
+                salesValue: total.salesValue,
+                categories: data
+            }
+        });
+    } catch (error) {
+        console.error('Error en getValuation:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al obtener la valoracion del inventario',
+            error: error.message
+        });
+    }
+};
+
+/*
+resumen del catalogo por categoria y subcategoria
+GET /api/statistics/categories
+query opcional:
+includeInactive=true: incluir categorias y subcategorias desactivadas (por defecto solo las activas)
+currency: moneda del valor (por defecto la moneda base), los precios se convierten con la tasa vigente hoy
+por cada categoria y cada una de sus subcategorias (tambien las que no tienen productos):
+products: productos activos, inactivos y total
+units: unidades en stock de los productos activos
+stockValue: unidades por el precio de venta (Product.price) de los productos activos
+outOfStock: productos activos sin stock, los kits solo si no hay armados ni se pueden armar con sus componentes
+los productos padre de variantes no cuentan (no manejan stock), sus variantes si
+respuestas
+200: { currency, exchangeRate, totals, categories: [{ category, products, units, stockValue, outOfStock, subcategories: [...] }] }
+400: moneda invalida o sin tasa de cambio
+500: error de servidor
+*/
+
+const getCategoryStatistics = async (req, res) => {
+    try {
+        const includeInactive = req.query.includeInactive === 'true';
+        const { error: currencyError, exchange } = await getRequestedCurrency(req.query.currency);
+        if (currencyError) {
+            return res.status(400).json({
+                success: false,
+                message: currencyError
+            });
+        }
+        //los precios estan en la moneda de cada producto
+        const rates = exchange || await loadRates();
+        const currency = exchange ? exchange.currency : getBaseCurrency();
+
+        const isActive = { $ne: ['$active', false] };
+        const activeFilter = includeInactive ? {} : { active: { $ne: false } };
+        const isKit = { $eq: ['$productType', 'kit'] };
+        const [rows, kits, categories, subcategories] = await Promise.all([
+            //por moneda del precio para convertir el valor, sin los productos padre
+            Product.aggregate([
+                { $match: { 'variantAttributes.0': { $exists: false } } },
+                { $group: {
+                    _id: { category: '$category', subcategory: '$subcategory', currency: '$currency' },
+                    active: { $sum: { $cond: [isActive, 1, 0] } },
+                    inactive: { $sum: { $cond: [isActive, 0, 1] } },
+                    units: { $sum: { $cond: [isActive, { $ifNull: ['$stock', 0] }, 0] } },
+                    value: { $sum: { $cond: [isActive, { $multiply: [{ $ifNull: ['$stock', 0] }, { $ifNull: ['$price', 0] }] }, 0] } },
+                    //los kits se revisan aparte con el disponible de sus componentes
+                    outOfStock: { $sum: { $cond: [{ $and: [isActive, { $not: [isKit] }, { $lte: [{ $ifNull: ['$stock', 0] }, 0] }] }, 1, 0] } }
+                } }
+            ]),
+            Product.find({ productType: 'kit', active: { $ne: false } }).select('category subcategory stockByWarehouse components'),
+            Category.find(activeFilter).select('name active').sort({ name: 1 }),
+            Subcategory.find(activeFilter).select('name active category').sort({ name: 1 })
+        ]);
+
+        const emptyTotals = () => ({ products: { active: 0, inactive: 0, total: 0 }, units: 0, stockValue: 0, outOfStock: 0 });
+        const addTo = (target, row) => {
+            target.products.active += row.products.active;
+            target.products.inactive += row.products.inactive;
+            target.products.total += row.products.total;
+            target.units += row.units;
+            target.stockValue += row.stockValue;
+            target.outOfStock += row.outOfStock;
+        };
+
+        //todas las categorias y subcategorias aunque no tengan productos
+        const byCategory = new Map(categories.map(category => [String(category._id), {
+            category,
+            ...emptyTotals(),
+            subcategories: new Map()
+        }]));
+        subcategories.forEach(subcategory => {
+            const group = byCategory.get(String(subcategory.category));
+            if (group) group.subcategories.set(String(subcategory._id), { subcategory, ...emptyTotals() });
+        });
+
+        //los productos de categorias o subcategorias que no se muestran no suman
+        rows.forEach(row => {
+            const group = byCategory.get(String(row._id.category));
+            const subgroup = group && group.subcategories.get(String(row._id.subcategory));
+            if (!subgroup) return;
+            const totals = {
+                products: { active: row.active, inactive: row.inactive, total: row.active + row.inactive },
+                units: row.units,
+                stockValue: rates.convert(row.value, row._id.currency, currency),
+                outOfStock: row.outOfStock
+            };
+            addTo(group, totals);
+            addTo(subgroup, totals);
+        });
+
+        //un kit esta agotado si no hay kits armados ni componentes para armarlo
+        const kitAvailability = await getKitsAvailability(kits);
+        kits.forEach(kit => {
+            const group = byCategory.get(String(kit.category));
+            const subgroup = group && group.subcategories.get(String(kit.subcategory));
+            if (!subgroup || kitAvailability.get(String(kit._id)).available > 0) return;
+            group.outOfStock++;
+            subgroup.outOfStock++;
+        });
+
+        const data = [...byCategory.values()].map(group => ({
+            ...group,
+            stockValue: money(group.stockValue),
+            subcategories: [...group.subcategories.values()].map(subgroup => ({ ...subgroup, stockValue: money(subgroup.stockValue) }))
+        }));
+        const totals = data.reduce((sum, group) => { addTo(sum, group); return sum; }, emptyTotals());
+        totals.stockValue = money(totals.stockValue);
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data: {
+                currency,
+                //unidades de la moneda base por una unidad de currency
+                exchangeRate: exchange ? exchange.rate(exchange.currency) : 1,
+                totals,
+                categories: data
+            }
+        });
+    } catch (error) {
+        console.error('Error en getCategoryStatistics:', error.message);
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Error al obtener estadisticas',
+            message: error.status ? error.message : 'Error al obtener estadisticas por categoria',
             error: error.message
         });
     }
 };
 
 module.exports = {
-    getStatistics
+    getStatistics,
+    getValuation,
+    getCategoryStatistics
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * controlador de alertas de stock
+ * las alertas las crea el servicio de inventario cuando un producto baja de su punto de reorden
+ * aqui solo se consultan y se marcan como atendidas
+ */
+
+const StockAlert = require('../models/StockAlert');
+
+//poblar las relaciones de la alerta para las respuestas
+const populateAlert = (query) => query
+    .populate('product', 'name stock reserved minStock reorderPoint maxStock')
+    .populate('movement', 'type quantity reference createdAt')
+    .populate('acknowledgedBy', 'username email');
+
+/**
+ * READ: listar alertas de stock
+ * GET /api/alerts
+ * query params opcionales:
+ * status: open | acknowledged (por defecto todas)
+ * product: id del producto
+ */
+exports.getAlerts = async (req, res) => {
+    try {
+        const filter = {};
+        ['status', 'product'].forEach(field => {
+            if (req.query[field]) filter[field] = req.query[field];
+        });
+
+        const alerts = await populateAlert(StockAlert.find(filter)).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: alerts.length,
+            data: alerts
+        });
+    } catch (error) {
+        console.error('Error en getAlerts ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener alertas',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * marcar una alerta como atendida
+ * POST /api/alerts/:id/acknowledge
+ * Roles: admin, coordinador y auxiliar
+ * open -> acknowledged
+ */
+exports.acknowledgeAlert = async (req, res) => {
+    try {
+        const alert = await StockAlert.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            { status: 'acknowledged', acknowledgedBy: req.userId, acknowledgedAt: new Date() },
+            { new: true }
+        );
+
+        if (!alert) {
+            const exists = await StockAlert.exists({ _id: req.params.id });
+            return res.status(exists ? 400 : 404).json({
+                success: false,
+                message: exists ? 'La alerta ya fue atendida' : 'Alerta no encontrada'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Alerta marcada como atendida',
+            data: await populateAlert(StockAlert.findById(alert._id))
+        });
+    } catch (error) {
+        console.error('Error en acknowledgeAlert ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al atender alerta',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,246 @@
+/**
+ * controlador de movimientos de inventario
+ * el stock de un producto solo cambia registrando entradas, salidas o ajustes
+ * cada movimiento guarda quien lo hizo, cuando, el motivo y el documento de referencia
+ */
+
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const mongoose = require('mongoose');
+const { registerMovement } = require('../services/stockService');
+const { buildKardex, renderKardexCsv, renderKardexPdf } = require('../services/kardexService');
+const { parseReportDate, isInvalidDate } = require('../services/reportService');
+
+//formatos del kardex
+const KARDEX_FORMATS = ['json', 'csv', 'pdf'];
+
+/**
+ * READ: historial de movimientos de un producto
+ * GET /api/products/:id/movements
+ * query params opcionales:
+ * type: entry, exit, adjustment, transfer_out o transfer_in
+ * warehouse: id de la bodega
+ * from / to: rango de fechas (ISO)
+ * retorna:
+ * 200: movimientos ordenados del mas reciente al mas antiguo
+ * y un resumen con el stock actual y la suma de los movimientos
+ * 404: producto no encontrado
+ * 500: error de base de datos
+ */
+exports.getMovements = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        //filtros opcionales
+        const filter = { product: product._id };
+        if (req.query.type) filter.type = req.query.type;
+        if (req.query.warehouse) filter.warehouse = req.query.warehouse;
+        if (req.query.from || req.query.to) {
+            filter.createdAt = {};
+            if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+        }
+
+        const movements = await StockMovement.find(filter)
+            .populate('warehouse', 'name code')
+            .populate('user', 'username email')
+            .sort({ createdAt: -1 });
+
+        //suma de todos los movimientos del producto para verificar el stock
+        const [totals] = await StockMovement.aggregate([
+            { $match: { product: product._id } },
+            {
+                $group: {
+                    _id: null,
+                    total: {
+                        $sum: {
+                            $cond: [{ $in: ['$type', StockMovement.OUTBOUND_TYPES] }, { $multiply: ['$quantity', -1] }, '$quantity']
+                        }
+                    }
+                }
+            }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: movements.length,
+            summary: {
+                stock: product.stock,
+                movementsTotal: totals ? totals.total : 0
+            },
+            data: movements
+        });
+    } catch (error) {
+        console.error('Error en getMovements ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener movimientos',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: kardex de un producto
+ * GET /api/products/:id/kardex
+ * Roles: admin y coordinador
+ * query params opcionales:
+ * from / to: rango de fechas (AAAA-MM-DD o ISO), to sin hora incluye todo el dia
+ * warehouse: solo los movimientos de una bodega
+ * format: json (por defecto), csv o pdf (descarga)
+ * cada fila: fecha, documento, entrada o salida, costo unitario, costo total
+ * y saldo acumulado en cantidad y valor, partiendo del saldo anterior a from
+ * retorna:
+ * 200: kardex en el formato pedido
+ * 400: fechas, bodega o formato invalidos
+ * 404: producto no encontrado
+ * 500: error de base de datos
+ */
+exports.getKardex = async (req, res) => {
+    try {
+        const format = String(req.query.format || 'json').toLowerCase();
+        const from = parseReportDate(req.query.from);
+        const to = parseReportDate(req.query.to, true);
+        const { warehouse } = req.query;
+        if (!KARDEX_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `formato no valido, use: ${KARDEX_FORMATS.join(', ')}`
+            });
+        }
+        if (isInvalidDate(from) || isInvalidDate(to) || (from && to && from > to)) {
+            return res.status(400).json({
+                success: false,
+                message: 'rango de fechas invalido, use from y to con el formato AAAA-MM-DD'
+            });
+        }
+        if (warehouse && !mongoose.isValidObjectId(warehouse)) {
+            return res.status(400).json({
+                success: false,
+                message: 'bodega invalida'
+            });
+        }
+
+        const product = await Product.findById(req.params.id).select('name sku baseUnit');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto no encontrado'
+            });
+        }
+
+        const kardex = await buildKardex(product, { from, to, warehouse });
+
+        if (format === 'json') {
+            return res.status(200).json({
+                success: true,
+                count: kardex.rows.length,
+                data: kardex
+            });
+        }
+        const filename = `kardex-${product.sku || product._id}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8');
+            return res.status(200).send(renderKardexCsv(kardex));
+        }
+        res.type('application/pdf');
+        res.status(200).send(await renderKardexPdf(kardex));
+    } catch (error) {
+        console.error('Error en getKardex ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al generar el kardex',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * CREATE: registrar un movimiento de inventario
+ * POST /api/products/:id/movements
+ * Auth bearer token requerido
+ * Roles: admin, coordinador y auxiliar (los ajustes solo admin y coordinador)
+ * body:
+ * warehouse: id de la bodega donde ocurre el movimiento (requerido)
+ * type: entry, exit o adjustment (requerido)
+ * quantity: cantidad, positiva en entradas/salidas y con signo en ajustes (requerido)
+ * unit: unidad de la cantidad (opcional, por defecto la unidad base del producto)
+ *       se guarda convertida a la unidad base, ej: 2 cajas de 12 = 24 unidades
+ * unitCost: costo unitario de la mercancia en la unidad enviada (opcional)
+ * currency: moneda de unitCost (opcional, por defecto la moneda base), se valora con la tasa vigente hoy
+ * reason: motivo del movimiento
+ * reference: documento de referencia
+ * lots: solo productos con lotes [{ lotNumber, manufactureDate, expiryDate, quantity }]
+ *       obligatorio en entradas, en salidas es opcional (sin lotes se consume FEFO)
+ * serials: solo productos serializados, una serie por unidad (obligatorio)
+ * retorna:
+ * 201: movimiento registrado y producto con el stock actualizado
+ * 400: datos invalidos o stock insuficiente
+ * 403: auxiliar intentando registrar un ajuste
+ * 404: producto no encontrado
+ * 500: error de base de datos
+ */
+exports.createMovement = async (req, res) => {
+    try {
+        const { warehouse, type, quantity, unit, unitCost, currency, reason, reference, lots, serials } = req.body;
+
+        if (!warehouse || !type || quantity === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'la bodega, el tipo y la cantidad son obligatorios',
+                requiredFields: ['warehouse', 'type', 'quantity']
+            });
+        }
+
+        //los traslados solo se registran desde /api/transfers
+        if (type === 'transfer_out' || type === 'transfer_in') {
+            return res.status(400).json({
+                success: false,
+                message: 'Los traslados entre bodegas se registran en /api/transfers'
+            });
+        }
+
+        //los ajustes corrigen el inventario, solo los autoriza admin o coordinador
+        if (type === 'adjustment' && !['admin', 'coordinador'].includes(req.userRole)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Permisos insuficientes se requiere admin o coordinador para ajustes'
+            });
+        }
+
+        const result = await registerMovement({
+            product: req.params.id,
+            warehouse,
+            type,
+            quantity: Number(quantity),
+            unit,
+            unitCost: unitCost !== undefined ? Number(unitCost) : undefined,
+            currency,
+            reason,
+            reference,
+            user: req.userId,
+            lots,
+            serials
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Movimiento registrado exitosamente',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error en createMovement ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al registrar movimiento',
+            error: error.message
+        });
+    }
+};
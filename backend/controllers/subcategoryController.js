@@ -8,6 +8,7 @@
 
 const Subcategory = require ('../models/Subcategory');
 const Category = require('../models/Category');
+const { validateTaxProfile } = require('../services/taxService');
 /**
  * create: crear nueva sub-categoria
  * POST /api/subcategories
@@ -16,6 +17,7 @@ const Category = require('../models/Category');
  * body requerido:
  * name: nombre de la sub-categoria
  * descriprion: descripcion de la sub-categoria
+ * body opcional: taxProfile (perfil de impuesto de sus productos, reemplaza el de la categoria)
  * retorna:
  * 201: sub-categoria creada en mongoDB    
  * 400: validacion fallida o nombre duplicando
@@ -33,11 +35,20 @@ exports.createSubcategory = async (req, res) => {
                 message: 'La categoria no existe'
             });
         }
+        //perfil de impuesto opcional
+        const tax = req.body.taxProfile !== undefined ? await validateTaxProfile(req.body.taxProfile) : { taxProfile: null };
+        if (tax.error) {
+            return res.status(400).json({
+                success: false,
+                message: tax.error
+            });
+        }
         //crear nueva categoria
         const newSubcategory = new Subcategory({
             name: name.trim(),
             description: description.trim(),
-            category: category
+            category: category,
+            taxProfile: tax.taxProfile
         });
 
         await newSubcategory.save();
@@ -129,6 +140,7 @@ exports.getSubcategoryById =async (req, res) => {
  * body 
  * name: nuevo nombre de la sub-categoria
  * description: nueva descripcion
+ * taxProfile: perfil de impuesto (null lo quita y se usa el de la categoria)
  * validaciones
  * si quiere solo actualizar el nombre, solo la descipcion o ambos
  * Retorna:
@@ -153,15 +165,27 @@ exports.updateSubcategory = async (req, res) => {
                 });
              };
         }
+        //perfil de impuesto, null lo quita (se usa el de la categoria)
+        const updateData = {
+            name: name ? name.trim() : undefined,
+            description: description ? description.trim() : undefined,
+            category
+        };
+        if (req.body.taxProfile !== undefined) {
+            const tax = await validateTaxProfile(req.body.taxProfile);
+            if (tax.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: tax.error
+                });
+            }
+            updateData.taxProfile = tax.taxProfile;
+        }
         //construir objeto de actualizacion solo con campos enviados
 
         const updateSubcategory = await Subcategory.findByIdAndUpdate(
             req.params.id, 
-            { 
-                name: name ? name.trim() : undefined,
-                description: description ? description.trim() : undefined, 
-                category
-            },
+            updateData,
             {new: true, runValidators: true}
         );
 
@@ -0,0 +1,251 @@
+/**
+ * controlador de proveedores
+ * maneja todas las operaciones (CRUD) relacionadas con proveedores
+ * la relacion con productos se gestiona en /api/products/:id/suppliers
+ */
+
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+
+//campos editables del proveedor
+const SUPPLIER_FIELDS = ['name', 'taxId', 'contactName', 'email', 'phone', 'address', 'leadTimeDays'];
+
+/**
+ * create: crear nuevo proveedor
+ * POST /api/suppliers
+ * Auth bearer token requerido
+ * Roles: admin y coordinador
+ * body requerido: name, taxId
+ * body opcional: contactName, email, phone, address, leadTimeDays
+ * retorna:
+ * 201: proveedor creado
+ * 400: validacion fallida o nombre/identificacion duplicado
+ * 500: Error en bases de datos
+ */
+exports.createSupplier = async (req, res) => {
+    try {
+        const { name, taxId } = req.body;
+        if (!name || !taxId) {
+            return res.status(400).json({
+                success: false,
+                message: 'El nombre y la identificacion tributaria son obligatorios',
+                requiredFields: ['name', 'taxId']
+            });
+        }
+
+        //verificar si ya existe un proveedor con el mismo nombre o identificacion
+        const existing = await Supplier.findOne({ $or: [{ name: String(name).trim() }, { taxId: String(taxId).trim() }] });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un proveedor con ese nombre o identificacion'
+            });
+        }
+
+        const data = {};
+        SUPPLIER_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const supplier = await Supplier.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Proveedor creado exitosamente',
+            data: supplier
+        });
+    } catch (error) {
+        console.error('Error en createSupplier:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un proveedor con ese nombre o identificacion'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear proveedor',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: listar proveedores
+ * GET /api/suppliers
+ * query params:
+ *      - includeInactive=true: mostrar tambien proveedores desactivados
+ *      - Default: Solo proveedores activos
+ */
+exports.getSuppliers = async (req, res) => {
+    try {
+        const includeInactive = req.query.includeInactive === 'true';
+        const activeFilter = includeInactive ? {} : { active: { $ne: false } };
+        const suppliers = await Supplier.find(activeFilter).sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: suppliers.length,
+            data: suppliers
+        });
+    } catch (error) {
+        console.error('Error en getSuppliers ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener proveedores',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: obtener un proveedor por id
+ * GET /api/suppliers/:id
+ * incluye los productos que surte con su SKU y ultimo costo
+ */
+exports.getSupplierById = async (req, res) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id);
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Proveedor no encontrado'
+            });
+        }
+
+        const products = await Product.find({ 'suppliers.supplier': supplier._id }, 'name price stock suppliers');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                supplier,
+                products: products.map(product => {
+                    const link = product.suppliers.find(item => item.supplier.equals(supplier._id));
+                    return {
+                        _id: product._id,
+                        name: product.name,
+                        price: product.price,
+                        stock: product.stock,
+                        supplierSku: link.supplierSku,
+                        lastPurchaseCost: link.lastPurchaseCost
+                    };
+                })
+            }
+        });
+    } catch (error) {
+        console.error('Error en getSupplierById ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener proveedor',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * UPDATE: actualizar proveedor
+ * PUT /api/suppliers/:id
+ * Roles: admin y coordinador
+ * body: cualquier campo editable (solo los enviados)
+ */
+exports.updateSupplier = async (req, res) => {
+    try {
+        const updateData = {};
+        SUPPLIER_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) updateData[field] = req.body[field];
+        });
+
+        const supplier = await Supplier.findByIdAndUpdate(req.params.id, updateData, {
+            new: true,
+            runValidators: true
+        });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Proveedor no encontrado'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Proveedor actualizado correctamente',
+            data: supplier
+        });
+    } catch (error) {
+        console.error('Error en updateSupplier ', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un proveedor con ese nombre o identificacion'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar proveedor',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * DELETE: Eliminar o desactivar un proveedor
+ *
+ * DELETE /api/suppliers/:id
+ * Roles: admin
+ * Query params:
+ *  - isHardDelete=true : Eliminar permanentemente de la BD
+ *  - Default: Soft delete (marcar como inactivo)
+ *
+ * SOFT DELETE: Solo marca active: false
+ * HARD DELETE: Elimina el documento y su relacion con los productos
+ */
+exports.deleteSupplier = async (req, res) => {
+    try {
+        const isHardDelete = req.query.isHardDelete === 'true';
+        const supplier = await Supplier.findById(req.params.id);
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Proveedor no encontrado'
+            });
+        }
+
+        if (isHardDelete) {
+            //======== HARD DELETE: Eliminar permanentemente de la BD =======
+            await Supplier.findByIdAndDelete(req.params.id);
+            await Product.updateMany(
+                { 'suppliers.supplier': supplier._id },
+                { $pull: { suppliers: { supplier: supplier._id } } }
+            );
+            res.status(200).json({
+                success: true,
+                message: 'Proveedor eliminado permanentemente de la base de datos',
+                data: supplier
+            });
+        } else {
+            // ============= SOFT DELETE: Solo marcar como inactivo ======
+            supplier.active = false;
+            await supplier.save();
+            res.status(200).json({
+                success: true,
+                message: 'Proveedor desactivado exitosamente (soft delete)',
+                data: supplier
+            });
+        }
+    } catch (error) {
+        console.error('Error en deleteSupplier ', error);
+        res.status(500).json({
+            success: false,
+            message: 'error al eliminar proveedor',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,249 @@
+/**
+ * controlador de perfiles de impuesto
+ * maneja las operaciones (CRUD) de los perfiles (IVA 19%, IVA 5%, exento...)
+ * los perfiles se asignan con taxProfile en categorias, subcategorias y productos
+ */
+
+const TaxProfile = require('../models/TaxProfile');
+const Category = require('../models/Category');
+const Subcategory = require('../models/Subcategory');
+const Product = require('../models/Product');
+
+//campos editables del perfil
+const TAX_PROFILE_FIELDS = ['name', 'code', 'rate', 'description'];
+
+//valida la tarifa enviada
+const isValidRate = (rate) => Number.isFinite(Number(rate)) && Number(rate) >= 0 && Number(rate) <= 100;
+
+/**
+ * create: crear perfil de impuesto
+ * POST /api/tax-profiles
+ * Roles: admin y coordinador
+ * body requerido: name, code (ej: iva19), rate (porcentaje de 0 a 100, 0 = exento)
+ * body opcional: description
+ * retorna:
+ * 201: perfil creado
+ * 400: validacion fallida o nombre/codigo duplicado
+ */
+exports.createTaxProfile = async (req, res) => {
+    try {
+        const { name, code, rate } = req.body;
+        if (!name || !code || rate === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'El nombre, el codigo y la tarifa son obligatorios',
+                requiredFields: ['name', 'code', 'rate']
+            });
+        }
+        if (!isValidRate(rate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'La tarifa debe ser un porcentaje entre 0 y 100'
+            });
+        }
+
+        const existing = await TaxProfile.findOne({
+            $or: [{ name: String(name).trim() }, { code: String(code).trim().toLowerCase() }]
+        });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un perfil de impuesto con ese nombre o codigo'
+            });
+        }
+
+        const data = {};
+        TAX_PROFILE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+        const taxProfile = await TaxProfile.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Perfil de impuesto creado exitosamente',
+            data: taxProfile
+        });
+    } catch (error) {
+        console.error('Error en createTaxProfile ', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un perfil de impuesto con ese nombre o codigo'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear perfil de impuesto',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: listar perfiles de impuesto
+ * GET /api/tax-profiles
+ * query params:
+ *      - includeInactive=true: mostrar tambien perfiles desactivados
+ */
+exports.getTaxProfiles = async (req, res) => {
+    try {
+        const includeInactive = req.query.includeInactive === 'true';
+        const activeFilter = includeInactive ? {} : { active: { $ne: false } };
+        const taxProfiles = await TaxProfile.find(activeFilter).sort({ rate: -1, name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: taxProfiles.length,
+            data: taxProfiles
+        });
+    } catch (error) {
+        console.error('Error en getTaxProfiles ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener perfiles de impuesto',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: obtener un perfil de impuesto
+ * GET /api/tax-profiles/:id
+ * incluye cuantas categorias, subcategorias y productos lo tienen asignado (usage)
+ */
+exports.getTaxProfileById = async (req, res) => {
+    try {
+        const taxProfile = await TaxProfile.findById(req.params.id);
+        if (!taxProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Perfil de impuesto no encontrado'
+            });
+        }
+        const [categories, subcategories, products] = await Promise.all([
+            Category.countDocuments({ taxProfile: taxProfile._id }),
+            Subcategory.countDocuments({ taxProfile: taxProfile._id }),
+            Product.countDocuments({ taxProfile: taxProfile._id })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: { ...taxProfile.toJSON(), usage: { categories, subcategories, products } }
+        });
+    } catch (error) {
+        console.error('Error en getTaxProfileById ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener perfil de impuesto',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * UPDATE: actualizar perfil de impuesto
+ * PUT /api/tax-profiles/:id
+ * Roles: admin y coordinador
+ * body: name, code, rate, description, active
+ * el cambio de tarifa aplica a los productos que usan el perfil, las ordenes ya creadas conservan la suya
+ */
+exports.updateTaxProfile = async (req, res) => {
+    try {
+        if (req.body.rate !== undefined && !isValidRate(req.body.rate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'La tarifa debe ser un porcentaje entre 0 y 100'
+            });
+        }
+
+        const updateData = {};
+        [...TAX_PROFILE_FIELDS, 'active'].forEach(field => {
+            if (req.body[field] !== undefined) updateData[field] = req.body[field];
+        });
+
+        const taxProfile = await TaxProfile.findByIdAndUpdate(req.params.id, updateData, {
+            new: true,
+            runValidators: true
+        });
+        if (!taxProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Perfil de impuesto no encontrado'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Perfil de impuesto actualizado correctamente',
+            data: taxProfile
+        });
+    } catch (error) {
+        console.error('Error en updateTaxProfile ', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un perfil de impuesto con ese nombre o codigo'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar perfil de impuesto',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * DELETE: Eliminar o desactivar un perfil de impuesto
+ * DELETE /api/tax-profiles/:id
+ * Roles: admin
+ * Query params:
+ *  - isHardDelete=true : Eliminar permanentemente (solo si ninguna categoria, subcategoria o producto lo usa)
+ *  - Default: Soft delete (los productos pasan al perfil del siguiente nivel)
+ */
+exports.deleteTaxProfile = async (req, res) => {
+    try {
+        const isHardDelete = req.query.isHardDelete === 'true';
+        const taxProfile = await TaxProfile.findById(req.params.id);
+        if (!taxProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Perfil de impuesto no encontrado'
+            });
+        }
+
+        if (isHardDelete) {
+            const inUse = await Promise.all([
+                Category.exists({ taxProfile: taxProfile._id }),
+                Subcategory.exists({ taxProfile: taxProfile._id }),
+                Product.exists({ taxProfile: taxProfile._id })
+            ]);
+            if (inUse.some(Boolean)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El perfil esta asignado a categorias, subcategorias o productos, desactivelo o quite la asignacion'
+                });
+            }
+            await TaxProfile.findByIdAndDelete(req.params.id);
+            return res.status(200).json({
+                success: true,
+                message: 'Perfil de impuesto eliminado permanentemente de la base de datos',
+                data: taxProfile
+            });
+        }
+        taxProfile.active = false;
+        await taxProfile.save();
+        res.status(200).json({
+            success: true,
+            message: 'Perfil de impuesto desactivado exitosamente (soft delete)',
+            data: taxProfile
+        });
+    } catch (error) {
+        console.error('Error en deleteTaxProfile ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al eliminar perfil de impuesto',
+            error: error.message
+        });
+    }
+};
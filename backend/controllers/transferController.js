@@ -0,0 +1,411 @@
+/**
+ * controlador de traslados entre bodegas
+ * un traslado mueve varios productos de una bodega a otra como una sola operacion
+ * flujo: draft -> in_transit (despacho aprobado por admin/coordinador) -> received
+ * al despachar se registran salidas transfer_out en la bodega origen
+ * al recibir se registran entradas transfer_in en la bodega destino
+ */
+
+const Transfer = require('../models/Transfer');
+const Counter = require('../models/Counter');
+const Product = require('../models/Product');
+const Warehouse = require('../models/Warehouse');
+const StockMovement = require('../models/StockMovement');
+const { registerMovements } = require('../services/stockService');
+const { convertLines } = require('../services/unitService');
+
+//poblar las relaciones del traslado para las respuestas
+const populateTransfer = (query) => query
+    .populate('fromWarehouse', 'name code')
+    .populate('toWarehouse', 'name code')
+    .populate('lines.product', 'name stock')
+    .populate('createdBy', 'username email')
+    .populate('dispatchedBy', 'username email')
+    .populate('receivedBy', 'username email');
+
+/**
+ * valida bodegas y lineas de un traslado
+ * @returns {Promise<string|null>} mensaje de error o null si es valido
+ */
+const validateTransfer = async ({ fromWarehouse, toWarehouse, lines }) => {
+    if (!fromWarehouse || !toWarehouse || !Array.isArray(lines) || lines.length === 0) {
+        return 'la bodega origen, la bodega destino y al menos una linea son obligatorias';
+    }
+    if (String(fromWarehouse) === String(toWarehouse)) {
+        return 'la bodega origen y destino deben ser diferentes';
+    }
+    const warehouses = await Warehouse.countDocuments({ _id: { $in: [fromWarehouse, toWarehouse] }, active: true });
+    if (warehouses !== 2) {
+        return 'la bodega origen o destino no existe o esta inactiva';
+    }
+    for (const line of lines) {
+        if (!line.product || !(Number(line.quantity) > 0)) {
+            return 'cada linea requiere producto y cantidad mayor a cero';
+        }
+    }
+    const productIds = lines.map(line => String(line.product));
+    if (new Set(productIds).size !== productIds.length) {
+        return 'un producto no puede repetirse en varias lineas';
+    }
+    const products = await Product.countDocuments({ _id: { $in: productIds } });
+    if (products !== productIds.length) {
+        return 'uno o mas productos no existen';
+    }
+    return null;
+};
+
+//normaliza las lineas recibidas en el body
+const mapLines = (lines) => lines.map(line => ({
+    product: line.product,
+    quantity: Number(line.quantity),
+    serials: line.serials,
+    enteredAs: line.enteredAs
+}));
+
+/**
+ * create: crear traslado en borrador
+ * POST /api/transfers
+ * Roles: admin, coordinador y auxiliar
+ * body requerido:
+ * fromWarehouse: bodega origen
+ * toWarehouse: bodega destino
+ * lines: [{ product, quantity, serials }] (serials obligatorio en productos serializados)
+ *        unit: unidad de la cantidad (opcional), se guarda en la unidad base
+ * body opcional: notes
+ * retorna:
+ * 201: traslado creado en estado draft
+ * 400: validacion fallida
+ * 500: error de base de datos
+ */
+exports.createTransfer = async (req, res) => {
+    try {
+        const { fromWarehouse, toWarehouse, notes } = req.body;
+
+        //lineas en unidad base
+        const { error: unitError, lines } = await convertLines(req.body.lines);
+        const validationError = unitError || await validateTransfer({ fromWarehouse, toWarehouse, lines });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const transfer = await Transfer.create({
+            number: await Counter.next('transfer', 'TR'),
+            fromWarehouse,
+            toWarehouse,
+            lines: mapLines(lines),
+            notes,
+            createdBy: req.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Traslado creado exitosamente',
+            data: await populateTransfer(Transfer.findById(transfer._id))
+        });
+    } catch (error) {
+        console.error('Error en createTransfer ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear traslado',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: listar traslados
+ * GET /api/transfers
+ * query params opcionales: status, warehouse (origen o destino)
+ */
+exports.getTransfers = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.warehouse) {
+            filter.$or = [{ fromWarehouse: req.query.warehouse }, { toWarehouse: req.query.warehouse }];
+        }
+
+        const transfers = await populateTransfer(Transfer.find(filter)).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: transfers.length,
+            data: transfers
+        });
+    } catch (error) {
+        console.error('Error en getTransfers ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener traslados',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ: obtener un traslado por id
+ * GET /api/transfers/:id
+ */
+exports.getTransferById = async (req, res) => {
+    try {
+        const transfer = await populateTransfer(Transfer.findById(req.params.id));
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Traslado no encontrado'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            data: transfer
+        });
+    } catch (error) {
+        console.error('Error en getTransferById ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener traslado',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * UPDATE: editar un traslado en borrador
+ * PUT /api/transfers/:id
+ * Roles: admin, coordinador y auxiliar
+ * body: fromWarehouse, toWarehouse, lines, notes (solo los enviados)
+ * retorna 400 si el traslado ya no esta en borrador
+ */
+exports.updateTransfer = async (req, res) => {
+    try {
+        const transfer = await Transfer.findById(req.params.id);
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Traslado no encontrado'
+            });
+        }
+        if (transfer.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Solo se pueden editar traslados en borrador'
+            });
+        }
+
+        const { error: unitError, lines } = await convertLines(req.body.lines || transfer.lines);
+        const data = {
+            fromWarehouse: req.body.fromWarehouse || transfer.fromWarehouse,
+            toWarehouse: req.body.toWarehouse || transfer.toWarehouse,
+            lines
+        };
+        const validationError = unitError || await validateTransfer(data);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        transfer.fromWarehouse = data.fromWarehouse;
+        transfer.toWarehouse = data.toWarehouse;
+        transfer.lines = mapLines(data.lines);
+        if (req.body.notes !== undefined) transfer.notes = req.body.notes;
+        await transfer.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Traslado actualizado correctamente',
+            data: await populateTransfer(Transfer.findById(transfer._id))
+        });
+    } catch (error) {
+        console.error('Error en updateTransfer ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar traslado',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * aprobar y despachar traslado
+ * POST /api/transfers/:id/dispatch
+ * Roles: admin y coordinador
+ * draft -> in_transit
+ * registra una salida transfer_out por linea en la bodega origen
+ * si alguna linea no tiene stock suficiente no se despacha ninguna
+ */
+exports.dispatchTransfer = async (req, res) => {
+    try {
+        //cambiar el estado primero evita que dos usuarios despachen el mismo traslado
+        const transfer = await Transfer.findOneAndUpdate(
+            { _id: req.params.id, status: 'draft' },
+            { status: 'in_transit', dispatchedBy: req.userId, dispatchedAt: new Date() },
+            { new: true }
+        );
+        if (!transfer) {
+            const exists = await Transfer.exists({ _id: req.params.id });
+            return res.status(exists ? 400 : 404).json({
+                success: false,
+                message: exists ? 'Solo se pueden despachar traslados en borrador' : 'Traslado no encontrado'
+            });
+        }
+
+        try {
+            await registerMovements(transfer.lines.map(line => ({
+                product: line.product,
+                warehouse: transfer.fromWarehouse,
+                type: 'transfer_out',
+                quantity: line.quantity,
+                reason: 'Traslado entre bodegas',
+                reference: transfer.number,
+                user: req.userId,
+                serials: line.serials
+            })));
+        } catch (movementError) {
+            //volver a borrador si no se pudo mover el stock
+            await Transfer.updateOne(
+                { _id: transfer._id },
+                { status: 'draft', $unset: { dispatchedBy: 1, dispatchedAt: 1 } }
+            );
+            throw movementError;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Traslado despachado, mercancia en transito',
+            data: await populateTransfer(Transfer.findById(transfer._id))
+        });
+    } catch (error) {
+        console.error('Error en dispatchTransfer ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al despachar traslado',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * recibir traslado
+ * POST /api/transfers/:id/receive
+ * Roles: admin, coordinador y auxiliar
+ * in_transit -> received
+ * registra una entrada transfer_in por linea en la bodega destino
+ * (los productos con lotes ingresan con los lotes consumidos en el despacho)
+ * cada entrada se valora con el costo de la salida del origen
+ */
+exports.receiveTransfer = async (req, res) => {
+    try {
+        const transfer = await Transfer.findOneAndUpdate(
+            { _id: req.params.id, status: 'in_transit' },
+            { status: 'received', receivedBy: req.userId, receivedAt: new Date() },
+            { new: true }
+        );
+        if (!transfer) {
+            const exists = await Transfer.exists({ _id: req.params.id });
+            return res.status(exists ? 400 : 404).json({
+                success: false,
+                message: exists ? 'Solo se pueden recibir traslados en transito' : 'Traslado no encontrado'
+            });
+        }
+
+        try {
+            //los productos con lotes llegan con los mismos lotes que salieron del origen
+            //cada linea toma su propia salida (en orden), asi los traslados anteriores con lineas repetidas tambien se reciben
+            const outbound = await StockMovement.find({ reference: transfer.number, type: 'transfer_out' }).sort({ _id: 1 });
+            const movementFor = (product) => {
+                const index = outbound.findIndex(item => item.product.equals(product));
+                return index === -1 ? undefined : outbound.splice(index, 1)[0];
+            };
+            const lotsFor = (movement) => {
+                if (!movement || movement.lots.length === 0) return undefined;
+                //un mismo lote puede aparecer dos veces si el consumo FEFO se reintento
+                const lots = [];
+                for (const { lotNumber, manufactureDate, expiryDate, quantity } of movement.lots) {
+                    const lot = lots.find(item => item.lotNumber === lotNumber);
+                    if (lot) lot.quantity += quantity;
+                    else lots.push({ lotNumber, manufactureDate, expiryDate, quantity });
+                }
+                return lots;
+            };
+            //las unidades llegan con el costo con que salieron del origen
+            const costFor = (movement) => (
+                movement && movement.totalCost !== undefined ? movement.totalCost / movement.quantity : undefined
+            );
+
+            await registerMovements(transfer.lines.map(line => {
+                const movement = movementFor(line.product);
+                return {
+                    product: line.product,
+                    warehouse: transfer.toWarehouse,
+                    type: 'transfer_in',
+                    quantity: line.quantity,
+                    reason: 'Traslado entre bodegas',
+                    reference: transfer.number,
+                    user: req.userId,
+                    unitCost: costFor(movement),
+                    lots: lotsFor(movement),
+                    serials: line.serials
+                };
+            }));
+        } catch (movementError) {
+            await Transfer.updateOne(
+                { _id: transfer._id },
+                { status: 'in_transit', $unset: { receivedBy: 1, receivedAt: 1 } }
+            );
+            throw movementError;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Traslado recibido exitosamente',
+            data: await populateTransfer(Transfer.findById(transfer._id))
+        });
+    } catch (error) {
+        console.error('Error en receiveTransfer ', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error al recibir traslado',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * cancelar traslado
+ * POST /api/transfers/:id/cancel
+ * Roles: admin y coordinador
+ * solo se cancelan traslados en borrador (no ha salido stock)
+ */
+exports.cancelTransfer = async (req, res) => {
+    try {
+        const transfer = await Transfer.findOneAndUpdate(
+            { _id: req.params.id, status: 'draft' },
+            { status: 'cancelled' },
+            { new: true }
+        );
+        if (!transfer) {
+            const exists = await Transfer.exists({ _id: req.params.id });
+            return res.status(exists ? 400 : 404).json({
+                success: false,
+                message: exists ? 'Solo se pueden cancelar traslados en borrador' : 'Traslado no encontrado'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            message: 'Traslado cancelado',
+            data: transfer
+        });
+    } catch (error) {
+        console.error('Error en cancelTransfer ', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al cancelar traslado',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,261 @@
+/**
+ * controlador de bodegas
+ * maneja todas las operaciones (CRUD) relacionadas con bodegas
+ * cada producto lleva su stock desglosado por bodega
+ */
+
+const Warehouse = require('../models/Warehouse');
+const Product = require('../models/Product');
+
+/**
+ * create: crear nueva bodega
+ * POST /api/warehouses
+ * Auth bearer token requerido
+ * Roles: admin y coordinador
+ * body requerido:
+ * name: nombre de la bodega
+ * code: codigo corto de la bodega
+ * body opcional: address, description
+ * retorna:
+ * 201: bodega creada
+ * 400: validacion fallida o nombre/codigo duplicado
+ * 500: Error en bases de datos
+ */
+exports.createWarehouse = async (req, res) => {
+    try {
+        const { name, code, address, description } = req.body;
+
+        if (!name || typeof name !== 'string' || name.trim() === '' ||
+            !code || typeof code !== 'string' || code.trim() === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'El nombre y el codigo son obligatorios',
+                requiredFields: ['name', 'code']
+            });
+        }
+
+        //verificar si ya existe una bodega con el mismo nombre o codigo
+        const existing = await Warehouse.findOne({
+            $or: [{ name: name.trim() }, { code: code.trim().toUpperCase() }]
+        });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe una bodega con ese nombre o codigo'
+            });
+        }
+
+        const warehouse = await Warehouse.create({ name, code, address, description });
+
+        res.status(201).json({
+            success: true,
+            message: 'Bodega creada',
+            data: warehouse
+        });
+    } catch (error) {
+        console.error('Error en createWarehouse:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe una bodega con ese nombre o codigo'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear bodega',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET consultar listado de bodegas
+ * GET /api/warehouses
+ * por defecto retorna solo las bodegas activas
+ * con includeInactive=true retorna todas
+ */
+exports.getWarehouses = async (req, res) => {
+    try {
+        const includeInactive = req.query.includeInactive === 'true';
+        const activeFilter = includeInactive ? {} : { active: { $ne: false } };
+        const warehouses = await Warehouse.find(activeFilter).sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: warehouses.length,
+            data: warehouses
+        });
+    } catch (error) {
+        console.error('Error en getWarehouses', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener bodegas',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * READ Obtener una bodega por id
+ * GET /api/warehouses/:id
+ * incluye los productos con stock en la bodega
+ */
+exports.getWarehouseById = async (req, res) => {
+    try {
+        const warehouse = await Warehouse.findById(req.params.id);
+        if (!warehouse) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bodega no encontrada'
+            });
+        }
+
+        //productos con existencias en esta bodega
+        const products = await Product.find(
+            { stockByWarehouse: { $elemMatch: { warehouse: warehouse._id, quantity: { $gt: 0 } } } },
+            'name stockByWarehouse'
+        ).sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                warehouse,
+                products: products.map(product => ({
+                    _id: product._id,
+                    name: product.name,
+                    quantity: product.stockByWarehouse
+                        .find(item => item.warehouse.equals(warehouse._id)).quantity
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error en getWarehouseById', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener bodega',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * UPDATE: Actualizar bodega existente
+ * PUT /api/warehouses/:id
+ * Roles: admin y coordinador
+ * body: name, code, address, description (solo los enviados)
+ */
+exports.updateWarehouse = async (req, res) => {
+    try {
+        const { name, code, address, description } = req.body;
+        const updateData = {};
+
+        if (name) updateData.name = name.trim();
+        if (code) updateData.code = code.trim().toUpperCase();
+        if (address !== undefined) updateData.address = address;
+        if (description !== undefined) updateData.description = description;
+
+        //verificar que el nuevo nombre o codigo no exista en otra bodega
+        if (updateData.name || updateData.code) {
+            const conditions = [];
+            if (updateData.name) conditions.push({ name: updateData.name });
+            if (updateData.code) conditions.push({ code: updateData.code });
+            const existing = await Warehouse.findOne({
+                $or: conditions,
+                _id: { $ne: req.params.id }
+            });
+            if (existing) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya existe una bodega con ese nombre o codigo'
+                });
+            }
+        }
+
+        const warehouse = await Warehouse.findByIdAndUpdate(req.params.id, updateData, {
+            new: true,
+            runValidators: true
+        });
+
+        if (!warehouse) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bodega no encontrada'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Bodega actualizada exitosamente',
+            data: warehouse
+        });
+    } catch (error) {
+        console.error('Error en updateWarehouse', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar la bodega',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * DELETE: Eliminar o desactivar una bodega
+ * DELETE /api/warehouses/:id
+ * Roles: admin
+ * Query params:
+ *  - isHardDelete=true : Eliminar permanentemente (solo si no tiene stock)
+ *  - Default: Soft delete (marcar como inactiva)
+ */
+exports.deleteWarehouse = async (req, res) => {
+    try {
+        const isHardDelete = req.query.isHardDelete === 'true';
+        const warehouse = await Warehouse.findById(req.params.id);
+
+        if (!warehouse) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bodega no encontrada'
+            });
+        }
+
+        if (isHardDelete) {
+            //no se puede borrar una bodega que todavia tiene mercancia
+            const withStock = await Product.countDocuments({
+                stockByWarehouse: { $elemMatch: { warehouse: warehouse._id, quantity: { $gt: 0 } } }
+            });
+            if (withStock > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La bodega tiene productos con stock, traslade o ajuste el stock antes de eliminarla',
+                    productsWithStock: withStock
+                });
+            }
+
+            await Warehouse.findByIdAndDelete(req.params.id);
+            await Product.updateMany(
+                { 'stockByWarehouse.warehouse': warehouse._id },
+                { $pull: { stockByWarehouse: { warehouse: warehouse._id } } }
+            );
+            res.status(200).json({
+                success: true,
+                message: 'Bodega eliminada permanentemente de la base de datos',
+                data: warehouse
+            });
+        } else {
+            warehouse.active = false;
+            await warehouse.save();
+            res.status(200).json({
+                success: true,
+                message: 'Bodega desactivada exitosamente (soft delete)',
+                data: warehouse
+            });
+        }
+    } catch (error) {
+        console.error('Error en deleteWarehouse ', error);
+        res.status(500).json({
+            success: false,
+            message: 'error al eliminar bodega',
+            error: error.message
+        });
+    }
+};
@@ -23,6 +23,13 @@ const categorySchema = new mongoose.Schema({
             trim: true
     },
 
+    //perfil de impuesto de los productos de la categoria (ver services/taxService)
+    taxProfile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxProfile',
+        default: null
+    },
+
     //Active, desactiva la categoria pero no la elimina
     active: {
         type: Boolean,
@@ -0,0 +1,63 @@
+/**
+ * modelo de capa de costo MONGODB
+ * cada entrada de stock crea una capa con su costo unitario en la bodega
+ * las salidas consumen las capas para calcular el costo de la mercancia (ver services/costService)
+ * la suma de remaining de las capas de una bodega coincide con el stock del producto en esa bodega
+ * (salvo el stock anterior a la valoracion, que no tiene capas)
+ * remaining solo lo modifica el servicio de inventario al registrar movimientos
+ */
+
+const mongoose = require('mongoose');
+
+const costLayerSchema = new mongoose.Schema({
+    //producto de la capa
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'El producto es obligatorio']
+    },
+
+    //bodega donde estan las unidades de la capa
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: [true, 'La bodega es obligatoria']
+    },
+
+    //costo unitario en la unidad base del producto
+    //costo original de la entrada, no cambia (con costo promedio la salida se valora al promedio de las capas)
+    unitCost: {
+        type: Number,
+        default: 0,
+        min: [0, 'El costo no puede ser negativo']
+    },
+
+    //unidades que ingresaron con la entrada
+    quantity: {
+        type: Number,
+        required: [true, 'La cantidad es obligatoria'],
+        min: [0, 'La cantidad no puede ser negativa']
+    },
+
+    //unidades de la capa que siguen en la bodega
+    remaining: {
+        type: Number,
+        default: 0,
+        min: [0, 'La cantidad de la capa no puede ser negativa']
+    },
+
+    //documento de la entrada (orden de compra, traslado...)
+    reference: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true, // agrega createdAt (fecha de la entrada) y updateAt
+    versionKey: false, // no incluir campos __v
+});
+
+//consumo FIFO: capas con unidades de la bodega de la mas antigua a la mas nueva
+costLayerSchema.index({ product: 1, warehouse: 1, remaining: 1, createdAt: 1 });
+
+//exportar el modelo
+module.exports = mongoose.model('CostLayer', costLayerSchema);
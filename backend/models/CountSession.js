@@ -0,0 +1,111 @@
+/**
+ * modelo de sesion de conteo fisico MONGODB
+ * un coordinador abre la sesion sobre una bodega, categoria y/o subcategoria
+ * al abrirla se congela la cantidad esperada de cada producto en cada bodega
+ * los usuarios registran lo contado y al aprobar se generan ajustes por la diferencia
+ * estados:
+ * open: recibiendo conteos
+ * closed: conteo cerrado, lista para revisar el informe de diferencias
+ * approved: aprobada, los ajustes ya se registraron en el kardex
+ * cancelled: cancelada sin ajustes
+ */
+
+const mongoose = require('mongoose');
+
+const COUNT_STATUS = ['open', 'closed', 'approved', 'cancelled'];
+
+const countSessionSchema = new mongoose.Schema({
+    //consecutivo de la sesion (CF-000001)
+    number: {
+        type: String,
+        unique: true,
+        required: true
+    },
+
+    //alcance del conteo (al menos uno)
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse'
+    },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    },
+    subcategory: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subcategory'
+    },
+
+    //una linea por producto y bodega
+    lines: [{
+        _id: false,
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        warehouse: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Warehouse',
+            required: true
+        },
+        //stock en la bodega al abrir la sesion
+        expectedQuantity: {
+            type: Number,
+            required: true
+        },
+        //cantidad contada (null mientras no se cuente)
+        countedQuantity: {
+            type: Number,
+            default: null,
+            min: [0, 'La cantidad contada no puede ser negativa']
+        },
+        countedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        countedAt: Date
+    }],
+
+    //estado de la sesion
+    status: {
+        type: String,
+        enum: COUNT_STATUS,
+        default: 'open'
+    },
+
+    //observaciones
+    notes: {
+        type: String,
+        trim: true
+    },
+
+    //trazabilidad de cada cambio de estado
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedAt: Date,
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+countSessionSchema.statics.STATUS = COUNT_STATUS;
+
+//exportar el modelo
+module.exports = mongoose.model('CountSession', countSessionSchema);
@@ -0,0 +1,41 @@
+/**
+ * modelo de contador MONGODB
+ * genera consecutivos para los documentos del inventario (traslados, ordenes...)
+ * cada documento tiene su propio contador identificado por nombre
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+    //nombre del consecutivo (ej: transfer)
+    _id: {
+        type: String
+    },
+
+    //ultimo numero entregado
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false, // no incluir campos __v
+});
+
+/**
+ * obtiene el siguiente numero de un consecutivo con formato PREFIJO-000001
+ * el $inc es atomico, dos peticiones simultaneas nunca reciben el mismo numero
+ * @param {string} name nombre del contador
+ * @param {string} prefix prefijo del documento (ej: TR)
+ * @returns {Promise<string>} numero formateado
+ */
+counterSchema.statics.next = async function(name, prefix) {
+    const counter = await this.findByIdAndUpdate(
+        name,
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return `${prefix}-${String(counter.seq).padStart(6, '0')}`;
+};
+
+//exportar el modelo
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,53 @@
+/**
+ * modelo de tasa de cambio MONGODB
+ * cuantas unidades de la moneda base (config CURRENCY.BASE) vale una unidad de otra moneda
+ * ej: currency USD, rate 4000 => 1 USD = 4000 COP
+ * las tasas tienen fecha: la tasa vigente en una fecha es la mas reciente con date <= esa fecha
+ * asi los reportes de fechas pasadas se convierten con la tasa de ese momento (ver services/currencyService)
+ */
+
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+    //moneda extranjera, codigo ISO 4217 (USD, EUR...)
+    currency: {
+        type: String,
+        required: [true, 'La moneda es obligatoria'],
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{3}$/, 'La moneda debe ser un codigo de 3 letras (ej: USD)']
+    },
+
+    //unidades de la moneda base por una unidad de currency
+    rate: {
+        type: Number,
+        required: [true, 'La tasa es obligatoria'],
+        min: [0.000001, 'La tasa debe ser mayor a cero']
+    },
+
+    //fecha desde la que rige la tasa
+    date: {
+        type: Date,
+        required: [true, 'La fecha es obligatoria']
+    },
+
+    notes: {
+        type: String,
+        trim: true
+    },
+
+    //quien registro la tasa
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+//una sola tasa por moneda y fecha, y busqueda de la vigente (la mas reciente antes de una fecha)
+exchangeRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+//exportar el modelo
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
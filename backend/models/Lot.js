@@ -0,0 +1,61 @@
+/**
+ * modelo de lote MONGODB
+ * un lote agrupa unidades de un producto con la misma fecha de vencimiento en una bodega
+ * solo aplica a productos con lotTracked: true
+ * la suma de los lotes de una bodega coincide con el stock del producto en esa bodega
+ * la cantidad solo la modifica el servicio de inventario al registrar movimientos
+ */
+
+const mongoose = require('mongoose');
+
+const lotSchema = new mongoose.Schema({
+    //producto del lote
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'El producto es obligatorio']
+    },
+
+    //bodega donde estan las unidades del lote
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: [true, 'La bodega es obligatoria']
+    },
+
+    //numero de lote del fabricante
+    lotNumber: {
+        type: String,
+        required: [true, 'El numero de lote es obligatorio'],
+        trim: true
+    },
+
+    //fecha de fabricacion
+    manufactureDate: Date,
+
+    //fecha de vencimiento, define el orden de consumo (FEFO)
+    expiryDate: {
+        type: Date,
+        required: [true, 'La fecha de vencimiento es obligatoria']
+    },
+
+    //unidades del lote en la bodega
+    quantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'La cantidad del lote no puede ser negativa']
+    }
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+//un numero de lote por producto y bodega
+lotSchema.index({ product: 1, warehouse: 1, lotNumber: 1 }, { unique: true });
+
+//consumo FEFO y reporte de vencimientos
+lotSchema.index({ product: 1, warehouse: 1, expiryDate: 1 });
+lotSchema.index({ expiryDate: 1, quantity: 1 });
+
+//exportar el modelo
+module.exports = mongoose.model('Lot', lotSchema);
@@ -0,0 +1,92 @@
+/**
+ * modelo de cambio de precio MONGODB
+ * historial de precios de un producto: cada cambio guarda el precio anterior, el nuevo, quien y cuando
+ * tambien guarda los precios programados que se aplican solos en su fecha (ver services/priceService)
+ * estados: scheduled (programado) -> applied (aplicado) o cancelled (cancelado)
+ */
+
+const mongoose = require('mongoose');
+
+//estados de un cambio de precio
+const PRICE_CHANGE_STATUS = ['scheduled', 'applied', 'cancelled'];
+
+//origen del cambio
+//manual: al crear o editar el producto, scheduled: precio programado, inherited: la variante sigue al padre
+const PRICE_CHANGE_SOURCES = ['manual', 'scheduled', 'inherited'];
+
+const priceChangeSchema = new mongoose.Schema({
+    //producto al que cambia el precio
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product', // puede ser poblado con .populate ('product')
+        required: [true, 'El producto es obligatorio']
+    },
+
+    //precio antes del cambio (null en el precio inicial, en los programados se guarda al aplicarlo)
+    previousPrice: {
+        type: Number,
+        default: null
+    },
+
+    //precio nuevo
+    price: {
+        type: Number,
+        required: [true, 'El precio es obligatorio'],
+        min: [0, 'El precio no puede ser negativo']
+    },
+
+    //fecha en que el precio empieza a regir
+    effectiveAt: {
+        type: Date,
+        required: [true, 'La fecha del cambio es obligatoria']
+    },
+
+    status: {
+        type: String,
+        enum: PRICE_CHANGE_STATUS,
+        default: 'applied'
+    },
+
+    source: {
+        type: String,
+        enum: PRICE_CHANGE_SOURCES,
+        default: 'manual'
+    },
+
+    //motivo u observaciones del cambio
+    notes: {
+        type: String,
+        trim: true
+    },
+
+    //usuario que hizo o programo el cambio
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    //cuando se aplico un precio programado
+    appliedAt: Date,
+
+    //quien y cuando cancelo un precio programado
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+//linea de tiempo de un producto
+priceChangeSchema.index({ product: 1, effectiveAt: -1 });
+
+//precios programados pendientes de aplicar
+priceChangeSchema.index({ status: 1, effectiveAt: 1 });
+
+priceChangeSchema.statics.STATUS = PRICE_CHANGE_STATUS;
+priceChangeSchema.statics.SOURCES = PRICE_CHANGE_SOURCES;
+
+//exportar el modelo
+module.exports = mongoose.model('PriceChange', priceChangeSchema);
@@ -0,0 +1,88 @@
+/**
+ * modelo de lista de precios MONGODB
+ * una lista de precios (detal, mayorista...) define el precio de venta para un segmento de clientes
+ * items: precio fijo de un producto en la lista
+ * rules: porcentaje sobre Product.price para una categoria o una subcategoria
+ * el precio efectivo se resuelve en services/priceListService, si la lista no cubre
+ * el producto se usa Product.price
+ */
+
+const mongoose = require('mongoose');
+
+const priceListSchema = new mongoose.Schema({
+    //nombre de la lista unico y requerido
+    name: {
+        type: String,
+        required: [true, 'El nombre es obligatorio'],
+        unique: true,
+        trim: true
+    },
+
+    //codigo corto para usar en las consultas (?priceList=mayorista)
+    code: {
+        type: String,
+        required: [true, 'El codigo es obligatorio'],
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+
+    description: {
+        type: String,
+        trim: true
+    },
+
+    //precios fijos por producto
+    items: [{
+        _id: false,
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product', // puede ser poblado con .populate ('items.product')
+            required: [true, 'El producto es obligatorio']
+        },
+        price: {
+            type: Number,
+            required: [true, 'El precio es obligatorio'],
+            min: [0, 'El precio no puede ser negativo']
+        }
+    }],
+
+    //reglas por categoria o subcategoria: porcentaje sobre Product.price
+    //percent negativo es descuento (-10 = 10% menos), positivo es recargo
+    //una regla sin subcategoria aplica a toda la categoria
+    rules: [{
+        _id: false,
+        category: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            required: [true, 'La categoria es obligatoria']
+        },
+        subcategory: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Subcategory'
+        },
+        percent: {
+            type: Number,
+            required: [true, 'El porcentaje es obligatorio'],
+            min: [-100, 'El descuento no puede ser mayor al 100%']
+        }
+    }],
+
+    //quien creo la lista
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    //Active, desactiva la lista pero no la elimina
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+//exportar el modelo
+module.exports = mongoose.model('PriceList', priceListSchema);
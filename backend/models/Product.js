@@ -6,9 +6,52 @@
  * tiene relacion un user para ver quien creo el producto
  * soporte de imagenes (array de url)
  * validacion de valores numericos (no negativos)
+ * stock desglosado por bodega, el campo stock es el total
+ * reserved: unidades comprometidas, available (virtual) = stock - reserved
+ * variantes: un producto padre (variantAttributes) agrupa productos hijos (parent, attributes)
+ * kits: productType kit con su lista de componentes (components)
+ * monedas: price esta en currency y cost en costCurrency (por defecto la moneda base)
+ * impuestos: perfil propio (taxProfile) o el de su subcategoria o categoria
+ * clasificacion ABC: abcClass segun su valor de consumo (ver services/abcService)
  */
 
 const mongoose =require('mongoose');
+const config = require('../config');
+
+//stock de un producto en una bodega
+//quantity: unidades fisicas (on hand), reserved: comprometidas por ordenes de venta confirmadas
+const warehouseStockSchema = new mongoose.Schema({
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse' // puede ser poblado con .populate ('stockByWarehouse.warehouse')
+    },
+    quantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'El stock no puede ser negativo']
+    },
+    reserved: {
+        type: Number,
+        default: 0,
+        min: [0, 'La reserva no puede ser negativa']
+    }
+}, {
+    _id: false,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+//disponible en la bodega = fisico - reservado
+warehouseStockSchema.virtual('available').get(function() {
+    return (this.quantity || 0) - (this.reserved || 0);
+});
+
+//tipos de producto
+const PRODUCT_TYPES = ['standard', 'kit'];
+
+//clases de la clasificacion ABC
+const ABC_CLASSES = ['A', 'B', 'C'];
 
     //campos de la tabla producto
     
@@ -21,6 +64,55 @@ const productSchema = new mongoose.Schema({
         trim: true // eliminar espacion al inicio y final
     },
     
+    //codigo interno del producto, unico (si no se envia se genera SKU-000001)
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+
+    //codigos de barras del producto (EAN-13, UPC-A o Code128), cada codigo es unico
+    //el digito de control se valida en services/barcodeService
+    barcodes: [{
+        _id: false,
+        code: {
+            type: String,
+            required: [true, 'El codigo de barras es obligatorio'],
+            trim: true
+        },
+        type: {
+            type: String,
+            enum: ['ean13', 'upca', 'code128'],
+            required: true
+        }
+    }],
+
+    //unidad base: el stock y todas las cantidades guardadas estan en esta unidad
+    //solo se puede cambiar mientras el producto no tenga stock
+    baseUnit: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: 'unidad'
+    },
+
+    //unidades alternativas para comprar, vender o mover stock (ej: caja = 12 unidades)
+    //factor: unidades base que contiene la unidad, la conversion esta en services/unitService
+    units: [{
+        _id: false,
+        name: {
+            type: String,
+            required: [true, 'El nombre de la unidad es obligatorio'],
+            trim: true,
+            lowercase: true
+        },
+        factor: {
+            type: Number,
+            required: [true, 'El factor de conversion es obligatorio'],
+            min: [0, 'El factor no puede ser negativo']
+        }
+    }],
+
     //Descripcion del producto - requerida
     description: {
         type: String,
@@ -37,7 +129,30 @@ const productSchema = new mongoose.Schema({
         min:[0, 'El precio no puede ser negativo']
     },
 
-    // cantidad de stock
+    //moneda del precio (codigo ISO 4217), los precios fijos de las listas de precios tambien estan en esta moneda
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: () => config.CURRENCY.BASE
+    },
+
+    //costo unitario de referencia en la unidad base
+    //valora las entradas sin costo cuando el producto aun no tiene capas de costo (ver services/costService)
+    cost: {
+        type: Number,
+        min: [0, 'El costo no puede ser negativo']
+    },
+
+    //moneda del costo de referencia, se convierte a la moneda base al valorar una entrada
+    costCurrency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: () => config.CURRENCY.BASE
+    },
+
+    // cantidad de stock fisico total (on hand, suma de todas las bodegas)
     //no puede ser negativo
     stock: {
         type: Number,
@@ -45,6 +160,101 @@ const productSchema = new mongoose.Schema({
         min:[0, 'El stock no puede ser negativo']
     },
 
+    //unidades reservadas por ordenes de venta confirmadas (suma de todas las bodegas)
+    reserved: {
+        type: Number,
+        default: 0,
+        min: [0, 'La reserva no puede ser negativa']
+    },
+
+    //desglose del stock por bodega
+    //solo lo modifica el servicio de inventario al registrar movimientos
+    stockByWarehouse: [warehouseStockSchema],
+
+    //niveles de inventario para reabastecimiento
+    //minStock: stock de seguridad, reorderPoint: nivel en el que se debe pedir
+    //maxStock: nivel maximo deseado (sirve para sugerir la cantidad a pedir)
+    //si el stock baja de reorderPoint (o de minStock si no hay reorderPoint) se genera una alerta
+    minStock: {
+        type: Number,
+        min: [0, 'El stock minimo no puede ser negativo']
+    },
+    reorderPoint: {
+        type: Number,
+        min: [0, 'El punto de reorden no puede ser negativo']
+    },
+    maxStock: {
+        type: Number,
+        min: [0, 'El stock maximo no puede ser negativo']
+    },
+
+    //el producto maneja lotes (perecederos): cada entrada indica lote y vencimiento
+    //las salidas consumen primero los lotes que vencen antes (FEFO)
+    //solo se puede cambiar mientras el producto no tenga stock
+    lotTracked: {
+        type: Boolean,
+        default: false
+    },
+
+    //el producto se controla por unidad con numero de serie (equipos de alto valor)
+    //cada entrada y salida indica las series, el stock es la cantidad de series en bodega
+    //no se combina con lotTracked y solo se puede cambiar mientras el producto no tenga stock
+    serialized: {
+        type: Boolean,
+        default: false
+    },
+
+    //variantes (talla, color...): un producto padre agrupa sus variantes
+    //el padre define los atributos que las distinguen y no maneja stock propio
+    //cada variante es un producto con su sku, precio, stock y movimientos
+    variantAttributes: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+
+    //producto padre de la variante
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product' // puede ser poblado con .populate ('parent')
+    },
+
+    //valores de los atributos de la variante (ej: { talla: 'M', color: 'Negro' })
+    attributes: {
+        type: Map,
+        of: String
+    },
+
+    //true si la variante tiene precio propio, si no toma el precio del padre
+    priceOverride: {
+        type: Boolean,
+        default: false
+    },
+
+    //tipo de producto
+    //standard: producto normal, kit: se arma con otros productos (components)
+    productType: {
+        type: String,
+        enum: PRODUCT_TYPES,
+        default: 'standard'
+    },
+
+    //lista de materiales del kit: productos y cantidad de cada uno por kit
+    //el stock propio del kit son los kits armados, ver services/kitService
+    components: [{
+        _id: false,
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product', // puede ser poblado con .populate ('components.product')
+            required: [true, 'El componente es obligatorio']
+        },
+        quantity: {
+            type: Number,
+            required: [true, 'La cantidad del componente es obligatoria'],
+            min: [0, 'La cantidad no puede ser negativa']
+        }
+    }],
+
     //Categoria padre, esta producto pertenece a una categoria 
     //relacion 1 - muchos. Una categoria puede tener muchas productos
     //un producto pertenece a una subcategoria pero una subcategoria puede tener muchos productos relacion 1 a muchos
@@ -62,6 +272,54 @@ const productSchema = new mongoose.Schema({
         required: [true, 'La subcategoria es requerida']
     },
 
+    //perfil de impuesto propio, reemplaza el de la subcategoria y la categoria (null: usa el de ellas)
+    //las variantes lo heredan del padre
+    taxProfile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxProfile',
+        default: null
+    },
+
+    //proveedores que surten el producto (relacion muchos a muchos)
+    //guarda el codigo del producto en el catalogo del proveedor y el ultimo costo de compra
+    suppliers: [{
+        _id: false,
+        supplier: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Supplier' // puede ser poblado con .populate ('suppliers.supplier')
+        },
+        supplierSku: {
+            type: String,
+            trim: true
+        },
+        lastPurchaseCost: {
+            type: Number,
+            min: [0, 'El costo no puede ser negativo']
+        },
+        //moneda de la orden de compra del ultimo costo
+        lastPurchaseCurrency: String,
+        lastPurchaseDate: Date
+    }],
+
+    //clasificacion ABC por valor de consumo, la calcula services/abcService (null: sin clasificar)
+    abcClass: {
+        type: String,
+        enum: ABC_CLASSES,
+        default: null
+    },
+
+    //valor de consumo del periodo con el que se clasifico (costo de las salidas, moneda base)
+    abcValue: {
+        type: Number,
+        default: null
+    },
+
+    //fecha de la ultima clasificacion
+    abcClassifiedAt: {
+        type: Date,
+        default: null
+    },
+
     // quien creo el producto 
     //referencia de User no requerido
     createdBy:{
@@ -82,6 +340,26 @@ const productSchema = new mongoose.Schema({
 }, {
     timestamps: true, // agrega createdAt y updateAt automaticamente
     versinoKey: false, // no incluir campos __V
+    id: false, // no duplicar _id como id al incluir virtuales
+    toJSON: { virtuals: true }, // incluir available en las respuestas
+    toObject: { virtuals: true }
+});
+
+//disponible total = stock fisico - reservado
+productSchema.virtual('available').get(function() {
+    return (this.stock || 0) - (this.reserved || 0);
+});
+
+//nivel que dispara la alerta de stock bajo: punto de reorden o en su defecto el minimo
+productSchema.virtual('lowStockThreshold').get(function() {
+    if (this.reorderPoint !== undefined && this.reorderPoint !== null) return this.reorderPoint;
+    if (this.minStock !== undefined && this.minStock !== null) return this.minStock;
+    return null;
+});
+
+//producto padre: agrupa variantes y no maneja stock propio
+productSchema.virtual('hasVariants').get(function() {
+    return Array.isArray(this.variantAttributes) && this.variantAttributes.length > 0;
 });
 
 /**
@@ -100,6 +378,8 @@ const productSchema = new mongoose.Schema({
 productSchema.post('save', function(error, doc, next) {
         //verificar si es error de mongoDB por violacion de indice unico
     if (error.name === 'MongoServerError' && error.code === 11000){
+            if (error.keyPattern && error.keyPattern.sku) return next(new Error('Ya existe un producto con ese SKU'));
+            if (error.keyPattern && error.keyPattern['barcodes.code']) return next(new Error('Ya existe un producto con ese codigo de barras'));
             return next(new Error('Ya existe un producto con ese nombre'));  
     } 
     // pasar el error tal como es
@@ -113,5 +393,18 @@ productSchema.post('save', function(error, doc, next) {
  * aumenta la velocidad de las busquedas
  */
 
+//sku y codigos de barras unicos, solo en los productos que los tienen
+productSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+productSchema.index({ 'barcodes.code': 1 }, { unique: true, partialFilterExpression: { 'barcodes.code': { $exists: true } } });
+
+//variantes de un producto padre
+productSchema.index({ parent: 1 });
+
+//filtro por clase ABC
+productSchema.index({ abcClass: 1 });
+
+productSchema.statics.TYPES = PRODUCT_TYPES;
+productSchema.statics.ABC_CLASSES = ABC_CLASSES;
+
 //exportar el modelo
 module.exports = mongoose.model('Product', productSchema);
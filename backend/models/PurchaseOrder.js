@@ -0,0 +1,157 @@
+/**
+ * modelo de orden de compra MONGODB
+ * una orden de compra pide productos a un proveedor para una bodega
+ * estados:
+ * draft: borrador, se puede editar
+ * sent: aprobada y enviada al proveedor
+ * partially_received: se recibio parte de la mercancia
+ * received: se recibio toda la mercancia
+ * cancelled: cancelada (lo pendiente ya no se recibe)
+ * cada recepcion sube el stock con movimientos de entrada y guarda el costo pagado
+ * los costos de las lineas estan en la moneda de la orden (currency), el inventario los valora
+ * en la moneda base con la tasa vigente el dia de la recepcion
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const PURCHASE_ORDER_STATUS = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+const purchaseOrderSchema = new mongoose.Schema({
+    //consecutivo de la orden (OC-000001)
+    number: {
+        type: String,
+        unique: true,
+        required: true
+    },
+
+    //proveedor al que se le compra
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'El proveedor es obligatorio']
+    },
+
+    //bodega donde se recibe la mercancia
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: [true, 'La bodega es obligatoria']
+    },
+
+    //moneda de los costos de la orden (codigo ISO 4217, ej: USD en importaciones)
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: () => config.CURRENCY.BASE
+    },
+
+    //lineas de la orden, un producto por linea
+    lines: [{
+        _id: false,
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: [true, 'El producto es obligatorio']
+        },
+        //cantidad pedida
+        quantity: {
+            type: Number,
+            required: [true, 'La cantidad es obligatoria'],
+            min: [1, 'La cantidad debe ser mayor a cero']
+        },
+        //costo unitario pactado
+        unitCost: {
+            type: Number,
+            required: [true, 'El costo unitario es obligatorio'],
+            min: [0, 'El costo no puede ser negativo']
+        },
+        //cantidad recibida hasta el momento
+        receivedQuantity: {
+            type: Number,
+            default: 0
+        },
+        //cantidad tal como se ingreso si se uso otra unidad (ver services/unitService)
+        enteredAs: {
+            unit: String,
+            quantity: Number,
+            factor: Number
+        }
+    }],
+
+    //historial de recepciones (quien, cuando, cuanto y a que costo)
+    receipts: [{
+        _id: false,
+        date: {
+            type: Date,
+            default: Date.now
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        lines: [{
+            _id: false,
+            product: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Product'
+            },
+            quantity: Number,
+            unitCost: Number
+        }]
+    }],
+
+    //estado de la orden
+    status: {
+        type: String,
+        enum: PURCHASE_ORDER_STATUS,
+        default: 'draft'
+    },
+
+    //fecha esperada de entrega
+    expectedDate: Date,
+
+    //observaciones
+    notes: {
+        type: String,
+        trim: true
+    },
+
+    //usuario que creo la orden
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    //usuario que aprobo y envio la orden
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedAt: Date,
+
+    //usuario que cancelo la orden
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    //se conserva __v para el control de concurrencia:
+    //dos recepciones simultaneas de la misma orden no pueden recibir de mas
+    optimisticConcurrency: true
+});
+
+purchaseOrderSchema.statics.STATUS = PURCHASE_ORDER_STATUS;
+
+//total de la orden a costo pactado
+purchaseOrderSchema.virtual('total').get(function() {
+    return this.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+});
+
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+
+//exportar el modelo
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
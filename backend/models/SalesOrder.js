@@ -0,0 +1,168 @@
+/**
+ * modelo de orden de venta / despacho MONGODB
+ * una orden de venta saca productos de una bodega hacia un cliente
+ * estados:
+ * draft: borrador, se puede editar
+ * confirming: se esta reservando el stock, no se puede cancelar hasta que termine
+ * confirmed: confirmada, las lineas reservan stock (baja el disponible)
+ * dispatched: despachada, las reservas se consumen con movimientos de salida
+ * cancelled: cancelada, si estaba confirmada se liberan las reservas
+ * cada linea guarda la tarifa de impuesto resuelta al crear o editar la orden (ver services/taxService)
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const { splitTax } = require('../services/taxService');
+
+const SALES_ORDER_STATUS = ['draft', 'confirming', 'confirmed', 'dispatched', 'cancelled'];
+
+const salesOrderSchema = new mongoose.Schema({
+    //consecutivo de la orden (OV-000001)
+    number: {
+        type: String,
+        unique: true,
+        required: true
+    },
+
+    //cliente que recibe la mercancia
+    customer: {
+        name: {
+            type: String,
+            required: [true, 'El nombre del cliente es obligatorio'],
+            trim: true
+        },
+        document: {
+            type: String,
+            trim: true
+        },
+        address: {
+            type: String,
+            trim: true
+        }
+    },
+
+    //bodega desde donde se despacha
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: [true, 'La bodega es obligatoria']
+    },
+
+    //lineas de la orden, un producto por linea
+    lines: [{
+        _id: false,
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: [true, 'El producto es obligatorio']
+        },
+        quantity: {
+            type: Number,
+            required: [true, 'La cantidad es obligatoria'],
+            min: [1, 'La cantidad debe ser mayor a cero']
+        },
+        //precio unitario de venta (por defecto Product.price)
+        unitPrice: {
+            type: Number,
+            min: [0, 'El precio no puede ser negativo']
+        },
+        //perfil y tarifa de impuesto del producto al crear o editar la orden
+        taxProfile: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TaxProfile'
+        },
+        taxRate: {
+            type: Number,
+            default: 0
+        },
+        //numeros de serie a despachar (obligatorio en productos serializados)
+        serials: [String],
+        //cantidad tal como se ingreso si se uso otra unidad (ver services/unitService)
+        enteredAs: {
+            unit: String,
+            quantity: Number,
+            factor: Number
+        },
+        //solo kits: reparto fijado al confirmar (ver services/kitService)
+        //prebuilt: kits armados reservados, components: componentes reservados para el resto
+        kit: {
+            prebuilt: Number,
+            components: [{
+                _id: false,
+                product: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Product'
+                },
+                quantity: Number
+            }]
+        }
+    }],
+
+    //true si los precios de las lineas incluyen el impuesto (config TAXES.PRICES_INCLUDE_TAX al crear la orden)
+    pricesIncludeTax: {
+        type: Boolean,
+        default: () => config.TAXES.PRICES_INCLUDE_TAX
+    },
+
+    //estado de la orden
+    status: {
+        type: String,
+        enum: SALES_ORDER_STATUS,
+        default: 'draft'
+    },
+
+    //observaciones
+    notes: {
+        type: String,
+        trim: true
+    },
+
+    //trazabilidad de cada cambio de estado
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    confirmedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    confirmedAt: Date,
+    dispatchedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    dispatchedAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+salesOrderSchema.statics.STATUS = SALES_ORDER_STATUS;
+
+//subtotal neto, impuesto y total bruto de la orden con la tarifa de cada linea
+salesOrderSchema.virtual('totals').get(function() {
+    const totals = { net: 0, tax: 0, gross: 0 };
+    this.lines.forEach(line => {
+        const amount = splitTax(line.quantity * (line.unitPrice || 0), line.taxRate || 0, this.pricesIncludeTax);
+        totals.net += amount.net;
+        totals.tax += amount.tax;
+        totals.gross += amount.gross;
+    });
+    Object.keys(totals).forEach(key => { totals[key] = Math.round(totals[key] * 100) / 100; });
+    return totals;
+});
+
+//total de la orden a precio de venta con impuesto (el total de la factura)
+salesOrderSchema.virtual('total').get(function() {
+    return this.totals.gross;
+});
+
+salesOrderSchema.set('toJSON', { virtuals: true });
+
+//exportar el modelo
+module.exports = mongoose.model('SalesOrder', salesOrderSchema);
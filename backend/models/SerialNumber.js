@@ -0,0 +1,92 @@
+/**
+ * modelo de numero de serie MONGODB
+ * cada documento es una unidad fisica de un producto con serialized: true
+ * estados:
+ * in_stock: en bodega, disponible
+ * reserved: en bodega, apartada por una orden de venta confirmada
+ * returned: en bodega, devuelta por un cliente (disponible de nuevo)
+ * dispatched: fuera de la bodega (despachada a un cliente o en transito en un traslado)
+ * el stock del producto en una bodega es la cantidad de series en estado in_stock, reserved o returned
+ * el estado solo lo modifica el servicio de inventario, cada cambio queda en history
+ */
+
+const mongoose = require('mongoose');
+
+const SERIAL_STATUS = ['in_stock', 'reserved', 'dispatched', 'returned'];
+
+//estados en los que la unidad esta fisicamente en una bodega
+const ON_HAND_STATUS = ['in_stock', 'reserved', 'returned'];
+
+//estados en los que la unidad se puede reservar o sacar con una salida normal
+const AVAILABLE_STATUS = ['in_stock', 'returned'];
+
+const historySchema = new mongoose.Schema({
+    //estado despues del cambio
+    status: {
+        type: String,
+        enum: SERIAL_STATUS,
+        required: true
+    },
+    //bodega de la unidad despues del cambio
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse'
+    },
+    //tipo de movimiento u operacion que provoco el cambio (entry, exit, reserve...)
+    action: String,
+    //documento de referencia (orden, traslado, factura...)
+    reference: String,
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const serialNumberSchema = new mongoose.Schema({
+    //producto al que pertenece la unidad
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'El producto es obligatorio']
+    },
+
+    //numero de serie del fabricante (unico por producto)
+    serialNumber: {
+        type: String,
+        required: [true, 'El numero de serie es obligatorio'],
+        trim: true
+    },
+
+    //bodega actual (la ultima bodega si la unidad fue despachada)
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse'
+    },
+
+    //estado actual de la unidad
+    status: {
+        type: String,
+        enum: SERIAL_STATUS,
+        default: 'in_stock'
+    },
+
+    //historial de cambios de estado, el ultimo es el estado actual
+    history: [historySchema]
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+serialNumberSchema.index({ product: 1, serialNumber: 1 }, { unique: true });
+serialNumberSchema.index({ product: 1, warehouse: 1, status: 1 });
+
+serialNumberSchema.statics.STATUS = SERIAL_STATUS;
+serialNumberSchema.statics.ON_HAND_STATUS = ON_HAND_STATUS;
+serialNumberSchema.statics.AVAILABLE_STATUS = AVAILABLE_STATUS;
+
+//exportar el modelo
+module.exports = mongoose.model('SerialNumber', serialNumberSchema);
@@ -0,0 +1,68 @@
+/**
+ * modelo de alerta de stock MONGODB
+ * se crea automaticamente cuando un movimiento hace que el stock de un producto
+ * baje de su umbral (punto de reorden o stock minimo)
+ * los usuarios listan las alertas abiertas y las marcan como atendidas
+ */
+
+const mongoose = require('mongoose');
+
+const ALERT_STATUS = ['open', 'acknowledged'];
+
+const stockAlertSchema = new mongoose.Schema({
+    //producto que bajo de su umbral
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'El producto es obligatorio']
+    },
+
+    //tipo de alerta: low_stock (bajo el umbral) u out_of_stock (agotado)
+    type: {
+        type: String,
+        enum: ['low_stock', 'out_of_stock'],
+        default: 'low_stock'
+    },
+
+    //stock del producto al momento de la alerta
+    stock: {
+        type: Number,
+        required: true
+    },
+
+    //umbral que se cruzo
+    threshold: {
+        type: Number,
+        required: true
+    },
+
+    //movimiento que provoco la alerta
+    movement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockMovement'
+    },
+
+    //estado de la alerta
+    status: {
+        type: String,
+        enum: ALERT_STATUS,
+        default: 'open'
+    },
+
+    //usuario que atendio la alerta
+    acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    acknowledgedAt: Date
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+stockAlertSchema.index({ status: 1, createdAt: -1 });
+
+stockAlertSchema.statics.STATUS = ALERT_STATUS;
+
+//exportar el modelo
+module.exports = mongoose.model('StockAlert', stockAlertSchema);
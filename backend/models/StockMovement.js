@@ -0,0 +1,149 @@
+/**
+ * modelo de movimiento de inventario MONGODB
+ * Define la estructura del kardex de cada producto
+ * el stock del producto solo cambia registrando movimientos
+ * tipos de movimiento:
+ * entry: entrada de mercancia (suma al stock)
+ * exit: salida de mercancia (resta al stock)
+ * adjustment: ajuste manual, la cantidad lleva signo (+ suma, - resta)
+ * transfer_out / transfer_in: salida y entrada por traslado entre bodegas
+ * cada movimiento indica la bodega y guarda el saldo resultante para poder auditar el stock
+ * y su costo (entradas: valor que ingresa, salidas: costo de la mercancia) para valorar el inventario
+ */
+
+const mongoose = require('mongoose');
+
+//tipos de movimiento permitidos
+const MOVEMENT_TYPES = ['entry', 'exit', 'adjustment', 'transfer_out', 'transfer_in'];
+
+//tipos que restan stock (su cantidad se guarda positiva)
+const OUTBOUND_TYPES = ['exit', 'transfer_out'];
+
+const stockMovementSchema = new mongoose.Schema({
+    //producto afectado por el movimiento
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product', // puede ser poblado con .populate ('product')
+        required: [true, 'El producto es obligatorio']
+    },
+
+    //bodega donde ocurre el movimiento
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse', // puede ser poblado con .populate ('warehouse')
+        required: [true, 'La bodega es obligatoria']
+    },
+
+    //tipo de movimiento (ver MOVEMENT_TYPES)
+    type: {
+        type: String,
+        enum: MOVEMENT_TYPES,
+        required: [true, 'El tipo de movimiento es obligatorio']
+    },
+
+    //cantidad movida
+    //entradas y salidas siempre positivas, los ajustes pueden ser negativos
+    quantity: {
+        type: Number,
+        required: [true, 'La cantidad es obligatoria']
+    },
+
+    //costo unitario de la mercancia en la unidad base
+    //en entradas el costo pagado (ej: compra), en salidas el costo calculado por el metodo de valoracion
+    unitCost: {
+        type: Number,
+        min: [0, 'El costo no puede ser negativo']
+    },
+
+    //costo de la entrada tal como se ingreso si venia en otra moneda (ej: compra en USD)
+    //unitCost y totalCost siempre estan en la moneda base, convertidos con la tasa del dia (rate)
+    enteredCost: {
+        currency: String,
+        unitCost: Number,
+        rate: Number
+    },
+
+    //costo total del movimiento (siempre positivo, el signo lo da el tipo o la cantidad del ajuste)
+    //en entradas el valor que ingresa al inventario, en salidas el costo de la mercancia (COGS)
+    totalCost: {
+        type: Number,
+        min: [0, 'El costo no puede ser negativo']
+    },
+
+    //capas de costo afectadas (ver services/costService)
+    //en entradas la capa creada, en salidas las consumidas (sin layer: stock anterior a la valoracion)
+    costLayers: [{
+        _id: false,
+        layer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CostLayer'
+        },
+        quantity: Number,
+        unitCost: Number
+    }],
+
+    //motivo del movimiento (compra, venta, daño, conteo...)
+    reason: {
+        type: String,
+        trim: true
+    },
+
+    //documento de referencia (factura, remision, orden...)
+    reference: {
+        type: String,
+        trim: true
+    },
+
+    //stock total del producto despues de aplicar el movimiento
+    balance: {
+        type: Number
+    },
+
+    //stock del producto en la bodega despues de aplicar el movimiento
+    warehouseBalance: {
+        type: Number
+    },
+
+    //lotes afectados (solo productos con manejo de lotes)
+    //en entradas los lotes que ingresaron, en salidas los consumidos por FEFO
+    lots: [{
+        _id: false,
+        lot: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Lot'
+        },
+        lotNumber: String,
+        manufactureDate: Date,
+        expiryDate: Date,
+        quantity: Number
+    }],
+
+    //numeros de serie afectados (solo productos serializados)
+    serials: [String],
+
+    //cantidad tal como se ingreso si se uso otra unidad (ver services/unitService)
+    //quantity y unitCost siempre estan en la unidad base del producto
+    enteredAs: {
+        unit: String,
+        quantity: Number,
+        factor: Number
+    },
+
+    //usuario que registro el movimiento
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User' //puede ser poblado para mostrar el usuario
+    }
+}, {
+    timestamps: true, // agrega createdAt (fecha del movimiento) y updatedAt
+    versionKey: false, // no incluir campos __v
+});
+
+//indice para consultar el historial de un producto ordenado por fecha
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+stockMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+stockMovementSchema.statics.OUTBOUND_TYPES = OUTBOUND_TYPES;
+
+//exportar el modelo
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
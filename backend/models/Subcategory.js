@@ -35,6 +35,13 @@ const subcategorySchema = new mongoose.Schema({
         required: [true, 'La categoria es requerida']
     },
 
+    //perfil de impuesto de los productos de la subcategoria (ver services/taxService)
+    taxProfile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxProfile',
+        default: null
+    },
+
     //Active, desactiva la subcategoria pero no la elimina
     active: {
         type: Boolean,
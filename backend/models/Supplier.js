@@ -0,0 +1,79 @@
+/**
+ * Modelo de proveedor MONGODB
+ * Define la estructura de los proveedores de productos
+ * un producto puede tener varios proveedores y un proveedor surtir muchos productos
+ * (la relacion se guarda en Product.suppliers con el SKU y el ultimo costo del proveedor)
+ */
+
+const mongoose = require('mongoose');
+
+//Campos de proveedor
+
+const supplierSchema = new mongoose.Schema({
+    //razon social del proveedor unica y requerida
+    name: {
+        type: String,
+        required: [true, 'El nombre es obligatorio'],
+        unique: true,
+        trim: true // eliminar espacion al inicio y final
+    },
+
+    //identificacion tributaria (NIT, RUT...) unica
+    taxId: {
+        type: String,
+        required: [true, 'La identificacion tributaria es obligatoria'],
+        unique: true,
+        trim: true
+    },
+
+    //datos de contacto
+    contactName: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [/\S+@\S+\.\S+/, 'El correo no es valido']
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+
+    //dias que tarda el proveedor en entregar un pedido
+    leadTimeDays: {
+        type: Number,
+        default: 0,
+        min: [0, 'El tiempo de entrega no puede ser negativo']
+    },
+
+    //Active, desactiva el proveedor pero no lo elimina
+    active: {
+        type: Boolean,
+        default: true,
+    }
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+/**
+ * MIDDLEWARE POST-SAVE
+ * traduce el error de indice unico de mongo a un mensaje claro
+ */
+supplierSchema.post('save', function(error, doc, next) {
+    if (error.name === 'MongoServerError' && error.code === 11000) {
+        return next(new Error('Ya existe un proveedor con ese nombre o identificacion'));
+    }
+    // pasar el error tal como es
+    next(error);
+});
+
+//exportar el modelo
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,52 @@
+/**
+ * modelo de perfil de impuesto MONGODB
+ * tarifa de impuesto que se asigna a una categoria, una subcategoria o un producto (ej: IVA 19%, IVA 5%, exento)
+ * el impuesto de un producto se resuelve en services/taxService, en este orden:
+ * producto, subcategoria, categoria (sin perfil el producto no lleva impuesto)
+ */
+
+const mongoose = require('mongoose');
+
+const taxProfileSchema = new mongoose.Schema({
+    //nombre del perfil unico y requerido
+    name: {
+        type: String,
+        required: [true, 'El nombre es obligatorio'],
+        unique: true,
+        trim: true
+    },
+
+    //codigo corto para usar en las consultas (iva19, exento...)
+    code: {
+        type: String,
+        required: [true, 'El codigo es obligatorio'],
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+
+    //tarifa en porcentaje (19 = 19%), 0 para exento
+    rate: {
+        type: Number,
+        required: [true, 'La tarifa es obligatoria'],
+        min: [0, 'La tarifa no puede ser negativa'],
+        max: [100, 'La tarifa no puede ser mayor al 100%']
+    },
+
+    description: {
+        type: String,
+        trim: true
+    },
+
+    //Active, un perfil inactivo no se aplica (se usa el del siguiente nivel)
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+//exportar el modelo
+module.exports = mongoose.model('TaxProfile', taxProfileSchema);
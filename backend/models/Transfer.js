@@ -0,0 +1,101 @@
+/**
+ * modelo de traslado entre bodegas MONGODB
+ * un traslado mueve varios productos de una bodega origen a una destino como un solo documento
+ * estados:
+ * draft: borrador, se puede editar o cancelar
+ * in_transit: despachado (aprobado), el stock ya salio de la bodega origen
+ * received: recibido, el stock ya entro a la bodega destino
+ * cancelled: cancelado antes de despachar
+ * registra quien despacho y quien recibio
+ */
+
+const mongoose = require('mongoose');
+
+const TRANSFER_STATUS = ['draft', 'in_transit', 'received', 'cancelled'];
+
+const transferSchema = new mongoose.Schema({
+    //consecutivo del traslado (TR-000001)
+    number: {
+        type: String,
+        unique: true,
+        required: true
+    },
+
+    //bodega de donde sale la mercancia
+    fromWarehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: [true, 'La bodega origen es obligatoria']
+    },
+
+    //bodega a donde llega la mercancia
+    toWarehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: [true, 'La bodega destino es obligatoria']
+    },
+
+    //productos y cantidades a trasladar
+    lines: [{
+        _id: false,
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: [true, 'El producto es obligatorio']
+        },
+        quantity: {
+            type: Number,
+            required: [true, 'La cantidad es obligatoria'],
+            min: [1, 'La cantidad debe ser mayor a cero']
+        },
+        //numeros de serie trasladados (obligatorio en productos serializados)
+        serials: [String],
+        //cantidad tal como se ingreso si se uso otra unidad (ver services/unitService)
+        enteredAs: {
+            unit: String,
+            quantity: Number,
+            factor: Number
+        }
+    }],
+
+    //estado del traslado
+    status: {
+        type: String,
+        enum: TRANSFER_STATUS,
+        default: 'draft'
+    },
+
+    //observaciones
+    notes: {
+        type: String,
+        trim: true
+    },
+
+    //usuario que creo el traslado
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    //usuario que aprobo y despacho el traslado (admin o coordinador)
+    dispatchedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    dispatchedAt: Date,
+
+    //usuario que recibio el traslado en la bodega destino
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    receivedAt: Date
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+transferSchema.statics.STATUS = TRANSFER_STATUS;
+
+//exportar el modelo
+module.exports = mongoose.model('Transfer', transferSchema);
@@ -0,0 +1,65 @@
+/**
+ * Modelo de bodega MONGODB
+ * Define la estructura de las bodegas (ubicaciones fisicas del inventario)
+ * el stock de cada producto se lleva por bodega (Product.stockByWarehouse)
+ * todo movimiento de inventario debe indicar la bodega afectada
+ */
+
+const mongoose = require('mongoose');
+
+//Campos de bodega
+
+const warehouseSchema = new mongoose.Schema({
+    //nombre de la bodega unico y requerido
+    name: {
+        type: String,
+        required: [true, 'El nombre es obligatorio'],
+        unique: true,
+        trim: true // eliminar espacion al inicio y final
+    },
+
+    //codigo corto de la bodega (ej: BOD-01) unico
+    code: {
+        type: String,
+        required: [true, 'El codigo es obligatorio'],
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+
+    //direccion fisica de la bodega
+    address: {
+        type: String,
+        trim: true
+    },
+
+    //Descripcion de la bodega
+    description: {
+        type: String,
+        trim: true
+    },
+
+    //Active, desactiva la bodega pero no la elimina
+    active: {
+        type: Boolean,
+        default: true,
+    }
+}, {
+    timestamps: true, // agrega createdAt y updateAt automaticamente
+    versionKey: false, // no incluir campos __v
+});
+
+/**
+ * MIDDLEWARE POST-SAVE
+ * traduce el error de indice unico de mongo a un mensaje claro
+ */
+warehouseSchema.post('save', function(error, doc, next) {
+    if (error.name === 'MongoServerError' && error.code === 11000) {
+        return next(new Error('Ya existe una bodega con ese nombre o codigo'));
+    }
+    // pasar el error tal como es
+    next(error);
+});
+
+//exportar el modelo
+module.exports = mongoose.model('Warehouse', warehouseSchema);
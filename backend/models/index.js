@@ -8,11 +8,43 @@ const User = require('./User');
 const Product = require('./Product');
 const Category = require('./Category');
 const Subcategory = require('./Subcategory');
+const StockMovement = require('./StockMovement');
+const Warehouse = require('./Warehouse');
+const Transfer = require('./Transfer');
+const Counter = require('./Counter');
+const Supplier = require('./Supplier');
+const PurchaseOrder = require('./PurchaseOrder');
+const SalesOrder = require('./SalesOrder');
+const StockAlert = require('./StockAlert');
+const Lot = require('./Lot');
+const SerialNumber = require('./SerialNumber');
+const CountSession = require('./CountSession');
+const CostLayer = require('./CostLayer');
+const PriceChange = require('./PriceChange');
+const PriceList = require('./PriceList');
+const ExchangeRate = require('./ExchangeRate');
+const TaxProfile = require('./TaxProfile');
 
 // Exportar todos los modelos
 module.exports = {
     User,
     Product,
     Category,
-    Subcategory
+    Subcategory,
+    StockMovement,
+    Warehouse,
+    Transfer,
+    Counter,
+    Supplier,
+    PurchaseOrder,
+    SalesOrder,
+    StockAlert,
+    Lot,
+    SerialNumber,
+    CountSession,
+    CostLayer,
+    PriceChange,
+    PriceList,
+    ExchangeRate,
+    TaxProfile
 };
\ No newline at end of file
@@ -0,0 +1,29 @@
+/*
+rutas de conteos fisicos
+endpoints:
+Post /api/count-sessions abre una sesion (alcance: warehouse, category y/o subcategory)
+Get /api/count-sessions lista las sesiones (filtros status y warehouse)
+Get /api/count-sessions/:id obtiene una sesion con sus lineas (auxiliares sin cantidad esperada)
+Post /api/count-sessions/:id/counts registra cantidades contadas
+Post /api/count-sessions/:id/close cierra el conteo
+Get /api/count-sessions/:id/variance informe de diferencias
+Post /api/count-sessions/:id/approve aprueba y registra los ajustes
+Post /api/count-sessions/:id/cancel cancela sin ajustes
+*/
+
+const express = require('express');
+const router = express.Router();
+const countSessionController = require('../controllers/countSessionController');
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
+
+router.post('/', verifyToken, checkRole('admin', 'coordinador'), countSessionController.createCountSession);
+router.get('/', verifyToken, countSessionController.getCountSessions);
+router.get('/:id', verifyToken, countSessionController.getCountSessionById);
+router.post('/:id/counts', verifyToken, checkRole('admin', 'coordinador', 'auxiliar'), countSessionController.submitCounts);
+router.post('/:id/close', verifyToken, checkRole('admin', 'coordinador'), countSessionController.closeCountSession);
+router.get('/:id/variance', verifyToken, checkRole('admin', 'coordinador'), countSessionController.getVarianceReport);
+router.post('/:id/approve', verifyToken, checkRole('admin', 'coordinador'), countSessionController.approveCountSession);
+router.post('/:id/cancel', verifyToken, checkRole('admin', 'coordinador'), countSessionController.cancelCountSession);
+
+module.exports = router;
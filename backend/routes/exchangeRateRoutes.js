@@ -0,0 +1,27 @@
+/*
+rutas de tasas de cambio
+define los endpoints para registrar las tasas de cada moneda contra la moneda base
+endpoints:
+Post /api/exchange-rates registra una tasa con la fecha desde la que rige
+Get /api/exchange-rates historial de tasas (filtros currency, from, to)
+Get /api/exchange-rates/current tasas vigentes en una fecha (?date=)
+Put /api/exchange-rates/:id corrige una tasa
+Delete /api/exchange-rates/:id elimina una tasa registrada por error
+los precios y valores convertidos se consultan con ?currency= en /api/products y /api/statistics
+*/
+
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
+
+//rutas crud
+
+router.post('/', verifyToken, checkRole('admin', 'coordinador'), exchangeRateController.createExchangeRate);
+router.get('/', verifyToken, exchangeRateController.getExchangeRates);
+router.get('/current', verifyToken, exchangeRateController.getCurrentRates);
+router.put('/:id', verifyToken, checkRole('admin', 'coordinador'), exchangeRateController.updateExchangeRate);
+router.delete('/:id', verifyToken, checkRole('admin'), exchangeRateController.deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+/*
+rutas de lotes
+los lotes se crean al registrar entradas de productos con manejo de lotes
+endpoints:
+Get /api/lots obtiene los lotes con existencias (filtros product y warehouse)
+Get /api/lots/expiring?days=N lotes que vencen en los proximos N dias (y los ya vencidos)
+*/
+
+const express = require('express');
+const router = express.Router();
+const lotController = require('../controllers/lotController');
+const { verifyToken } = require('../middlewares/authJwt');
+
+router.get('/', verifyToken, lotController.getLots);
+router.get('/expiring', verifyToken, lotController.getExpiringLots);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+/*
+rutas de listas de precios
+define los endpoints crud para las listas de precios (detal, mayorista...)
+endpoints:
+Post /api/price-lists crea una lista de precios
+Get /api/price-lists obtiene todas las listas
+Get /api/price-lists/:id obtiene una lista con sus precios por producto y reglas
+Put /api/price-lists/:id actualiza una lista (items y rules reemplazan la lista completa)
+Delete /api/price-lists/:id elimina o desactiva una lista
+Put /api/price-lists/:id/items/:productId fija el precio de un producto en la lista
+Delete /api/price-lists/:id/items/:productId quita un producto de la lista
+el precio efectivo se consulta con GET /api/products?priceList=codigo
+*/
+
+const express = require('express');
+const router = express.Router();
+const priceListController = require('../controllers/priceListController');
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
+
+//rutas crud
+
+router.post('/', verifyToken, checkRole('admin', 'coordinador'), priceListController.createPriceList);
+router.get('/', verifyToken, priceListController.getPriceLists);
+router.get('/:id', verifyToken, priceListController.getPriceListById);
+router.put('/:id', verifyToken, checkRole('admin', 'coordinador'), priceListController.updatePriceList);
+router.delete('/:id', verifyToken, checkRole('admin'), priceListController.deletePriceList);
+
+//precios por producto
+
+router.put('/:id/items/:productId', verifyToken, checkRole('admin', 'coordinador'), priceListController.setPriceListItem);
+router.delete('/:id/items/:productId', verifyToken, checkRole('admin', 'coordinador'), priceListController.removePriceListItem);
+
+module.exports = router;
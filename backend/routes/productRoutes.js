@@ -5,14 +5,42 @@
  * endpoints:
  * Post /api/products crea una nueva subcategoria
  * Get /api/products obtiene todas las productos
+ * Get /api/products/lookup?code= busca un producto por sku o codigo de barras (lectores)
+ * Get /api/products/labels etiquetas SVG/PDF de varios productos (filtros category y subcategory)
+ * Get /api/products/low-stock productos bajo su punto de reorden, por categoria y subcategoria
+ * Get /api/products/abc clasificacion ABC actual (resumen por clase y productos por valor de consumo)
+ * Post /api/products/abc recalcula la clasificacion ABC (days, cutoffs)
+ * Get /api/products/dead-stock productos con stock sin salidas en N dias (days), por categoria y subcategoria
+ * Post /api/products/dead-stock/deactivate desactiva los productos seleccionados del reporte (productIds, days)
  * Get /api/products/:id obtiene una subcategoria por id
  * Put /api/products/:id actualiza una subcategoria por id
  * Delete /api/products/:id elimina una subcategoria/desactivar 
+ * Get /api/products/:id/variants variantes de un producto padre con su stock sumado
+ * Post /api/products/:id/variants crea una variante (attributes, sku, precio y stock propios)
+ * Post /api/products/:id/assemble arma kits con sus componentes (warehouse, quantity)
+ * Post /api/products/:id/disassemble desarma kits y devuelve sus componentes
+ * Get /api/products/:id/prices historial de precios y precios programados
+ * Post /api/products/:id/prices programa un precio futuro (price, effectiveAt)
+ * Delete /api/products/:id/prices/:changeId cancela un precio programado
+ * Get /api/products/:id/label etiqueta SVG/PDF del producto (nombre, precio, codigo de barras y QR)
+ * Get /api/products/:id/movements historial de movimientos de inventario
+ * Get /api/products/:id/kardex kardex con saldos en cantidad y valor (from, to, format=json|csv|pdf)
+ * Post /api/products/:id/movements registra una entrada, salida o ajuste de stock
+ * Get /api/products/:id/serials numeros de serie del producto (filtros status y warehouse)
+ * Get /api/products/:id/serials/:serialNumber una serie con su historial
+ * Put /api/products/:id/suppliers/:supplierId asocia un proveedor (sku y ultimo costo)
+ * Delete /api/products/:id/suppliers/:supplierId quita un proveedor del producto
  */
 
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
+const stockMovementController = require('../controllers/stockMovementController');
+const serialNumberController = require('../controllers/serialNumberController');
+const labelController = require('../controllers/labelController');
+const kitController = require('../controllers/kitController');
+const priceController = require('../controllers/priceController');
+const abcController = require('../controllers/abcController');
 const { check } = require('express-validator');
 const { verifyToken } = require('../middlewares/authJwt');
 const { checkRole } = require('../middlewares/role')
@@ -56,6 +84,39 @@ router.get('/',
     verifyToken, 
     productController.getProducts);
 
+//deben ir antes de /:id para que lookup, labels, low-stock, abc y dead-stock no se tomen como un id
+router.get('/lookup',
+    verifyToken,
+    productController.lookupProduct);
+
+router.get('/labels',
+    verifyToken,
+    labelController.getProductLabels);
+
+router.get('/low-stock',
+    verifyToken,
+    productController.getLowStockProducts);
+
+router.get('/abc',
+    verifyToken,
+    abcController.getAbcClassification);
+
+router.post('/abc',
+    verifyToken,
+    checkRole('admin','coordinador'),
+    abcController.classifyAbc
+);
+
+router.get('/dead-stock',
+    verifyToken,
+    productController.getDeadStockProducts);
+
+router.post('/dead-stock/deactivate',
+    verifyToken,
+    checkRole('admin'),
+    productController.deactivateDeadStock
+);
+
 router.get('/:id', 
     verifyToken,
     productController.getProductById);
@@ -72,5 +133,96 @@ router.delete('/:id',
     productController.deleteProduct
 );
 
+//Rutas de variantes (producto padre con productos hijos)
+
+router.get('/:id/variants',
+    verifyToken,
+    productController.getVariants);
+
+router.post('/:id/variants',
+    verifyToken,
+    checkRole('admin','coordinador','auxiliar'),
+    productController.createVariant
+);
+
+//Rutas de armado de kits
+
+router.post('/:id/assemble',
+    verifyToken,
+    checkRole('admin','coordinador','auxiliar'),
+    kitController.assembleKit
+);
+
+router.post('/:id/disassemble',
+    verifyToken,
+    checkRole('admin','coordinador','auxiliar'),
+    kitController.disassembleKit
+);
+
+//Rutas de precios (historial y precios programados)
+
+router.get('/:id/prices',
+    verifyToken,
+    priceController.getPrices);
+
+router.post('/:id/prices',
+    verifyToken,
+    checkRole('admin','coordinador'),
+    priceController.schedulePrice
+);
+
+router.delete('/:id/prices/:changeId',
+    verifyToken,
+    checkRole('admin','coordinador'),
+    priceController.cancelScheduledPrice
+);
+
+//Etiqueta imprimible del producto
+
+router.get('/:id/label',
+    verifyToken,
+    labelController.getProductLabel);
+
+//Rutas de movimientos de inventario (kardex)
+
+router.get('/:id/movements',
+    verifyToken,
+    stockMovementController.getMovements);
+
+router.get('/:id/kardex',
+    verifyToken,
+    checkRole('admin','coordinador'),
+    stockMovementController.getKardex);
+
+router.post('/:id/movements',
+    verifyToken,
+    checkRole('admin','coordinador','auxiliar'),
+    stockMovementController.createMovement
+);
+
+//Rutas de numeros de serie (productos serializados)
+
+router.get('/:id/serials',
+    verifyToken,
+    serialNumberController.getSerials);
+
+router.get('/:id/serials/:serialNumber',
+    verifyToken,
+    serialNumberController.getSerialByNumber);
+
+//Rutas de proveedores del producto
+
+router.put('/:id/suppliers/:supplierId',
+    verifyToken,
+    checkRole('admin','coordinador'),
+    productController.setProductSupplier
+);
+
+router.delete('/:id/suppliers/:supplierId',
+    verifyToken,
+    checkRole('admin','coordinador'),
+    productController.removeProductSupplier
+);
+
 module.exports = router;
 
@@ -0,0 +1,29 @@
+/*
+rutas de ordenes de compra
+endpoints:
+Post /api/purchase-orders crea una orden en borrador (admin, coordinador)
+Get /api/purchase-orders obtiene las ordenes de compra
+Get /api/purchase-orders/:id obtiene una orden por id
+Put /api/purchase-orders/:id edita una orden en borrador (admin, coordinador)
+Post /api/purchase-orders/:id/send aprueba y envia la orden (admin, coordinador)
+Post /api/purchase-orders/:id/receive recibe mercancia total o parcial (admin, coordinador, auxiliar)
+Post /api/purchase-orders/:id/cancel cancela la orden (admin, coordinador)
+*/
+
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
+
+router.post('/', verifyToken, checkRole('admin', 'coordinador'), purchaseOrderController.createPurchaseOrder);
+router.get('/', verifyToken, purchaseOrderController.getPurchaseOrders);
+router.get('/:id', verifyToken, purchaseOrderController.getPurchaseOrderById);
+router.put('/:id', verifyToken, checkRole('admin', 'coordinador'), purchaseOrderController.updatePurchaseOrder);
+
+//flujo de la orden
+router.post('/:id/send', verifyToken, checkRole('admin', 'coordinador'), purchaseOrderController.sendPurchaseOrder);
+router.post('/:id/receive', verifyToken, checkRole('admin', 'coordinador', 'auxiliar'), purchaseOrderController.receivePurchaseOrder);
+router.post('/:id/cancel', verifyToken, checkRole('admin', 'coordinador'), purchaseOrderController.cancelPurchaseOrder);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/*
+rutas de ordenes de venta / despacho
+endpoints:
+Post /api/sales-orders crea una orden en borrador
+Get /api/sales-orders obtiene las ordenes de venta
+Get /api/sales-orders/:id obtiene una orden por id
+Put /api/sales-orders/:id edita una orden en borrador
+Post /api/sales-orders/:id/confirm confirma la orden y reserva stock
+Post /api/sales-orders/:id/dispatch despacha la orden y consume el stock reservado
+Post /api/sales-orders/:id/cancel cancela la orden y libera reservas (admin, coordinador)
+*/
+
+const express = require('express');
+const router = express.Router();
+const salesOrderController = require('../controllers/salesOrderController');
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
+
+router.post('/', verifyToken, checkRole('admin', 'coordinador', 'auxiliar'), salesOrderController.createSalesOrder);
+router.get('/', verifyToken, salesOrderController.getSalesOrders);
+router.get('/:id', verifyToken, salesOrderController.getSalesOrderById);
+router.put('/:id', verifyToken, checkRole('admin', 'coordinador', 'auxiliar'), salesOrderController.updateSalesOrder);
+
+//flujo de la orden
+router.post('/:id/confirm', verifyToken, checkRole('admin', 'coordinador', 'auxiliar'), salesOrderController.confirmSalesOrder);
+router.post('/:id/dispatch', verifyToken, checkRole('admin', 'coordinador', 'auxiliar'), salesOrderController.dispatchSalesOrder);
+router.post('/:id/cancel', verifyToken, checkRole('admin', 'coordinador'), salesOrderController.cancelSalesOrder);
+
+module.exports = router;
@@ -5,9 +5,17 @@ define el endpoints para obtener las estadisticas  generales del sistema
 
 const express = require ('express');
 const router = express.Router();
-const {getStatistics} = require('../controllers/statisticsController')
+const {getStatistics, getValuation, getCategoryStatistics} = require('../controllers/statisticsController')
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
 
-// get /api/statistics obtiene las estadisticas del sistema
-router.get('/', getStatistics);
+// get /api/statistics obtiene las estadisticas del sistema y sus series (from, to, groupBy=day|week|month)
+router.get('/', verifyToken, getStatistics);
+
+// get /api/statistics/valuation valor del inventario por categoria y subcategoria a una fecha
+router.get('/valuation', verifyToken, checkRole('admin', 'coordinador'), getValuation);
+
+// get /api/statistics/categories productos, stock, valor y agotados por categoria y subcategoria
+router.get('/categories', verifyToken, getCategoryStatistics);
 
 module.exports = router;
\ No newline at end of file
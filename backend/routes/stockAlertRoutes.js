@@ -0,0 +1,18 @@
+/*
+rutas de alertas de stock
+las alertas se generan solas cuando un producto baja de su punto de reorden
+endpoints:
+Get /api/alerts obtiene las alertas (filtros status y product)
+Post /api/alerts/:id/acknowledge marca una alerta como atendida
+*/
+
+const express = require('express');
+const router = express.Router();
+const stockAlertController = require('../controllers/stockAlertController');
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
+
+router.get('/', verifyToken, stockAlertController.getAlerts);
+router.post('/:id/acknowledge', verifyToken, checkRole('admin', 'coordinador', 'auxiliar'), stockAlertController.acknowledgeAlert);
+
+module.exports = router;
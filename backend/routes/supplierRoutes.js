@@ -0,0 +1,26 @@
+/*
+rutas de proveedores
+define los endpoints crud para la gestion de proveedores
+endpoints:
+Post /api/suppliers crea un nuevo proveedor
+Get /api/suppliers obtiene todos los proveedores
+Get /api/suppliers/:id obtiene un proveedor y los productos que surte
+Put /api/suppliers/:id actualiza un proveedor por id
+Delete /api/suppliers/:id elimina o desactiva un proveedor por id
+*/
+
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplierController');
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
+
+//rutas crud
+
+router.post('/', verifyToken, checkRole('admin', 'coordinador'), supplierController.createSupplier);
+router.get('/', verifyToken, supplierController.getSuppliers);
+router.get('/:id', verifyToken, supplierController.getSupplierById);
+router.put('/:id', verifyToken, checkRole('admin', 'coordinador'), supplierController.updateSupplier);
+router.delete('/:id', verifyToken, checkRole('admin'), supplierController.deleteSupplier);
+
+module.exports = router;
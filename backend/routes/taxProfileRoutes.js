@@ -0,0 +1,27 @@
+/*
+rutas de perfiles de impuesto
+define los endpoints crud para los perfiles de impuesto (IVA 19%, IVA 5%, exento...)
+endpoints:
+Post /api/tax-profiles crea un perfil
+Get /api/tax-profiles obtiene todos los perfiles
+Get /api/tax-profiles/:id obtiene un perfil y cuantas categorias, subcategorias y productos lo usan
+Put /api/tax-profiles/:id actualiza un perfil
+Delete /api/tax-profiles/:id elimina o desactiva un perfil
+los perfiles se asignan con taxProfile en /api/categories, /api/subcategories y /api/products
+*/
+
+const express = require('express');
+const router = express.Router();
+const taxProfileController = require('../controllers/taxProfileController');
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
+
+//rutas crud
+
+router.post('/', verifyToken, checkRole('admin', 'coordinador'), taxProfileController.createTaxProfile);
+router.get('/', verifyToken, taxProfileController.getTaxProfiles);
+router.get('/:id', verifyToken, taxProfileController.getTaxProfileById);
+router.put('/:id', verifyToken, checkRole('admin', 'coordinador'), taxProfileController.updateTaxProfile);
+router.delete('/:id', verifyToken, checkRole('admin'), taxProfileController.deleteTaxProfile);
+
+module.exports = router;
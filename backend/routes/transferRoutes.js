@@ -0,0 +1,29 @@
+/*
+rutas de traslados entre bodegas
+endpoints:
+Post /api/transfers crea un traslado en borrador
+Get /api/transfers obtiene los traslados
+Get /api/transfers/:id obtiene un traslado por id
+Put /api/transfers/:id edita un traslado en borrador
+Post /api/transfers/:id/dispatch aprueba y despacha el traslado (admin, coordinador)
+Post /api/transfers/:id/receive recibe el traslado en la bodega destino
+Post /api/transfers/:id/cancel cancela un traslado en borrador (admin, coordinador)
+*/
+
+const express = require('express');
+const router = express.Router();
+const transferController = require('../controllers/transferController');
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
+
+router.post('/', verifyToken, checkRole('admin', 'coordinador', 'auxiliar'), transferController.createTransfer);
+router.get('/', verifyToken, transferController.getTransfers);
+router.get('/:id', verifyToken, transferController.getTransferById);
+router.put('/:id', verifyToken, checkRole('admin', 'coordinador', 'auxiliar'), transferController.updateTransfer);
+
+//flujo del traslado
+router.post('/:id/dispatch', verifyToken, checkRole('admin', 'coordinador'), transferController.dispatchTransfer);
+router.post('/:id/receive', verifyToken, checkRole('admin', 'coordinador', 'auxiliar'), transferController.receiveTransfer);
+router.post('/:id/cancel', verifyToken, checkRole('admin', 'coordinador'), transferController.cancelTransfer);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/*
+rutas de bodegas
+define los endpoints crud para la gestion de bodegas
+las bodegas son las ubicaciones donde se guarda el stock de los productos
+endpoints:
+Post /api/warehouses crea una nueva bodega
+Get /api/warehouses obtiene todas las bodegas
+Get /api/warehouses/:id obtiene una bodega y sus productos con stock
+Put /api/warehouses/:id actualiza una bodega por id
+Delete /api/warehouses/:id elimina o desactiva una bodega por id
+*/
+
+const express = require('express');
+const router = express.Router();
+const warehouseController = require('../controllers/warehouseController');
+const { verifyToken } = require('../middlewares/authJwt');
+const { checkRole } = require('../middlewares/role');
+
+//rutas crud
+
+router.post('/', verifyToken, checkRole('admin', 'coordinador'), warehouseController.createWarehouse);
+router.get('/', verifyToken, warehouseController.getWarehouses);
+router.get('/:id', verifyToken, warehouseController.getWarehouseById);
+router.put('/:id', verifyToken, checkRole('admin', 'coordinador'), warehouseController.updateWarehouse);
+router.delete('/:id', verifyToken, checkRole('admin'), warehouseController.deleteWarehouse);
+
+module.exports = router;
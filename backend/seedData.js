@@ -13,20 +13,47 @@ const dbConfig = require('./config/db');
 const Category = require('./models/Category');
 const Subcategory = require('./models/Subcategory');
 const Product = require('./models/Product');
+const StockMovement = require('./models/StockMovement');
+const Warehouse = require('./models/Warehouse');
+const SerialNumber = require('./models/SerialNumber');
+const CostLayer = require('./models/CostLayer');
+const PriceList = require('./models/PriceList');
+const ExchangeRate = require('./models/ExchangeRate');
+const TaxProfile = require('./models/TaxProfile');
 
 async function seedData() { // Función async que inserta datos de ejemplo en la BD
   await mongoose.connect(dbConfig.url, { useNewUrlParser: true, useUnifiedTopology: true }); // Conecta a MongoDB usando la URL de dbConfig
 
   // Limpiar datos previos
+  await StockMovement.deleteMany({}); // Elimina el historial de movimientos (kardex) de los productos anteriores
+  await CostLayer.deleteMany({}); // Elimina las capas de costo de los productos anteriores
+  await SerialNumber.deleteMany({}); // Elimina los numeros de serie de los productos anteriores
   await Product.deleteMany({}); // Elimina TODOS los productos existentes (tabla limpia antes de insertar)
   await Subcategory.deleteMany({}); // Elimina TODAS las subcategorías existentes
   await Category.deleteMany({}); // Elimina TODAS las categorías existentes
+  await Warehouse.deleteMany({}); // Elimina TODAS las bodegas existentes
+  await PriceList.deleteMany({}); // Elimina las listas de precios existentes
+  await ExchangeRate.deleteMany({}); // Elimina las tasas de cambio existentes
+  await TaxProfile.deleteMany({}); // Elimina los perfiles de impuesto existentes
+
+  // Crear bodegas
+  const warehouses = await Warehouse.insertMany([ // Inserta las bodegas donde se guarda el stock
+    { name: 'Bodega principal', code: 'BOD-01', address: 'Sede central' }, // Bodega 0: recibe el inventario inicial
+    { name: 'Bodega norte', code: 'BOD-02', address: 'Sucursal norte' }    // Bodega 1: sin stock inicial
+  ]);
 
   // Crear categorías
+  // Perfiles de impuesto: IVA general, IVA reducido y exento
+  const taxProfiles = await TaxProfile.insertMany([
+    { name: 'IVA 19%', code: 'iva19', rate: 19, description: 'Tarifa general' }, // taxProfiles[0]
+    { name: 'IVA 5%', code: 'iva5', rate: 5, description: 'Tarifa reducida' },   // taxProfiles[1]
+    { name: 'Exento', code: 'exento', rate: 0 }                                   // taxProfiles[2]
+  ]);
+
   const categories = await Category.insertMany([ // Inserta múltiples categorías en un solo comando; retorna array con los documentos creados (incluye sus _id)
-    { name: 'Electrónica', description: 'Dispositivos electrónicos' }, // Categoría 0: categories[0]
-    { name: 'Ropa', description: 'Prendas de vestir' },                  // Categoría 1: categories[1]
-    { name: 'Hogar', description: 'Artículos para el hogar' }           // Categoría 2: categories[2]
+    { name: 'Electrónica', description: 'Dispositivos electrónicos', taxProfile: taxProfiles[0]._id }, // Categoría 0: categories[0] (IVA 19%)
+    { name: 'Ropa', description: 'Prendas de vestir', taxProfile: taxProfiles[0]._id },                  // Categoría 1: categories[1] (IVA 19%)
+    { name: 'Hogar', description: 'Artículos para el hogar', taxProfile: taxProfiles[0]._id }           // Categoría 2: categories[2] (IVA 19%)
   ]);
 
   // Crear subcategorías
@@ -35,19 +62,108 @@ async function seedData() { // Función async que inserta datos de ejemplo en la
     { name: 'Laptops', description: 'Subcategoría de laptops', category: categories[0]._id },    // Hijo de Electrónica; subcategories[1]
     { name: 'Camisetas', description: 'Subcategoría de camisetas', category: categories[1]._id }, // Hijo de Ropa; subcategories[2]
     { name: 'Pantalones', description: 'Subcategoría de pantalones', category: categories[1]._id }, // Hijo de Ropa; subcategories[3]
-    { name: 'Cocina', description: 'Subcategoría de cocina', category: categories[2]._id },       // Hijo de Hogar; subcategories[4]
+    { name: 'Cocina', description: 'Subcategoría de cocina', category: categories[2]._id, taxProfile: taxProfiles[1]._id }, // Hijo de Hogar; subcategories[4] (IVA 5%)
     { name: 'Decoración', description: 'Subcategoría de decoración', category: categories[2]._id } // Hijo de Hogar; subcategories[5]
   ]);
 
   // Crear productos
-  await Product.insertMany([ // Inserta productos referenciando los _id de categorías y subcategorías creadas
-    { name: 'iPhone 14', description: 'Smartphone Apple', price: 1200, stock: 10, subcategory: subcategories[0]._id, category: categories[0]._id }, // Celular de Electrónica
-    { name: 'Samsung Galaxy S23', description: 'Smartphone Samsung', price: 1000, stock: 15, subcategory: subcategories[0]._id, category: categories[0]._id }, // Celular de Electrónica
-    { name: 'MacBook Pro', description: 'Laptop Apple', price: 2500, stock: 5, subcategory: subcategories[1]._id, category: categories[0]._id }, // Laptop de Electrónica
-    { name: 'Camiseta básica', description: 'Camiseta de algodón', price: 20, stock: 50, subcategory: subcategories[2]._id, category: categories[1]._id }, // Camiseta de Ropa
-    { name: 'Pantalón jeans', description: 'Pantalón de mezclilla', price: 40, stock: 30, subcategory: subcategories[3]._id, category: categories[1]._id }, // Pantalón de Ropa
-    { name: 'Sartén antiadherente', description: 'Para cocina', price: 30, stock: 20, subcategory: subcategories[4]._id, category: categories[2]._id }, // Cocina de Hogar
-    { name: 'Florero decorativo', description: 'Para sala', price: 25, stock: 25, subcategory: subcategories[5]._id, category: categories[2]._id } // Decoración de Hogar
+  const products = await Product.insertMany([ // Inserta productos referenciando los _id de categorías y subcategorías creadas
+    { name: 'iPhone 14', sku: 'IPH-14', barcodes: [{ code: '7701234000011', type: 'ean13' }], description: 'Smartphone Apple', price: 1200, cost: 900, stock: 10, serialized: true, stockByWarehouse: [{ warehouse: warehouses[0]._id, quantity: 10 }], subcategory: subcategories[0]._id, category: categories[0]._id }, // Celular de Electrónica
+    { name: 'Samsung Galaxy S23', sku: 'SAM-S23', barcodes: [{ code: '7701234000028', type: 'ean13' }], description: 'Smartphone Samsung', price: 1000, cost: 750, stock: 15, stockByWarehouse: [{ warehouse: warehouses[0]._id, quantity: 15 }], subcategory: subcategories[0]._id, category: categories[0]._id }, // Celular de Electrónica
+    { name: 'MacBook Pro', sku: 'MBP-01', barcodes: [{ code: '7701234000035', type: 'ean13' }], description: 'Laptop Apple', price: 2500, cost: 1900, stock: 5, serialized: true, stockByWarehouse: [{ warehouse: warehouses[0]._id, quantity: 5 }], subcategory: subcategories[1]._id, category: categories[0]._id }, // Laptop de Electrónica
+    { name: 'Camiseta básica', sku: 'CAM-BAS', barcodes: [{ code: '7701234000042', type: 'ean13' }], description: 'Camiseta de algodón', price: 20, cost: 8, stock: 0, units: [{ name: 'paquete', factor: 5 }, { name: 'caja', factor: 25 }], variantAttributes: ['talla', 'color'], subcategory: subcategories[2]._id, category: categories[1]._id }, // Camiseta de Ropa, padre de variantes (el stock va en cada talla y color)
+    { name: 'Pantalón jeans', sku: 'PAN-JEA', barcodes: [{ code: '7701234000059', type: 'ean13' }], description: 'Pantalón de mezclilla', price: 40, cost: 18, stock: 0, variantAttributes: ['talla'], subcategory: subcategories[3]._id, category: categories[1]._id }, // Pantalón de Ropa, padre de variantes por talla
+    { name: 'Sartén antiadherente', sku: 'SAR-ANT', barcodes: [{ code: '7701234000066', type: 'ean13' }], description: 'Para cocina', price: 30, cost: 15, stock: 20, units: [{ name: 'caja', factor: 4 }], stockByWarehouse: [{ warehouse: warehouses[0]._id, quantity: 20 }], subcategory: subcategories[4]._id, category: categories[2]._id }, // Cocina de Hogar
+    { name: 'Florero decorativo', sku: 'FLO-DEC', barcodes: [{ code: '7701234000073', type: 'ean13' }], description: 'Para sala', price: 25, cost: 10, stock: 25, stockByWarehouse: [{ warehouse: warehouses[0]._id, quantity: 25 }], subcategory: subcategories[5]._id, category: categories[2]._id } // Decoración de Hogar
+  ]);
+
+  // Variantes de la ropa: cada combinacion de talla y color es un producto con su sku y stock
+  const shirt = products.find(product => product.name === 'Camiseta básica'); // Padre de las camisetas
+  const jeans = products.find(product => product.name === 'Pantalón jeans');  // Padre de los pantalones
+  const variantOf = (parent, attributes, stock, price) => ({ // Datos heredados del padre mas los propios de la variante
+    name: `${parent.name} ${Object.values(attributes).join(' / ')}`,
+    sku: `${parent.sku}-${Object.values(attributes).map(value => value.substring(0, 3).toUpperCase()).join('-')}`,
+    description: parent.description,
+    price: price || parent.price,
+    priceOverride: Boolean(price),
+    cost: parent.cost,
+    stock,
+    stockByWarehouse: [{ warehouse: warehouses[0]._id, quantity: stock }],
+    units: parent.units,
+    parent: parent._id,
+    attributes,
+    category: parent.category,
+    subcategory: parent.subcategory
+  });
+  const variants = await Product.insertMany([
+    variantOf(shirt, { talla: 'M', color: 'Blanco' }, 15),
+    variantOf(shirt, { talla: 'L', color: 'Blanco' }, 15),
+    variantOf(shirt, { talla: 'M', color: 'Negro' }, 10),
+    variantOf(shirt, { talla: 'XL', color: 'Negro' }, 10, 22), // Talla grande con precio propio
+    variantOf(jeans, { talla: '30' }, 10),
+    variantOf(jeans, { talla: '32' }, 12),
+    variantOf(jeans, { talla: '34' }, 8)
+  ]);
+
+  // Series de los productos serializados: una por unidad del stock inicial (ej: IPH-0001)
+  const serialsByProduct = {}; // Numeros de serie de cada producto serializado
+  products.filter(product => product.serialized).forEach(product => {
+    const prefix = product.name.replace(/[^A-Za-z]/g, '').substring(0, 3).toUpperCase(); // Prefijo a partir del nombre
+    serialsByProduct[product._id] = Array.from({ length: product.stock }, (_, i) => `${prefix}-${String(i + 1).padStart(4, '0')}`);
+  });
+  await SerialNumber.insertMany(Object.entries(serialsByProduct).flatMap(([productId, serials]) => serials.map(serialNumber => ({
+    product: productId,
+    serialNumber,
+    warehouse: warehouses[0]._id,
+    status: 'in_stock',
+    history: [{ status: 'in_stock', warehouse: warehouses[0]._id, action: 'entry', reference: 'Inventario inicial' }]
+  }))));
+
+  // Capas de costo del stock inicial: una por producto con stock, al costo de referencia
+  const stocked = [...products, ...variants].filter(product => product.stock > 0); // Productos con stock inicial
+  const layers = await CostLayer.insertMany(stocked.map(product => ({
+    product: product._id,
+    warehouse: warehouses[0]._id,
+    unitCost: product.cost,
+    quantity: product.stock,
+    remaining: product.stock,
+    reference: 'Inventario inicial'
+  })));
+
+  // Registrar el stock inicial como movimientos de entrada
+  await StockMovement.insertMany(stocked.map((product, i) => ({ // Un movimiento por producto con stock para que el stock coincida con la suma del kardex
+    product: product._id,
+    warehouse: warehouses[0]._id,
+    type: 'entry',
+    quantity: product.stock,
+    unitCost: product.cost,
+    totalCost: product.cost * product.stock, // Valor con el que el stock entra a la valoracion
+    costLayers: [{ layer: layers[i]._id, quantity: product.stock, unitCost: product.cost }],
+    reason: 'Inventario inicial',
+    balance: product.stock,
+    warehouseBalance: product.stock,
+    serials: serialsByProduct[product._id] || []
+  })));
+
+  // Listas de precios: detal usa el precio base, mayorista tiene descuentos
+  await PriceList.insertMany([
+    { name: 'Detal', code: 'detal', description: 'Venta al publico (precio base)' },
+    {
+      name: 'Mayorista', code: 'mayorista', description: 'Clientes mayoristas',
+      items: [{ product: products[1]._id, price: 900 }], // Precio fijo del Samsung Galaxy S23
+      rules: [
+        { category: categories[1]._id, percent: -15 },                                   // 15% menos en toda la ropa
+        { category: categories[2]._id, subcategory: subcategories[4]._id, percent: -10 } // 10% menos en cocina
+      ]
+    }
+  ]);
+
+  // Tasas de cambio contra la moneda base: USD con una tasa anterior y la vigente
+  const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // Fecha de hace 30 dias
+  await ExchangeRate.insertMany([
+    { currency: 'USD', rate: 4100, date: monthAgo, notes: 'Tasa del mes anterior' },
+    { currency: 'USD', rate: 3950, date: new Date(), notes: 'Tasa vigente' },
+    { currency: 'EUR', rate: 4300, date: monthAgo }
   ]);
 
   console.log('Datos de ejemplo insertados correctamente.'); // Confirma en consola que todos los datos se insertaron
@@ -12,6 +12,8 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
 const config = require('./config');
+const { startPriceScheduler } = require('./services/priceService');
+const { startAbcScheduler } = require('./services/abcService');
 
 /*
 validaciones iniciales
@@ -38,6 +40,17 @@ const productRoutes = require('./routes/productRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
 const subcategoryRoutes = require('./routes/subcategoryRoutes');
 const statisticsRoutes = require('./routes/statisticsRoutes');
+const warehouseRoutes = require('./routes/warehouseRoutes');
+const transferRoutes = require('./routes/transferRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const salesOrderRoutes = require('./routes/salesOrderRoutes');
+const stockAlertRoutes = require('./routes/stockAlertRoutes');
+const lotRoutes = require('./routes/lotRoutes');
+const countSessionRoutes = require('./routes/countSessionRoutes');
+const priceListRoutes = require('./routes/priceListRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const taxProfileRoutes = require('./routes/taxProfileRoutes');
 
 
 const app = express();
@@ -56,7 +69,13 @@ app.use(express.urlencoded({extended:true})); // parse form-encoded bodies
 
 //coneion a mongo db
 mongoose.connect(mongoUri, config.DB.OPTIONS)
-    .then(() => console.log('MongoDB conectado exitosamente'))
+    .then(() => {
+        console.log('MongoDB conectado exitosamente');
+        //aplica los precios programados cuando llega su fecha
+        startPriceScheduler();
+        //recalcula la clasificacion ABC de los productos
+        startAbcScheduler();
+    })
     .catch(err => {
         console.error('Error al conectar a MongoDB:', err.message);
         process.exit(1);
@@ -70,6 +89,17 @@ app.use('/api/products', productRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/subcategories', subcategoryRoutes);
 app.use('/api/statistics', statisticsRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/sales-orders', salesOrderRoutes);
+app.use('/api/alerts', stockAlertRoutes);
+app.use('/api/lots', lotRoutes);
+app.use('/api/count-sessions', countSessionRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/tax-profiles', taxProfileRoutes);
 
 //ruta base opcional para verificar que el servidor responde
 app.get('/', (req, res) => res.send('Backend funcionando'));
@@ -0,0 +1,143 @@
+/**
+ * servicio de clasificacion ABC
+ * ordena los productos por su valor de consumo: costo de las salidas (exit) del periodo, en la moneda base
+ * y los clasifica con cortes sobre el valor acumulado (por defecto 80/15/5):
+ * A mientras el acumulado antes del producto no llega al corte de A (el primero siempre es A)
+ * B mientras no llega a A + B, C el resto y los productos sin consumo
+ * solo se clasifican productos activos sin variantes (los padre no mueven stock), los demas quedan sin clase
+ * la clasificacion se guarda en el producto (abcClass, abcValue, abcClassifiedAt)
+ * y se recalcula por la API o cada ABC.SCHEDULER_INTERVAL ms
+ */
+
+const config = require('../config');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+//montos y porcentajes con dos decimales
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * valida el periodo y los cortes de una clasificacion
+ * @param {Object} options { days, cutoffs: { A, B, C } } sin valores usa los de config ABC
+ * @returns {{error: string|null, days: number, cutoffs: {A: number, B: number, C: number}}}
+ */
+const validateAbcOptions = ({ days, cutoffs } = {}) => {
+    const period = days !== undefined ? Number(days) : config.ABC.PERIOD_DAYS;
+    if (!Number.isInteger(period) || period <= 0) return { error: 'el periodo debe ser un numero entero de dias mayor a cero' };
+
+    const source = cutoffs || {};
+    const A = source.A !== undefined ? Number(source.A) : config.ABC.CUTOFFS.A;
+    const B = source.B !== undefined ? Number(source.B) : config.ABC.CUTOFFS.B;
+    if (!Number.isFinite(A) || !Number.isFinite(B) || A <= 0 || B < 0 || A + B > 100) {
+        return { error: 'los cortes deben ser porcentajes, A mayor a cero y A + B hasta 100' };
+    }
+    const C = round(100 - A - B);
+    if (source.C !== undefined && Number(source.C) !== C) {
+        return { error: 'los cortes A, B y C deben sumar 100' };
+    }
+    return { error: null, days: period, cutoffs: { A, B, C } };
+};
+
+/**
+ * calcula y guarda la clasificacion ABC
+ * @param {Object} options { days, cutoffs } ya validados (ver validateAbcOptions)
+ * @param {Date} now fecha de corte del periodo
+ * @returns {Promise<{classifiedAt, from, to, days, cutoffs, totalValue, summary, products}>}
+ * products: ranking de mayor a menor valor con value, share, cumulativeShare y abcClass
+ */
+const classifyProducts = async ({ days, cutoffs }, now = new Date()) => {
+    const from = new Date(now.getTime() - days * DAY);
+    const [products, consumption] = await Promise.all([
+        Product.find({ active: { $ne: false }, 'variantAttributes.0': { $exists: false } }).select('name sku'),
+        StockMovement.aggregate([
+            { $match: { type: 'exit', createdAt: { $gte: from, $lte: now } } },
+            { $group: { _id: '$product', units: { $sum: '$quantity' }, value: { $sum: { $ifNull: ['$totalCost', 0] } } } }
+        ])
+    ]);
+
+    const byProduct = new Map(consumption.map(item => [String(item._id), item]));
+    const ranked = products
+        .map(product => {
+            const item = byProduct.get(String(product._id));
+            return { _id: product._id, name: product.name, sku: product.sku, units: item ? item.units : 0, value: item ? round(item.value) : 0 };
+        })
+        .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+
+    const totalValue = round(ranked.reduce((sum, item) => sum + item.value, 0));
+    const summary = Object.fromEntries(Product.ABC_CLASSES.map(abcClass => [abcClass, { products: 0, value: 0, share: 0 }]));
+    let cumulative = 0;
+    ranked.forEach(item => {
+        const before = totalValue > 0 ? cumulative / totalValue * 100 : 100;
+        if (item.value > 0 && before < cutoffs.A) item.abcClass = 'A';
+        else if (item.value > 0 && before < cutoffs.A + cutoffs.B) item.abcClass = 'B';
+        else item.abcClass = 'C';
+        cumulative += item.value;
+        item.share = totalValue > 0 ? round(item.value / totalValue * 100) : 0;
+        item.cumulativeShare = totalValue > 0 ? round(cumulative / totalValue * 100) : 0;
+
+        const group = summary[item.abcClass];
+        group.products++;
+        group.value += item.value;
+    });
+    Object.values(summary).forEach(group => {
+        group.value = round(group.value);
+        group.share = totalValue > 0 ? round(group.value / totalValue * 100) : 0;
+    });
+
+    //guarda la clase de cada producto y limpia la de los que ya no se clasifican (inactivos o padre)
+    if (ranked.length > 0) {
+        await Product.bulkWrite(ranked.map(item => ({
+            updateOne: {
+                filter: { _id: item._id },
+                update: { abcClass: item.abcClass, abcValue: item.value, abcClassifiedAt: now }
+            }
+        })));
+    }
+    await Product.updateMany(
+        { _id: { $nin: ranked.map(item => item._id) }, abcClass: { $ne: null } },
+        { abcClass: null, abcValue: null, abcClassifiedAt: null }
+    );
+
+    return { classifiedAt: now, from, to: now, days, cutoffs, totalValue, summary, products: ranked };
+};
+
+/**
+ * recalcula la clasificacion con los valores de config ABC
+ * @param {number} interval con intervalo solo recalcula si la ultima clasificacion es mas antigua
+ * @returns {Promise<Object|null>} resultado de classifyProducts o null si aun no toca
+ */
+const classifyWithDefaults = async (interval = 0, now = new Date()) => {
+    if (interval) {
+        const last = await Product.findOne({ abcClassifiedAt: { $ne: null } }).sort({ abcClassifiedAt: -1 }).select('abcClassifiedAt');
+        if (last && now - last.abcClassifiedAt < interval) return null;
+    }
+    const { error, ...options } = validateAbcOptions();
+    if (error) throw new Error(`configuracion ABC invalida: ${error}`);
+    return classifyProducts(options, now);
+};
+
+/**
+ * inicia el recalculo periodico de la clasificacion ABC
+ * al iniciar solo recalcula si la ultima clasificacion ya vencio, asi reiniciar el servidor no la repite
+ * un fallo se registra en consola y se reintenta en la siguiente revision
+ * @returns {Object|null} intervalo (para detenerlo con clearInterval) o null si esta desactivado
+ */
+const startAbcScheduler = (interval = config.ABC.SCHEDULER_INTERVAL) => {
+    if (!interval) return null;
+    const run = (minAge) => classifyWithDefaults(minAge)
+        .then(result => { if (result) console.log(`clasificacion ABC actualizada: ${result.products.length} productos`); })
+        .catch(error => console.error('Error al recalcular la clasificacion ABC ', error));
+    run(interval);
+    const timer = setInterval(() => run(0), interval);
+    //no mantiene vivo el proceso por si solo
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    validateAbcOptions,
+    classifyProducts,
+    startAbcScheduler
+};
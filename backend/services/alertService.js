@@ -0,0 +1,35 @@
+/**
+ * servicio de alertas de stock
+ * revisa cada cambio de stock y crea una alerta cuando el producto
+ * cruza hacia abajo su umbral (punto de reorden o stock minimo)
+ * solo se crea al cruzar: si el stock ya estaba bajo el umbral no se repite
+ */
+
+const StockAlert = require('../models/StockAlert');
+
+/**
+ * crea una alerta si el cambio de stock cruzo el umbral del producto
+ * @param {Object} product producto ya actualizado (con el stock nuevo)
+ * @param {number} previousStock stock antes del movimiento
+ * @param {Object} movement movimiento que provoco el cambio
+ * @returns {Promise<Object|null>} alerta creada o null
+ */
+const checkStockThreshold = async (product, previousStock, movement) => {
+    const threshold = product.lowStockThreshold;
+    if (threshold === null || threshold === undefined) return null;
+
+    //solo interesa el cruce: antes en o sobre el umbral, ahora por debajo
+    if (!(previousStock >= threshold && product.stock < threshold)) return null;
+
+    return StockAlert.create({
+        product: product._id,
+        type: product.stock <= 0 ? 'out_of_stock' : 'low_stock',
+        stock: product.stock,
+        threshold,
+        movement: movement ? movement._id : undefined
+    });
+};
+
+module.exports = {
+    checkStockThreshold
+};
@@ -0,0 +1,78 @@
+/**
+ * servicio de codigos de barras
+ * valida y normaliza los codigos de barras de los productos
+ * tipos soportados:
+ * ean13: 13 digitos, el ultimo es digito de control (modulo 10, pesos 1 y 3)
+ * upca: 12 digitos, el ultimo es digito de control (modulo 10, pesos 3 y 1)
+ * code128: texto ASCII imprimible hasta 48 caracteres
+ *          (su digito de control lo calcula el lector/impresora al codificar, no va en el dato)
+ */
+
+const BARCODE_TYPES = ['ean13', 'upca', 'code128'];
+
+//digito de control GS1 (EAN/UPC): desde la derecha, pesos 3 y 1 alternados
+const gs1CheckDigit = (digits) => {
+    const sum = digits
+        .split('')
+        .reverse()
+        .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10;
+};
+
+//valida un codigo numerico de longitud fija con digito de control GS1
+const isValidGs1 = (code, length) => {
+    if (!new RegExp(`^\\d{${length}}$`).test(code)) return false;
+    return gs1CheckDigit(code.slice(0, -1)) === Number(code[code.length - 1]);
+};
+
+const VALIDATORS = {
+    ean13: (code) => isValidGs1(code, 13),
+    upca: (code) => isValidGs1(code, 12),
+    code128: (code) => /^[\x20-\x7E]{1,48}$/.test(code)
+};
+
+/**
+ * deduce el tipo de un codigo cuando no se indica
+ * 13 digitos: ean13, 12 digitos: upca, cualquier otro texto: code128
+ */
+const detectType = (code) => {
+    if (/^\d{13}$/.test(code)) return 'ean13';
+    if (/^\d{12}$/.test(code)) return 'upca';
+    return 'code128';
+};
+
+/**
+ * valida y normaliza los codigos de barras de un producto
+ * acepta textos o objetos { code, type }
+ * @param {Array} barcodes codigos enviados
+ * @returns {{error: string|null, barcodes: Array<{code, type}>}}
+ */
+const normalizeBarcodes = (barcodes) => {
+    if (!Array.isArray(barcodes)) return { error: 'barcodes debe ser un arreglo' };
+
+    const normalized = [];
+    for (const item of barcodes) {
+        const code = String(typeof item === 'object' && item !== null ? item.code || '' : item || '').trim();
+        if (!code) return { error: 'los codigos de barras no pueden estar vacios' };
+
+        const type = typeof item === 'object' && item.type ? String(item.type).toLowerCase() : detectType(code);
+        if (!BARCODE_TYPES.includes(type)) {
+            return { error: `tipo de codigo de barras no valido, use: ${BARCODE_TYPES.join(', ')}` };
+        }
+        if (!VALIDATORS[type](code)) {
+            return { error: `el codigo ${code} no es un ${type} valido (formato o digito de control)` };
+        }
+        if (normalized.some(barcode => barcode.code === code)) {
+            return { error: `el codigo ${code} esta repetido` };
+        }
+        normalized.push({ code, type });
+    }
+    return { error: null, barcodes: normalized };
+};
+
+module.exports = {
+    BARCODE_TYPES,
+    gs1CheckDigit,
+    detectType,
+    normalizeBarcodes
+};
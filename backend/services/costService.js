@@ -0,0 +1,144 @@
+/**
+ * servicio de costos
+ * lo usa el servicio de inventario para valorar cada movimiento
+ * entradas: crean una capa de costo (CostLayer) con el costo unitario de la entrada
+ *           si la entrada no trae costo se usa el costo actual del producto en la bodega
+ * salidas: calculan el costo de la mercancia (COGS) consumiendo las capas de la bodega
+ * metodo de valoracion (config INVENTORY.VALUATION_METHOD):
+ * fifo: las salidas consumen primero las capas mas antiguas
+ * average: costo promedio ponderado, la salida se valora al promedio de las capas de la bodega
+ *          las capas conservan su costo original (solo se descuentan sus unidades)
+ * igual que los lotes, usa $inc atomico con guarda y revierte si algo falla
+ */
+
+const config = require('../config');
+const CostLayer = require('../models/CostLayer');
+
+//metodos de valoracion soportados
+const VALUATION_METHODS = ['fifo', 'average'];
+
+//metodo configurado, si no es valido se usa fifo
+const getValuationMethod = () => {
+    const method = String(config.INVENTORY.VALUATION_METHOD || '').trim().toLowerCase();
+    return VALUATION_METHODS.includes(method) ? method : 'fifo';
+};
+
+//evita residuos de punto flotante en costos y cantidades
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+//capa afectada que se guarda en el movimiento (sin capa: stock anterior a la valoracion)
+const toEntry = (layer, quantity, unitCost) => ({ layer: layer ? layer._id : undefined, quantity, unitCost });
+
+//costo unitario y total de un movimiento a partir de las capas afectadas
+const toCost = (entries, quantity) => {
+    const totalCost = round(entries.reduce((sum, entry) => sum + entry.quantity * entry.unitCost, 0));
+    return { unitCost: quantity > 0 ? round(totalCost / quantity) : 0, totalCost, entries };
+};
+
+/**
+ * costo unitario actual de un producto en una bodega
+ * promedio ponderado de las capas con unidades, si no hay la ultima capa del producto
+ * y si nunca tuvo capas el costo de referencia (Product.cost)
+ * @param {Object} product producto con cost
+ * @returns {Promise<number>}
+ */
+const getCurrentCost = async (product, warehouse) => {
+    const layers = await CostLayer.find({ product: product._id, warehouse, remaining: { $gt: 0 } })
+        .select('remaining unitCost');
+    const units = layers.reduce((sum, layer) => sum + layer.remaining, 0);
+    if (units > 0) return round(layers.reduce((sum, layer) => sum + layer.remaining * layer.unitCost, 0) / units);
+
+    const last = await CostLayer.findOne({ product: product._id }).sort({ createdAt: -1 }).select('unitCost');
+    return last ? last.unitCost : (product.cost || 0);
+};
+
+/**
+ * devuelve unidades a las capas (deshace un consumo o una entrada)
+ * @param {Array} entries capas guardadas en el movimiento
+ * @param {number} sign 1 para devolver unidades, -1 para retirarlas
+ */
+const revertCost = async (entries, sign) => {
+    for (const entry of entries) {
+        if (entry.layer) await CostLayer.updateOne({ _id: entry.layer }, { $inc: { remaining: sign * entry.quantity } });
+    }
+};
+
+/**
+ * crea la capa de costo de una entrada
+ * @param {Object} product producto con cost
+ * @param {number} quantity unidades que ingresan (unidad base)
+ * @param {number|undefined} unitCost costo unitario de la entrada, sin costo se usa getCurrentCost
+ * @returns {Promise<{unitCost: number, totalCost: number, entries: Array}>} valor de la entrada y capa creada
+ */
+const receiveCost = async (product, warehouse, quantity, unitCost, reference) => {
+    const cost = unitCost !== undefined && unitCost !== null
+        ? Number(unitCost)
+        : await getCurrentCost(product, warehouse);
+    const layer = await CostLayer.create({
+        product: product._id,
+        warehouse,
+        unitCost: cost,
+        quantity,
+        remaining: quantity,
+        reference
+    });
+    return toCost([toEntry(layer, quantity, cost)], quantity);
+};
+
+/**
+ * descuenta unidades de una capa si tiene suficientes
+ * @returns {Promise<Object|null>} capa actualizada o null si no alcanza
+ */
+const takeFromLayer = (id, quantity) => CostLayer.findOneAndUpdate(
+    { _id: id, remaining: { $gte: quantity } },
+    { $inc: { remaining: -quantity } },
+    { new: true }
+);
+
+/**
+ * calcula el costo de la mercancia de una salida consumiendo las capas de la bodega
+ * las unidades que no cubren las capas (stock anterior a la valoracion) se valoran con Product.cost
+ * con costo promedio todas las unidades salen al promedio calculado antes de consumir (sin modificar las capas)
+ * @param {Object} product producto con cost
+ * @param {number} quantity unidades que salen (unidad base, positiva)
+ * @returns {Promise<{unitCost: number, totalCost: number, entries: Array}>} costo de la salida y capas consumidas
+ */
+const consumeCost = async (product, warehouse, quantity) => {
+    const filter = { product: product._id, warehouse, remaining: { $gt: 0 } };
+    //con costo promedio todas las unidades de la bodega valen lo mismo, null: cada capa a su costo (fifo)
+    const average = getValuationMethod() === 'average' ? await getCurrentCost(product, warehouse) : null;
+
+    const entries = [];
+    try {
+        let pending = quantity;
+        while (pending > 0) {
+            const candidates = await CostLayer.find(filter).sort({ createdAt: 1, _id: 1 });
+            if (candidates.length === 0) {
+                entries.push(toEntry(null, pending, average !== null ? average : (product.cost || 0)));
+                break;
+            }
+            for (const candidate of candidates) {
+                const take = round(Math.min(candidate.remaining, pending));
+                //si otra salida tomo la capa entre la consulta y el $inc se vuelve a consultar
+                const layer = await takeFromLayer(candidate._id, take);
+                if (!layer) break;
+                entries.push(toEntry(layer, take, average !== null ? average : layer.unitCost));
+                pending = round(pending - take);
+                if (pending === 0) break;
+            }
+        }
+        return toCost(entries, quantity);
+    } catch (error) {
+        await revertCost(entries, 1);
+        throw error;
+    }
+};
+
+module.exports = {
+    VALUATION_METHODS,
+    getValuationMethod,
+    getCurrentCost,
+    receiveCost,
+    consumeCost,
+    revertCost
+};
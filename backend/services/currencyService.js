@@ -0,0 +1,135 @@
+/**
+ * servicio de monedas
+ * convierte precios y costos entre monedas con las tasas de cambio guardadas (ExchangeRate)
+ * no consulta servicios externos: las tasas se registran por la API con su fecha
+ * la tasa vigente en una fecha es la mas reciente registrada hasta esa fecha
+ * todas las tasas estan contra la moneda base, entre dos monedas extranjeras se cruza por la base
+ */
+
+const config = require('../config');
+const ExchangeRate = require('../models/ExchangeRate');
+
+//crea un error con codigo http para que el controlador lo responda
+const currencyError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+//moneda base (valoracion del inventario)
+const getBaseCurrency = () => config.CURRENCY.BASE;
+
+/**
+ * normaliza un codigo de moneda
+ * @returns {string|null} codigo en mayusculas o null si no es un codigo de 3 letras
+ */
+const normalizeCurrency = (value) => {
+    const code = String(value || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+//fecha corta para los mensajes
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * carga las tasas vigentes en una fecha y retorna un conversor
+ * @param {Date} date fecha de las tasas (por defecto ahora)
+ * @returns {Promise<{date, base, rates, rate: Function, convert: Function}>}
+ * rate(currency): unidades de la moneda base por una unidad de currency
+ * convert(amount, from, to): monto convertido con dos decimales, lanza 400 si falta una tasa
+ */
+const loadRates = async (date = new Date()) => {
+    const latest = await ExchangeRate.aggregate([
+        { $match: { date: { $lte: date } } },
+        { $sort: { currency: 1, date: -1 } },
+        { $group: { _id: '$currency', rate: { $first: '$rate' }, date: { $first: '$date' } } }
+    ]);
+    const base = getBaseCurrency();
+    const rates = new Map(latest.map(item => [item._id, { rate: item.rate, date: item.date }]));
+
+    const rate = (currency) => {
+        const code = currency || base;
+        if (code === base) return 1;
+        if (!rates.has(code)) throw currencyError(`No hay tasa de cambio de ${code} vigente al ${formatDay(date)}`);
+        return rates.get(code).rate;
+    };
+    const convert = (amount, from, to) => {
+        if (amount === undefined || amount === null) return amount;
+        if ((from || base) === (to || base)) return amount;
+        return Math.round(amount * rate(from) / rate(to) * 100) / 100;
+    };
+    return { date, base, rates, rate, convert };
+};
+
+/**
+ * valida una moneda para guardarla en un producto o documento
+ * la base siempre es valida, las demas deben tener al menos una tasa registrada
+ * @returns {Promise<{error: string|null, currency: string}>}
+ */
+const validateCurrency = async (value) => {
+    const currency = normalizeCurrency(value);
+    if (!currency) return { error: 'La moneda debe ser un codigo de 3 letras (ej: USD)' };
+    if (currency !== getBaseCurrency() && !await ExchangeRate.exists({ currency })) {
+        return { error: `No hay tasas de cambio registradas para ${currency}, registrela en /api/exchange-rates` };
+    }
+    return { error: null, currency };
+};
+
+/**
+ * conversor para una moneda pedida en la consulta (?currency=)
+ * @param {string} value moneda pedida
+ * @param {Date} date fecha de las tasas
+ * @returns {Promise<{error: string|null, exchange: Object|null}>} exchange: conversor con la moneda destino (currency)
+ */
+const getRequestedCurrency = async (value, date = new Date()) => {
+    if (!value) return { error: null, exchange: null };
+    const { error, currency } = await validateCurrency(value);
+    if (error) return { error };
+    const exchange = await loadRates(date);
+    //falla aqui si la moneda solo tiene tasas posteriores a la fecha
+    try {
+        exchange.rate(currency);
+    } catch (rateError) {
+        return { error: rateError.message };
+    }
+    return { error: null, exchange: { ...exchange, currency } };
+};
+
+/**
+ * historial de tasas de una moneda para convertir montos de muchas fechas (series)
+ * @param {string} currency moneda destino ya validada
+ * @returns {Promise<Function>} fromBase(amount, date): monto en la moneda base convertido con la tasa vigente
+ * en esa fecha, lanza 400 si no hay tasa vigente
+ */
+const loadRateHistory = async (currency) => {
+    if (currency === getBaseCurrency()) return (amount) => amount;
+    const history = await ExchangeRate.find({ currency }).sort({ date: 1 }).select('rate date');
+    return (amount, date) => {
+        let current = null;
+        for (const item of history) {
+            if (item.date > date) break;
+            current = item;
+        }
+        if (!current) throw currencyError(`No hay tasa de cambio de ${currency} vigente al ${formatDay(date)}`);
+        return Math.round(amount / current.rate * 100) / 100;
+    };
+};
+
+/**
+ * convierte un monto a la moneda base con la tasa vigente en la fecha
+ * @returns {Promise<number>}
+ */
+const toBaseCurrency = async (amount, currency, date = new Date()) => {
+    if (amount === undefined || amount === null || !currency || currency === getBaseCurrency()) return amount;
+    return (await loadRates(date)).convert(amount, currency, getBaseCurrency());
+};
+
+module.exports = {
+    getBaseCurrency,
+    normalizeCurrency,
+    loadRates,
+    validateCurrency,
+    getRequestedCurrency,
+    loadRateHistory,
+    toBaseCurrency
+};
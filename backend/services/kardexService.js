@@ -0,0 +1,235 @@
+/**
+ * servicio de kardex
+ * arma el kardex de un producto a partir de su historial de movimientos (StockMovement)
+ * cada fila: fecha, documento, entrada o salida, costo unitario y saldo acumulado en cantidad y valor
+ * el saldo inicial es la suma de los movimientos anteriores al rango
+ * las cantidades estan en la unidad base y los costos son los guardados en cada movimiento (costService)
+ * se exporta en JSON, CSV o PDF
+ */
+
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const StockMovement = require('../models/StockMovement');
+const { toCsv } = require('./reportService');
+
+//nombre de cada tipo de movimiento en el reporte
+const TYPE_LABELS = {
+    entry: 'Entrada',
+    exit: 'Salida',
+    adjustment: 'Ajuste',
+    transfer_out: 'Traslado (salida)',
+    transfer_in: 'Traslado (entrada)'
+};
+
+//evita residuos de punto flotante en los saldos
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+//signo de un movimiento: las salidas restan y los ajustes traen la cantidad con signo
+const movementSign = (movement) => {
+    if (StockMovement.OUTBOUND_TYPES.includes(movement.type)) return -1;
+    return movement.quantity < 0 ? -1 : 1;
+};
+
+/**
+ * kardex de un producto en un rango de fechas
+ * @param {Object} product producto (name, sku, baseUnit)
+ * @param {Object} options { from, to, warehouse } fechas ya convertidas y bodega opcional
+ * @returns {Promise<Object>} { product, warehouse, from, to, opening, rows, totals, closing }
+ */
+const buildKardex = async (product, { from = null, to = null, warehouse = null } = {}) => {
+    const filter = { product: product._id };
+    if (warehouse) filter.warehouse = warehouse;
+
+    //saldo inicial: movimientos anteriores al rango
+    const opening = { quantity: 0, value: 0 };
+    if (from) {
+        const match = { product: product._id, createdAt: { $lt: from } };
+        //aggregate no convierte los ids, la bodega debe ir como ObjectId
+        if (warehouse) match.warehouse = new mongoose.Types.ObjectId(String(warehouse));
+        const outbound = { $in: ['$type', StockMovement.OUTBOUND_TYPES] };
+        const sign = { $cond: [outbound, -1, { $cond: [{ $lt: ['$quantity', 0] }, -1, 1] }] };
+        const [totals] = await StockMovement.aggregate([
+            { $match: match },
+            { $group: {
+                _id: null,
+                quantity: { $sum: { $cond: [outbound, { $multiply: ['$quantity', -1] }, '$quantity'] } },
+                value: { $sum: { $multiply: [{ $ifNull: ['$totalCost', 0] }, sign] } }
+            } }
+        ]);
+        if (totals) {
+            opening.quantity = round(totals.quantity);
+            opening.value = round(totals.value);
+        }
+    }
+
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+    const movements = await StockMovement.find(filter)
+        .populate('warehouse', 'name code')
+        .populate('user', 'username')
+        .sort({ createdAt: 1, _id: 1 });
+
+    let quantity = opening.quantity;
+    let value = opening.value;
+    const totals = { inQuantity: 0, outQuantity: 0, inValue: 0, outValue: 0 };
+    const rows = movements.map(movement => {
+        const sign = movementSign(movement);
+        const moved = Math.abs(movement.quantity);
+        const cost = movement.totalCost !== undefined && movement.totalCost !== null ? movement.totalCost : null;
+        quantity = round(quantity + sign * moved);
+        value = round(value + sign * (cost || 0));
+        if (sign > 0) {
+            totals.inQuantity = round(totals.inQuantity + moved);
+            totals.inValue = round(totals.inValue + (cost || 0));
+        } else {
+            totals.outQuantity = round(totals.outQuantity + moved);
+            totals.outValue = round(totals.outValue + (cost || 0));
+        }
+        return {
+            movement: movement._id,
+            date: movement.createdAt,
+            type: movement.type,
+            typeLabel: TYPE_LABELS[movement.type],
+            reference: movement.reference || null,
+            reason: movement.reason || null,
+            warehouse: movement.warehouse,
+            user: movement.user,
+            inQuantity: sign > 0 ? moved : 0,
+            outQuantity: sign < 0 ? moved : 0,
+            unitCost: movement.unitCost !== undefined ? movement.unitCost : null,
+            totalCost: cost,
+            balanceQuantity: quantity,
+            balanceValue: value
+        };
+    });
+
+    return {
+        product: { _id: product._id, name: product.name, sku: product.sku, baseUnit: product.baseUnit },
+        warehouse: warehouse || null,
+        from,
+        to,
+        opening,
+        rows,
+        totals,
+        closing: { quantity, value }
+    };
+};
+
+//columnas del kardex exportado
+const KARDEX_HEADERS = ['fecha', 'tipo', 'documento', 'motivo', 'bodega', 'entrada', 'salida', 'costo_unitario', 'costo_total', 'saldo_cantidad', 'saldo_valor'];
+
+//celdas de una fila del kardex
+const rowCells = (row) => [
+    row.date,
+    row.typeLabel,
+    row.reference,
+    row.reason,
+    row.warehouse ? row.warehouse.code || row.warehouse.name : null,
+    row.inQuantity || null,
+    row.outQuantity || null,
+    row.unitCost,
+    row.totalCost,
+    row.balanceQuantity,
+    row.balanceValue
+];
+
+/**
+ * kardex en CSV: saldo inicial, un movimiento por fila y saldo final
+ * @returns {string}
+ */
+const renderKardexCsv = (kardex) => toCsv(KARDEX_HEADERS, [
+    [kardex.from, 'Saldo inicial', null, null, null, null, null, null, null, kardex.opening.quantity, kardex.opening.value],
+    ...kardex.rows.map(rowCells),
+    [kardex.to, 'Saldo final', null, null, null, kardex.totals.inQuantity, kardex.totals.outQuantity, null, null, kardex.closing.quantity, kardex.closing.value]
+]);
+
+//numero con dos decimales y separador de miles
+const formatNumber = (value) => (value === null || value === undefined
+    ? ''
+    : Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+
+//fecha AAAA-MM-DD HH:mm (UTC)
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 16).replace('T', ' ') : '');
+
+//columnas de la tabla del PDF: titulo, ancho en puntos y alineacion
+const PDF_COLUMNS = [
+    { title: 'Fecha', width: 78 },
+    { title: 'Tipo', width: 78 },
+    { title: 'Documento', width: 80 },
+    { title: 'Motivo', width: 98 },
+    { title: 'Bodega', width: 50 },
+    { title: 'Entrada', width: 50, align: 'right' },
+    { title: 'Salida', width: 50, align: 'right' },
+    { title: 'Costo unit.', width: 56, align: 'right' },
+    { title: 'Costo total', width: 62, align: 'right' },
+    { title: 'Saldo cant.', width: 54, align: 'right' },
+    { title: 'Saldo valor', width: 64, align: 'right' }
+];
+
+/**
+ * kardex en PDF (hoja carta horizontal, varias paginas si no cabe)
+ * @returns {Promise<Buffer>} documento PDF
+ */
+const renderKardexPdf = (kardex) => {
+    const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 36 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const left = doc.page.margins.left;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    const rowHeight = 14;
+
+    const titles = PDF_COLUMNS.map(column => column.title);
+
+    //escribe una fila de celdas en la posicion actual (en cada pagina nueva repite los titulos)
+    const drawRow = (cells, font = 'Helvetica') => {
+        if (doc.y + rowHeight > bottom) {
+            doc.addPage();
+            drawRow(titles, 'Helvetica-Bold');
+        }
+        const y = doc.y;
+        let x = left;
+        doc.font(font).fontSize(7.5);
+        PDF_COLUMNS.forEach((column, index) => {
+            doc.text(cells[index] === null || cells[index] === undefined ? '' : String(cells[index]), x + 2, y,
+                { width: column.width - 4, align: column.align || 'left', lineBreak: false, ellipsis: true });
+            x += column.width;
+        });
+        doc.x = left;
+        doc.y = y + rowHeight;
+    };
+
+    doc.font('Helvetica-Bold').fontSize(14).text('Kardex de inventario', left, doc.y);
+    doc.font('Helvetica').fontSize(9)
+        .text(`Producto: ${kardex.product.name}${kardex.product.sku ? ` (${kardex.product.sku})` : ''} - unidad: ${kardex.product.baseUnit || 'unidad'}`)
+        .text(`Periodo: ${kardex.from ? formatDate(kardex.from) : 'inicio'} a ${kardex.to ? formatDate(kardex.to) : 'hoy'}`);
+    doc.moveDown();
+
+    drawRow(titles, 'Helvetica-Bold');
+    drawRow(['', 'Saldo inicial', '', '', '', '', '', '', '', formatNumber(kardex.opening.quantity), formatNumber(kardex.opening.value)], 'Helvetica-Bold');
+    kardex.rows.forEach(row => {
+        const cells = rowCells(row);
+        drawRow([
+            formatDate(row.date), ...cells.slice(1, 5),
+            ...cells.slice(5).map(formatNumber)
+        ]);
+    });
+    drawRow(['', 'Saldo final', '', '', '', formatNumber(kardex.totals.inQuantity), formatNumber(kardex.totals.outQuantity),
+        '', '', formatNumber(kardex.closing.quantity), formatNumber(kardex.closing.value)], 'Helvetica-Bold');
+
+    doc.end();
+    return finished;
+};
+
+module.exports = {
+    buildKardex,
+    renderKardexCsv,
+    renderKardexPdf
+};
@@ -0,0 +1,139 @@
+/**
+ * servicio de kits
+ * un kit (Product.productType = 'kit') se define por su lista de componentes (Product.components)
+ * el stock propio del kit son los kits ya armados (POST /api/products/:id/assemble)
+ * el disponible de un kit = armados disponibles + los que se pueden armar con los componentes
+ * al vender un kit se toman primero los armados y el resto se descuenta de los componentes
+ * los componentes no pueden ser kits, productos padre de variantes, con lotes ni serializados
+ * (al desarmar habria que indicar lotes o series de cada componente devuelto)
+ */
+
+const Product = require('../models/Product');
+
+//id de la bodega de una fila de stock (la fila puede venir con la bodega poblada)
+const warehouseIdOf = (row) => row.warehouse._id || row.warehouse;
+
+//disponible de un producto en una bodega (fisico - reservado)
+const availableIn = (product, warehouseId) => {
+    const row = (product.stockByWarehouse || []).find(item => String(warehouseIdOf(item)) === String(warehouseId));
+    return row ? row.quantity - (row.reserved || 0) : 0;
+};
+
+/**
+ * valida la lista de componentes de un kit
+ * @param {Array} components [{ product, quantity }]
+ * @param {string} kitId kit que se actualiza (no puede ser su propio componente)
+ * @returns {Promise<{error: string|null, components: Array<{product, quantity}>}>}
+ */
+const validateComponents = async (components, kitId) => {
+    if (!Array.isArray(components) || components.length === 0) {
+        return { error: 'un kit requiere al menos un componente: [{ product, quantity }]' };
+    }
+    for (const component of components) {
+        if (!component || !component.product || !(Number(component.quantity) > 0)) {
+            return { error: 'cada componente requiere producto y cantidad mayor a cero' };
+        }
+    }
+    const productIds = components.map(component => String(component.product));
+    if (new Set(productIds).size !== productIds.length) return { error: 'un componente no puede repetirse en el kit' };
+    if (kitId && productIds.includes(String(kitId))) return { error: 'un kit no puede ser componente de si mismo' };
+
+    const products = await Product.find({ _id: { $in: productIds } }).select('name productType variantAttributes lotTracked serialized');
+    if (products.length !== productIds.length) return { error: 'uno o mas componentes no existen' };
+    const invalid = products.find(product => product.productType === 'kit' || product.hasVariants || product.lotTracked || product.serialized);
+    if (invalid) {
+        return { error: `${invalid.name} no puede ser componente: los componentes no pueden ser kits, productos con variantes, con lotes ni serializados` };
+    }
+
+    return {
+        error: null,
+        components: components.map(component => ({ product: component.product, quantity: Number(component.quantity) }))
+    };
+};
+
+/**
+ * disponible de varios kits calculado con el stock de sus componentes
+ * @param {Array} kits productos kit (con stockByWarehouse y components)
+ * @returns {Promise<Map<string, Object>>} por id de kit:
+ * { prebuilt, buildable, available, warehouses: [{ warehouse, prebuilt, buildable, available }] }
+ */
+const getKitsAvailability = async (kits) => {
+    const result = new Map();
+    const componentIds = [...new Set(kits.flatMap(kit => kit.components.map(component => String(component.product._id || component.product))))];
+    const components = await Product.find({ _id: { $in: componentIds } }).select('stockByWarehouse');
+
+    kits.forEach(kit => {
+        const bom = kit.components.map(component => ({
+            quantity: component.quantity,
+            product: components.find(item => item._id.equals(component.product._id || component.product))
+        }));
+        //bodegas donde hay kits armados o algun componente
+        const warehouseIds = new Map();
+        [kit, ...bom.map(item => item.product).filter(Boolean)].forEach(product => {
+            (product.stockByWarehouse || []).forEach(row => warehouseIds.set(String(warehouseIdOf(row)), warehouseIdOf(row)));
+        });
+
+        const warehouses = [...warehouseIds.values()].map(warehouse => {
+            const prebuilt = Math.max(availableIn(kit, warehouse), 0);
+            const buildable = bom.length === 0 ? 0 : Math.min(...bom.map(item => (item.product
+                ? Math.floor(Math.max(availableIn(item.product, warehouse), 0) / item.quantity)
+                : 0)));
+            return { warehouse, prebuilt, buildable, available: prebuilt + buildable };
+        });
+
+        result.set(String(kit._id), {
+            prebuilt: warehouses.reduce((sum, row) => sum + row.prebuilt, 0),
+            buildable: warehouses.reduce((sum, row) => sum + row.buildable, 0),
+            available: warehouses.reduce((sum, row) => sum + row.available, 0),
+            warehouses
+        });
+    });
+    return result;
+};
+
+/**
+ * reparte la venta de un kit entre kits armados y componentes
+ * usa primero los kits armados disponibles en la bodega
+ * @param {Object} kit producto kit
+ * @param {string} warehouse bodega de despacho
+ * @param {number} quantity kits vendidos
+ * @returns {{prebuilt: number, components: Array<{product, quantity}>}} cantidades a reservar
+ */
+const planKitLine = (kit, warehouse, quantity) => {
+    const prebuilt = Math.min(quantity, Math.max(availableIn(kit, warehouse), 0));
+    const toBuild = quantity - prebuilt;
+    return {
+        prebuilt,
+        components: toBuild > 0
+            ? kit.components.map(component => ({ product: component.product, quantity: component.quantity * toBuild }))
+            : []
+    };
+};
+
+/**
+ * lineas de stock que mueve una linea de orden
+ * una linea de kit se convierte en los kits armados mas los componentes planeados al confirmar
+ * @param {Object} line linea de la orden (con kit si es un kit)
+ * @param {string} warehouse bodega de la orden
+ * @returns {Array<{product, warehouse, quantity, serials, kit}>}
+ */
+const expandKitLine = (line, warehouse) => {
+    if (!line.kit || line.kit.prebuilt === undefined || line.kit.prebuilt === null) {
+        return [{ product: line.product, warehouse, quantity: line.quantity, serials: line.serials }];
+    }
+    const lines = line.kit.components.map(component => ({
+        product: component.product,
+        warehouse,
+        quantity: component.quantity,
+        kit: line.product
+    }));
+    if (line.kit.prebuilt > 0) lines.unshift({ product: line.product, warehouse, quantity: line.kit.prebuilt });
+    return lines;
+};
+
+module.exports = {
+    validateComponents,
+    getKitsAvailability,
+    planKitLine,
+    expandKitLine
+};
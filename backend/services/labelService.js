@@ -0,0 +1,189 @@
+/**
+ * servicio de etiquetas de producto
+ * genera etiquetas en SVG y PDF con nombre, precio, SKU, codigo de barras y un QR al producto
+ * todo se genera localmente: bwip-js dibuja el codigo de barras, qrcode el QR y pdfkit el PDF
+ * el formato de la hoja de etiquetas se configura en config.LABELS.SHEET
+ *
+ * distribucion de una etiqueta (ancho x alto):
+ * | nombre              |    |
+ * | precio              |    |
+ * | SKU                 | QR |
+ * | codigo de barras    |    |
+ */
+
+const bwipjs = require('bwip-js');
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+const config = require('../config');
+
+//tipo de codigo de barras del producto -> simbologia de bwip-js
+const BWIP_TYPES = { ean13: 'ean13', upca: 'upca', code128: 'code128' };
+
+//escapar texto para incluirlo dentro del SVG
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, char => (
+    { '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[char]
+));
+
+//precio con dos decimales y separador de miles
+const formatPrice = (price) => `$ ${Number(price || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * datos que lleva la etiqueta de un producto
+ * el codigo de barras es el primero del producto, si no tiene se imprime el SKU en Code128
+ */
+const getLabelData = (product) => {
+    const barcode = product.barcodes && product.barcodes.length > 0
+        ? { code: product.barcodes[0].code, type: product.barcodes[0].type }
+        : product.sku ? { code: product.sku, type: 'code128' } : null;
+    return {
+        name: product.name,
+        price: formatPrice(product.price),
+        sku: product.sku,
+        barcode,
+        url: `${config.LABELS.PRODUCT_URL}/${product._id}`
+    };
+};
+
+//recorta el texto al ancho disponible (aproximado: cada caracter mide ~0.55 del tamaño de la fuente)
+const truncate = (text, width, fontSize) => {
+    const maxChars = Math.floor(width / (fontSize * 0.55));
+    return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+};
+
+//posicion de cada elemento dentro de una etiqueta de ancho x alto
+const getBoxes = (width, height) => {
+    const pad = height * 0.06;
+    const qrSize = height - pad * 2;
+    const textWidth = width - qrSize - pad * 3;
+    return {
+        name: { x: pad, y: pad, width: textWidth, size: height * 0.12 },
+        price: { x: pad, y: pad + height * 0.15, width: textWidth, size: height * 0.14 },
+        sku: { x: pad, y: pad + height * 0.31, width: textWidth, size: height * 0.09 },
+        barcode: { x: pad, y: height * 0.48, width: textWidth, height: height * 0.52 - pad },
+        qr: { x: width - pad - qrSize, y: pad, size: qrSize }
+    };
+};
+
+//opciones de bwip-js para el codigo de barras de la etiqueta
+const barcodeOptions = (barcode) => ({
+    bcid: BWIP_TYPES[barcode.type],
+    text: barcode.code,
+    includetext: true,
+    textsize: 8,
+    height: 8
+});
+
+//quita la cabecera xml y ubica un svg dentro de otro en la posicion indicada
+const placeSvg = (svg, x, y, width, height) => svg
+    .replace(/<\?xml[^>]*>\s*/, '')
+    .replace('<svg ', `<svg x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="xMinYMid meet" `);
+
+/**
+ * contenido SVG de una etiqueta (sin el elemento raiz)
+ * @returns {Promise<string>}
+ */
+const renderLabelContent = async (product, width, height) => {
+    const data = getLabelData(product);
+    const boxes = getBoxes(width, height);
+    const qr = await QRCode.toString(data.url, { type: 'svg', margin: 0 });
+
+    const parts = [
+        `<rect width="${width}" height="${height}" fill="#ffffff" stroke="#cccccc" stroke-width="0.5"/>`,
+        `<text x="${boxes.name.x}" y="${boxes.name.y + boxes.name.size}" font-family="Helvetica, Arial, sans-serif" font-size="${boxes.name.size}" font-weight="bold">${escapeXml(truncate(data.name, boxes.name.width, boxes.name.size))}</text>`,
+        `<text x="${boxes.price.x}" y="${boxes.price.y + boxes.price.size}" font-family="Helvetica, Arial, sans-serif" font-size="${boxes.price.size}">${escapeXml(data.price)}</text>`,
+        `<text x="${boxes.sku.x}" y="${boxes.sku.y + boxes.sku.size}" font-family="Helvetica, Arial, sans-serif" font-size="${boxes.sku.size}">${escapeXml(data.sku ? `SKU: ${data.sku}` : '')}</text>`,
+        placeSvg(qr, boxes.qr.x, boxes.qr.y, boxes.qr.size, boxes.qr.size)
+    ];
+    if (data.barcode) {
+        const barcodeSvg = bwipjs.toSVG(barcodeOptions(data.barcode));
+        parts.push(placeSvg(barcodeSvg, boxes.barcode.x, boxes.barcode.y, boxes.barcode.width, boxes.barcode.height));
+    }
+    return parts.join('\n');
+};
+
+/**
+ * etiqueta de un producto en SVG
+ * @returns {Promise<string>} documento SVG
+ */
+const renderLabelSvg = async (product) => {
+    const { LABEL_WIDTH: width, LABEL_HEIGHT: height } = config.LABELS.SHEET;
+    const content = await renderLabelContent(product, width, height);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}pt" height="${height}pt" viewBox="0 0 ${width} ${height}">\n${content}\n</svg>`;
+};
+
+/**
+ * varias etiquetas en un solo SVG, en una cuadricula con las columnas de la hoja configurada
+ * @returns {Promise<string>} documento SVG
+ */
+const renderLabelsSvg = async (products) => {
+    const sheet = config.LABELS.SHEET;
+    const rows = Math.max(1, Math.ceil(products.length / sheet.COLUMNS));
+    const width = sheet.COLUMNS * sheet.LABEL_WIDTH + (sheet.COLUMNS - 1) * sheet.GAP_X;
+    const height = rows * sheet.LABEL_HEIGHT + (rows - 1) * sheet.GAP_Y;
+
+    const labels = [];
+    for (const [index, product] of products.entries()) {
+        const x = (index % sheet.COLUMNS) * (sheet.LABEL_WIDTH + sheet.GAP_X);
+        const y = Math.floor(index / sheet.COLUMNS) * (sheet.LABEL_HEIGHT + sheet.GAP_Y);
+        labels.push(`<g transform="translate(${x} ${y})">\n${await renderLabelContent(product, sheet.LABEL_WIDTH, sheet.LABEL_HEIGHT)}\n</g>`);
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}pt" height="${height}pt" viewBox="0 0 ${width} ${height}">\n${labels.join('\n')}\n</svg>`;
+};
+
+/**
+ * etiquetas en PDF sobre la hoja configurada (varias paginas si no caben)
+ * @param {Array} products productos a imprimir
+ * @param {Object} options { skip: posiciones ya usadas al inicio de la primera hoja }
+ * @returns {Promise<Buffer>} documento PDF
+ */
+const renderLabelsPdf = async (products, { skip = 0 } = {}) => {
+    const sheet = config.LABELS.SHEET;
+    const perPage = sheet.COLUMNS * sheet.ROWS;
+    const doc = new PDFDocument({ size: sheet.SIZE, margin: 0, autoFirstPage: false });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    for (const [index, product] of products.entries()) {
+        const position = (index + skip) % perPage;
+        if (index === 0 || position === 0) doc.addPage();
+
+        const x = sheet.MARGIN_LEFT + (position % sheet.COLUMNS) * (sheet.LABEL_WIDTH + sheet.GAP_X);
+        const y = sheet.MARGIN_TOP + Math.floor(position / sheet.COLUMNS) * (sheet.LABEL_HEIGHT + sheet.GAP_Y);
+        const boxes = getBoxes(sheet.LABEL_WIDTH, sheet.LABEL_HEIGHT);
+        const data = getLabelData(product);
+
+        doc.font('Helvetica-Bold').fontSize(boxes.name.size)
+            .text(data.name, x + boxes.name.x, y + boxes.name.y, { width: boxes.name.width, height: boxes.name.size * 1.2, ellipsis: true, lineBreak: false });
+        doc.font('Helvetica').fontSize(boxes.price.size)
+            .text(data.price, x + boxes.price.x, y + boxes.price.y, { width: boxes.price.width, lineBreak: false });
+        if (data.sku) {
+            doc.fontSize(boxes.sku.size)
+                .text(`SKU: ${data.sku}`, x + boxes.sku.x, y + boxes.sku.y, { width: boxes.sku.width, lineBreak: false });
+        }
+
+        const qr = await QRCode.toBuffer(data.url, { margin: 0 });
+        doc.image(qr, x + boxes.qr.x, y + boxes.qr.y, { width: boxes.qr.size, height: boxes.qr.size });
+
+        if (data.barcode) {
+            const barcode = await bwipjs.toBuffer({ ...barcodeOptions(data.barcode), scale: 3 });
+            doc.image(barcode, x + boxes.barcode.x, y + boxes.barcode.y, { fit: [boxes.barcode.width, boxes.barcode.height] });
+        }
+    }
+
+    //sin productos se entrega una hoja en blanco
+    if (products.length === 0) doc.addPage();
+    doc.end();
+    return finished;
+};
+
+module.exports = {
+    getLabelData,
+    renderLabelSvg,
+    renderLabelsSvg,
+    renderLabelsPdf
+};
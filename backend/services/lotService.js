@@ -0,0 +1,167 @@
+/**
+ * servicio de lotes
+ * lo usa el servicio de inventario para los productos con lotTracked
+ * entradas: suman unidades a los lotes indicados (los crea si no existen)
+ * salidas: consumen primero los lotes que vencen antes (FEFO),
+ * o los lotes indicados si se envian (ej: dar de baja un lote vencido)
+ * igual que el stock, usa $inc atomico con guarda y revierte si algo falla
+ */
+
+const Lot = require('../models/Lot');
+
+//crea un error con codigo http para que el controlador lo responda
+const lotError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+//datos del lote que se guardan en el movimiento
+const toEntry = (lot, quantity) => ({
+    lot: lot._id,
+    lotNumber: lot.lotNumber,
+    manufactureDate: lot.manufactureDate,
+    expiryDate: lot.expiryDate,
+    quantity
+});
+
+/**
+ * valida los lotes enviados en un movimiento
+ * cada lote requiere lotNumber y quantity > 0, en entradas tambien expiryDate
+ * la suma de los lotes debe ser igual a la cantidad del movimiento
+ * @param {Array} lots [{ lotNumber, manufactureDate, expiryDate, quantity }]
+ * @param {number} quantity cantidad del movimiento (positiva)
+ * @param {boolean} inbound true en entradas
+ */
+const validateLots = (lots, quantity, inbound) => {
+    if (!Array.isArray(lots) || lots.length === 0) {
+        throw lotError('El producto maneja lotes: indique los lotes (lotNumber, expiryDate, quantity)');
+    }
+    for (const lot of lots) {
+        if (!lot.lotNumber || !(Number(lot.quantity) > 0)) {
+            throw lotError('Cada lote requiere lotNumber y cantidad mayor a cero');
+        }
+        if (inbound && (!lot.expiryDate || Number.isNaN(new Date(lot.expiryDate).getTime()))) {
+            throw lotError(`El lote ${lot.lotNumber} requiere una fecha de vencimiento valida`);
+        }
+    }
+    const numbers = lots.map(lot => String(lot.lotNumber).trim());
+    if (new Set(numbers).size !== numbers.length) {
+        throw lotError('Un lote no puede repetirse en el mismo movimiento');
+    }
+    const total = lots.reduce((sum, lot) => sum + Number(lot.quantity), 0);
+    if (total !== quantity) {
+        throw lotError(`La suma de los lotes (${total}) no coincide con la cantidad del movimiento (${quantity})`);
+    }
+};
+
+/**
+ * devuelve unidades a los lotes (deshace un consumo o una entrada)
+ * @param {Array} entries lotes guardados en el movimiento
+ * @param {number} sign 1 para devolver unidades, -1 para retirarlas
+ */
+const revertLots = async (entries, sign) => {
+    for (const entry of entries) {
+        await Lot.updateOne({ _id: entry.lot }, { $inc: { quantity: sign * entry.quantity } });
+    }
+};
+
+/**
+ * suma unidades a los lotes de una entrada
+ * si el lote ya existe en la bodega debe tener la misma fecha de vencimiento
+ * @returns {Promise<Array>} lotes afectados para guardar en el movimiento
+ */
+const receiveLots = async (product, warehouse, lots) => {
+    //validar contra los lotes existentes antes de modificar alguno
+    const existing = await Lot.find({
+        product,
+        warehouse,
+        lotNumber: { $in: lots.map(lot => String(lot.lotNumber).trim()) }
+    });
+    for (const lot of existing) {
+        const received = lots.find(item => String(item.lotNumber).trim() === lot.lotNumber);
+        if (new Date(received.expiryDate).getTime() !== lot.expiryDate.getTime()) {
+            throw lotError(`El lote ${lot.lotNumber} ya existe con otra fecha de vencimiento`);
+        }
+    }
+
+    const entries = [];
+    try {
+        for (const item of lots) {
+            const lot = await Lot.findOneAndUpdate(
+                { product, warehouse, lotNumber: String(item.lotNumber).trim() },
+                {
+                    $inc: { quantity: Number(item.quantity) },
+                    $setOnInsert: { expiryDate: item.expiryDate, manufactureDate: item.manufactureDate }
+                },
+                { new: true, upsert: true, runValidators: true }
+            );
+            entries.push(toEntry(lot, Number(item.quantity)));
+        }
+        return entries;
+    } catch (error) {
+        await revertLots(entries, -1);
+        throw error;
+    }
+};
+
+/**
+ * descuenta unidades de un lote si tiene suficientes
+ * @returns {Promise<Object|null>} lote actualizado o null si no alcanza
+ */
+const takeFromLot = (filter, quantity) => Lot.findOneAndUpdate(
+    { ...filter, quantity: { $gte: quantity } },
+    { $inc: { quantity: -quantity } },
+    { new: true }
+);
+
+/**
+ * consume unidades de los lotes de una salida
+ * sin lotes indicados aplica FEFO: primero el lote con vencimiento mas cercano
+ * @param {Array|undefined} lots lotes a consumir [{ lotNumber, quantity }] (opcional)
+ * @returns {Promise<Array>} lotes consumidos para guardar en el movimiento
+ */
+const consumeLots = async (product, warehouse, quantity, lots) => {
+    const entries = [];
+    try {
+        if (lots) {
+            validateLots(lots, quantity, false);
+            for (const item of lots) {
+                const lotNumber = String(item.lotNumber).trim();
+                const lot = await takeFromLot({ product, warehouse, lotNumber }, Number(item.quantity));
+                if (!lot) throw lotError(`El lote ${lotNumber} no existe en la bodega o no tiene unidades suficientes`);
+                entries.push(toEntry(lot, Number(item.quantity)));
+            }
+            return entries;
+        }
+
+        let pending = quantity;
+        while (pending > 0) {
+            const candidates = await Lot.find({ product, warehouse, quantity: { $gt: 0 } })
+                .sort({ expiryDate: 1, _id: 1 });
+            if (candidates.length === 0) {
+                throw lotError('Los lotes de la bodega no cubren la cantidad solicitada');
+            }
+            for (const candidate of candidates) {
+                const take = Math.min(candidate.quantity, pending);
+                //si otra salida tomo el lote entre la consulta y el $inc se vuelve a consultar
+                const lot = await takeFromLot({ _id: candidate._id }, take);
+                if (!lot) break;
+                entries.push(toEntry(lot, take));
+                pending -= take;
+                if (pending === 0) break;
+            }
+        }
+        return entries;
+    } catch (error) {
+        await revertLots(entries, 1);
+        throw error;
+    }
+};
+
+module.exports = {
+    validateLots,
+    receiveLots,
+    consumeLots,
+    revertLots
+};
@@ -0,0 +1,132 @@
+/**
+ * servicio de listas de precios
+ * resuelve el precio efectivo de un producto en una lista, en este orden:
+ * 1. precio fijo del producto en la lista (items)
+ * 2. precio fijo del producto padre, si es una variante sin precio propio
+ * 3. regla de su subcategoria (porcentaje sobre Product.price)
+ * 4. regla de su categoria (regla sin subcategoria)
+ * 5. Product.price
+ */
+
+const mongoose = require('mongoose');
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Subcategory = require('../models/Subcategory');
+
+//precios con dos decimales
+const money = (value) => Math.round(value * 100) / 100;
+
+//id de una referencia que puede venir poblada
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * busca una lista activa por id o por codigo
+ * @param {string} value id o codigo de la lista (?priceList=)
+ * @returns {Promise<Object|null>}
+ */
+const findPriceList = (value) => {
+    const code = String(value || '').trim().toLowerCase();
+    const filter = mongoose.isValidObjectId(value) ? { $or: [{ _id: value }, { code }] } : { code };
+    return PriceList.findOne({ ...filter, active: { $ne: false } });
+};
+
+/**
+ * precio efectivo de un producto en la lista
+ * @param {Object} priceList lista de precios
+ * @param {Object} product producto con price, category, subcategory, parent y priceOverride
+ * @returns {{price: number, source: string}} source: product, parent, subcategory, category o base
+ */
+const resolvePrice = (priceList, product) => {
+    const item = priceList.items.find(entry => String(entry.product) === String(product._id));
+    if (item) return { price: item.price, source: 'product' };
+
+    if (product.parent && !product.priceOverride) {
+        const parentItem = priceList.items.find(entry => String(entry.product) === String(idOf(product.parent)));
+        if (parentItem) return { price: parentItem.price, source: 'parent' };
+    }
+
+    const subcategoryRule = priceList.rules.find(rule => rule.subcategory
+        && String(rule.subcategory) === String(idOf(product.subcategory)));
+    const categoryRule = priceList.rules.find(rule => !rule.subcategory
+        && String(rule.category) === String(idOf(product.category)));
+    const rule = subcategoryRule || categoryRule;
+    if (rule) {
+        return {
+            price: money((product.price || 0) * (1 + rule.percent / 100)),
+            source: subcategoryRule ? 'subcategory' : 'category'
+        };
+    }
+    return { price: product.price, source: 'base' };
+};
+
+/**
+ * datos de la lista que se agregan a un producto en las respuestas
+ * @returns {{effectivePrice: number, priceList: {_id, name, code, source}}}
+ */
+const priceListFields = (priceList, product) => {
+    const resolved = resolvePrice(priceList, product);
+    return {
+        effectivePrice: resolved.price,
+        priceList: { _id: priceList._id, name: priceList.name, code: priceList.code, source: resolved.source }
+    };
+};
+
+/**
+ * valida los items y reglas de una lista
+ * @param {Object} body { items, rules } (solo se validan los enviados)
+ * @returns {Promise<{error: string|null, data: Object}>}
+ */
+const validatePriceListEntries = async ({ items, rules }) => {
+    const data = {};
+    if (items !== undefined) {
+        if (!Array.isArray(items)) return { error: 'items debe ser un arreglo [{ product, price }]' };
+        for (const item of items) {
+            if (!item || !mongoose.isValidObjectId(item.product) || !(Number(item.price) >= 0)) {
+                return { error: 'cada item requiere un producto valido y un precio mayor o igual a cero' };
+            }
+        }
+        const productIds = items.map(item => String(item.product));
+        if (new Set(productIds).size !== productIds.length) return { error: 'un producto no puede repetirse en la lista' };
+        if (await Product.countDocuments({ _id: { $in: productIds } }) !== productIds.length) {
+            return { error: 'uno o mas productos de la lista no existen' };
+        }
+        data.items = items.map(item => ({ product: item.product, price: Number(item.price) }));
+    }
+
+    if (rules !== undefined) {
+        if (!Array.isArray(rules)) return { error: 'rules debe ser un arreglo [{ category, subcategory, percent }]' };
+        for (const rule of rules) {
+            const percent = Number(rule && rule.percent);
+            if (!rule || !mongoose.isValidObjectId(rule.category) || !Number.isFinite(percent) || percent < -100) {
+                return { error: 'cada regla requiere una categoria valida y un porcentaje mayor o igual a -100' };
+            }
+            if (rule.subcategory && !mongoose.isValidObjectId(rule.subcategory)) return { error: 'subcategoria invalida en las reglas' };
+        }
+        const keys = rules.map(rule => `${rule.category}:${rule.subcategory || ''}`);
+        if (new Set(keys).size !== keys.length) return { error: 'una categoria o subcategoria no puede tener dos reglas' };
+
+        const categoryIds = [...new Set(rules.map(rule => String(rule.category)))];
+        if (await Category.countDocuments({ _id: { $in: categoryIds } }) !== categoryIds.length) {
+            return { error: 'una o mas categorias de las reglas no existen' };
+        }
+        for (const rule of rules.filter(item => item.subcategory)) {
+            if (!await Subcategory.exists({ _id: rule.subcategory, category: rule.category })) {
+                return { error: 'una subcategoria de las reglas no existe o no pertenece a su categoria' };
+            }
+        }
+        data.rules = rules.map(rule => ({
+            category: rule.category,
+            subcategory: rule.subcategory || undefined,
+            percent: Number(rule.percent)
+        }));
+    }
+    return { error: null, data };
+};
+
+module.exports = {
+    findPriceList,
+    resolvePrice,
+    priceListFields,
+    validatePriceListEntries
+};
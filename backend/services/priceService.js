@@ -0,0 +1,127 @@
+/**
+ * servicio de precios
+ * registra cada cambio de Product.price en el historial (PriceChange) con el usuario y la fecha
+ * los productos padre copian su precio a las variantes sin precio propio, eso tambien queda en el historial
+ * los precios programados se aplican solos: el servidor revisa cada PRICES.SCHEDULER_INTERVAL ms
+ * los cambios con fecha vencida (applyDuePrices)
+ */
+
+const config = require('../config');
+const Product = require('../models/Product');
+const PriceChange = require('../models/PriceChange');
+
+/**
+ * registra un cambio de precio ya aplicado
+ * no registra nada si el precio no cambio
+ * @param {Object} product producto con _id
+ * @param {number|null} previousPrice precio anterior (null en el precio inicial)
+ * @param {number} price precio nuevo
+ * @param {Object} data { user, source, notes }
+ */
+const recordPriceChange = async (product, previousPrice, price, { user, source = 'manual', notes } = {}) => {
+    if (previousPrice !== null && Number(previousPrice) === Number(price)) return null;
+    return PriceChange.create({
+        product: product._id,
+        previousPrice,
+        price,
+        effectiveAt: new Date(),
+        status: 'applied',
+        source,
+        notes,
+        user
+    });
+};
+
+/**
+ * copia el precio de un producto padre a sus variantes sin precio propio
+ * @returns {Promise<number>} variantes actualizadas
+ */
+const propagatePrice = async (parent, price, user) => {
+    const variants = await Product.find({ parent: parent._id, priceOverride: { $ne: true }, price: { $ne: price } })
+        .select('price');
+    if (variants.length === 0) return 0;
+
+    await Product.updateMany({ _id: { $in: variants.map(variant => variant._id) } }, { price });
+    await PriceChange.insertMany(variants.map(variant => ({
+        product: variant._id,
+        previousPrice: variant.price,
+        price,
+        effectiveAt: new Date(),
+        status: 'applied',
+        source: 'inherited',
+        notes: `Precio del producto padre ${parent.name || ''}`.trim(),
+        user
+    })));
+    return variants.length;
+};
+
+/**
+ * aplica un precio programado que ya fue reclamado (status applied)
+ * en una variante el precio queda como precio propio, en un padre pasa a sus variantes
+ */
+const applyScheduledChange = async (change) => {
+    const product = await Product.findById(change.product).select('name price parent variantAttributes');
+    if (!product) {
+        await PriceChange.updateOne({ _id: change._id }, { status: 'cancelled', cancelledAt: new Date(), notes: 'Producto eliminado' });
+        return;
+    }
+    const update = { price: change.price };
+    if (product.parent) update.priceOverride = true;
+    await Product.updateOne({ _id: product._id }, update);
+    await PriceChange.updateOne({ _id: change._id }, { previousPrice: product.price });
+    if (product.hasVariants) await propagatePrice(product, change.price, change.user);
+};
+
+/**
+ * aplica los precios programados con fecha vencida, del mas antiguo al mas reciente
+ * cada cambio se reclama con findOneAndUpdate para que no se aplique dos veces
+ * un cambio que falla se registra en consola, vuelve a quedar programado y se salta en esta pasada
+ * (se reintenta en la siguiente), asi no bloquea los cambios que vienen despues
+ * @param {Date} now fecha de corte
+ * @param {Function} apply aplica un cambio reclamado (por defecto applyScheduledChange)
+ * @returns {Promise<number>} cambios aplicados
+ */
+const applyDuePrices = async (now = new Date(), apply = applyScheduledChange) => {
+    let applied = 0;
+    const failed = [];
+    for (;;) {
+        const change = await PriceChange.findOneAndUpdate(
+            { status: 'scheduled', effectiveAt: { $lte: now }, _id: { $nin: failed } },
+            { status: 'applied', appliedAt: new Date() },
+            { sort: { effectiveAt: 1, _id: 1 }, new: true }
+        );
+        if (!change) return applied;
+        try {
+            await apply(change);
+            applied++;
+        } catch (error) {
+            console.error(`Error al aplicar el precio programado ${change._id} `, error);
+            failed.push(change._id);
+            await PriceChange.updateOne({ _id: change._id }, { status: 'scheduled', $unset: { appliedAt: 1 } });
+        }
+    }
+};
+
+/**
+ * inicia la revision periodica de precios programados
+ * un fallo se registra en consola y se reintenta en la siguiente revision
+ * @returns {Object} intervalo (para detenerlo con clearInterval)
+ */
+const startPriceScheduler = (interval = config.PRICES.SCHEDULER_INTERVAL) => {
+    const run = () => applyDuePrices()
+        .then(applied => { if (applied > 0) console.log(`${applied} precios programados aplicados`); })
+        .catch(error => console.error('Error al aplicar precios programados ', error));
+    run();
+    const timer = setInterval(run, interval);
+    //no mantiene vivo el proceso por si solo
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    recordPriceChange,
+    propagatePrice,
+    applyScheduledChange,
+    applyDuePrices,
+    startPriceScheduler
+};
@@ -0,0 +1,107 @@
+/**
+ * utilidades de los reportes
+ * lectura de fechas de los filtros (from, to, date), periodos de las series y exportacion a CSV
+ * los periodos se calculan en UTC igual que las fechas de los filtros
+ */
+
+//fecha sin hora: AAAA-MM-DD
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * convierte una fecha de un filtro
+ * una fecha sin hora usada como limite final incluye todo el dia
+ * @param {string} value fecha ISO o AAAA-MM-DD
+ * @param {boolean} endOfDay true si es el limite final del rango
+ * @returns {Date|null} null si no se envio, Invalid Date si no es valida
+ */
+const parseReportDate = (value, endOfDay = false) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (endOfDay && DATE_ONLY.test(String(value)) && !Number.isNaN(date.getTime())) date.setUTCHours(23, 59, 59, 999);
+    return date;
+};
+
+//true si la fecha se envio y no es valida
+const isInvalidDate = (date) => date !== null && Number.isNaN(date.getTime());
+
+//escapa un valor para una celda CSV
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * genera un CSV con encabezado
+ * lleva BOM para que Excel lea bien las tildes
+ * @param {Array<string>} headers nombres de las columnas
+ * @param {Array<Array>} rows valores de cada fila en el orden de headers
+ * @returns {string}
+ */
+const toCsv = (headers, rows) => `\uFEFF${[headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+
+//agrupaciones de las series y su formato en $dateToString (semana ISO: lunes a domingo)
+const GROUP_BY_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V',
+    month: '%Y-%m'
+};
+
+/**
+ * inicio del periodo que contiene la fecha
+ * @param {Date} date fecha
+ * @param {string} groupBy day, week o month
+ * @returns {Date}
+ */
+const periodStart = (date, groupBy) => {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), groupBy === 'month' ? 1 : date.getUTCDate()));
+    //las semanas empiezan el lunes
+    if (groupBy === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+};
+
+//inicio del periodo siguiente
+const nextPeriod = (start, groupBy) => {
+    const next = new Date(start);
+    if (groupBy === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+    else next.setUTCDate(next.getUTCDate() + (groupBy === 'week' ? 7 : 1));
+    return next;
+};
+
+/**
+ * clave del periodo, igual a la que genera $dateToString con GROUP_BY_FORMATS
+ * ej: 2024-03-05 (day), 2024-W10 (week), 2024-03 (month)
+ */
+const periodKey = (date, groupBy) => {
+    if (groupBy === 'day') return date.toISOString().slice(0, 10);
+    if (groupBy === 'month') return date.toISOString().slice(0, 7);
+    //el año de la semana ISO es el de su jueves
+    const thursday = periodStart(date, 'week');
+    thursday.setUTCDate(thursday.getUTCDate() + 3);
+    const week = Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * periodos entre dos fechas
+ * @returns {Array<{period: string, start: Date, end: Date}>} el primero y el ultimo se recortan al rango
+ * end es el ultimo instante del periodo (o la fecha final)
+ */
+const listPeriods = (from, to, groupBy) => {
+    const periods = [];
+    for (let start = periodStart(from, groupBy); start <= to; start = nextPeriod(start, groupBy)) {
+        const end = new Date(Math.min(nextPeriod(start, groupBy).getTime() - 1, to.getTime()));
+        periods.push({ period: periodKey(start, groupBy), start: new Date(Math.max(start.getTime(), from.getTime())), end });
+    }
+    return periods;
+};
+
+module.exports = {
+    parseReportDate,
+    isInvalidDate,
+    toCsv,
+    GROUP_BY_FORMATS,
+    periodStart,
+    periodKey,
+    listPeriods
+};
@@ -0,0 +1,177 @@
+/**
+ * servicio de numeros de serie
+ * lo usa el servicio de inventario para los productos con serialized
+ * cada entrada, salida, reserva o liberacion indica las series afectadas
+ * y cambia su estado dejando el registro en el historial de la unidad
+ * igual que el stock, usa actualizaciones atomicas con guarda de estado y revierte si algo falla
+ */
+
+const SerialNumber = require('../models/SerialNumber');
+
+//crea un error con codigo http para que el controlador lo responda
+const serialError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+//registro del historial de la unidad
+const historyEntry = (status, warehouse, { action, reference, user }) => ({
+    status,
+    warehouse,
+    action,
+    reference,
+    user,
+    date: new Date()
+});
+
+/**
+ * valida las series enviadas en una operacion
+ * deben ser textos no vacios, sin repetir y tantas como unidades
+ * @param {Array<string>} serials numeros de serie
+ * @param {number} quantity unidades de la operacion (positiva)
+ */
+const validateSerials = (serials, quantity) => {
+    if (!Array.isArray(serials) || serials.length === 0) {
+        throw serialError('El producto maneja numeros de serie: indique las series (serials)');
+    }
+    const numbers = serials.map(serial => String(serial || '').trim());
+    if (numbers.some(serial => serial === '')) {
+        throw serialError('Los numeros de serie no pueden estar vacios');
+    }
+    if (new Set(numbers).size !== numbers.length) {
+        throw serialError('Un numero de serie no puede repetirse en la misma operacion');
+    }
+    if (numbers.length !== quantity) {
+        throw serialError(`Se enviaron ${numbers.length} series para ${quantity} unidades`);
+    }
+};
+
+/**
+ * deshace el ultimo cambio de estado de las series (compensacion)
+ * si la serie no tenia estado previo (recien creada) se elimina
+ */
+const revertSerials = async (product, serials) => {
+    for (const serialNumber of [...serials].reverse()) {
+        const serial = await SerialNumber.findOne({ product, serialNumber });
+        if (!serial) continue;
+        serial.history.pop();
+        if (serial.history.length === 0) {
+            await SerialNumber.deleteOne({ _id: serial._id });
+            continue;
+        }
+        const previous = serial.history[serial.history.length - 1];
+        serial.status = previous.status;
+        serial.warehouse = previous.warehouse;
+        await serial.save();
+    }
+};
+
+/**
+ * cambia el estado de varias series como una sola operacion
+ * cada serie debe estar en uno de los estados `from` (y en la bodega indicada)
+ * @param {Object} options { from, warehouse, to, context }
+ * @returns {Promise<Array<string>>} series actualizadas
+ */
+const changeStatus = async (product, serials, { from, warehouse, to, context }) => {
+    const done = [];
+    try {
+        for (const serial of serials) {
+            const serialNumber = String(serial).trim();
+            const updated = await SerialNumber.findOneAndUpdate(
+                { product, serialNumber, warehouse, status: { $in: from } },
+                { $set: { status: to }, $push: { history: historyEntry(to, warehouse, context) } }
+            );
+            if (!updated) {
+                throw serialError(`La serie ${serialNumber} no existe en la bodega o no esta en un estado valido (${from.join(', ')})`);
+            }
+            done.push(serialNumber);
+        }
+        return done;
+    } catch (error) {
+        await revertSerials(product, done);
+        throw error;
+    }
+};
+
+/**
+ * ingresa series a una bodega
+ * una serie nueva se crea en in_stock
+ * una serie despachada vuelve: returned si es una entrada (devolucion de cliente),
+ * in_stock si llega por traslado o ajuste
+ * @returns {Promise<Array<string>>} series ingresadas
+ */
+const receiveSerials = async (product, warehouse, serials, context) => {
+    const done = [];
+    try {
+        for (const serial of serials) {
+            const serialNumber = String(serial).trim();
+            const status = context.action === 'entry' ? 'returned' : 'in_stock';
+            const updated = await SerialNumber.findOneAndUpdate(
+                { product, serialNumber, status: 'dispatched' },
+                { $set: { status, warehouse }, $push: { history: historyEntry(status, warehouse, context) } }
+            );
+            if (!updated) {
+                try {
+                    await SerialNumber.create({
+                        product,
+                        serialNumber,
+                        warehouse,
+                        status: 'in_stock',
+                        history: [historyEntry('in_stock', warehouse, context)]
+                    });
+                } catch (error) {
+                    if (error.code === 11000) throw serialError(`La serie ${serialNumber} ya esta en inventario`);
+                    throw error;
+                }
+            }
+            done.push(serialNumber);
+        }
+        return done;
+    } catch (error) {
+        await revertSerials(product, done);
+        throw error;
+    }
+};
+
+/**
+ * aplica un movimiento de stock a las series
+ * entradas (delta > 0): ingresan las series a la bodega
+ * salidas (delta < 0): las series pasan a dispatched
+ * (fromReserved: deben estar reservadas, si no deben estar disponibles)
+ * @returns {Promise<Array<string>>} series afectadas para guardar en el movimiento
+ */
+const moveSerials = (product, warehouse, delta, serials, { type, fromReserved, reference, user }) => {
+    const context = { action: type, reference, user };
+    if (delta > 0) return receiveSerials(product, warehouse, serials, context);
+    return changeStatus(product, serials, {
+        from: fromReserved ? ['reserved'] : SerialNumber.AVAILABLE_STATUS,
+        warehouse,
+        to: 'dispatched',
+        context
+    });
+};
+
+//reserva series disponibles (confirmacion de orden de venta)
+const reserveSerials = (product, warehouse, serials, context = {}) => changeStatus(product, serials, {
+    from: SerialNumber.AVAILABLE_STATUS,
+    warehouse,
+    to: 'reserved',
+    context: { action: 'reserve', ...context }
+});
+
+//libera series reservadas (cancelacion de orden de venta)
+const releaseSerials = (product, warehouse, serials, context = {}) => changeStatus(product, serials, {
+    from: ['reserved'],
+    warehouse,
+    to: 'in_stock',
+    context: { action: 'release', ...context }
+});
+
+module.exports = {
+    validateSerials,
+    moveSerials,
+    reserveSerials,
+    releaseSerials,
+    revertSerials
+};
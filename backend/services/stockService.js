@@ -0,0 +1,427 @@
+/**
+ * servicio de inventario
+ * unico punto del backend que modifica Product.stock y Product.reserved
+ * cada cambio de stock queda registrado como un StockMovement
+ * asi el stock actual siempre coincide con la suma de los movimientos
+ * el stock se lleva por bodega (Product.stockByWarehouse) y Product.stock es el total
+ * las reservas de ordenes de venta no mueven stock, solo comprometen el disponible
+ *
+ * no usa transacciones (mongo local sin replica set), en su lugar:
+ * 1. actualiza el stock de la bodega y el total con $inc atomico
+ *    (con guarda para no quedar negativo ni tomar unidades reservadas)
+ * 2. registra el movimiento con el saldo resultante
+ * 3. si falla el registro revierte el $inc
+ * despues de cada movimiento revisa si el producto bajo de su punto de reorden (alertService)
+ * los productos con lotes (lotTracked) ademas actualizan sus lotes (lotService, salidas FEFO)
+ * los productos serializados (serialized) cambian el estado de cada serie (serialService)
+ * las cantidades pueden venir en otra unidad del producto y se guardan en su unidad base (unitService)
+ * los productos padre de variantes no tienen stock propio, los movimientos van a cada variante
+ * cada movimiento queda valorado: las entradas crean capas de costo y las salidas calculan
+ * el costo de la mercancia con el metodo configurado, fifo o promedio (costService)
+ * los costos se valoran en la moneda base, los que llegan en otra moneda se convierten
+ * con la tasa vigente del dia (currencyService)
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const StockAlert = require('../models/StockAlert');
+const { checkStockThreshold } = require('./alertService');
+const { validateLots, receiveLots, consumeLots, revertLots } = require('./lotService');
+const { validateSerials, moveSerials, reserveSerials, releaseSerials, revertSerials } = require('./serialService');
+const { applyUnit } = require('./unitService');
+const { receiveCost, consumeCost, revertCost } = require('./costService');
+const { getBaseCurrency, normalizeCurrency, loadRates } = require('./currencyService');
+
+//crea un error con codigo http para que el controlador lo responda
+const stockError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * convierte la cantidad recibida en la variacion de stock
+ * entradas suman, salidas restan, adjustment usa el signo de la cantidad
+ * @param {string} type tipo de movimiento
+ * @param {number} quantity cantidad enviada
+ * @returns {number} variacion a aplicar al stock
+ */
+const getStockDelta = (type, quantity) => {
+    if (!StockMovement.TYPES.includes(type)) {
+        throw stockError(`Tipo de movimiento no valido, use: ${StockMovement.TYPES.join(', ')}`);
+    }
+    if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity === 0) {
+        throw stockError('La cantidad debe ser un numero distinto de cero');
+    }
+    if (type === 'adjustment') return quantity;
+    if (quantity < 0) {
+        throw stockError('La cantidad de entradas y salidas debe ser positiva');
+    }
+    return StockMovement.OUTBOUND_TYPES.includes(type) ? -quantity : quantity;
+};
+
+/**
+ * condicion $expr: el campo indicado de la bodega es mayor o igual a la cantidad
+ * field puede ser 'quantity', 'reserved' o 'available' (quantity - reserved)
+ */
+const warehouseFieldGte = (warehouseId, field, quantity) => {
+    //mongoose no convierte los valores dentro de $expr, el id debe ir como ObjectId
+    const id = new mongoose.Types.ObjectId(String(warehouseId));
+    const item = {
+        $arrayElemAt: [{ $filter: { input: '$stockByWarehouse', cond: { $eq: ['$$this.warehouse', id] } } }, 0]
+    };
+    const value = field === 'available'
+        ? { $subtract: [{ $ifNull: ['$$item.quantity', 0] }, { $ifNull: ['$$item.reserved', 0] }] }
+        : { $ifNull: [`$$item.${field}`, 0] };
+    return { $gte: [{ $let: { vars: { item }, in: value } }, quantity] };
+};
+
+/**
+ * actualiza atomicamente la fila de una bodega del producto
+ * solo aplica el cambio si se cumple la guarda (ej: disponible suficiente)
+ * @param {Object} inc campos a incrementar: { quantity, reserved }
+ * @param {Object|null} guard { field, quantity } condicion previa o null
+ * @returns {Promise<Object|null>} producto actualizado o null si no se cumple la guarda
+ */
+const updateWarehouseRow = (productId, warehouseId, inc, guard) => {
+    const filter = { _id: productId, 'stockByWarehouse.warehouse': warehouseId };
+    if (guard) filter.$expr = warehouseFieldGte(warehouseId, guard.field, guard.quantity);
+
+    const update = { $inc: {} };
+    if (inc.quantity) {
+        update.$inc['stockByWarehouse.$.quantity'] = inc.quantity;
+        update.$inc.stock = inc.quantity;
+    }
+    if (inc.reserved) {
+        update.$inc['stockByWarehouse.$.reserved'] = inc.reserved;
+        update.$inc.reserved = inc.reserved;
+    }
+    return Product.findOneAndUpdate(filter, update, { new: true });
+};
+
+/**
+ * aplica una variacion de stock a una bodega del producto y al total
+ * si la bodega aun no esta en el desglose la agrega
+ * @param {Object} options
+ * fromReserved: la salida consume unidades reservadas (despacho de orden de venta)
+ * allowReserved: la salida puede tomar unidades reservadas (ajustes fisicos)
+ * @returns {Promise<Object|null>} producto actualizado o null si no alcanza el stock
+ */
+const applyWarehouseDelta = async (productId, warehouseId, delta, { fromReserved = false, allowReserved = false } = {}) => {
+    if (delta < 0) {
+        if (fromReserved) {
+            return updateWarehouseRow(productId, warehouseId,
+                { quantity: delta, reserved: delta }, { field: 'reserved', quantity: -delta });
+        }
+        //las salidas normales no pueden tomar unidades reservadas
+        return updateWarehouseRow(productId, warehouseId,
+            { quantity: delta }, { field: allowReserved ? 'quantity' : 'available', quantity: -delta });
+    }
+
+    //dos intentos: si otra peticion agrega la bodega entre ambas consultas se reintenta el $inc
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const updated = await updateWarehouseRow(productId, warehouseId, { quantity: delta }, null);
+        if (updated) return updated;
+
+        const added = await Product.findOneAndUpdate(
+            { _id: productId, 'stockByWarehouse.warehouse': { $ne: warehouseId } },
+            { $push: { stockByWarehouse: { warehouse: warehouseId, quantity: delta, reserved: 0 } }, $inc: { stock: delta } },
+            { new: true }
+        );
+        if (added) return added;
+    }
+    return null;
+};
+
+//stock del producto en una bodega
+const getWarehouseQuantity = (product, warehouseId) => {
+    const item = product.stockByWarehouse.find(entry => entry.warehouse.equals(warehouseId));
+    return item ? item.quantity : 0;
+};
+
+//valida que la bodega exista y este activa
+const getActiveWarehouse = async (warehouse) => {
+    if (!warehouse) throw stockError('La bodega es obligatoria');
+    const warehouseDoc = await Warehouse.findById(warehouse);
+    if (!warehouseDoc) throw stockError('Bodega no encontrada', 404);
+    if (!warehouseDoc.active) throw stockError('La bodega esta inactiva');
+    return warehouseDoc;
+};
+
+//el stock de un producto con variantes se lleva en cada variante
+const VARIANT_PARENT_MESSAGE = 'El producto tiene variantes, registre el stock en la variante';
+
+//las lineas sin series llegan como arreglo vacio
+const hasSerials = (serials) => Array.isArray(serials) && serials.length > 0;
+
+//signo para deshacer los lotes y capas de costo de un movimiento: las entradas se retiran, las salidas se devuelven
+const revertSign = (delta) => (delta > 0 ? -1 : 1);
+
+/**
+ * costos del movimiento en la moneda base con la tasa vigente hoy
+ * el costo de referencia del producto (costCurrency) y el costo de la entrada (currency)
+ * @returns {Promise<{product: Object, unitCost: number, enteredCost: Object|undefined}>}
+ * product: datos para costService con cost en la moneda base
+ */
+const toBaseCosts = async (productDoc, unitCost, currency) => {
+    const base = getBaseCurrency();
+    const costCurrency = productDoc.costCurrency || base;
+    const hasCost = unitCost !== undefined && unitCost !== null;
+    const entered = currency ? normalizeCurrency(currency) : base;
+    if (!entered) throw stockError('La moneda del costo debe ser un codigo de 3 letras (ej: USD)');
+    if (costCurrency === base && (!hasCost || entered === base)) {
+        return { product: productDoc, unitCost };
+    }
+
+    const exchange = await loadRates();
+    const product = { _id: productDoc._id, cost: exchange.convert(productDoc.cost, costCurrency, base) };
+    if (!hasCost || entered === base) return { product, unitCost };
+    return {
+        product,
+        unitCost: exchange.convert(Number(unitCost), entered, base),
+        enteredCost: { currency: entered, unitCost: Number(unitCost), rate: exchange.rate(entered) }
+    };
+};
+
+/**
+ * registra un movimiento y actualiza el stock del producto en la bodega
+ * @param {Object} data { product, warehouse, type, quantity, unit, unitCost, currency, reason, reference, user, fromReserved, lots }
+ * unit: unidad de quantity y unitCost (por defecto la unidad base), se guardan convertidos a la unidad base
+ * unitCost: costo de las entradas (sin costo se usa el costo actual), en salidas se calcula con las capas de costo
+ * currency: moneda de unitCost (por defecto la moneda base), se guarda convertido a la moneda base
+ * fromReserved: true cuando la salida despacha unidades previamente reservadas
+ * lots: solo productos con lotes [{ lotNumber, manufactureDate, expiryDate, quantity }] en unidad base
+ *       obligatorio en entradas, opcional en salidas (sin lotes se consume FEFO)
+ * serials: solo productos serializados, una serie por unidad (obligatorio en entradas y salidas)
+ * @returns {Promise<{movement: Object, product: Object}>}
+ * errores: 404 producto o bodega no existe, 400 datos invalidos o stock insuficiente
+ */
+const registerMovement = async ({ product, warehouse, type, quantity, unit, unitCost, currency, reason, reference, user, fromReserved = false, lots, serials }) => {
+    //valida tipo y cantidad antes de consultar la base de datos
+    getStockDelta(type, quantity);
+    const warehouseDoc = await getActiveWarehouse(warehouse);
+
+    const productDoc = await Product.findById(product).select('name cost costCurrency lotTracked serialized baseUnit units variantAttributes');
+    if (!productDoc) throw stockError('Producto no encontrado', 404);
+    if (productDoc.hasVariants) throw stockError(VARIANT_PARENT_MESSAGE);
+
+    //cantidad y costo en la unidad base del producto
+    const base = applyUnit(productDoc, { quantity, unit, unitCost }, ['unitCost']);
+    const delta = getStockDelta(type, base.quantity);
+    if (lots && !productDoc.lotTracked) throw stockError('El producto no maneja lotes');
+    if (productDoc.lotTracked && delta > 0) validateLots(lots, delta, true);
+    if (hasSerials(serials) && !productDoc.serialized) throw stockError('El producto no maneja numeros de serie');
+    if (productDoc.serialized) validateSerials(serials, Math.abs(delta));
+    //antes de mover stock: falla aqui si falta la tasa de cambio
+    const costs = await toBaseCosts(productDoc, base.unitCost, currency);
+
+    const updatedProduct = await applyWarehouseDelta(product, warehouseDoc._id, delta, {
+        fromReserved,
+        allowReserved: type === 'adjustment'
+    });
+
+    if (!updatedProduct) {
+        throw stockError(fromReserved
+            ? 'No hay unidades reservadas suficientes para despachar'
+            : 'Stock disponible insuficiente en la bodega para registrar el movimiento');
+    }
+
+    let lotEntries = [];
+    let serialNumbers = [];
+    try {
+        if (productDoc.lotTracked) {
+            lotEntries = delta > 0
+                ? await receiveLots(product, warehouseDoc._id, lots)
+                : await consumeLots(product, warehouseDoc._id, -delta, lots);
+        }
+        if (productDoc.serialized) {
+            serialNumbers = await moveSerials(product, warehouseDoc._id, delta, serials,
+                { type, fromReserved, reference, user });
+        }
+    } catch (error) {
+        await updateWarehouseRow(product, warehouseDoc._id,
+            { quantity: -delta, reserved: fromReserved ? -delta : 0 }, null);
+        throw error;
+    }
+
+    let cost = { entries: [] };
+    try {
+        cost = delta > 0
+            ? await receiveCost(costs.product, warehouseDoc._id, delta, costs.unitCost, reference)
+            : await consumeCost(costs.product, warehouseDoc._id, -delta);
+        const movement = await StockMovement.create({
+            product,
+            warehouse: warehouseDoc._id,
+            type,
+            quantity: base.quantity,
+            unitCost: cost.unitCost,
+            totalCost: cost.totalCost,
+            costLayers: cost.entries,
+            enteredCost: delta > 0 ? costs.enteredCost : undefined,
+            enteredAs: base.enteredAs,
+            reason,
+            reference,
+            balance: updatedProduct.stock,
+            warehouseBalance: getWarehouseQuantity(updatedProduct, warehouseDoc._id),
+            lots: lotEntries,
+            serials: serialNumbers,
+            user
+        });
+        await notifyThreshold(updatedProduct, updatedProduct.stock - delta, movement);
+        return { movement, product: updatedProduct };
+    } catch (error) {
+        //revertir el cambio de stock si no se pudo registrar el movimiento
+        await updateWarehouseRow(product, warehouseDoc._id,
+            { quantity: -delta, reserved: fromReserved ? -delta : 0 }, null);
+        await revertLots(lotEntries, revertSign(delta));
+        await revertSerials(product, serialNumbers);
+        await revertCost(cost.entries, revertSign(delta));
+        throw error;
+    }
+};
+
+/**
+ * genera la alerta de stock bajo si el movimiento cruzo el umbral del producto
+ * un fallo al crear la alerta no debe deshacer el movimiento, solo se registra en consola
+ */
+const notifyThreshold = async (product, previousStock, movement) => {
+    try {
+        await checkStockThreshold(product, previousStock, movement);
+    } catch (error) {
+        console.error('Error al generar alerta de stock ', error);
+    }
+};
+
+/**
+ * deshace un movimiento ya registrado (stock y documento)
+ * solo se usa cuando falla una operacion de varios movimientos
+ * @param {Object} movement movimiento retornado por registerMovement
+ * @param {boolean} fromReserved si el movimiento habia consumido reservas, se restauran
+ */
+const rollbackMovement = async (movement, fromReserved = false) => {
+    const delta = getStockDelta(movement.type, movement.quantity);
+    await updateWarehouseRow(movement.product, movement.warehouse,
+        { quantity: -delta, reserved: fromReserved ? -delta : 0 }, null);
+    await revertLots(movement.lots || [], revertSign(delta));
+    await revertCost(movement.costLayers || [], revertSign(delta));
+    await revertSerials(movement.product, movement.serials || []);
+    await StockMovement.deleteOne({ _id: movement._id });
+    await StockAlert.deleteMany({ movement: movement._id });
+};
+
+/**
+ * deshace en orden inverso los movimientos de una operacion que fallo
+ * @param {Array<{movement: Object}>} results movimientos ya registrados
+ * @param {Array<Object>} movements datos con los que se registraron (mismo orden)
+ */
+const rollbackMovements = async (results, movements) => {
+    for (let i = results.length - 1; i >= 0; i--) {
+        await rollbackMovement(results[i].movement, movements[i].fromReserved);
+    }
+};
+
+/**
+ * registra varios movimientos como una sola operacion
+ * si alguno falla se deshacen los que ya se habian registrado
+ * @param {Array<Object>} movements lista de datos para registerMovement
+ * @returns {Promise<Array<{movement: Object, product: Object}>>}
+ */
+const registerMovements = async (movements) => {
+    const results = [];
+    try {
+        for (const data of movements) {
+            results.push(await registerMovement(data));
+        }
+        return results;
+    } catch (error) {
+        await rollbackMovements(results, movements);
+        throw error;
+    }
+};
+
+/**
+ * reserva unidades disponibles de un producto en una bodega
+ * la reserva no mueve stock fisico, solo reduce el disponible
+ * los productos serializados reservan las series indicadas
+ * @returns {Promise<Object>} producto actualizado
+ * errores: 400 disponible insuficiente o series invalidas, 404 producto no existe
+ */
+const reserveStock = async (product, warehouse, quantity, serials, context = {}) => {
+    if (!(quantity > 0)) throw stockError('La cantidad a reservar debe ser mayor a cero');
+    const warehouseDoc = await getActiveWarehouse(warehouse);
+
+    const productDoc = await Product.findById(product);
+    if (!productDoc) throw stockError('Producto no encontrado', 404);
+    if (productDoc.hasVariants) throw stockError(VARIANT_PARENT_MESSAGE);
+    if (hasSerials(serials) && !productDoc.serialized) throw stockError('El producto no maneja numeros de serie');
+    if (productDoc.serialized) validateSerials(serials, quantity);
+
+    const updated = await updateWarehouseRow(product, warehouseDoc._id,
+        { reserved: quantity }, { field: 'available', quantity });
+
+    if (!updated) {
+        const current = await Product.findById(product);
+        const row = current.stockByWarehouse.find(entry => entry.warehouse.equals(warehouseDoc._id));
+        const available = row ? row.available : 0;
+        const error = stockError(`Stock disponible insuficiente para ${current.name}: disponible ${available}, solicitado ${quantity}`);
+        error.details = { product: current._id, available, requested: quantity };
+        throw error;
+    }
+
+    if (productDoc.serialized) {
+        try {
+            await reserveSerials(product, warehouseDoc._id, serials, context);
+        } catch (error) {
+            await updateWarehouseRow(product, warehouseDoc._id, { reserved: -quantity }, null);
+            throw error;
+        }
+    }
+    return updated;
+};
+
+/**
+ * libera unidades reservadas (cancelacion de una orden confirmada)
+ * si la reserva tenia series vuelven a in_stock
+ */
+const releaseStock = async (product, warehouse, quantity, serials, context = {}) => {
+    const updated = await updateWarehouseRow(product, warehouse,
+        { reserved: -quantity }, { field: 'reserved', quantity });
+    if (!updated) throw stockError('No hay unidades reservadas suficientes para liberar');
+    if (hasSerials(serials)) await releaseSerials(product, warehouse, serials, context);
+    return updated;
+};
+
+/**
+ * reserva varias lineas como una sola operacion
+ * si alguna no tiene disponible suficiente se liberan las ya reservadas
+ * @param {Array<{product, warehouse, quantity, serials}>} lines
+ * @param {Object} context { reference, user } para el historial de las series
+ */
+const reserveLines = async (lines, context = {}) => {
+    const reserved = [];
+    try {
+        for (const line of lines) {
+            await reserveStock(line.product, line.warehouse, line.quantity, line.serials, context);
+            reserved.push(line);
+        }
+    } catch (error) {
+        for (const line of reserved.reverse()) {
+            await releaseStock(line.product, line.warehouse, line.quantity, line.serials, context);
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    stockError,
+    getStockDelta,
+    getWarehouseQuantity,
+    registerMovement,
+    registerMovements,
+    rollbackMovements,
+    reserveStock,
+    releaseStock,
+    reserveLines
+};
@@ -0,0 +1,107 @@
+/**
+ * servicio de impuestos
+ * resuelve la tarifa de un producto, en este orden:
+ * 1. perfil propio del producto (las variantes lo heredan del padre)
+ * 2. perfil de su subcategoria
+ * 3. perfil de su categoria
+ * sin perfil (o con perfiles inactivos) la tarifa es 0
+ * los precios incluyen el impuesto o no segun config TAXES.PRICES_INCLUDE_TAX
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const TaxProfile = require('../models/TaxProfile');
+const Category = require('../models/Category');
+const Subcategory = require('../models/Subcategory');
+
+//montos con dos decimales
+const money = (value) => Math.round(value * 100) / 100;
+
+//id de una referencia que puede venir poblada
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * separa un precio en neto, impuesto y bruto
+ * @param {number} amount precio (bruto si los precios incluyen impuesto, neto si no)
+ * @param {number} rate tarifa en porcentaje
+ * @param {boolean} includesTax si amount ya incluye el impuesto
+ * @returns {{net: number, tax: number, gross: number}}
+ */
+const splitTax = (amount, rate, includesTax = config.TAXES.PRICES_INCLUDE_TAX) => {
+    const value = Number(amount) || 0;
+    if (includesTax) {
+        const net = money(value / (1 + rate / 100));
+        return { net, tax: money(value - net), gross: money(value) };
+    }
+    const tax = money(value * rate / 100);
+    return { net: money(value), tax, gross: money(value + tax) };
+};
+
+/**
+ * carga los perfiles activos y los de cada categoria y subcategoria
+ * @returns {Promise<{resolve: Function}>}
+ * resolve(product): { profile, rate, source } source: product, subcategory, category o none
+ */
+const createTaxResolver = async () => {
+    const [profiles, categories, subcategories] = await Promise.all([
+        TaxProfile.find({ active: { $ne: false } }).select('name code rate'),
+        Category.find({ taxProfile: { $ne: null } }).select('taxProfile'),
+        Subcategory.find({ taxProfile: { $ne: null } }).select('taxProfile')
+    ]);
+    const byId = new Map(profiles.map(profile => [String(profile._id), profile]));
+    const categoryProfiles = new Map(categories.map(item => [String(item._id), String(item.taxProfile)]));
+    const subcategoryProfiles = new Map(subcategories.map(item => [String(item._id), String(item.taxProfile)]));
+
+    const resolve = (product) => {
+        const candidates = [
+            ['product', product.taxProfile ? String(idOf(product.taxProfile)) : null],
+            ['subcategory', subcategoryProfiles.get(String(idOf(product.subcategory)))],
+            ['category', categoryProfiles.get(String(idOf(product.category)))]
+        ];
+        for (const [source, id] of candidates) {
+            const profile = id && byId.get(id);
+            if (profile) {
+                return { profile: { _id: profile._id, name: profile.name, code: profile.code }, rate: profile.rate, source };
+            }
+        }
+        return { profile: null, rate: 0, source: 'none' };
+    };
+    return { resolve };
+};
+
+/**
+ * datos de impuesto que se agregan a un producto en las respuestas
+ * @param {Object} resolved resultado de resolve(product)
+ * @param {number} price precio mostrado (precio de lista si aplica)
+ * @returns {{tax: Object, netPrice: number, taxAmount: number, grossPrice: number}}
+ */
+const taxFields = (resolved, price) => {
+    const { net, tax, gross } = splitTax(price, resolved.rate);
+    return {
+        tax: { ...resolved, pricesIncludeTax: config.TAXES.PRICES_INCLUDE_TAX },
+        netPrice: net,
+        taxAmount: tax,
+        grossPrice: gross
+    };
+};
+
+/**
+ * valida un perfil de impuesto para asignarlo
+ * null o '' quitan el perfil
+ * @returns {Promise<{error: string|null, taxProfile: ObjectId|null}>}
+ */
+const validateTaxProfile = async (value) => {
+    if (value === null || value === '') return { error: null, taxProfile: null };
+    if (!mongoose.isValidObjectId(value)) return { error: 'perfil de impuesto invalido' };
+    if (!await TaxProfile.exists({ _id: value, active: { $ne: false } })) {
+        return { error: 'el perfil de impuesto no existe o esta inactivo' };
+    }
+    return { error: null, taxProfile: value };
+};
+
+module.exports = {
+    splitTax,
+    createTaxResolver,
+    taxFields,
+    validateTaxProfile
+};
@@ -0,0 +1,142 @@
+/**
+ * servicio de unidades de medida
+ * cada producto tiene una unidad base (Product.baseUnit) y unidades alternativas con su factor
+ * el factor es cuantas unidades base contiene la unidad (ej: caja = 12 unidades)
+ * el stock, los movimientos y las lineas de ordenes siempre se guardan en la unidad base,
+ * la cantidad tal como se ingreso queda en enteredAs: { unit, quantity, factor }
+ * los costos y precios enviados en otra unidad se convierten a costo por unidad base
+ */
+
+const Product = require('../models/Product');
+
+//crea un error con codigo http para que el controlador lo responda
+const unitError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+//evita residuos de punto flotante al multiplicar por factores decimales (ej: 0.1)
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+//nombre de unidad normalizado (se comparan sin mayusculas ni espacios extremos)
+const unitName = (unit) => String(unit || '').trim().toLowerCase();
+
+/**
+ * valida y normaliza las unidades alternativas de un producto
+ * @param {Array} units [{ name, factor }]
+ * @param {string} baseUnit unidad base del producto
+ * @returns {{error: string|null, units: Array<{name, factor}>}}
+ */
+const normalizeUnits = (units, baseUnit) => {
+    if (!Array.isArray(units)) return { error: 'units debe ser un arreglo' };
+
+    const base = unitName(baseUnit);
+    const normalized = [];
+    for (const item of units) {
+        const name = unitName(item && item.name);
+        const factor = Number(item && item.factor);
+        if (!name) return { error: 'cada unidad requiere un nombre' };
+        if (name === base) return { error: `${name} ya es la unidad base del producto` };
+        if (!Number.isFinite(factor) || factor <= 0 || factor === 1) {
+            return { error: `el factor de ${name} debe ser un numero mayor a cero y distinto de 1` };
+        }
+        if (normalized.some(unit => unit.name === name)) return { error: `la unidad ${name} esta repetida` };
+        normalized.push({ name, factor });
+    }
+    return { error: null, units: normalized };
+};
+
+/**
+ * factor de conversion de una unidad del producto a su unidad base
+ * sin unidad (o con la unidad base) el factor es 1
+ * @param {Object} product producto con baseUnit y units
+ * @param {string} unit unidad enviada
+ * @returns {number} unidades base por unidad
+ * errores: 400 si el producto no tiene definida la unidad
+ */
+const getUnitFactor = (product, unit) => {
+    const name = unitName(unit);
+    if (!name || name === unitName(product.baseUnit)) return 1;
+    const found = (product.units || []).find(item => item.name === name);
+    if (!found) {
+        const available = [product.baseUnit, ...(product.units || []).map(item => item.name)].join(', ');
+        throw unitError(`La unidad ${name} no esta definida para ${product.name || 'el producto'}, use: ${available}`);
+    }
+    return found.factor;
+};
+
+/**
+ * convierte una cantidad (y sus costos o precios) a la unidad base del producto
+ * @param {Object} product producto con baseUnit y units
+ * @param {Object} data { quantity, unit, ...campos de precio }
+ * @param {Array<string>} priceFields campos con valor por unidad que tambien se convierten
+ * @returns {Object} data en unidad base, con enteredAs si venia en otra unidad
+ */
+const applyUnit = (product, data, priceFields = []) => {
+    const { unit, ...rest } = data;
+    const factor = getUnitFactor(product, unit);
+    if (factor === 1) return rest;
+
+    const converted = { ...rest, quantity: round(Number(data.quantity) * factor) };
+    priceFields.forEach(field => {
+        if (data[field] !== undefined && data[field] !== null) converted[field] = round(Number(data[field]) / factor);
+    });
+    converted.enteredAs = { unit: unitName(unit), quantity: Number(data.quantity), factor };
+    return converted;
+};
+
+/**
+ * convierte a unidad base las lineas de una orden o traslado que traen unit
+ * las lineas sin unit (o ya guardadas) se dejan tal cual
+ * @param {Array} lines [{ product, quantity, unit, ... }]
+ * @param {Array<string>} priceFields campos de precio de la linea (ej: unitCost)
+ * @returns {Promise<{error: string|null, lines: Array}>}
+ */
+const convertLines = async (lines, priceFields = []) => {
+    if (!Array.isArray(lines) || !lines.some(line => line && line.unit)) return { error: null, lines };
+
+    const productIds = lines.filter(line => line && line.unit).map(line => line.product);
+    const products = await Product.find({ _id: { $in: productIds } }).select('name baseUnit units');
+
+    try {
+        const converted = lines.map(line => {
+            if (!line || !line.unit) return line;
+            const product = products.find(item => item._id.equals(line.product));
+            //si el producto no existe lo reporta la validacion de cada controlador
+            return product ? applyUnit(product, line, priceFields) : line;
+        });
+        return { error: null, lines: converted };
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+
+/**
+ * stock del producto expresado en otra de sus unidades
+ * @returns {Object|null} { unit, factor, stock, reserved, available } o null si no tiene la unidad
+ */
+const stockInUnit = (product, unit) => {
+    let factor;
+    try {
+        factor = getUnitFactor(product, unit);
+    } catch (error) {
+        return null;
+    }
+    const reserved = product.reserved || 0;
+    return {
+        unit: unitName(unit),
+        factor,
+        stock: round((product.stock || 0) / factor),
+        reserved: round(reserved / factor),
+        available: round(((product.stock || 0) - reserved) / factor)
+    };
+};
+
+module.exports = {
+    normalizeUnits,
+    getUnitFactor,
+    applyUnit,
+    convertLines,
+    stockInUnit
+};
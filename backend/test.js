@@ -10,6 +10,7 @@ let categoryId = null;    // Almacena el _id de la categoría creada durante las
 let subcategoryId = null; // Almacena el _id de la subcategoría creada durante las pruebas
 let productId = null;     // Almacena el _id del producto creado durante las pruebas
 let userId = null;        // Almacena el _id del usuario creado durante las pruebas
+let warehouseId = null;   // Almacena el _id de la bodega creada durante las pruebas
 
 // Utilidad para hacer requests
 async function request(method, endpoint, body = null, headers = {}) { // Función reutilizable para hacer peticiones HTTP al API
@@ -195,6 +196,21 @@ async function runTests() { // Función principal que ejecuta todos los tests en
     if (!subUpdateOk) error(`/subcategories/${subcategoryId} PUT`, res); // Si falló, imprime detalles
   }
 
+  // ============= BODEGAS =============
+  console.log('\n📋 TEST 4.1: BODEGAS');
+  console.log('─────────────────────────────');
+
+  // Crear bodega
+  res = await request('POST', '/warehouses', { name: `Test Warehouse ${timestamp}`, code: `T${timestamp}` }); // Petición POST /api/warehouses con token de admin
+  const whCreateOk = res.ok && res.status === 201; // Verifica que se recibió 201 Created
+  log('POST /warehouses (crear)', whCreateOk, `(Status: ${res.status})`); // Imprime resultado del test
+  if (!whCreateOk) error('/warehouses POST', res); // Si falló, imprime detalles del error
+  if (res.data?.data?._id) warehouseId = res.data.data._id; // Guarda el _id para productos y movimientos
+
+  // Listar bodegas
+  res = await request('GET', '/warehouses'); // Petición GET /api/warehouses
+  log('GET /warehouses', res.ok && Array.isArray(res.data?.data), `(${res.data?.count} bodegas)`); // Verifica que retorna un array
+
   // ============= PRODUCTOS =============
   console.log('\n📋 TEST 5: PRODUCTOS');
   console.log('─────────────────────────────');
@@ -213,7 +229,8 @@ async function runTests() { // Función principal que ejecuta todos los tests en
     price: 99.99,                        // Precio de prueba (positivo, válido)
     stock: 10,                           // Stock de prueba (positivo, válido)
     category: categoryId || '000000000000000000000001',    // ID de la categoría creada; fallback si no existe
-    subcategory: subcategoryId || '000000000000000000000001' // ID de la subcategoría creada; fallback si no existe
+    subcategory: subcategoryId || '000000000000000000000001', // ID de la subcategoría creada; fallback si no existe
+    warehouse: warehouseId || '000000000000000000000001'      // Bodega donde ingresa el stock inicial
   };
   res = await request('POST', '/products', newProduct); // Petición POST /api/products con token de admin
   const prodCreated = res.data?.data || res.data; // Extrae el producto creado de la respuesta
@@ -228,15 +245,726 @@ async function runTests() { // Función principal que ejecuta todos los tests en
     const prodData = res.data?.data || res.data;         // Extrae el producto de la respuesta
     const prodFound = res.ok && res.status === 200 && prodData?._id; // Verifica datos y status 200
     log('GET /products/:id', prodFound, `(ID: ${productId.substring(0, 8)}...)`); // Imprime resultado
+    log('GET /products/:id (stock por bodega)', prodData?.stockByWarehouse?.[0]?.quantity === prodData?.stock, `(Bodegas: ${prodData?.stockByWarehouse?.length})`); // El desglose debe sumar el total
     if (!prodFound) error(`/products/${productId}`, res); // Si falló, imprime detalles
   }
 
   // Actualizar producto
   if (productId) { // Solo ejecuta si el producto fue creado exitosamente
-    res = await request('PUT', `/products/${productId}`, { price: 89.99, stock: 8 }); // Petición PUT para cambiar precio y stock
+    res = await request('PUT', `/products/${productId}`, { price: 89.99 }); // Petición PUT para cambiar el precio
     log('PUT /products/:id (actualizar)', res.ok && res.status === 200, `(Status: ${res.status})`); // Verifica 200 OK
+
+    res = await request('PUT', `/products/${productId}`, { stock: 8 }); // El stock ya no se edita directamente, solo con movimientos
+    log('PUT /products/:id (stock rechazado)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+  }
+
+  // ============= SKU Y CÓDIGOS DE BARRAS =============
+  if (productId) { // Solo ejecuta si el producto fue creado exitosamente
+    const base = String(timestamp).slice(-12).padStart(12, '0'); // 12 digitos unicos por ejecucion
+    const sum = base.split('').reverse().reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0); // Suma ponderada GS1
+    const ean = base + ((10 - (sum % 10)) % 10); // EAN-13 con su digito de control
+    const badEan = base + ((11 - (sum % 10)) % 10); // Mismo codigo con digito de control incorrecto
+
+    res = await request('PUT', `/products/${productId}`, { barcodes: [badEan] }); // Digito de control invalido
+    log('PUT /products/:id (codigo de barras invalido)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+    res = await request('PUT', `/products/${productId}`, { barcodes: [ean] }); // Codigo valido
+    const sku = res.data?.data?.sku; // SKU generado al crear el producto
+    log('PUT /products/:id (codigo de barras)', res.ok && res.data?.data?.barcodes?.[0]?.type === 'ean13', `(SKU: ${sku})`); // Verifica el tipo detectado
+
+    res = await request('GET', `/products/lookup?code=${ean}`); // Escaneo del codigo de barras
+    log('GET /products/lookup (codigo de barras)', res.ok && res.data?.data?._id === productId && res.data?.matchedBy === 'barcode', `(Stock: ${res.data?.data?.stock})`); // Verifica el producto encontrado
+
+    res = await request('GET', `/products/lookup?code=${sku}`); // Busqueda por SKU
+    log('GET /products/lookup (sku)', res.ok && res.data?.data?._id === productId && res.data?.matchedBy === 'sku', `(Status: ${res.status})`); // Verifica el producto encontrado
+
+    // Etiquetas: la respuesta no es JSON, se consulta con fetch directamente
+    let labelRes = await fetch(`${API_URL}/products/${productId}/label?format=svg`, { headers: { Authorization: `Bearer ${token}` } }); // Etiqueta SVG
+    const labelSvg = await labelRes.text(); // Documento SVG
+    log('GET /products/:id/label (svg)', labelRes.status === 200 && labelSvg.startsWith('<svg') && labelSvg.includes(sku), `(${labelSvg.length} bytes)`); // Verifica el SVG con el SKU
+
+    labelRes = await fetch(`${API_URL}/products/labels?format=pdf&category=${categoryId}`, { headers: { Authorization: `Bearer ${token}` } }); // Hoja de etiquetas de la categoria
+    const labelPdf = Buffer.from(await labelRes.arrayBuffer()); // Documento PDF
+    log('GET /products/labels (pdf)', labelRes.status === 200 && labelPdf.subarray(0, 4).toString() === '%PDF', `(${labelPdf.length} bytes)`); // Verifica la cabecera PDF
+  }
+
+  // ============= MOVIMIENTOS DE INVENTARIO =============
+  console.log('\n📋 TEST 5.1: MOVIMIENTOS DE INVENTARIO');
+  console.log('─────────────────────────────');
+
+  if (productId) { // Solo ejecuta si el producto fue creado exitosamente
+    res = await request('POST', `/products/${productId}/movements`, { warehouse: warehouseId, type: 'exit', quantity: 2, reason: 'Venta', reference: `FAC-${timestamp}` }); // Salida de 2 unidades
+    const exitOk = res.ok && res.status === 201 && res.data?.data?.product?.stock === 8; // 10 iniciales - 2 = 8
+    log('POST /products/:id/movements (salida)', exitOk, `(Stock: ${res.data?.data?.product?.stock})`); // Imprime el stock resultante
+    if (!exitOk) error(`/products/${productId}/movements POST`, res); // Si falló, imprime detalles
+
+    res = await request('POST', `/products/${productId}/movements`, { warehouse: warehouseId, type: 'exit', quantity: 1000 }); // Salida mayor al stock disponible
+    log('POST /products/:id/movements (stock insuficiente)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+    res = await request('GET', `/products/${productId}/movements`); // Historial de movimientos del producto
+    const summary = res.data?.summary; // Resumen con stock actual y suma de movimientos
+    const ledgerOk = res.ok && summary?.stock === summary?.movementsTotal; // El stock debe coincidir con la suma del kardex
+    log('GET /products/:id/movements', ledgerOk, `(${res.data?.count} movimientos, stock ${summary?.stock})`); // Imprime resultado
+    if (!ledgerOk) error(`/products/${productId}/movements`, res); // Si falló, imprime detalles
+  }
+
+  // ============= TRASLADOS ENTRE BODEGAS =============
+  console.log('\n📋 TEST 5.2: TRASLADOS ENTRE BODEGAS');
+  console.log('─────────────────────────────');
+
+  if (productId && warehouseId) { // Requiere producto con stock y bodega origen
+    res = await request('POST', '/warehouses', { name: `Test Warehouse B ${timestamp}`, code: `TB${timestamp}` }); // Bodega destino
+    const targetWarehouseId = res.data?.data?._id; // Guarda el _id de la bodega destino
+
+    res = await request('POST', '/transfers', { // Crea el traslado en borrador
+      fromWarehouse: warehouseId,
+      toWarehouse: targetWarehouseId,
+      lines: [{ product: productId, quantity: 3 }]
+    });
+    const transferId = res.data?.data?._id; // Guarda el _id del traslado
+    log('POST /transfers (crear)', res.status === 201 && res.data?.data?.status === 'draft', `(${res.data?.data?.number})`); // Verifica 201 y estado draft
+    if (!transferId) error('/transfers POST', res); // Si falló, imprime detalles
+
+    if (transferId) { // Solo si el traslado fue creado
+      res = await request('POST', `/transfers/${transferId}/dispatch`); // Admin aprueba y despacha
+      log('POST /transfers/:id/dispatch', res.ok && res.data?.data?.status === 'in_transit', `(Status: ${res.status})`); // Verifica estado en transito
+
+      res = await request('POST', `/transfers/${transferId}/receive`); // Recibe en la bodega destino
+      log('POST /transfers/:id/receive', res.ok && res.data?.data?.status === 'received', `(Status: ${res.status})`); // Verifica estado recibido
+
+      res = await request('GET', `/products/${productId}`); // El total no cambia, solo el desglose por bodega
+      const byWarehouse = res.data?.data?.stockByWarehouse || []; // Desglose de stock por bodega
+      const moved = byWarehouse.find(item => (item.warehouse?._id || item.warehouse) === targetWarehouseId); // Stock en la bodega destino
+      log('Stock trasladado a bodega destino', moved?.quantity === 3, `(Total: ${res.data?.data?.stock})`); // Verifica 3 unidades en destino
+    }
+  }
+
+  // ============= ÓRDENES DE VENTA =============
+  console.log('\n📋 TEST 5.3: ÓRDENES DE VENTA (RESERVAS)');
+  console.log('─────────────────────────────');
+
+  if (productId && warehouseId) { // Requiere producto con stock en la bodega
+    res = await request('POST', '/sales-orders', { customer: { name: 'Cliente de prueba' }, warehouse: warehouseId, lines: [{ product: productId, quantity: 1000 }] }); // Orden mayor al disponible
+    const bigOrderId = res.data?.data?._id; // Guarda el _id de la orden
+    if (bigOrderId) { // La confirmacion debe rechazarse por disponible insuficiente
+      res = await request('POST', `/sales-orders/${bigOrderId}/confirm`);
+      log('POST /sales-orders/:id/confirm (disponible insuficiente)', res.status === 400, `(Status: ${res.status})`); // Verifica 400
+    }
+
+    res = await request('POST', '/sales-orders', { customer: { name: 'Cliente de prueba' }, warehouse: warehouseId, lines: [{ product: productId, quantity: 1 }] }); // Orden de 1 unidad
+    const salesOrderId = res.data?.data?._id; // Guarda el _id de la orden
+    log('POST /sales-orders (crear)', res.status === 201, `(${res.data?.data?.number})`); // Verifica 201 Created
+
+    if (salesOrderId) { // Confirma (reserva) y despacha (consume)
+      res = await request('POST', `/sales-orders/${salesOrderId}/confirm`);
+      log('POST /sales-orders/:id/confirm', res.ok && res.data?.data?.status === 'confirmed', `(Status: ${res.status})`); // Verifica confirmada
+
+      res = await request('GET', `/products/${productId}`); // El producto expone fisico, reservado y disponible
+      const prod = res.data?.data; // Producto con cantidades
+      log('GET /products/:id (reservado)', prod?.reserved === 1 && prod?.available === prod?.stock - 1, `(Stock: ${prod?.stock}, Reservado: ${prod?.reserved}, Disponible: ${prod?.available})`); // Verifica la reserva
+
+      res = await request('POST', `/sales-orders/${salesOrderId}/dispatch`);
+      log('POST /sales-orders/:id/dispatch', res.ok && res.data?.data?.status === 'dispatched', `(Status: ${res.status})`); // Verifica despachada
+    }
+  }
+
+  // ============= PROVEEDORES =============
+  console.log('\n📋 TEST 5.4: PROVEEDORES');
+  console.log('─────────────────────────────');
+
+  res = await request('POST', '/suppliers', { name: `Test Supplier ${timestamp}`, taxId: `NIT-${timestamp}`, leadTimeDays: 5 }); // Crea un proveedor
+  const supplierId = res.data?.data?._id; // Guarda el _id del proveedor
+  log('POST /suppliers (crear)', res.status === 201, `(Status: ${res.status})`); // Verifica 201 Created
+  if (!supplierId) error('/suppliers POST', res); // Si falló, imprime detalles
+
+  if (supplierId && productId) { // Asocia el proveedor al producto con su SKU y ultimo costo
+    res = await request('PUT', `/products/${productId}/suppliers/${supplierId}`, { supplierSku: 'PRV-001', lastPurchaseCost: 50 });
+    log('PUT /products/:id/suppliers/:supplierId', res.ok && res.data?.data?.suppliers?.length === 1, `(Status: ${res.status})`); // Verifica la relacion
+
+    res = await request('GET', `/suppliers/${supplierId}`); // El proveedor lista los productos que surte
+    log('GET /suppliers/:id (productos)', res.ok && res.data?.data?.products?.length === 1, `(Status: ${res.status})`); // Verifica 1 producto
+  }
+
+  // ============= ÓRDENES DE COMPRA =============
+  if (supplierId && productId && warehouseId) { // Requiere proveedor activo, producto y bodega
+    res = await request('POST', '/purchase-orders', { // Crea la orden en borrador
+      supplier: supplierId,
+      warehouse: warehouseId,
+      lines: [{ product: productId, quantity: 10, unitCost: 45 }]
+    });
+    const orderId = res.data?.data?._id; // Guarda el _id de la orden
+    log('POST /purchase-orders (crear)', res.status === 201 && res.data?.data?.status === 'draft', `(${res.data?.data?.number})`); // Verifica 201 y borrador
+    if (!orderId) error('/purchase-orders POST', res); // Si falló, imprime detalles
+
+    if (orderId) { // Solo si la orden fue creada
+      res = await request('POST', `/purchase-orders/${orderId}/send`); // Admin aprueba y envia
+      log('POST /purchase-orders/:id/send', res.ok && res.data?.data?.status === 'sent', `(Status: ${res.status})`); // Verifica estado enviado
+
+      res = await request('POST', `/purchase-orders/${orderId}/receive`, { lines: [{ product: productId, quantity: 4, unitCost: 44 }] }); // Recepcion parcial
+      log('POST /purchase-orders/:id/receive (parcial)', res.ok && res.data?.data?.status === 'partially_received', `(Status: ${res.status})`); // Verifica recepcion parcial
+
+      res = await request('POST', `/purchase-orders/${orderId}/receive`, { lines: [{ product: productId, quantity: 100 }] }); // Mas de lo pendiente
+      log('POST /purchase-orders/:id/receive (excedente rechazado)', res.status === 400, `(Status: ${res.status})`); // Verifica 400
+
+      res = await request('POST', `/purchase-orders/${orderId}/receive`); // Recibe todo lo pendiente
+      log('POST /purchase-orders/:id/receive (total)', res.ok && res.data?.data?.status === 'received', `(Status: ${res.status})`); // Verifica recibida
+    }
   }
 
+  if (supplierId) { // Soft delete del proveedor
+    res = await request('DELETE', `/suppliers/${supplierId}`);
+    log('DELETE /suppliers/:id (desactivar)', res.ok && res.data?.data?.active === false, `(Status: ${res.status})`); // Verifica active=false
+  }
+
+  // ============= PUNTO DE REORDEN Y ALERTAS =============
+  console.log('\n📋 TEST 5.5: PUNTO DE REORDEN Y ALERTAS');
+  console.log('─────────────────────────────');
+
+  if (productId && warehouseId) { // Requiere producto con stock en la bodega
+    res = await request('PUT', `/products/${productId}`, { minStock: 5, reorderPoint: 2 }); // Minimo mayor al punto de reorden
+    log('PUT /products/:id (niveles invalidos)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+    res = await request('GET', `/products/${productId}`); // Stock actual para fijar el punto de reorden justo en el
+    const currentStock = res.data?.data?.stock; // Stock fisico actual
+    res = await request('PUT', `/products/${productId}`, { minStock: 1, reorderPoint: currentStock, maxStock: currentStock + 10 }); // Niveles validos
+    log('PUT /products/:id (niveles de reorden)', res.ok && res.data?.data?.reorderPoint === currentStock, `(Punto de reorden: ${res.data?.data?.reorderPoint})`); // Verifica los niveles
+
+    res = await request('POST', `/products/${productId}/movements`, { warehouse: warehouseId, type: 'exit', quantity: 1, reason: 'Venta' }); // Cruza el punto de reorden
+    log('POST /products/:id/movements (cruza reorden)', res.status === 201, `(Stock: ${res.data?.data?.product?.stock})`); // Verifica 201 Created
+
+    res = await request('GET', '/products/low-stock'); // Productos bajo su punto de reorden agrupados
+    const lowStock = (res.data?.data || []).flatMap(group => group.subcategories.flatMap(sub => sub.products)); // Aplana categorias y subcategorias
+    const lowItem = lowStock.find(item => item._id === productId); // El producto de prueba debe aparecer
+    log('GET /products/low-stock', res.ok && lowItem?.suggestedQuantity === 11, `(${res.data?.count} productos)`); // Sugerido = maxStock - stock
+
+    res = await request('GET', `/alerts?status=open&product=${productId}`); // La salida genero una alerta abierta
+    const alertId = res.data?.data?.[0]?._id; // Guarda el _id de la alerta
+    log('GET /alerts (alerta generada)', res.ok && res.data?.count === 1, `(${res.data?.count} alertas)`); // Verifica 1 alerta
+
+    if (alertId) { // Atiende la alerta
+      res = await request('POST', `/alerts/${alertId}/acknowledge`);
+      log('POST /alerts/:id/acknowledge', res.ok && res.data?.data?.status === 'acknowledged', `(Status: ${res.status})`); // Verifica atendida
+    }
+  }
+
+  // ============= LOTES Y VENCIMIENTOS (FEFO) =============
+  console.log('\n📋 TEST 5.6: LOTES Y VENCIMIENTOS (FEFO)');
+  console.log('─────────────────────────────');
+
+  if (categoryId && subcategoryId && warehouseId) { // Requiere categoria, subcategoria y bodega
+    const soon = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString(); // Vence en 10 dias
+    const later = new Date(Date.now() + 200 * 24 * 60 * 60 * 1000).toISOString(); // Vence en 200 dias
+
+    res = await request('POST', '/products', { // Producto perecedero sin lotes en el stock inicial
+      name: `Test Lot Product ${timestamp}`, description: 'Producto con lotes', price: 10, stock: 5,
+      category: categoryId, subcategory: subcategoryId, warehouse: warehouseId, lotTracked: true
+    });
+    log('POST /products (lotes obligatorios)', res.status === 400, `(Status: ${res.status})`); // Verifica 400
+
+    res = await request('POST', '/products', { // Stock inicial repartido en dos lotes
+      name: `Test Lot Product ${timestamp}`, description: 'Producto con lotes', price: 10, stock: 5,
+      category: categoryId, subcategory: subcategoryId, warehouse: warehouseId, lotTracked: true,
+      lots: [{ lotNumber: `L-LATE-${timestamp}`, expiryDate: later, quantity: 3 }, { lotNumber: `L-SOON-${timestamp}`, expiryDate: soon, quantity: 2 }]
+    });
+    const lotProductId = res.data?.data?._id; // Guarda el _id del producto con lotes
+    log('POST /products (con lotes)', res.status === 201, `(Status: ${res.status})`); // Verifica 201 Created
+    if (!lotProductId) error('/products POST lotes', res); // Si falló, imprime detalles
+
+    if (lotProductId) { // Salida de 3 unidades: consume primero el lote que vence antes
+      res = await request('POST', `/products/${lotProductId}/movements`, { warehouse: warehouseId, type: 'exit', quantity: 3, reason: 'Venta' });
+      const consumed = res.data?.data?.movement?.lots || []; // Lotes consumidos por la salida
+      const fefoOk = consumed[0]?.lotNumber === `L-SOON-${timestamp}` && consumed[0]?.quantity === 2 && consumed[1]?.quantity === 1; // 2 del primero + 1 del segundo
+      log('POST /products/:id/movements (salida FEFO)', res.status === 201 && fefoOk, `(Lotes: ${consumed.map(lot => `${lot.lotNumber}:${lot.quantity}`).join(', ')})`); // Imprime el consumo
+
+      res = await request('GET', `/lots?product=${lotProductId}`); // Solo queda el lote que vence despues
+      log('GET /lots', res.ok && res.data?.count === 1 && res.data?.data?.[0]?.quantity === 2, `(${res.data?.count} lotes)`); // Verifica 1 lote con 2 unidades
+
+      res = await request('GET', '/lots/expiring?days=365'); // Reporte de vencimientos del proximo año
+      const expiring = (res.data?.data || []).find(lot => (lot.product?._id || lot.product) === lotProductId); // Lote del producto de prueba
+      log('GET /lots/expiring', res.ok && expiring?.expired === false && expiring?.daysToExpiry > 0, `(${res.data?.count} lotes por vencer)`); // Verifica el reporte
+    }
+  }
+
+  // ============= NÚMEROS DE SERIE =============
+  console.log('\n📋 TEST 5.7: NÚMEROS DE SERIE');
+  console.log('─────────────────────────────');
+
+  if (categoryId && subcategoryId && warehouseId) { // Requiere categoria, subcategoria y bodega
+    res = await request('POST', '/products', { // Producto serializado con 2 unidades iniciales
+      name: `Test Serial Product ${timestamp}`, description: 'Producto serializado', price: 1500, stock: 2,
+      category: categoryId, subcategory: subcategoryId, warehouse: warehouseId, serialized: true,
+      serials: [`SN-A-${timestamp}`, `SN-B-${timestamp}`]
+    });
+    const serialProductId = res.data?.data?._id; // Guarda el _id del producto serializado
+    log('POST /products (serializado)', res.status === 201, `(Status: ${res.status})`); // Verifica 201 Created
+    if (!serialProductId) error('/products POST serializado', res); // Si falló, imprime detalles
+
+    if (serialProductId) { // Salidas con y sin series
+      res = await request('POST', `/products/${serialProductId}/movements`, { warehouse: warehouseId, type: 'exit', quantity: 1 }); // Sin series
+      log('POST /products/:id/movements (series obligatorias)', res.status === 400, `(Status: ${res.status})`); // Verifica 400
+
+      res = await request('POST', `/products/${serialProductId}/movements`, { warehouse: warehouseId, type: 'exit', quantity: 1, serials: [`SN-A-${timestamp}`] }); // Despacha una unidad
+      log('POST /products/:id/movements (salida con serie)', res.status === 201, `(Stock: ${res.data?.data?.product?.stock})`); // Verifica 201 Created
+
+      res = await request('POST', `/products/${serialProductId}/movements`, { warehouse: warehouseId, type: 'entry', quantity: 1, reason: 'Devolucion', serials: [`SN-A-${timestamp}`] }); // El cliente devuelve la unidad
+      log('POST /products/:id/movements (devolucion)', res.status === 201, `(Stock: ${res.data?.data?.product?.stock})`); // Verifica 201 Created
+
+      res = await request('GET', `/products/${serialProductId}/serials`); // Series y resumen por estado
+      const serialSummary = res.data?.summary; // Cantidades por estado
+      log('GET /products/:id/serials', res.ok && serialSummary?.onHand === serialSummary?.stock && serialSummary?.returned === 1, `(Stock: ${serialSummary?.stock}, En bodega: ${serialSummary?.onHand})`); // El stock coincide con las series en bodega
+
+      res = await request('GET', `/products/${serialProductId}/serials/SN-A-${timestamp}`); // Historial de la unidad
+      const history = res.data?.data?.history || []; // Cambios de estado
+      log('GET /products/:id/serials/:serialNumber', res.ok && history.map(item => item.status).join(',') === 'in_stock,dispatched,returned', `(${history.length} cambios)`); // Verifica el historial
+    }
+  }
+
+  // ============= CONTEO FÍSICO =============
+  console.log('\n📋 TEST 5.8: CONTEO FÍSICO');
+  console.log('─────────────────────────────');
+
+  if (productId && warehouseId) { // Requiere producto con stock en la bodega de prueba
+    res = await request('POST', '/count-sessions', {}); // Sin alcance
+    log('POST /count-sessions (sin alcance)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+    res = await request('POST', '/count-sessions', { warehouse: warehouseId, notes: 'Conteo de prueba' }); // Conteo de toda la bodega de prueba
+    const countSessionId = res.data?.data?._id; // Guarda el _id de la sesion
+    const countLine = (res.data?.data?.lines || []).find(line => line.product?._id === productId); // Linea del producto de prueba
+    log('POST /count-sessions (abrir)', res.status === 201 && countLine !== undefined, `(${res.data?.data?.number}, ${res.data?.data?.lines?.length} lineas)`); // Verifica 201 Created
+    if (!countSessionId) error('/count-sessions POST', res); // Si falló, imprime detalles
+
+    const excludedReasons = (res.data?.excluded || []).filter(item => item.name?.endsWith(`${timestamp}`)).map(item => item.reason); // Productos de prueba con lotes o series
+    log('POST /count-sessions (excluidos)', excludedReasons.includes('lotTracked') && excludedReasons.includes('serialized'), `(${res.data?.excluded?.length} productos por fuera)`); // Verifica que se informan
+
+    if (countSessionId && countLine) { // Se cuenta una unidad menos de la esperada
+      const expected = countLine.expectedQuantity; // Cantidad congelada al abrir
+      res = await request('POST', `/count-sessions/${countSessionId}/counts`, { counts: [{ product: productId, countedQuantity: expected - 1 }] });
+      log('POST /count-sessions/:id/counts', res.ok, `(Status: ${res.status})`); // Verifica el registro del conteo
+
+      res = await request('POST', `/count-sessions/${countSessionId}/approve`); // Aun esta abierta
+      log('POST /count-sessions/:id/approve (abierta)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+      res = await request('POST', `/count-sessions/${countSessionId}/close`); // Cierra el conteo
+      log('POST /count-sessions/:id/close', res.ok && res.data?.data?.status === 'closed', `(Status: ${res.status})`); // Verifica cerrada
+
+      res = await request('GET', `/count-sessions/${countSessionId}/variance`); // Informe de diferencias
+      const varianceLine = (res.data?.data?.lines || []).find(line => line.product?._id === productId); // Linea del producto de prueba
+      log('GET /count-sessions/:id/variance', res.ok && varianceLine?.variance === -1 && varianceLine?.result === 'short', `(Faltantes: ${res.data?.data?.summary?.short})`); // Verifica el faltante
+
+      res = await request('GET', `/products/${productId}`); // Stock antes de aprobar
+      const stockBeforeCount = res.data?.data?.stock; // Stock fisico actual
+      res = await request('POST', `/count-sessions/${countSessionId}/approve`); // Aprueba y registra el ajuste
+      log('POST /count-sessions/:id/approve', res.ok && res.data?.data?.status === 'approved', `(${res.data?.adjustments} ajustes)`); // Verifica aprobada
+
+      res = await request('GET', `/products/${productId}`); // El ajuste resto la unidad faltante
+      log('GET /products/:id (stock ajustado)', res.ok && res.data?.data?.stock === stockBeforeCount - 1, `(Stock: ${res.data?.data?.stock})`); // Verifica el ajuste
+    }
+  }
+
+  // ============= UNIDADES DE MEDIDA =============
+  console.log('\n📋 TEST 5.9: UNIDADES DE MEDIDA');
+  console.log('─────────────────────────────');
+
+  if (categoryId && subcategoryId && warehouseId) { // Requiere categoria, subcategoria y bodega
+    res = await request('POST', '/products', { // Producto que se compra por cajas de 12
+      name: `Test Unit Product ${timestamp}`, description: 'Producto con unidades', price: 3, stock: 12,
+      category: categoryId, subcategory: subcategoryId, warehouse: warehouseId,
+      baseUnit: 'unidad', units: [{ name: 'caja', factor: 12 }]
+    });
+    const unitProductId = res.data?.data?._id; // Guarda el _id del producto
+    log('POST /products (con unidades)', res.status === 201 && res.data?.data?.units?.length === 1, `(Status: ${res.status})`); // Verifica 201 Created
+    if (!unitProductId) error('/products POST unidades', res); // Si falló, imprime detalles
+
+    if (unitProductId) { // Entrada de 2 cajas a 24 la caja
+      res = await request('POST', `/products/${unitProductId}/movements`, { warehouse: warehouseId, type: 'entry', quantity: 2, unit: 'caja', unitCost: 24 });
+      const unitMovement = res.data?.data?.movement; // Movimiento guardado en unidad base
+      log('POST /products/:id/movements (en cajas)', res.status === 201 && unitMovement?.quantity === 24 && unitMovement?.unitCost === 2 && res.data?.data?.product?.stock === 36, `(Stock: ${res.data?.data?.product?.stock})`); // 12 + 2 x 12
+
+      res = await request('POST', `/products/${unitProductId}/movements`, { warehouse: warehouseId, type: 'exit', quantity: 1, unit: 'pallet' }); // Unidad no definida
+      log('POST /products/:id/movements (unidad invalida)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+      res = await request('GET', `/products/${unitProductId}?unit=caja`); // Stock expresado en cajas
+      log('GET /products/:id?unit=caja', res.ok && res.data?.data?.stockInUnit?.stock === 3, `(Cajas: ${res.data?.data?.stockInUnit?.stock})`); // 36 / 12 = 3
+    }
+  }
+
+  // ============= VARIANTES =============
+  console.log('\n📋 TEST 5.10: VARIANTES');
+  console.log('─────────────────────────────');
+
+  if (categoryId && subcategoryId && warehouseId) { // Requiere categoria, subcategoria y bodega
+    res = await request('POST', '/products', { // Producto padre por talla, sin stock propio
+      name: `Test Parent Product ${timestamp}`, description: 'Producto con variantes', price: 30,
+      category: categoryId, subcategory: subcategoryId, variantAttributes: ['talla']
+    });
+    const parentId = res.data?.data?._id; // Guarda el _id del padre
+    log('POST /products (padre de variantes)', res.status === 201 && res.data?.data?.hasVariants === true, `(Status: ${res.status})`); // Verifica 201 Created
+    if (!parentId) error('/products POST padre', res); // Si falló, imprime detalles
+
+    if (parentId) { // Variantes con stock y precio propios
+      res = await request('POST', `/products/${parentId}/variants`, { attributes: { talla: 'S' }, stock: 4, warehouse: warehouseId });
+      const variantId = res.data?.data?._id; // Guarda el _id de la primera variante
+      log('POST /products/:id/variants (talla S)', res.status === 201 && res.data?.data?.price === 30 && res.data?.data?.stock === 4, `(${res.data?.data?.name})`); // Hereda el precio del padre
+
+      res = await request('POST', `/products/${parentId}/variants`, { attributes: { talla: 'XL' }, price: 35, stock: 2, warehouse: warehouseId });
+      log('POST /products/:id/variants (precio propio)', res.status === 201 && res.data?.data?.priceOverride === true, `(Precio: ${res.data?.data?.price})`); // Verifica el precio propio
+
+      res = await request('POST', `/products/${parentId}/variants`, { attributes: { talla: 'S' } }); // Combinacion repetida
+      log('POST /products/:id/variants (repetida)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+      res = await request('POST', `/products/${parentId}/movements`, { warehouse: warehouseId, type: 'entry', quantity: 1 }); // El padre no maneja stock
+      log('POST /products/:id/movements (padre sin stock)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+      res = await request('PUT', `/products/${parentId}`, { price: 32 }); // El precio nuevo pasa a las variantes sin precio propio
+      res = await request('GET', `/products/${parentId}/variants`); // Variantes con el stock sumado
+      const variantS = (res.data?.data?.variants || []).find(variant => variant._id === variantId); // Variante sin precio propio
+      log('GET /products/:id/variants', res.ok && res.data?.count === 2 && res.data?.summary?.stock === 6 && variantS?.price === 32, `(${res.data?.count} variantes, stock ${res.data?.summary?.stock})`); // Verifica variantes y precio heredado
+
+      res = await request('GET', '/products?groupVariants=true'); // Listado con las variantes dentro del padre
+      const grouped = (res.data?.data || []).find(product => product._id === parentId); // Padre en el listado
+      const loose = (res.data?.data || []).some(product => product._id === variantId); // La variante no debe aparecer suelta
+      log('GET /products?groupVariants=true', res.ok && grouped?.variants?.length === 2 && !loose, `(Stock variantes: ${grouped?.variantSummary?.stock})`); // Verifica la agrupacion
+    }
+  }
+
+  // ============= KITS =============
+  console.log('\n📋 TEST 5.11: KITS');
+  console.log('─────────────────────────────');
+
+  if (categoryId && subcategoryId && warehouseId) { // Requiere categoria, subcategoria y bodega
+    const componentIds = []; // Componentes del kit con stock en la bodega
+    for (const [suffix, stock] of [['Laptop', 4], ['Mouse', 10]]) {
+      res = await request('POST', '/products', {
+        name: `Test Kit ${suffix} ${timestamp}`, description: 'Componente de kit', price: 100,
+        category: categoryId, subcategory: subcategoryId, stock, warehouse: warehouseId
+      });
+      if (res.data?.data?._id) componentIds.push(res.data.data._id);
+    }
+
+    res = await request('POST', '/products', { // Kit: 1 laptop + 2 mouse, sin stock propio
+      name: `Test Kit ${timestamp}`, description: 'Laptop con mouse', price: 250,
+      category: categoryId, subcategory: subcategoryId, productType: 'kit',
+      components: [{ product: componentIds[0], quantity: 1 }, { product: componentIds[1], quantity: 2 }]
+    });
+    const kitId = res.data?.data?._id; // Guarda el _id del kit
+    log('POST /products (kit)', res.status === 201 && res.data?.data?.productType === 'kit', `(Status: ${res.status})`); // Verifica 201 Created
+    if (!kitId) error('/products POST kit', res); // Si falló, imprime detalles
+
+    if (kitId) {
+      res = await request('GET', `/products/${kitId}`); // Disponible calculado con los componentes
+      log('GET /products/:id (disponible del kit)', res.ok && res.data?.data?.kitAvailability?.buildable === 4, `(Se pueden armar: ${res.data?.data?.kitAvailability?.buildable})`); // 4 laptops, 10 mouse / 2
+
+      res = await request('POST', `/products/${kitId}/assemble`, { warehouse: warehouseId, quantity: 1 }); // Arma un kit
+      log('POST /products/:id/assemble', res.status === 201 && res.data?.data?.length === 3, `(${res.data?.reference})`); // 2 salidas de componentes y 1 entrada del kit
+
+      res = await request('GET', `/products/${kitId}`); // Kit armado en stock
+      log('GET /products/:id (kit armado)', res.ok && res.data?.data?.stock === 1 && res.data?.data?.kitAvailability?.available === 4, `(Armados: ${res.data?.data?.stock})`); // 1 armado + 3 por armar
+
+      res = await request('POST', `/products/${kitId}/disassemble`, { warehouse: warehouseId, quantity: 1 }); // Devuelve los componentes
+      log('POST /products/:id/disassemble', res.status === 201, `(Status: ${res.status})`); // Verifica 201 Created
+
+      res = await request('POST', `/products/${kitId}/assemble`, { warehouse: warehouseId, quantity: 50 }); // Sin componentes suficientes
+      log('POST /products/:id/assemble (sin stock)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+    }
+  }
+
+  // ============= VALORACIÓN =============
+  console.log('\n📋 TEST 5.12: VALORACIÓN DEL INVENTARIO');
+  console.log('─────────────────────────────');
+
+  if (categoryId && subcategoryId && warehouseId) { // Requiere categoria, subcategoria y bodega
+    res = await request('POST', '/products', { // 10 unidades iniciales a costo 5
+      name: `Test Costed Product ${timestamp}`, description: 'Producto valorado', price: 12, cost: 5,
+      category: categoryId, subcategory: subcategoryId, stock: 10, warehouse: warehouseId
+    });
+    const costedId = res.data?.data?._id; // Guarda el _id del producto
+
+    if (costedId) {
+      res = await request('POST', `/products/${costedId}/movements`, { warehouse: warehouseId, type: 'entry', quantity: 10, unitCost: 7 }); // Segunda capa a costo 7
+      log('POST /products/:id/movements (entrada con costo)', res.status === 201 && res.data?.data?.movement?.totalCost === 70, `(Costo: ${res.data?.data?.movement?.totalCost})`); // 10 x 7
+
+      res = await request('POST', `/products/${costedId}/movements`, { warehouse: warehouseId, type: 'exit', quantity: 15 }); // fifo: 10 x 5 + 5 x 7, promedio: 15 x 6
+      const cogs = res.data?.data?.movement?.totalCost; // Costo de la mercancia de la salida
+      log('POST /products/:id/movements (costo de la salida)', res.status === 201 && (cogs === 85 || cogs === 90), `(COGS: ${cogs})`); // Depende de VALUATION_METHOD
+    }
+
+    if (costedId) { // Kardex con saldo acumulado en cantidad y valor
+      res = await request('GET', `/products/${costedId}/kardex`);
+      const rows = res.data?.data?.rows || []; // Movimientos del kardex
+      log('GET /products/:id/kardex', res.ok && rows.length === 3 && res.data?.data?.closing?.quantity === 5, `(Saldo: ${res.data?.data?.closing?.quantity} / ${res.data?.data?.closing?.value})`); // 10 + 10 - 15
+
+      res = await request('GET', `/products/${costedId}/kardex?from=2000-01-01&to=2000-12-31`); // Sin movimientos en el rango
+      log('GET /products/:id/kardex?from=&to=', res.ok && res.data?.count === 0, `(Filas: ${res.data?.count})`); // Verifica el filtro de fechas
+
+      res = await request('GET', `/products/${costedId}/kardex?from=2030-01-01&to=2020-01-01`); // Rango invertido
+      log('GET /products/:id/kardex (rango invalido)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+    }
+
+    res = await request('GET', `/statistics/valuation?warehouse=${warehouseId}`); // Valor por categoria y subcategoria
+    log('GET /statistics/valuation', res.ok && Array.isArray(res.data?.data?.categories), `(Metodo: ${res.data?.data?.method}, valor: ${res.data?.data?.value})`); // Verifica el reporte
+
+    res = await request('GET', '/statistics/valuation?date=2000-01-01'); // Antes de cualquier movimiento
+    log('GET /statistics/valuation?date=', res.ok && res.data?.data?.value === 0, `(Valor: ${res.data?.data?.value})`); // Sin inventario a esa fecha
+  }
+
+  // ============= PRECIOS =============
+  console.log('\n📋 TEST 5.13: HISTORIAL DE PRECIOS');
+  console.log('─────────────────────────────');
+
+  if (productId) { // Requiere el producto creado en TEST 5
+    res = await request('PUT', `/products/${productId}`, { price: 777 }); // Cambio de precio manual
+    res = await request('GET', `/products/${productId}/prices`); // Linea de tiempo
+    const lastChange = res.data?.data?.[0]; // Cambio mas reciente
+    log('GET /products/:id/prices', res.ok && res.data?.current === 777 && lastChange?.price === 777 && lastChange?.previousPrice !== undefined, `(${res.data?.count} cambios)`); // Verifica el registro del cambio
+
+    const effectiveAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(); // Mañana
+    res = await request('POST', `/products/${productId}/prices`, { price: 800, effectiveAt, notes: 'Alza programada' });
+    const changeId = res.data?.data?._id; // Guarda el _id del precio programado
+    log('POST /products/:id/prices (programar)', res.status === 201 && res.data?.data?.status === 'scheduled', `(Status: ${res.status})`); // Verifica 201 Created
+
+    res = await request('POST', `/products/${productId}/prices`, { price: 800, effectiveAt: '2000-01-01' }); // Fecha pasada
+    log('POST /products/:id/prices (fecha pasada)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+    res = await request('GET', `/products/${productId}/prices`); // El proximo precio aparece en la linea de tiempo
+    log('GET /products/:id/prices (proximo precio)', res.ok && res.data?.next?.price === 800, `(Proximo: ${res.data?.next?.price})`); // Verifica el precio programado
+
+    if (changeId) {
+      res = await request('DELETE', `/products/${productId}/prices/${changeId}`); // Cancela el precio programado
+      log('DELETE /products/:id/prices/:changeId', res.ok && res.data?.data?.status === 'cancelled', `(Status: ${res.status})`); // Verifica la cancelacion
+    }
+  }
+
+  // Un precio programado que falla no bloquea los siguientes (se prueba applyDuePrices contra la base de datos)
+  if (productId) {
+    require('dotenv').config({ path: `${__dirname}/.env` }); // Misma base de datos que el servidor
+    const mongoose = require('mongoose');
+    const PriceChange = require('./models/PriceChange');
+    const { applyDuePrices, applyScheduledChange } = require('./services/priceService');
+    await mongoose.connect(process.env.MONGO_URI || require('./config').DB.URL);
+
+    // Fechas de 1990: la API no permite programarlas, asi no se mezclan con precios programados reales
+    const [badChange, goodChange] = await PriceChange.create([
+      { product: productId, price: 111, effectiveAt: new Date('1990-01-01T00:00:00Z'), status: 'scheduled', source: 'scheduled', notes: 'Prueba: falla' },
+      { product: productId, price: 222, effectiveAt: new Date('1990-01-01T12:00:00Z'), status: 'scheduled', source: 'scheduled', notes: 'Prueba: se aplica' }
+    ]);
+    const failing = (change) => (change._id.equals(badChange._id) ? Promise.reject(new Error('fallo de prueba')) : applyScheduledChange(change)); // El primero siempre falla
+    let applied = null;
+    try {
+      applied = await applyDuePrices(new Date('1990-01-02T00:00:00Z'), failing);
+    } catch (applyError) {
+      console.log(`   applyDuePrices lanzo: ${applyError.message}`);
+    }
+    const [bad, good] = await Promise.all([PriceChange.findById(badChange._id), PriceChange.findById(goodChange._id)]);
+    log('applyDuePrices (un cambio fallido no bloquea los siguientes)', applied !== null && good?.status === 'applied', `(Aplicados: ${applied}, fallido: ${bad?.status}, siguiente: ${good?.status})`); // Verifica que el segundo se aplique
+
+    await PriceChange.deleteMany({ _id: { $in: [badChange._id, goodChange._id] } }); // Limpia los cambios de prueba
+    await mongoose.disconnect();
+    await request('PUT', `/products/${productId}`, { price: 777 }); // Devuelve el precio de prueba
+  }
+
+  // ============= LISTAS DE PRECIOS =============
+  console.log('\n📋 TEST 5.14: LISTAS DE PRECIOS');
+  console.log('─────────────────────────────');
+
+  if (productId && categoryId) { // Requiere el producto y la categoria de las pruebas
+    const listCode = `mayorista-${timestamp}`; // Codigo unico de la lista
+    res = await request('POST', '/price-lists', { // Precio fijo del producto y 10% menos en su categoria
+      name: `Test Price List ${timestamp}`, code: listCode,
+      items: [{ product: productId, price: 700 }],
+      rules: [{ category: categoryId, percent: -10 }]
+    });
+    const priceListId = res.data?.data?._id; // Guarda el _id de la lista
+    log('POST /price-lists', res.status === 201 && res.data?.data?.items?.length === 1, `(Status: ${res.status})`); // Verifica 201 Created
+    if (!priceListId) error('/price-lists POST', res); // Si falló, imprime detalles
+
+    if (priceListId) {
+      res = await request('GET', `/products/${productId}?priceList=${listCode}`); // Precio fijo de la lista
+      log('GET /products/:id?priceList= (precio del producto)', res.ok && res.data?.data?.effectivePrice === 700 && res.data?.data?.priceList?.source === 'product', `(Precio: ${res.data?.data?.effectivePrice})`); // Verifica el precio fijo
+
+      res = await request('DELETE', `/price-lists/${priceListId}/items/${productId}`); // Sin precio fijo aplica la regla de la categoria
+      res = await request('GET', `/products/${productId}?priceList=${listCode}`);
+      const basePrice = res.data?.data?.price; // Precio base del producto
+      log('GET /products/:id?priceList= (regla de categoria)', res.ok && res.data?.data?.priceList?.source === 'category' && res.data?.data?.effectivePrice === Math.round(basePrice * 90) / 100, `(Precio: ${res.data?.data?.effectivePrice} de ${basePrice})`); // Verifica el descuento
+
+      res = await request('GET', `/products?priceList=${priceListId}`); // Listado con precio efectivo (por id)
+      log('GET /products?priceList=', res.ok && (res.data?.data || []).every(product => product.effectivePrice !== undefined), `(${res.data?.data?.length} productos)`); // Todos traen effectivePrice
+
+      res = await request('DELETE', `/price-lists/${priceListId}?isHardDelete=true`); // Limpia la lista de prueba
+    }
+
+    res = await request('GET', `/products/${productId}?priceList=no-existe-${timestamp}`); // Lista inexistente
+    log('GET /products/:id?priceList= (no existe)', res.status === 404, `(Status: ${res.status})`); // Verifica 404 Not Found
+  }
+
+  // ============= MONEDAS =============
+  console.log('\n📋 TEST 5.15: MONEDAS Y TASAS DE CAMBIO');
+  console.log('─────────────────────────────');
+
+  res = await request('POST', '/exchange-rates', { currency: 'usd', rate: 4000, date: new Date().toISOString(), notes: 'Tasa de prueba' }); // 1 USD = 4000 en moneda base
+  const exchangeRateId = res.data?.data?._id; // Guarda el _id de la tasa
+  log('POST /exchange-rates', res.status === 201 && res.data?.data?.currency === 'USD', `(Status: ${res.status})`); // Verifica 201 Created y el codigo en mayusculas
+  if (!exchangeRateId) error('/exchange-rates POST', res); // Si falló, imprime detalles
+
+  res = await request('GET', '/exchange-rates?currency=USD'); // Historial de tasas de la moneda
+  const baseCurrency = res.data?.base; // Moneda base del servidor
+  log('GET /exchange-rates', res.ok && res.data?.count > 0 && baseCurrency !== undefined, `(Base: ${baseCurrency}, ${res.data?.count} tasas)`); // Verifica el historial
+
+  res = await request('POST', '/exchange-rates', { currency: baseCurrency, rate: 1 }); // La moneda base no lleva tasa
+  log('POST /exchange-rates (moneda base)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+  res = await request('GET', '/exchange-rates/current'); // Tasas vigentes hoy
+  log('GET /exchange-rates/current', res.ok && (res.data?.data || []).some(item => item.currency === 'USD' && item.rate === 4000), `(${res.data?.count} monedas)`); // La tasa de prueba es la vigente
+
+  if (exchangeRateId && categoryId && subcategoryId && warehouseId) { // Producto importado: precio y costo en USD
+    res = await request('POST', '/products', {
+      name: `Test Imported Product ${timestamp}`, description: 'Producto importado', price: 10, currency: 'USD', cost: 5, costCurrency: 'USD',
+      category: categoryId, subcategory: subcategoryId, stock: 2, warehouse: warehouseId
+    });
+    const importedId = res.data?.data?._id; // Guarda el _id del producto
+    log('POST /products (precio en USD)', res.status === 201 && res.data?.data?.currency === 'USD', `(Status: ${res.status})`); // Verifica la moneda guardada
+
+    if (importedId) {
+      res = await request('GET', `/products/${importedId}?currency=${baseCurrency}`); // Precio convertido a la moneda base
+      log('GET /products/:id?currency=', res.ok && res.data?.data?.price === 40000 && res.data?.data?.exchange?.currency === 'USD', `(Precio: ${res.data?.data?.price} ${res.data?.data?.currency})`); // 10 x 4000
+
+      res = await request('POST', `/products/${importedId}/movements`, { warehouse: warehouseId, type: 'entry', quantity: 1, unitCost: 6, currency: 'USD' }); // Compra en USD
+      const movement = res.data?.data?.movement; // Movimiento valorado en la moneda base
+      log('POST /products/:id/movements (costo en USD)', res.status === 201 && movement?.unitCost === 24000 && movement?.enteredCost?.currency === 'USD', `(Costo: ${movement?.unitCost})`); // 6 x 4000
+    }
+
+    res = await request('GET', '/statistics/valuation?currency=USD'); // Valoracion convertida a USD
+    log('GET /statistics/valuation?currency=', res.ok && res.data?.data?.currency === 'USD' && res.data?.data?.exchangeRate === 4000, `(Valor: ${res.data?.data?.value} USD)`); // Verifica la conversion
+
+    res = await request('GET', `/products?currency=XYZ`); // Moneda sin tasas
+    log('GET /products?currency= (sin tasa)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+  }
+
+  if (exchangeRateId) {
+    res = await request('PUT', `/exchange-rates/${exchangeRateId}`, { rate: 0 }); // Tasa invalida
+    log('PUT /exchange-rates/:id (tasa invalida)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+    res = await request('DELETE', `/exchange-rates/${exchangeRateId}`); // Limpia la tasa de prueba
+    log('DELETE /exchange-rates/:id', res.ok, `(Status: ${res.status})`); // Verifica 200 OK
+  }
+
+  // ============= IMPUESTOS =============
+  console.log('\n📋 TEST 5.16: PERFILES DE IMPUESTO');
+  console.log('─────────────────────────────');
+
+  res = await request('POST', '/tax-profiles', { name: `Test IVA ${timestamp}`, code: `iva-${timestamp}`, rate: 19 }); // IVA del 19%
+  const taxProfileId = res.data?.data?._id; // Guarda el _id del perfil
+  log('POST /tax-profiles', res.status === 201 && res.data?.data?.rate === 19, `(Status: ${res.status})`); // Verifica 201 Created
+  if (!taxProfileId) error('/tax-profiles POST', res); // Si falló, imprime detalles
+
+  res = await request('POST', '/tax-profiles', { name: `Test IVA invalido ${timestamp}`, code: `iva-x-${timestamp}`, rate: 150 }); // Tarifa fuera de rango
+  log('POST /tax-profiles (tarifa invalida)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+  res = await request('POST', '/tax-profiles', { name: `Test Exento ${timestamp}`, code: `exento-${timestamp}`, rate: 0 }); // Exento
+  const exemptProfileId = res.data?.data?._id; // Guarda el _id del perfil exento
+
+  if (taxProfileId && exemptProfileId && productId && subcategoryId && warehouseId) {
+    res = await request('PUT', `/subcategories/${subcategoryId}`, { taxProfile: taxProfileId }); // IVA para toda la subcategoria
+    log('PUT /subcategories/:id (taxProfile)', res.ok, `(Status: ${res.status})`); // Verifica 200 OK
+
+    res = await request('GET', `/products/${productId}`); // El producto toma el impuesto de su subcategoria
+    const taxed = res.data?.data; // Producto con el precio separado
+    log('GET /products/:id (impuesto de la subcategoria)', res.ok && taxed?.tax?.rate === 19 && taxed?.tax?.source === 'subcategory' && Math.abs(taxed.netPrice + taxed.taxAmount - taxed.grossPrice) < 0.011, `(Neto: ${taxed?.netPrice}, IVA: ${taxed?.taxAmount}, Bruto: ${taxed?.grossPrice})`); // Verifica neto + impuesto = bruto
+
+    res = await request('POST', '/sales-orders', { customer: { name: 'Cliente de prueba' }, warehouse: warehouseId, lines: [{ product: productId, quantity: 1, unitPrice: 119 }] }); // Orden con IVA
+    const totals = res.data?.data?.totals; // Neto, impuesto y bruto de la orden
+    const expectedTax = res.data?.data?.pricesIncludeTax ? 19 : 22.61; // 119 con IVA incluido o 119 + 19%
+    log('POST /sales-orders (totales con impuesto)', res.status === 201 && res.data?.data?.lines?.[0]?.taxRate === 19 && totals?.tax === expectedTax && res.data?.data?.total === totals?.gross, `(Neto: ${totals?.net}, IVA: ${totals?.tax}, Total: ${totals?.gross})`); // Verifica los totales
+    if (res.data?.data?._id) await request('POST', `/sales-orders/${res.data.data._id}/cancel`); // Cancela la orden de prueba
+
+    res = await request('PUT', `/products/${productId}`, { taxProfile: exemptProfileId }); // Perfil propio del producto
+    res = await request('GET', `/products/${productId}`);
+    log('GET /products/:id (impuesto propio)', res.ok && res.data?.data?.tax?.rate === 0 && res.data?.data?.tax?.source === 'product', `(Tarifa: ${res.data?.data?.tax?.rate})`); // El producto reemplaza a la subcategoria
+
+    res = await request('GET', '/statistics/valuation'); // Valor de venta con impuesto
+    log('GET /statistics/valuation (valor de venta)', res.ok && res.data?.data?.salesValue?.gross !== undefined, `(Bruto: ${res.data?.data?.salesValue?.gross})`); // Verifica el valor de venta
+
+    await request('PUT', `/products/${productId}`, { taxProfile: null }); // Quita las asignaciones de prueba
+    await request('PUT', `/subcategories/${subcategoryId}`, { taxProfile: null });
+  }
+
+  if (taxProfileId) {
+    res = await request('DELETE', `/tax-profiles/${taxProfileId}?isHardDelete=true`); // Limpia el perfil de prueba
+    log('DELETE /tax-profiles/:id', res.ok, `(Status: ${res.status})`); // Verifica 200 OK
+  }
+  if (exemptProfileId) await request('DELETE', `/tax-profiles/${exemptProfileId}?isHardDelete=true`);
+
+  // ============= TEST 5.17: SERIES DE ESTADÍSTICAS =============
+  console.log('\n📋 TEST 5.17: SERIES DE ESTADÍSTICAS');
+  console.log('─────────────────────────────');
+
+  res = await request('GET', '/statistics?groupBy=week'); // Series de las ultimas semanas
+  const series = res.data?.data?.series; // Un punto por semana
+  log('GET /statistics?groupBy=week', res.ok && Array.isArray(series) && series.length > 0 && series.every(point => /^\d{4}-W\d{2}$/.test(point.period)), `(Periodos: ${series?.length})`); // Verifica las claves de semana ISO
+  if (res.ok && series?.length) { // Muestra el ultimo periodo
+    const last = series[series.length - 1];
+    console.log(`   Semana ${last.period}: creados ${last.productsCreated}, entradas ${last.entries.units}, salidas ${last.exits.units}, valor ${last.inventoryValue}, usuarios ${last.activeUsers}`);
+  }
+
+  res = await request('GET', '/statistics?groupBy=year'); // Agrupacion no soportada
+  log('GET /statistics (groupBy invalido)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+  res = await request('GET', '/statistics?from=2024-12-31&to=2024-01-01'); // Rango invertido
+  log('GET /statistics (rango invertido)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+  // ============= TEST 5.18: ESTADÍSTICAS POR CATEGORÍA =============
+  console.log('\n📋 TEST 5.18: ESTADÍSTICAS POR CATEGORÍA');
+  console.log('─────────────────────────────');
+
+  res = await request('GET', '/statistics/categories'); // Resumen por categoria y subcategoria
+  const categoryStats = res.data?.data?.categories; // Una fila por categoria con sus subcategorias
+  const testCategoryStats = categoryStats?.find(item => item.category?._id === categoryId); // Categoria creada en las pruebas
+  log('GET /statistics/categories', res.ok && Array.isArray(categoryStats) && (!categoryId || testCategoryStats?.subcategories?.length > 0), `(Categorias: ${categoryStats?.length})`); // Verifica que incluya la categoria de prueba
+  if (res.ok) { // Muestra los totales
+    const totals = res.data.data.totals;
+    console.log(`   Productos: ${totals.products.active} activos / ${totals.products.inactive} inactivos, Unidades: ${totals.units}, Valor: ${totals.stockValue} ${res.data.data.currency}, Agotados: ${totals.outOfStock}`);
+  }
+
+  res = await request('GET', '/statistics/categories?currency=XYZ'); // Moneda sin tasas
+  log('GET /statistics/categories (moneda invalida)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+  // ============= TEST 5.19: CLASIFICACIÓN ABC =============
+  console.log('\n📋 TEST 5.19: CLASIFICACIÓN ABC');
+  console.log('─────────────────────────────');
+
+  res = await request('POST', '/products/abc', { days: 90, cutoffs: { A: 80, B: 15, C: 5 } }); // Recalcula con los ultimos 90 dias
+  const ranking = res.data?.data; // Productos de mayor a menor valor de consumo
+  log('POST /products/abc', res.ok && Array.isArray(ranking) && ranking.every(item => ['A', 'B', 'C'].includes(item.abcClass)), `(A: ${res.data?.summary?.A?.products}, B: ${res.data?.summary?.B?.products}, C: ${res.data?.summary?.C?.products})`); // Verifica que todos queden clasificados
+
+  res = await request('POST', '/products/abc', { cutoffs: { A: 80, B: 15, C: 10 } }); // Cortes que no suman 100
+  log('POST /products/abc (cortes invalidos)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+  res = await request('GET', '/products/abc'); // Clasificacion guardada
+  log('GET /products/abc', res.ok && res.data?.summary?.A !== undefined, `(Clasificados: ${res.data?.count})`); // Verifica el resumen por clase
+
+  res = await request('GET', '/products?abcClass=C'); // Filtro por clase en el listado
+  log('GET /products?abcClass=C', res.ok && (res.data?.data || []).every(item => item.abcClass === 'C'), `(Productos: ${res.data?.data?.length})`); // Verifica que solo traiga clase C
+
+  res = await request('GET', '/products?abcClass=D'); // Clase inexistente
+  log('GET /products?abcClass=D (invalida)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+  // ============= TEST 5.20: STOCK SIN MOVIMIENTO =============
+  console.log('\n📋 TEST 5.20: STOCK SIN MOVIMIENTO');
+  console.log('─────────────────────────────');
+
+  res = await request('GET', '/products/dead-stock?days=30'); // Productos con stock sin salidas en 30 dias
+  log('GET /products/dead-stock', res.ok && Array.isArray(res.data?.data) && res.data?.days === 30, `(Productos: ${res.data?.count}, Unidades: ${res.data?.units}, Valor: ${res.data?.value})`); // Verifica el reporte agrupado
+
+  res = await request('GET', '/products/dead-stock?days=0'); // Dias invalidos
+  log('GET /products/dead-stock (dias invalidos)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
+  if (productId) {
+    res = await request('POST', '/products/dead-stock/deactivate', { productIds: [productId], days: 30 }); // El producto de prueba es nuevo, no se desactiva
+    log('POST /products/dead-stock/deactivate (producto reciente)', res.ok && res.data?.count === 0 && res.data?.skipped?.includes(productId), `(Omitidos: ${res.data?.skipped?.length})`); // Verifica que quede omitido
+  }
+
+  res = await request('POST', '/products/dead-stock/deactivate', { productIds: [] }); // Sin productos seleccionados
+  log('POST /products/dead-stock/deactivate (sin productos)', res.status === 400, `(Status: ${res.status})`); // Verifica 400 Bad Request
+
   // ============= ESTADÍSTICAS =============
   console.log('\n📋 TEST 6: ESTADÍSTICAS');
   console.log('─────────────────────────────');